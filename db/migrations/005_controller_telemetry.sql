@@ -0,0 +1,48 @@
+-- ============================================
+-- CONTROLLER TELEMETRY MIGRATION
+-- ============================================
+-- Purpose: Persist NUC status_update payloads as a time series
+-- Feature: Telemetry history for support (what did the site look like before a failure?)
+-- Date: October 18, 2026
+
+-- ============================================
+-- CONTROLLER TELEMETRY TABLE
+-- ============================================
+-- One row per status_update received from a controller
+CREATE TABLE controller_telemetry (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- Host metrics
+    cpu_percent DECIMAL(5, 2),
+    memory_percent DECIMAL(5, 2),
+    memory_used_mb INTEGER,
+    uptime_seconds BIGINT,
+
+    -- Agent runtime
+    agent_version VARCHAR(50),
+
+    -- Device connection state
+    devices JSONB, -- [{device_id, status}]
+    devices_total INTEGER,
+    devices_connected INTEGER,
+
+    -- Raw payload as received (for fields we don't model yet)
+    payload JSONB
+);
+
+-- Last reported agent version on the controller record
+ALTER TABLE controllers ADD COLUMN agent_version VARCHAR(50);
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE INDEX idx_telemetry_controller_time ON controller_telemetry(controller_id, recorded_at DESC);
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON TABLE controller_telemetry IS 'Time series of status_update messages reported by NUC controllers';
+COMMENT ON COLUMN controller_telemetry.devices IS 'Per-device connection state at the time of the report';
+COMMENT ON COLUMN controller_telemetry.payload IS 'Original status_update data payload';
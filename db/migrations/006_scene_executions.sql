@@ -0,0 +1,44 @@
+-- ============================================
+-- SCENE EXECUTIONS MIGRATION
+-- ============================================
+-- Purpose: Track each scene run and the result reported by the NUC
+-- Feature: execute_scene carries an execution_id that execution_result echoes back
+-- Date: October 18, 2026
+
+-- ============================================
+-- SCENE EXECUTIONS TABLE
+-- ============================================
+CREATE TABLE scene_executions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scene_id UUID NOT NULL REFERENCES scenes(id) ON DELETE CASCADE,
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+
+    -- Execution tracking
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+    triggered_by UUID REFERENCES integrators(id) ON DELETE SET NULL,
+    trigger_source VARCHAR(50) DEFAULT 'api',
+
+    -- Result reported by the NUC
+    steps_executed INTEGER,
+    steps_failed INTEGER,
+    step_results JSONB, -- [{step, success, error, duration_ms}]
+    duration_ms INTEGER,
+    error_message TEXT,
+    result JSONB, -- Raw execution_result payload
+
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE INDEX idx_scene_executions_scene ON scene_executions(scene_id, started_at DESC);
+CREATE INDEX idx_scene_executions_controller ON scene_executions(controller_id, status, started_at DESC);
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON TABLE scene_executions IS 'History of scene runs and their NUC-reported outcome';
+COMMENT ON COLUMN scene_executions.status IS 'pending → completed/failed';
+COMMENT ON COLUMN scene_executions.step_results IS 'Per-step outcome as reported in execution_result';
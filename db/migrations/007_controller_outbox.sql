@@ -0,0 +1,35 @@
+-- ============================================
+-- CONTROLLER OUTBOX MIGRATION
+-- ============================================
+-- Purpose: Keep cloud → NUC messages that could not be delivered while a controller was offline
+-- Feature: Replayed in order when the controller reconnects
+-- Date: October 18, 2026
+
+-- ============================================
+-- CONTROLLER OUTBOX TABLE
+-- ============================================
+CREATE TABLE controller_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    seq BIGSERIAL NOT NULL, -- Delivery order
+
+    -- Message
+    message_type VARCHAR(50) NOT NULL,
+    config_type VARCHAR(50), -- For config_update messages (device_added, scene_updated, ...)
+    collapse_key VARCHAR(255), -- Messages with the same key supersede each other
+    message JSONB NOT NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE INDEX idx_outbox_controller_seq ON controller_outbox(controller_id, seq);
+CREATE INDEX idx_outbox_collapse ON controller_outbox(controller_id, collapse_key) WHERE collapse_key IS NOT NULL;
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON TABLE controller_outbox IS 'Undelivered cloud → NUC messages, replayed in seq order on reconnect';
+COMMENT ON COLUMN controller_outbox.collapse_key IS 'Entity key (e.g. device:dsp_main, gui_sync) used to collapse redundant messages';
@@ -0,0 +1,50 @@
+-- ============================================
+-- CONTROLLER BUS MIGRATION
+-- ============================================
+-- Purpose: Run more than one backend instance behind a load balancer
+-- Feature: Controller presence in the database + Postgres LISTEN/NOTIFY message bus
+-- Date: October 18, 2026
+
+-- ============================================
+-- BACKEND INSTANCES TABLE
+-- ============================================
+CREATE TABLE bus_instances (
+    id UUID PRIMARY KEY,
+    hostname VARCHAR(255),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_heartbeat TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- CONTROLLER PRESENCE TABLE
+-- ============================================
+-- Which instance holds each connected controller's socket
+CREATE TABLE controller_presence (
+    controller_id UUID PRIMARY KEY REFERENCES controllers(id) ON DELETE CASCADE,
+    instance_id UUID NOT NULL,
+    connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- BUS PAYLOADS TABLE
+-- ============================================
+-- NOTIFY payloads are limited to 8000 bytes; larger ones are stored here
+-- and the notification carries the row id instead
+CREATE TABLE bus_payloads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE INDEX idx_presence_instance ON controller_presence(instance_id);
+CREATE INDEX idx_bus_payloads_created ON bus_payloads(created_at);
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON TABLE bus_instances IS 'Running backend instances; stale heartbeats mean the instance died';
+COMMENT ON TABLE controller_presence IS 'Controller → backend instance holding its WebSocket';
+COMMENT ON TABLE bus_payloads IS 'Bus messages too large for NOTIFY, purged after a few minutes';
@@ -0,0 +1,43 @@
+-- ============================================
+-- CONTROLLER KEY HASHING MIGRATION
+-- ============================================
+-- Purpose: Stop storing controller connection keys in plaintext
+-- Feature: Hashed keys, challenge-response authentication, key rotation with a grace period
+-- Date: October 18, 2026
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- ============================================
+-- HASH EXISTING KEYS
+-- ============================================
+-- SHA-256 hex of the key - the same value the NUC derives to sign challenges
+ALTER TABLE controllers ADD COLUMN key_hash VARCHAR(64);
+UPDATE controllers SET key_hash = encode(digest(connection_key, 'sha256'), 'hex');
+ALTER TABLE controllers ALTER COLUMN key_hash SET NOT NULL;
+
+-- ============================================
+-- KEY ROTATION
+-- ============================================
+-- After a rotation the old key keeps working until previous_key_expires_at
+ALTER TABLE controllers ADD COLUMN previous_key_hash VARCHAR(64);
+ALTER TABLE controllers ADD COLUMN previous_key_expires_at TIMESTAMP;
+ALTER TABLE controllers ADD COLUMN key_rotated_at TIMESTAMP;
+
+-- ============================================
+-- DROP PLAINTEXT KEYS
+-- ============================================
+DROP INDEX IF EXISTS idx_controllers_key;
+ALTER TABLE controllers DROP COLUMN connection_key;
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE UNIQUE INDEX idx_controllers_key_hash ON controllers(key_hash);
+CREATE INDEX idx_controllers_previous_key_hash ON controllers(previous_key_hash) WHERE previous_key_hash IS NOT NULL;
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON COLUMN controllers.key_hash IS 'SHA-256 (hex) of the connection key; the key itself is only shown once';
+COMMENT ON COLUMN controllers.previous_key_hash IS 'Hash of the key replaced by the last rotation';
+COMMENT ON COLUMN controllers.previous_key_expires_at IS 'End of the rotation grace period for the previous key';
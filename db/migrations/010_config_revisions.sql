@@ -0,0 +1,41 @@
+-- ============================================
+-- CONFIG REVISIONS MIGRATION
+-- ============================================
+-- Purpose: Let a reconnecting NUC fetch only the configuration that changed
+-- Feature: Per-controller config revision + change log for delta sync
+-- Date: October 18, 2026
+
+-- ============================================
+-- CONTROLLER REVISION
+-- ============================================
+-- Bumped by every device, control and scene change
+ALTER TABLE controllers ADD COLUMN config_revision BIGINT NOT NULL DEFAULT 0;
+
+-- ============================================
+-- CONFIG CHANGES TABLE
+-- ============================================
+-- Which entity changed at each revision (the state itself is read from the
+-- entity tables when a delta is built). Older entries are pruned, and a NUC
+-- that is further behind gets a full sync instead.
+CREATE TABLE config_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    revision BIGINT NOT NULL,
+    config_type VARCHAR(50) NOT NULL, -- e.g. device_added, control_deleted
+    entity_type VARCHAR(20) NOT NULL, -- device, control, scene
+    entity_id VARCHAR(100) NOT NULL, -- device_id, control UUID or scene_id
+    device_id VARCHAR(100), -- Parent device of a control (as sent in config_update)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(controller_id, revision)
+);
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE INDEX idx_config_changes_entity ON config_changes(controller_id, entity_type, entity_id);
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON COLUMN controllers.config_revision IS 'Monotonic configuration revision, sent with every config_update';
+COMMENT ON TABLE config_changes IS 'Recent configuration changes per controller, used to build delta syncs';
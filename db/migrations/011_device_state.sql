@@ -0,0 +1,28 @@
+-- ============================================
+-- DEVICE STATE MIGRATION
+-- ============================================
+-- Purpose: Mirror the live value of every control reported by NUCs
+-- Feature: Last-known control values for the API, live channel and GUI preview
+-- Date: October 18, 2026
+
+-- ============================================
+-- DEVICE STATE TABLE
+-- ============================================
+-- One row per control, overwritten by each device_state report
+-- Keyed like the NUC addresses controls (device_id / control_id strings), so
+-- values reported before a control is mapped in the cloud are kept too
+CREATE TABLE device_state (
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    device_id VARCHAR(100) NOT NULL, -- devices.device_id
+    control_id VARCHAR(100) NOT NULL, -- device_controls.control_id
+    value JSONB,
+    reported_at TIMESTAMP NOT NULL, -- When the NUC saw the value
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (controller_id, device_id, control_id)
+);
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON TABLE device_state IS 'Last-known control values reported by NUC controllers (device_state messages)';
+COMMENT ON COLUMN device_state.reported_at IS 'NUC timestamp of the value, older reports never overwrite newer ones';
@@ -0,0 +1,32 @@
+-- ============================================
+-- CONTROLLER LOGS MIGRATION
+-- ============================================
+-- Purpose: See what a NUC agent logged without being on site
+-- Feature: Remote log streaming (log_chunk) into a per-controller ring buffer
+-- Date: October 18, 2026
+
+-- ============================================
+-- CONTROLLER LOGS TABLE
+-- ============================================
+-- Recent log lines per controller; older lines are pruned as new ones arrive
+CREATE TABLE controller_logs (
+    id BIGSERIAL PRIMARY KEY,
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    logged_at TIMESTAMP NOT NULL, -- NUC timestamp of the line
+    level VARCHAR(10) NOT NULL, -- debug, info, warn, error
+    source VARCHAR(100), -- Agent component, e.g. websocket, driver:harvey_dsp
+    message TEXT NOT NULL,
+    context JSONB, -- Structured fields logged with the line
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE INDEX idx_controller_logs_controller ON controller_logs(controller_id, id DESC);
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON TABLE controller_logs IS 'Ring buffer of recent NUC agent log lines received over log_chunk';
+COMMENT ON COLUMN controller_logs.logged_at IS 'When the NUC logged the line (received_at is when the cloud stored it)';
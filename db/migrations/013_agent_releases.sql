@@ -0,0 +1,93 @@
+-- ============================================
+-- AGENT RELEASES MIGRATION
+-- ============================================
+-- Purpose: Update the NUC agent runtime remotely
+-- Feature: Agent release registry + staged rollouts (pilot / percentage / project)
+-- Date: October 18, 2026
+
+-- ============================================
+-- AGENT RELEASES TABLE
+-- ============================================
+-- Uploaded agent packages (the file itself is in R2)
+CREATE TABLE agent_releases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    integrator_id UUID NOT NULL REFERENCES integrators(id) ON DELETE CASCADE,
+    version VARCHAR(50) NOT NULL,
+    release_notes TEXT,
+    storage_key VARCHAR(500) NOT NULL, -- R2 object key
+    filename VARCHAR(255) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    checksum_sha256 VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(integrator_id, version)
+);
+
+-- ============================================
+-- AGENT ROLLOUTS TABLE
+-- ============================================
+-- Delivery of a release to a set of controllers, a batch at a time
+CREATE TABLE agent_rollouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    release_id UUID NOT NULL REFERENCES agent_releases(id) ON DELETE CASCADE,
+    integrator_id UUID NOT NULL REFERENCES integrators(id) ON DELETE CASCADE,
+
+    -- Which controllers
+    policy VARCHAR(20) NOT NULL CHECK (policy IN ('pilot', 'percentage', 'project')),
+    project_id UUID REFERENCES projects(id) ON DELETE CASCADE, -- Required for 'project', optional scope for the others
+    percentage INTEGER CHECK (percentage BETWEEN 1 AND 100),
+
+    -- Pacing and safety
+    batch_size INTEGER NOT NULL DEFAULT 5, -- Controllers updating at the same time
+    max_failures INTEGER NOT NULL DEFAULT 2, -- Halt when this many controllers fail
+    reconnect_timeout_seconds INTEGER NOT NULL DEFAULT 600, -- Failed if not back on the new version by then
+
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- active, paused, halted, completed, cancelled
+    halted_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- ============================================
+-- AGENT ROLLOUT TARGETS TABLE
+-- ============================================
+-- One row per controller in a rollout
+CREATE TABLE agent_rollout_targets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(), -- Sent to the NUC as update_id
+    rollout_id UUID NOT NULL REFERENCES agent_rollouts(id) ON DELETE CASCADE,
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, downloading, installing, succeeded, failed, skipped
+    from_version VARCHAR(50),
+    error_message TEXT,
+    sent_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    UNIQUE(rollout_id, controller_id)
+);
+
+-- Controllers that get updates first (policy 'pilot')
+ALTER TABLE controllers ADD COLUMN update_pilot BOOLEAN NOT NULL DEFAULT false;
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE INDEX idx_agent_rollouts_status ON agent_rollouts(status);
+CREATE INDEX idx_agent_rollout_targets_rollout ON agent_rollout_targets(rollout_id, status);
+CREATE INDEX idx_agent_rollout_targets_controller ON agent_rollout_targets(controller_id, status);
+
+-- ============================================
+-- UPDATED_AT Triggers
+-- ============================================
+CREATE TRIGGER update_agent_rollouts_updated_at BEFORE UPDATE ON agent_rollouts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_agent_rollout_targets_updated_at BEFORE UPDATE ON agent_rollout_targets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON TABLE agent_releases IS 'NUC agent packages available for rollout';
+COMMENT ON TABLE agent_rollouts IS 'Staged delivery of an agent release; halts automatically on too many failures';
+COMMENT ON TABLE agent_rollout_targets IS 'Per-controller progress of an agent rollout';
+COMMENT ON COLUMN controllers.update_pilot IS 'Part of the pilot group that receives agent updates first';
@@ -0,0 +1,20 @@
+-- ============================================
+-- CONTROLLER CAPABILITIES MIGRATION
+-- ============================================
+-- Purpose: Know which messages a NUC agent understands before sending them
+-- Feature: Protocol version + capability negotiation in the connect handshake
+-- Date: October 18, 2026
+
+-- ============================================
+-- CONTROLLERS TABLE
+-- ============================================
+-- Declared by the NUC on every connect; agents that declare nothing are protocol 1
+ALTER TABLE controllers ADD COLUMN protocol_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE controllers ADD COLUMN capabilities TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE controllers ADD COLUMN capabilities_reported_at TIMESTAMP;
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON COLUMN controllers.protocol_version IS 'Protocol version the NUC agent declared when it last connected';
+COMMENT ON COLUMN controllers.capabilities IS 'Optional message groups the NUC agent handles (driver_sync, delta_sync, control, log_stream, agent_update)';
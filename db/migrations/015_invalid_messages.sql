@@ -0,0 +1,19 @@
+-- ============================================
+-- INVALID MESSAGES MIGRATION
+-- ============================================
+-- Purpose: Spot NUC agents that send malformed protocol messages
+-- Feature: Schema validation of every inbound WebSocket message
+-- Date: October 18, 2026
+
+-- ============================================
+-- CONTROLLERS TABLE
+-- ============================================
+-- Messages rejected by the schemas (answered with an `error` message)
+ALTER TABLE controllers ADD COLUMN invalid_message_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE controllers ADD COLUMN last_invalid_message_at TIMESTAMP;
+ALTER TABLE controllers ADD COLUMN last_invalid_message TEXT; -- Type and validation errors of the last one
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON COLUMN controllers.invalid_message_count IS 'Inbound WebSocket messages rejected for not matching their schema';
@@ -0,0 +1,54 @@
+-- ============================================
+-- CONTROLLER SESSIONS MIGRATION
+-- ============================================
+-- Purpose: Keep a history of controller connectivity instead of only the current status
+-- Feature: Connection session log + uptime/SLA reports per controller and project
+-- Date: October 18, 2026
+
+-- ============================================
+-- CONTROLLER SESSIONS TABLE
+-- ============================================
+-- One row per WebSocket connection, closed when the connection ends
+CREATE TABLE controller_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    instance_id UUID, -- Backend instance that held the connection
+    ip_address VARCHAR(45),
+    agent_version VARCHAR(50), -- Last version the agent reported when it connected
+    protocol_version INTEGER,
+    auth_method VARCHAR(20), -- challenge, key
+    connected_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    disconnected_at TIMESTAMP, -- NULL while connected
+    close_code INTEGER, -- WebSocket close code (1006 when the connection dropped)
+    close_reason VARCHAR(255),
+    end_reason VARCHAR(30) CHECK (end_reason IN (
+        'disconnected', 'heartbeat_timeout', 'replaced', 'key_revoked',
+        'key_expired', 'instance_lost', 'server_shutdown'
+    ))
+);
+
+-- ============================================
+-- CONTROLLERS TABLE
+-- ============================================
+-- Uptime is only measured from here - there is no history before this migration
+ALTER TABLE controllers ADD COLUMN connectivity_tracked_since TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Controllers connected while migrating start with an open session
+INSERT INTO controller_sessions (controller_id, instance_id, ip_address)
+SELECT c.id, cp.instance_id, c.ip_address
+FROM controllers c
+JOIN controller_presence cp ON cp.controller_id = c.id
+WHERE c.status = 'online';
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE INDEX idx_controller_sessions_controller ON controller_sessions(controller_id, connected_at DESC);
+CREATE INDEX idx_controller_sessions_open ON controller_sessions(instance_id) WHERE disconnected_at IS NULL;
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON TABLE controller_sessions IS 'Connection history of each controller, used for uptime reporting';
+COMMENT ON COLUMN controller_sessions.end_reason IS 'Why the session ended: disconnected (by the NUC or the network), heartbeat_timeout, replaced (newer connection), key_revoked, key_expired, instance_lost (backend instance died), server_shutdown';
+COMMENT ON COLUMN controllers.connectivity_tracked_since IS 'Start of the connection history; uptime reports ignore time before it';
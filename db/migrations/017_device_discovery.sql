@@ -0,0 +1,66 @@
+-- ============================================
+-- DEVICE DISCOVERY MIGRATION
+-- ============================================
+-- Purpose: Stop typing every device IP and port by hand
+-- Feature: NUC network scans (discover_devices / discovery_result) stored as device suggestions
+-- Date: October 18, 2026
+
+-- ============================================
+-- DISCOVERY SCANS TABLE
+-- ============================================
+-- One row per discover_devices command sent to a controller
+CREATE TABLE device_discovery_scans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    subnets TEXT[], -- NULL: the NUC's own subnets
+    ports INTEGER[], -- NULL: the NUC's default port list
+    timeout_seconds INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'timed_out')),
+    devices_found INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- ============================================
+-- DISCOVERED DEVICES TABLE
+-- ============================================
+-- What scans found on the controller's LAN, one row per IP address
+CREATE TABLE discovered_devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    scan_id UUID REFERENCES device_discovery_scans(id) ON DELETE SET NULL, -- Last scan that saw it
+    ip_address VARCHAR(45) NOT NULL,
+    mac_address VARCHAR(17),
+    hostname VARCHAR(255),
+    vendor VARCHAR(255), -- From the MAC address (OUI)
+    manufacturer VARCHAR(255), -- Reported by the device (mDNS, SNMP, HTTP...)
+    model VARCHAR(255),
+    open_ports INTEGER[] NOT NULL DEFAULT '{}',
+    banners JSONB NOT NULL DEFAULT '{}', -- { "<port>": "<first bytes the service sent>" }
+
+    -- Best matching driver from device_drivers
+    driver_id UUID REFERENCES device_drivers(id) ON DELETE SET NULL,
+    match_confidence VARCHAR(10) CHECK (match_confidence IN ('high', 'medium')),
+    match_reasons TEXT[],
+
+    status VARCHAR(20) NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'imported', 'dismissed')),
+    device_id UUID REFERENCES devices(id) ON DELETE SET NULL, -- Device created from the suggestion
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(controller_id, ip_address)
+);
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE INDEX idx_discovery_scans_controller ON device_discovery_scans(controller_id, started_at DESC);
+CREATE INDEX idx_discovered_devices_controller ON discovered_devices(controller_id, status);
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON TABLE device_discovery_scans IS 'Network scans requested from a NUC with discover_devices';
+COMMENT ON TABLE discovered_devices IS 'Devices found by discovery scans, offered as suggestions to import as devices';
+COMMENT ON COLUMN discovered_devices.status IS 'new (suggested), imported (a device was created from it), dismissed (hidden, until seen with a different MAC)';
@@ -0,0 +1,60 @@
+-- ============================================
+-- SCENE SCHEDULES MIGRATION
+-- ============================================
+-- Purpose: Run scenes at set times (e.g. system shutdown at 10pm every day)
+-- Feature: Cron schedules synced to the NUC, which fires them even without the cloud
+--          and reports each fire back with schedule_result
+-- Date: October 18, 2026
+
+-- ============================================
+-- PROJECT CALENDAR
+-- ============================================
+-- Schedules run in their project's timezone and skip its holidays
+ALTER TABLE projects ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE projects ADD COLUMN holidays DATE[] NOT NULL DEFAULT '{}';
+
+-- ============================================
+-- SCENE SCHEDULES TABLE
+-- ============================================
+CREATE TABLE scene_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    scene_id UUID NOT NULL REFERENCES scenes(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    cron_expression VARCHAR(100) NOT NULL, -- Wall-clock time in the project's timezone
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    skip_holidays BOOLEAN NOT NULL DEFAULT true, -- Don't run on the project's holidays
+    exception_dates DATE[] NOT NULL DEFAULT '{}', -- Extra dates this schedule doesn't run on
+    created_by UUID REFERENCES integrators(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- SCHEDULED RUNS
+-- ============================================
+-- Fires reported by the NUC are stored as scene runs (trigger_source 'schedule')
+ALTER TABLE scene_executions ADD COLUMN schedule_id UUID REFERENCES scene_schedules(id) ON DELETE SET NULL;
+ALTER TABLE scene_executions ADD COLUMN scheduled_for TIMESTAMP;
+
+ALTER TABLE scene_executions DROP CONSTRAINT scene_executions_status_check;
+ALTER TABLE scene_executions ADD CONSTRAINT scene_executions_status_check
+    CHECK (status IN ('pending', 'completed', 'failed', 'skipped'));
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE INDEX idx_scene_schedules_controller ON scene_schedules(controller_id);
+CREATE INDEX idx_scene_schedules_scene ON scene_schedules(scene_id);
+-- One run per fire, so a result the NUC sends twice is stored once
+CREATE UNIQUE INDEX idx_scene_executions_schedule ON scene_executions(schedule_id, scheduled_for)
+    WHERE schedule_id IS NOT NULL;
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON COLUMN projects.timezone IS 'IANA timezone scene schedules run in';
+COMMENT ON COLUMN projects.holidays IS 'Dates schedules with skip_holidays do not run on';
+COMMENT ON TABLE scene_schedules IS 'Cron schedules that run a scene on the NUC';
+COMMENT ON COLUMN scene_executions.scheduled_for IS 'Fire time of a scheduled run, as computed by the NUC';
+COMMENT ON COLUMN scene_executions.status IS 'pending → completed/failed; skipped when the NUC could not run a scheduled fire';
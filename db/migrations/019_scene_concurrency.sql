@@ -0,0 +1,34 @@
+-- ============================================
+-- SCENE CONCURRENCY MIGRATION
+-- ============================================
+-- Purpose: Stop running scenes and keep conflicting scenes from running together
+-- Feature: Each scene declares what happens when it starts while it (or a scene of
+--          its exclusive group) is running; cancel_scene stops a run on the NUC
+-- Date: October 18, 2026
+
+-- ============================================
+-- SCENE POLICY
+-- ============================================
+ALTER TABLE scenes ADD COLUMN concurrency VARCHAR(20) NOT NULL DEFAULT 'queue'
+    CHECK (concurrency IN ('queue', 'replace', 'reject'));
+ALTER TABLE scenes ADD COLUMN exclusive_group VARCHAR(100); -- Scenes sharing a group never run together
+
+CREATE INDEX idx_scenes_exclusive_group ON scenes(controller_id, exclusive_group) WHERE exclusive_group IS NOT NULL;
+
+-- ============================================
+-- CANCELLED AND REJECTED RUNS
+-- ============================================
+ALTER TABLE scene_executions DROP CONSTRAINT scene_executions_status_check;
+ALTER TABLE scene_executions ADD CONSTRAINT scene_executions_status_check
+    CHECK (status IN ('pending', 'completed', 'failed', 'skipped', 'cancelled', 'rejected'));
+
+ALTER TABLE scene_executions ADD COLUMN cancelled_by UUID REFERENCES integrators(id) ON DELETE SET NULL;
+ALTER TABLE scene_executions ADD COLUMN cancel_requested_at TIMESTAMP;
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON COLUMN scenes.concurrency IS 'When a conflicting run is active: queue (wait for it), replace (cancel it), reject (refuse this run)';
+COMMENT ON COLUMN scenes.exclusive_group IS 'Scenes of a controller with the same group conflict with each other; a scene always conflicts with itself';
+COMMENT ON COLUMN scene_executions.status IS 'pending → completed/failed/cancelled/rejected; skipped when the NUC could not run a scheduled fire';
+COMMENT ON COLUMN scene_executions.cancelled_by IS 'Integrator who asked the NUC to cancel the run';
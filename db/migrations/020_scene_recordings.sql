@@ -0,0 +1,47 @@
+-- ============================================
+-- SCENE RECORDINGS MIGRATION
+-- ============================================
+-- Purpose: Build scenes by tweaking the room instead of adding steps one by one
+-- Feature: While a recording runs, every control change the NUC reports or the API
+--          issues is captured; the recording is then proposed as scene steps
+-- Date: October 18, 2026
+
+-- ============================================
+-- SCENE RECORDINGS TABLE
+-- ============================================
+CREATE TABLE scene_recordings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    controller_id UUID NOT NULL REFERENCES controllers(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'recording' CHECK (status IN ('recording', 'stopped')),
+    change_count INTEGER NOT NULL DEFAULT 0,
+    started_by UUID REFERENCES integrators(id) ON DELETE SET NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    stopped_at TIMESTAMP
+);
+
+-- One recording at a time per controller
+CREATE UNIQUE INDEX idx_scene_recordings_active ON scene_recordings(controller_id) WHERE status = 'recording';
+CREATE INDEX idx_scene_recordings_controller ON scene_recordings(controller_id, started_at DESC);
+
+-- ============================================
+-- RECORDED CHANGES TABLE
+-- ============================================
+CREATE TABLE scene_recording_changes (
+    id BIGSERIAL PRIMARY KEY,
+    recording_id UUID NOT NULL REFERENCES scene_recordings(id) ON DELETE CASCADE,
+    device_id VARCHAR(100) NOT NULL, -- Device key as used by the NUC
+    control_id VARCHAR(100) NOT NULL,
+    value JSONB NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('device', 'api')),
+    recorded_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_scene_recording_changes_recording ON scene_recording_changes(recording_id, recorded_at, id);
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON TABLE scene_recordings IS 'Record mode sessions of a controller, proposed as new scenes';
+COMMENT ON COLUMN scene_recordings.change_count IS 'Changes captured; capture stops at the limit';
+COMMENT ON COLUMN scene_recording_changes.source IS 'device (reported by the NUC) or api (set through the API)';
@@ -0,0 +1,19 @@
+-- ============================================
+-- DEVICE DRIVER LINK MIGRATION
+-- ============================================
+-- Purpose: Tie a device to the deployed driver that talks to it
+-- Feature: A linked device gets its controls generated from the driver's set/get
+--          commands, and scenes check values against that driver's commands
+-- Date: October 19, 2026
+
+-- ============================================
+-- DEVICE DRIVER
+-- ============================================
+ALTER TABLE devices ADD COLUMN driver_id UUID REFERENCES device_drivers(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_devices_driver ON devices(driver_id) WHERE driver_id IS NOT NULL;
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON COLUMN devices.driver_id IS 'Driver deployed to the device''s controller that handles it; NULL matches drivers by device type';
@@ -0,0 +1,46 @@
+-- ============================================
+-- CONTROLLER STORED KEYS MIGRATION
+-- ============================================
+-- Purpose: Stop the stored key hash from being a credential
+-- Feature: key_hash (SHA-256 of the key) was also the HMAC key of the challenge, so
+--          anyone reading the table could sign one. The challenge is now SCRAM-style:
+--          the database keeps StoredKey = SHA-256(SHA-256(key)), which can't produce
+--          a proof. Backups taken before this migration still hold usable hashes -
+--          rotate the keys of controllers whose backups may have leaked.
+-- Date: October 19, 2026
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- ============================================
+-- DERIVE STORED KEYS
+-- ============================================
+-- key_hash is the ClientKey, so StoredKey is its SHA-256
+ALTER TABLE controllers ADD COLUMN stored_key VARCHAR(64);
+ALTER TABLE controllers ADD COLUMN previous_stored_key VARCHAR(64);
+
+UPDATE controllers SET
+    stored_key = encode(digest(decode(key_hash, 'hex'), 'sha256'), 'hex'),
+    previous_stored_key = CASE WHEN previous_key_hash IS NOT NULL
+        THEN encode(digest(decode(previous_key_hash, 'hex'), 'sha256'), 'hex') END;
+
+ALTER TABLE controllers ALTER COLUMN stored_key SET NOT NULL;
+
+-- ============================================
+-- DROP KEY HASHES
+-- ============================================
+DROP INDEX IF EXISTS idx_controllers_key_hash;
+DROP INDEX IF EXISTS idx_controllers_previous_key_hash;
+ALTER TABLE controllers DROP COLUMN key_hash;
+ALTER TABLE controllers DROP COLUMN previous_key_hash;
+
+-- ============================================
+-- INDEXES for Performance
+-- ============================================
+CREATE UNIQUE INDEX idx_controllers_stored_key ON controllers(stored_key);
+CREATE INDEX idx_controllers_previous_stored_key ON controllers(previous_stored_key) WHERE previous_stored_key IS NOT NULL;
+
+-- ============================================
+-- COMMENTS for Documentation
+-- ============================================
+COMMENT ON COLUMN controllers.stored_key IS 'SCRAM StoredKey (hex): SHA-256(SHA-256(connection key)); verifies challenge proofs, cannot create them';
+COMMENT ON COLUMN controllers.previous_stored_key IS 'StoredKey of the key replaced by the last rotation';
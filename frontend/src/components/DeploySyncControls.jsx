@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import api from '../utils/api';
+import { useLiveEvents } from '../hooks/useLiveEvents';
 
 function DeploySyncControls({ controllerId }) {
   const [status, setStatus] = useState(null);
@@ -18,6 +19,19 @@ function DeploySyncControls({ controllerId }) {
     fetchVersions();
   }, [controllerId]);
 
+  // The NUC reports sync progress over the live channel
+  useLiveEvents({ controllerIds: [controllerId] }, (message) => {
+    if (message.event !== 'gui_sync') return;
+
+    if (message.data.status === 'completed') {
+      setSuccess('✅ Sync complete - the new GUI is live');
+      fetchStatus();
+    } else if (message.data.status === 'failed') {
+      setError(`Sync failed: ${message.data.error_message || 'unknown error'}`);
+      fetchStatus();
+    }
+  });
+
   const fetchStatus = async () => {
     try {
       const response = await api.get(`/api/controllers/${controllerId}/gui/status`);
@@ -80,10 +94,11 @@ function DeploySyncControls({ controllerId }) {
 
     try {
       const response = await api.post(`/api/controllers/${controllerId}/gui/sync`);
-      if (response.data.success) {
-        setSuccess('✅ Sync initiated! Waiting for controller confirmation...');
-        // In a real implementation, you'd poll for sync status or use WebSocket
+      if (response.data.queued) {
+        setSuccess('⏳ Controller offline - sync queued and will run when it reconnects');
         setTimeout(fetchStatus, 2000);
+      } else if (response.data.success) {
+        setSuccess('✅ Sync initiated! Waiting for controller confirmation...');
       } else {
         setError(response.data.error || 'Sync failed');
       }
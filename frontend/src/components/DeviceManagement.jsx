@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
-import { controllersAPI, devicesAPI } from '../utils/api';
+import { controllersAPI, devicesAPI, discoveryAPI } from '../utils/api';
+import { useLiveEvents } from '../hooks/useLiveEvents';
 
 const DeviceManagement = ({ controllerId }) => {
   const [devices, setDevices] = useState([]);
@@ -7,10 +8,16 @@ const DeviceManagement = ({ controllerId }) => {
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [editingDevice, setEditingDevice] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [scanning, setScanning] = useState(false);
+  const [importingId, setImportingId] = useState(null);
+  const [drivers, setDrivers] = useState([]);
+  const [generatingDevice, setGeneratingDevice] = useState(null);
   const [deviceFormData, setDeviceFormData] = useState({
     device_id: '',
     name: '',
     type: 'harvey_dsp',
+    driver_id: '',
     connection_config: {
       host: '',
       port: 3804,
@@ -28,9 +35,22 @@ const DeviceManagement = ({ controllerId }) => {
   useEffect(() => {
     if (controllerId) {
       fetchDevices();
+      fetchDiscovery();
+      fetchDrivers();
     }
   }, [controllerId]);
 
+  // Discovery results arrive while the NUC scans
+  useLiveEvents({ controllerIds: [controllerId] }, (message) => {
+    if (message.event !== 'device_discovery') return;
+
+    setScanning(message.data.status === 'running');
+    fetchSuggestions();
+    if (message.data.status === 'failed') {
+      alert(`Device discovery failed: ${message.data.error || 'unknown error'}`);
+    }
+  });
+
   const fetchDevices = async () => {
     try {
       setLoading(true);
@@ -43,6 +63,72 @@ const DeviceManagement = ({ controllerId }) => {
     }
   };
 
+  const fetchDrivers = async () => {
+    try {
+      const response = await controllersAPI.getDrivers(controllerId);
+      setDrivers(response.data.drivers);
+    } catch (error) {
+      console.error('Failed to fetch deployed drivers:', error);
+    }
+  };
+
+  const fetchSuggestions = async () => {
+    try {
+      const response = await discoveryAPI.getSuggestions(controllerId);
+      setSuggestions(response.data.suggestions);
+    } catch (error) {
+      console.error('Failed to fetch discovered devices:', error);
+    }
+  };
+
+  const fetchDiscovery = async () => {
+    fetchSuggestions();
+    try {
+      const response = await discoveryAPI.getScans(controllerId, { limit: 1 });
+      setScanning(response.data.scans[0]?.status === 'running');
+    } catch (error) {
+      console.error('Failed to fetch discovery scans:', error);
+    }
+  };
+
+  const handleDiscover = async () => {
+    try {
+      setScanning(true);
+      await discoveryAPI.startScan(controllerId);
+    } catch (error) {
+      // A scan already running still reports its results
+      if (error.response?.status === 409 && error.response.data?.scan_id) return;
+
+      setScanning(false);
+      console.error('Failed to start device discovery:', error);
+      alert(error.response?.data?.message || 'Failed to start device discovery');
+    }
+  };
+
+  const handleImportSuggestion = async (suggestion) => {
+    try {
+      setImportingId(suggestion.id);
+      await discoveryAPI.importSuggestion(controllerId, suggestion.id);
+      fetchDevices();
+      fetchSuggestions();
+    } catch (error) {
+      console.error('Failed to import device:', error);
+      alert(error.response?.data?.message || 'Failed to import device');
+    } finally {
+      setImportingId(null);
+    }
+  };
+
+  const handleDismissSuggestion = async (suggestion) => {
+    try {
+      await discoveryAPI.dismissSuggestion(controllerId, suggestion.id);
+      setSuggestions(suggestions.filter(s => s.id !== suggestion.id));
+    } catch (error) {
+      console.error('Failed to dismiss device:', error);
+      alert('Failed to dismiss device');
+    }
+  };
+
   const handleAddDevice = async (e) => {
     e.preventDefault();
     try {
@@ -50,6 +136,7 @@ const DeviceManagement = ({ controllerId }) => {
         device_id: deviceFormData.device_id,
         name: deviceFormData.name,
         type: deviceFormData.type,
+        driver_id: deviceFormData.driver_id || null,
         connection_config: deviceFormData.connection_config,
       });
       setShowAddModal(false);
@@ -67,6 +154,7 @@ const DeviceManagement = ({ controllerId }) => {
       device_id: device.device_id,
       name: device.name,
       type: device.type,
+      driver_id: device.driver_id || '',
       connection_config: device.connection_config || { host: '', port: 3804 },
     });
     setShowEditModal(true);
@@ -78,6 +166,7 @@ const DeviceManagement = ({ controllerId }) => {
       await devicesAPI.update(editingDevice.id, {
         name: deviceFormData.name,
         type: deviceFormData.type,
+        driver_id: deviceFormData.driver_id || null,
         connection_config: deviceFormData.connection_config,
       });
       setShowEditModal(false);
@@ -86,7 +175,7 @@ const DeviceManagement = ({ controllerId }) => {
       fetchDevices();
     } catch (error) {
       console.error('Failed to update device:', error);
-      alert('Failed to update device');
+      alert(error.response?.data?.message || 'Failed to update device');
     }
   };
 
@@ -109,6 +198,7 @@ const DeviceManagement = ({ controllerId }) => {
       device_id: '',
       name: '',
       type: 'harvey_dsp',
+      driver_id: '',
       connection_config: {
         host: '',
         port: 3804,
@@ -144,17 +234,92 @@ const DeviceManagement = ({ controllerId }) => {
           <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Devices</h2>
           <p className="text-gray-600 dark:text-gray-400 mt-1">Manage physical devices connected to this controller</p>
         </div>
-        <button
-          onClick={() => setShowAddModal(true)}
-          className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors flex items-center dark:bg-primary-700 dark:hover:bg-primary-600"
-        >
-          <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-          </svg>
-          Add Device
-        </button>
+        <div className="flex gap-3">
+          <button
+            onClick={handleDiscover}
+            disabled={scanning}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center disabled:opacity-50 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
+          >
+            {scanning ? (
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-600 mr-2 dark:border-gray-300"></div>
+            ) : (
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+              </svg>
+            )}
+            {scanning ? 'Scanning...' : 'Discover Devices'}
+          </button>
+          <button
+            onClick={() => setShowAddModal(true)}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors flex items-center dark:bg-primary-700 dark:hover:bg-primary-600"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+            </svg>
+            Add Device
+          </button>
+        </div>
       </div>
 
+      {/* Discovered Devices */}
+      {suggestions.length > 0 && (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow dark:shadow-none border dark:border-gray-700">
+          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Discovered on the network</h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Found by the controller - import one to add it as a device</p>
+          </div>
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {suggestions.map((suggestion) => (
+              <li key={suggestion.id} className="px-6 py-4 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-mono text-gray-900 dark:text-gray-100">{suggestion.ip_address}</span>
+                    {suggestion.hostname && (
+                      <span className="text-sm text-gray-500 dark:text-gray-400 truncate">{suggestion.hostname}</span>
+                    )}
+                  </div>
+                  <div className="text-sm text-gray-500 dark:text-gray-400">
+                    {[suggestion.vendor, suggestion.mac_address].filter(Boolean).join(' · ')}
+                    {suggestion.open_ports.length > 0 && ` · ports ${suggestion.open_ports.join(', ')}`}
+                  </div>
+                  {suggestion.driver_id ? (
+                    <span
+                      className={`inline-flex items-center mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${
+                        suggestion.match_confidence === 'high'
+                          ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
+                          : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300'
+                      }`}
+                      title={suggestion.match_reasons?.join(', ')}
+                    >
+                      {suggestion.driver_name} ({suggestion.match_confidence} match)
+                    </span>
+                  ) : (
+                    <span className="inline-flex items-center mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300">
+                      No matching driver
+                    </span>
+                  )}
+                </div>
+                <div className="flex gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleDismissSuggestion(suggestion)}
+                    className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
+                  >
+                    Dismiss
+                  </button>
+                  <button
+                    onClick={() => handleImportSuggestion(suggestion)}
+                    disabled={importingId === suggestion.id}
+                    className="px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 dark:bg-primary-700 dark:hover:bg-primary-600"
+                  >
+                    {importingId === suggestion.id ? 'Importing...' : 'Import'}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Devices List */}
       {devices.length === 0 ? (
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow dark:shadow-none p-12 text-center border dark:border-gray-700">
@@ -222,6 +387,14 @@ const DeviceManagement = ({ controllerId }) => {
                     {deviceTypes.find(t => t.value === device.type)?.label || device.type}
                   </span>
                 </div>
+                {device.driver_id && (
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-600 dark:text-gray-400">Driver:</span>
+                    <span className="font-medium text-gray-900 dark:text-gray-100">
+                      {drivers.find(d => d.id === device.driver_id)?.name || 'Not deployed'}
+                    </span>
+                  </div>
+                )}
                 {device.connection_config?.host && (
                   <div className="flex items-center justify-between text-sm">
                     <span className="text-gray-600 dark:text-gray-400">Host:</span>
@@ -240,10 +413,18 @@ const DeviceManagement = ({ controllerId }) => {
                 </div>
               </div>
 
-              <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+              <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between">
                 <button className="text-sm text-primary-600 hover:text-primary-700 font-medium dark:text-primary-300 dark:hover:text-primary-200">
                   Manage Controls →
                 </button>
+                {device.driver_id && (
+                  <button
+                    onClick={() => setGeneratingDevice(device)}
+                    className="text-sm text-gray-600 hover:text-gray-800 font-medium dark:text-gray-300 dark:hover:text-gray-100"
+                  >
+                    Generate Controls
+                  </button>
+                )}
               </div>
             </div>
           ))}
@@ -315,6 +496,24 @@ const DeviceManagement = ({ controllerId }) => {
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Driver <span className="text-gray-500 dark:text-gray-400 font-normal">(deployed to this controller)</span>
+                </label>
+                <select
+                  value={deviceFormData.driver_id}
+                  onChange={(e) => setDeviceFormData({ ...deviceFormData, driver_id: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-gray-100"
+                >
+                  <option value="">By device type</option>
+                  {drivers.map((driver) => (
+                    <option key={driver.id} value={driver.id}>
+                      {driver.name} ({driver.device_type} v{driver.deployed_version})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -383,6 +582,14 @@ const DeviceManagement = ({ controllerId }) => {
         </div>
       )}
 
+      {/* Generate Controls Dialog */}
+      {generatingDevice && (
+        <GenerateControlsDialog
+          device={generatingDevice}
+          onClose={() => setGeneratingDevice(null)}
+        />
+      )}
+
       {/* Edit Device Modal */}
       {showEditModal && editingDevice && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -446,6 +653,24 @@ const DeviceManagement = ({ controllerId }) => {
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Driver <span className="text-gray-500 dark:text-gray-400 font-normal">(deployed to this controller)</span>
+                </label>
+                <select
+                  value={deviceFormData.driver_id}
+                  onChange={(e) => setDeviceFormData({ ...deviceFormData, driver_id: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-gray-100"
+                >
+                  <option value="">By device type</option>
+                  {drivers.map((driver) => (
+                    <option key={driver.id} value={driver.id}>
+                      {driver.name} ({driver.device_type} v{driver.deployed_version})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -506,4 +731,232 @@ const DeviceManagement = ({ controllerId }) => {
   );
 };
 
+// Create a device's controls from the set/get commands of its linked driver
+const GenerateControlsDialog = ({ device, onClose }) => {
+  const [templates, setTemplates] = useState(null);
+  const [driver, setDriver] = useState(null);
+  // template key -> { selected, mode ('instances' | 'block_ids'), from, to, pattern, blockIds }
+  const [selections, setSelections] = useState({});
+  const [generating, setGenerating] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await devicesAPI.getControlTemplates(device.id);
+        setDriver(response.data.driver);
+        setTemplates(response.data.templates);
+        setSelections(Object.fromEntries(response.data.templates.map(template => [template.key, {
+          selected: false,
+          mode: 'instances',
+          from: 1,
+          to: 8,
+          pattern: template.block_id_pattern || '',
+          blockIds: '',
+        }])));
+      } catch (err) {
+        console.error('Failed to fetch control templates:', err);
+        setError(err.response?.data?.message || 'Failed to load the driver\'s commands');
+        setTemplates([]);
+      }
+    };
+    fetchTemplates();
+  }, [device.id]);
+
+  const updateSelection = (key, changes) => {
+    setSelections({ ...selections, [key]: { ...selections[key], ...changes } });
+  };
+
+  const handleGenerate = async () => {
+    const controls = templates
+      .filter(template => selections[template.key]?.selected)
+      .map(template => {
+        const selection = selections[template.key];
+        if (!template.has_block) return { template: template.key };
+        if (selection.mode === 'block_ids') {
+          return {
+            template: template.key,
+            block_ids: selection.blockIds.split(',').map(id => id.trim()).filter(Boolean),
+          };
+        }
+        return {
+          template: template.key,
+          instances: { from: parseInt(selection.from), to: parseInt(selection.to) },
+          block_id_pattern: selection.pattern,
+        };
+      });
+
+    if (controls.length === 0) {
+      setError('Select at least one control type');
+      return;
+    }
+
+    try {
+      setGenerating(true);
+      setError('');
+      const response = await devicesAPI.generateControls(device.id, { controls });
+      setResult(response.data);
+    } catch (err) {
+      console.error('Failed to generate controls:', err);
+      setError(err.response?.data?.message || 'Failed to generate controls');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const inputClass = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-gray-100 text-sm';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl dark:shadow-none max-w-2xl w-full max-h-[90vh] flex flex-col border dark:border-gray-700">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Generate Controls</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {device.name}{driver && ` · from ${driver.name} v${driver.version}`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 dark:bg-red-900 dark:border-red-700 dark:text-red-200">
+              {error}
+            </div>
+          )}
+
+          {result ? (
+            <div className="space-y-2 text-sm text-gray-700 dark:text-gray-300">
+              <p className="font-medium text-gray-900 dark:text-gray-100">{result.message}</p>
+              {result.skipped.length > 0 && (
+                <p>Already on the device, left unchanged: <span className="font-mono">{result.skipped.join(', ')}</span></p>
+              )}
+            </div>
+          ) : templates === null ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : templates.length === 0 && !error ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">The driver has no set or get commands.</p>
+          ) : (
+            templates.map((template) => {
+              const selection = selections[template.key];
+              return (
+                <div key={template.key} className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+                  <label className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selection.selected}
+                      onChange={(e) => updateSelection(template.key, { selected: e.target.checked })}
+                      className="mt-1"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-900 dark:text-gray-100">{template.display_name}</span>
+                        <span className="font-mono text-xs text-gray-500 dark:text-gray-400">{template.control_type}</span>
+                        {!template.set_command && (
+                          <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">read only</span>
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {[template.set_command, template.get_command].filter(Boolean).join(' / ')}
+                        {template.existing.length > 0 && ` · ${template.existing.length} on the device already`}
+                      </p>
+                    </div>
+                  </label>
+
+                  {selection.selected && template.has_block && (
+                    <div className="mt-3 ml-7 space-y-2">
+                      <div className="flex gap-4 text-sm text-gray-700 dark:text-gray-300">
+                        <label className="flex items-center gap-1">
+                          <input
+                            type="radio"
+                            checked={selection.mode === 'instances'}
+                            onChange={() => updateSelection(template.key, { mode: 'instances' })}
+                          />
+                          Numbered
+                        </label>
+                        <label className="flex items-center gap-1">
+                          <input
+                            type="radio"
+                            checked={selection.mode === 'block_ids'}
+                            onChange={() => updateSelection(template.key, { mode: 'block_ids' })}
+                          />
+                          Block IDs
+                        </label>
+                      </div>
+                      {selection.mode === 'instances' ? (
+                        <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                          <input
+                            type="number"
+                            min="0"
+                            value={selection.from}
+                            onChange={(e) => updateSelection(template.key, { from: e.target.value })}
+                            className={`${inputClass} w-20`}
+                          />
+                          to
+                          <input
+                            type="number"
+                            min="0"
+                            value={selection.to}
+                            onChange={(e) => updateSelection(template.key, { to: e.target.value })}
+                            className={`${inputClass} w-20`}
+                          />
+                          <input
+                            type="text"
+                            value={selection.pattern}
+                            onChange={(e) => updateSelection(template.key, { pattern: e.target.value })}
+                            className={`${inputClass} flex-1 font-mono`}
+                            title="Block ID of each control, {n} is its number"
+                          />
+                        </div>
+                      ) : (
+                        <input
+                          type="text"
+                          value={selection.blockIds}
+                          onChange={(e) => updateSelection(template.key, { blockIds: e.target.value })}
+                          placeholder="MUTE_A, MUTE_B"
+                          className={`${inputClass} w-full font-mono`}
+                        />
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        <div className="flex gap-3 p-6 border-t border-gray-200 dark:border-gray-700">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
+          >
+            {result ? 'Close' : 'Cancel'}
+          </button>
+          {!result && (
+            <button
+              onClick={handleGenerate}
+              disabled={generating || !templates?.length}
+              className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 dark:bg-primary-700 dark:hover:bg-primary-600"
+            >
+              {generating ? 'Generating...' : 'Generate Controls'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 export default DeviceManagement;
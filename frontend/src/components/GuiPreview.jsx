@@ -1,10 +1,17 @@
 import { useEffect, useState } from 'react';
 import { guiAPI } from '../utils/api';
+import { useDeviceState } from '../hooks/useDeviceState';
 
 // This is a simplified renderer. In a real-world scenario, this would be
 // much more complex, handling various component types, layouts, and styles.
 
-const renderElement = (element) => {
+// Last-known value of the control an element is bound to (undefined if none reported)
+const controlValue = (element, values) => (
+  element.control ? values[`${element.control.device}.${element.control.control_id}`] : undefined
+);
+
+const renderElement = (element, values) => {
+  const value = controlValue(element, values);
   const style = {
     position: 'absolute',
     left: `${element.position.x}px`,
@@ -16,7 +23,11 @@ const renderElement = (element) => {
   switch (element.type) {
     case 'button':
       return (
-        <button key={element.id} style={style} className="bg-blue-500 text-white rounded shadow p-2">
+        <button
+          key={element.id}
+          style={style}
+          className={`${value === true ? 'bg-green-600' : 'bg-blue-500'} text-white rounded shadow p-2`}
+        >
           {element.label}
         </button>
       );
@@ -24,7 +35,14 @@ const renderElement = (element) => {
       return (
         <div key={element.id} style={style} className="flex flex-col">
           <label className="text-sm">{element.label}</label>
-          <input type="range" className="w-full" />
+          <input
+            type="range"
+            className="w-full"
+            min={element.range?.min ?? 0}
+            max={element.range?.max ?? 100}
+            value={typeof value === 'number' ? value : element.range?.min ?? 0}
+            readOnly
+          />
         </div>
       );
     case 'label':
@@ -43,6 +61,7 @@ const GuiPreview = ({ controllerId }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activePage, setActivePage] = useState('main');
+  const { values } = useDeviceState(controllerId);
 
   useEffect(() => {
     fetchDraftFiles();
@@ -81,7 +100,7 @@ const GuiPreview = ({ controllerId }) => {
     <div className="w-full h-full bg-gray-800 p-4 rounded-lg">
         <div className="relative w-full h-full bg-black overflow-hidden">
             {currentPage ? (
-            currentPage.elements.map(renderElement)
+            currentPage.elements.map((element) => renderElement(element, values))
             ) : (
             <div className="text-white text-center p-8">
                 <p>Page '{activePage}' not found.</p>
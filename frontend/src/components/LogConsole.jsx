@@ -0,0 +1,114 @@
+import { useEffect, useRef, useState } from 'react';
+import { controllersAPI } from '../utils/api';
+
+// Lines kept on screen - older ones scroll away
+const MAX_LINES = 1000;
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const LEVEL_STYLES = {
+  debug: 'text-gray-500',
+  info: 'text-gray-200',
+  warn: 'text-yellow-400',
+  error: 'text-red-400',
+};
+
+const LogConsole = ({ controllerId }) => {
+  const [lines, setLines] = useState([]);
+  const [level, setLevel] = useState('info');
+  const [source, setSource] = useState('');
+  const [streaming, setStreaming] = useState(false);
+  const [error, setError] = useState(null);
+  const [autoScroll, setAutoScroll] = useState(true);
+  const bottomRef = useRef(null);
+
+  // Restart the tail whenever the filter changes
+  useEffect(() => {
+    const controller = new AbortController();
+    setLines([]);
+    setError(null);
+    setStreaming(true);
+
+    controllersAPI.streamLogs(
+      controllerId,
+      { level, source: source.trim() },
+      (line) => setLines((current) => [...current.slice(-(MAX_LINES - 1)), line]),
+      controller.signal
+    ).catch((err) => {
+      if (err.name === 'AbortError') return;
+      console.error('Log stream failed:', err);
+      setError('Log stream disconnected.');
+    }).finally(() => {
+      if (!controller.signal.aborted) setStreaming(false);
+    });
+
+    return () => controller.abort();
+  }, [controllerId, level, source]);
+
+  useEffect(() => {
+    if (autoScroll) {
+      bottomRef.current?.scrollIntoView({ block: 'end' });
+    }
+  }, [lines, autoScroll]);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow dark:shadow-none border dark:border-gray-700">
+      <div className="flex flex-wrap items-center gap-3 p-4 border-b border-gray-200 dark:border-gray-700">
+        <select
+          value={level}
+          onChange={(e) => setLevel(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100"
+        >
+          {LEVELS.map((name) => (
+            <option key={name} value={name}>{name} and above</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          defaultValue={source}
+          onBlur={(e) => setSource(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && setSource(e.target.value)}
+          placeholder="Sources (comma-separated)"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100"
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+          <input type="checkbox" checked={autoScroll} onChange={(e) => setAutoScroll(e.target.checked)} />
+          Auto-scroll
+        </label>
+        <button
+          onClick={() => setLines([])}
+          className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
+        >
+          Clear
+        </button>
+        <span className={`ml-auto text-sm ${streaming ? 'text-green-600 dark:text-green-400' : 'text-gray-500'}`}>
+          {streaming ? 'Live' : 'Stopped'}
+        </span>
+      </div>
+
+      {error && (
+        <div className="px-4 py-2 text-sm text-red-600 dark:text-red-400">{error}</div>
+      )}
+
+      <div className="h-96 overflow-y-auto bg-gray-900 p-3 font-mono text-xs rounded-b-lg">
+        {lines.length === 0 ? (
+          <p className="text-gray-500">No log lines yet. The controller streams while this console is open.</p>
+        ) : (
+          lines.map((line) => (
+            <div key={line.id} className={`whitespace-pre-wrap ${LEVEL_STYLES[line.level] || LEVEL_STYLES.info}`}>
+              <span className="text-gray-500">{new Date(line.logged_at).toLocaleTimeString()}</span>
+              {' '}
+              <span className="uppercase">{line.level.padEnd(5)}</span>
+              {line.source && <span className="text-blue-400"> [{line.source}]</span>}
+              {' '}
+              {line.message}
+            </div>
+          ))
+        )}
+        <div ref={bottomRef} />
+      </div>
+    </div>
+  );
+};
+
+export default LogConsole;
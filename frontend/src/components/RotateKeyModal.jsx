@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { controllersAPI } from '../utils/api';
+
+const GRACE_PERIODS = [
+  { hours: 0, label: 'Revoke immediately' },
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '24 hours' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '7 days' },
+];
+
+const RotateKeyModal = ({ controller, onClose }) => {
+  const [graceHours, setGraceHours] = useState(24);
+  const [rotating, setRotating] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleRotate = async () => {
+    try {
+      setRotating(true);
+      const response = await controllersAPI.rotateKey(controller.id, graceHours);
+      setResult(response.data);
+    } catch (error) {
+      console.error('Failed to rotate key:', error);
+      alert(error.response?.data?.message || 'Failed to rotate connection key');
+    } finally {
+      setRotating(false);
+    }
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(result.connection_key);
+    alert('Connection key copied to clipboard!');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl dark:shadow-none max-w-lg w-full p-6 border dark:border-gray-700">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Rotate Connection Key</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {!result ? (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Issue a new key for <span className="font-semibold">{controller.name}</span>. The current key keeps
+              working during the grace period so you can update the NUC without losing the connection.
+            </p>
+
+            {controller.previous_key_expires_at && new Date(controller.previous_key_expires_at) > new Date() && (
+              <p className="text-sm text-yellow-800 dark:text-yellow-200">
+                The key replaced by the last rotation still works until{' '}
+                {new Date(controller.previous_key_expires_at).toLocaleString()}. Rotating again revokes it now.
+              </p>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Grace period for the current key
+              </label>
+              <select
+                value={graceHours}
+                onChange={(e) => setGraceHours(Number(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm dark:text-gray-100"
+              >
+                {GRACE_PERIODS.map((period) => (
+                  <option key={period.hours} value={period.hours}>{period.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleRotate}
+                disabled={rotating}
+                className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 dark:bg-primary-700 dark:hover:bg-primary-600"
+              >
+                {rotating ? 'Rotating...' : 'Rotate Key'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 dark:bg-yellow-900 dark:border-yellow-700">
+              <div className="text-sm text-yellow-800 dark:text-yellow-200">
+                <p className="font-medium mb-1">Save the new key now - it will not be shown again.</p>
+                <p>
+                  {result.previous_key_expires_at
+                    ? `The old key stops working at ${new Date(result.previous_key_expires_at).toLocaleString()}.`
+                    : 'The old key no longer works and the NUC has been disconnected.'}
+                </p>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                New Connection Key
+              </label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={result.connection_key}
+                  className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 font-mono text-sm dark:text-gray-100"
+                />
+                <button
+                  type="button"
+                  onClick={handleCopy}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors dark:bg-primary-700 dark:hover:bg-primary-600"
+                >
+                  Copy
+                </button>
+              </div>
+            </div>
+
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors dark:bg-primary-700 dark:hover:bg-primary-600"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RotateKeyModal;
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
-import api from '../utils/api';
+import api, { controllersAPI, projectsAPI, recordingsAPI, schedulesAPI } from '../utils/api';
+import { useLiveEvents } from '../hooks/useLiveEvents';
 
 function SceneManagement({ controllerId }) {
   const [scenes, setScenes] = useState([]);
@@ -9,11 +10,54 @@ function SceneManagement({ controllerId }) {
   const [executing, setExecuting] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [schedules, setSchedules] = useState([]);
+  // Cron expression being typed for each scene's new schedule
+  const [scheduleDrafts, setScheduleDrafts] = useState({});
+  // Problems the API found in the edited scene's steps
+  const [stepErrors, setStepErrors] = useState([]);
+  const [showCopy, setShowCopy] = useState(false);
+  // Runs the NUC hasn't finished: execution_id -> scene UUID
+  const [running, setRunning] = useState({});
+  // Recording in progress, and the stopped one whose proposed scene is shown
+  const [recording, setRecording] = useState(null);
+  const [proposalFor, setProposalFor] = useState(null);
 
   useEffect(() => {
     fetchScenes();
+    fetchSchedules();
+    fetchRecording();
   }, [controllerId]);
 
+  // Report the outcome once the NUC finishes running a scene
+  useLiveEvents({ controllerIds: [controllerId] }, (message) => {
+    if (message.event !== 'scene_execution') return;
+
+    const { execution_id, scene_id, status } = message.data;
+    if (status === 'pending') {
+      setRunning(runs => ({ ...runs, [execution_id]: scene_id }));
+      return;
+    }
+    setRunning(runs => {
+      const { [execution_id]: _finished, ...rest } = runs;
+      return rest;
+    });
+
+    const scene = scenes.find(s => s.id === scene_id);
+    const name = `${message.data.schedule_id ? 'Scheduled run of ' : ''}${scene ? `"${scene.name}"` : 'Scene'}`;
+    if (status === 'completed') {
+      setSuccess(`✅ ${name} completed${message.data.duration_ms != null ? ` in ${message.data.duration_ms}ms` : ''}`);
+    } else if (status === 'cancelled') {
+      setSuccess(`⏹ ${name} cancelled`);
+    } else {
+      setError(`${name} ${message.data.status}: ${message.data.error_message || 'unknown error'}`);
+    }
+
+    // Refresh the schedule's last run
+    if (message.data.schedule_id) {
+      fetchSchedules();
+    }
+  });
+
   const fetchScenes = async () => {
     try {
       const response = await api.get(`/api/controllers/${controllerId}/scenes`);
@@ -28,17 +72,80 @@ function SceneManagement({ controllerId }) {
     }
   };
 
+  const fetchRecording = async () => {
+    try {
+      const response = await recordingsAPI.getAll(controllerId, { limit: 1 });
+      const [latest] = response.data.recordings || [];
+      setRecording(latest?.status === 'recording' ? latest : null);
+    } catch (err) {
+      console.error('Failed to fetch recordings:', err);
+    }
+  };
+
+  const fetchSchedules = async () => {
+    try {
+      const response = await schedulesAPI.getAll(controllerId);
+      setSchedules(response.data.schedules || []);
+    } catch (err) {
+      console.error('Failed to fetch schedules:', err);
+    }
+  };
+
+  const handleAddSchedule = async (scene) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      await schedulesAPI.create(controllerId, {
+        scene_id: scene.id,
+        cron_expression: scheduleDrafts[scene.id]
+      });
+      setSuccess(`✅ "${scene.name}" scheduled`);
+      setScheduleDrafts(drafts => ({ ...drafts, [scene.id]: '' }));
+      fetchSchedules();
+    } catch (err) {
+      console.error('Create schedule error:', err);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to create schedule');
+    }
+  };
+
+  const handleToggleSchedule = async (schedule) => {
+    try {
+      await schedulesAPI.update(controllerId, schedule.id, { enabled: !schedule.enabled });
+      fetchSchedules();
+    } catch (err) {
+      console.error('Update schedule error:', err);
+      setError(err.response?.data?.error || 'Failed to update schedule');
+    }
+  };
+
+  const handleDeleteSchedule = async (schedule) => {
+    if (!window.confirm(`Remove the schedule "${schedule.name || schedule.cron_expression}"?`)) {
+      return;
+    }
+
+    try {
+      await schedulesAPI.delete(controllerId, schedule.id);
+      fetchSchedules();
+    } catch (err) {
+      console.error('Delete schedule error:', err);
+      setError(err.response?.data?.error || 'Failed to delete schedule');
+    }
+  };
+
   const handleCreate = () => {
     setEditingScene({
       name: '',
       description: '',
       steps: []
     });
+    setStepErrors([]);
     setShowEditor(true);
   };
 
   const handleEdit = (scene) => {
     setEditingScene({ ...scene });
+    setStepErrors([]);
     setShowEditor(true);
   };
 
@@ -57,7 +164,8 @@ function SceneManagement({ controllerId }) {
       }
     } catch (err) {
       console.error('Delete error:', err);
-      setError(err.response?.data?.error || 'Failed to delete scene');
+      // Scenes run by other scenes can't be deleted - the message names them
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to delete scene');
     }
   };
 
@@ -71,10 +179,10 @@ function SceneManagement({ controllerId }) {
           sceneData
         );
       } else {
-        // Create new scene
+        // Create new scene (a recorded one comes with its scene_id)
         response = await api.post(
           `/api/controllers/${controllerId}/scenes`,
-          sceneData
+          { ...sceneData, scene_id: editingScene.scene_id }
         );
       }
 
@@ -82,13 +190,15 @@ function SceneManagement({ controllerId }) {
         setSuccess(`✅ Scene ${editingScene.id ? 'updated' : 'created'} successfully`);
         setShowEditor(false);
         setEditingScene(null);
+        setStepErrors([]);
         fetchScenes();
       } else {
         setError(response.data.error || 'Failed to save scene');
       }
     } catch (err) {
       console.error('Save error:', err);
-      setError(err.response?.data?.error || 'Failed to save scene');
+      setStepErrors(err.response?.data?.step_errors || []);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to save scene');
     }
   };
 
@@ -118,6 +228,72 @@ function SceneManagement({ controllerId }) {
     }
   };
 
+  const handleStartRecording = async () => {
+    const name = window.prompt('Name of the scene to record (optional):');
+    if (name === null) return;
+
+    setError('');
+    setSuccess('');
+    try {
+      const response = await recordingsAPI.start(controllerId, { name: name.trim() || undefined });
+      setRecording(response.data.recording);
+      setSuccess('⏺ Recording - adjust the room, then stop to get the scene');
+    } catch (err) {
+      console.error('Start recording error:', err);
+      if (err.response?.data?.recording) setRecording(err.response.data.recording);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to start recording');
+    }
+  };
+
+  const handleStopRecording = async () => {
+    setError('');
+    setSuccess('');
+    try {
+      const response = await recordingsAPI.stop(controllerId, recording.id);
+      setRecording(null);
+      setProposalFor(response.data.recording);
+    } catch (err) {
+      console.error('Stop recording error:', err);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to stop recording');
+    }
+  };
+
+  // Open the proposed scene in the editor, with the values it flagged
+  const handleUseProposal = (proposal) => {
+    setProposalFor(null);
+    setEditingScene({ ...proposal.scene, description: '' });
+    setStepErrors(proposal.step_errors);
+    setShowEditor(true);
+  };
+
+  const handleDiscardRecording = async () => {
+    if (!window.confirm('Discard this recording?')) {
+      return;
+    }
+
+    try {
+      await recordingsAPI.delete(controllerId, proposalFor.id);
+      setProposalFor(null);
+    } catch (err) {
+      console.error('Delete recording error:', err);
+      setError(err.response?.data?.error || 'Failed to delete recording');
+    }
+  };
+
+  // Stops every run of the scene, including queued ones
+  const handleCancel = async (scene) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      await controllersAPI.cancelScene(controllerId, scene.id);
+      setSuccess(`Stopping "${scene.name}"...`);
+    } catch (err) {
+      console.error('Cancel error:', err);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to cancel scene');
+    }
+  };
+
   if (loading) {
     return (
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow dark:shadow-none p-6">
@@ -144,15 +320,42 @@ function SceneManagement({ controllerId }) {
               Automation sequences for your AV equipment
             </p>
           </div>
-          <button
-            onClick={handleCreate}
-            className="px-4 py-2 bg-primary-600 dark:bg-primary-700 text-white rounded-lg hover:bg-primary-600 dark:bg-primary-700 transition-colors flex items-center gap-2"
-          >
-            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-            </svg>
-            Create Scene
-          </button>
+          <div className="flex gap-2">
+            {recording ? (
+              <button
+                onClick={handleStopRecording}
+                className="px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 dark:hover:bg-gray-700 transition-colors flex items-center gap-2"
+              >
+                <span className="w-2.5 h-2.5 rounded-full bg-red-500 animate-pulse"></span>
+                Stop Recording
+              </button>
+            ) : (
+              <button
+                onClick={handleStartRecording}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors flex items-center gap-2"
+              >
+                <span className="w-2.5 h-2.5 rounded-full bg-red-500"></span>
+                Record
+              </button>
+            )}
+            {scenes.length > 0 && (
+              <button
+                onClick={() => setShowCopy(true)}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+              >
+                Copy to Controller
+              </button>
+            )}
+            <button
+              onClick={handleCreate}
+              className="px-4 py-2 bg-primary-600 dark:bg-primary-700 text-white rounded-lg hover:bg-primary-600 dark:bg-primary-700 transition-colors flex items-center gap-2"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+              </svg>
+              Create Scene
+            </button>
+          </div>
         </div>
       </div>
 
@@ -200,6 +403,10 @@ function SceneManagement({ controllerId }) {
                   {scene.description && (
                     <p className="text-sm text-gray-600 dark:text-gray-400">{scene.description}</p>
                   )}
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    If busy: {CONCURRENCY_LABELS[scene.concurrency] || CONCURRENCY_LABELS.queue}
+                    {scene.exclusive_group && <> · group <span className="font-mono">{scene.exclusive_group}</span></>}
+                  </p>
                 </div>
                 <div className="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
                   <button
@@ -255,6 +462,57 @@ function SceneManagement({ controllerId }) {
                 )}
               </div>
 
+              {/* Schedules */}
+              <div className="mb-4">
+                <div className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-2">
+                  SCHEDULES
+                </div>
+                {schedules.filter(schedule => schedule.scene_id === scene.id).map((schedule) => (
+                  <div key={schedule.id} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-300 mb-1">
+                    <div className="min-w-0" title={`${schedule.timezone}${schedule.last_run ? ` - last run ${schedule.last_run.status}` : ''}`}>
+                      <span className="font-mono">{schedule.cron_expression}</span>
+                      <span className="text-xs text-gray-500 dark:text-gray-400 ml-2">
+                        {!schedule.enabled
+                          ? 'paused'
+                          : schedule.next_runs[0]
+                          ? `next ${new Date(schedule.next_runs[0]).toLocaleString()}`
+                          : 'no upcoming run'}
+                      </span>
+                    </div>
+                    <div className="flex gap-2 shrink-0">
+                      <button
+                        onClick={() => handleToggleSchedule(schedule)}
+                        className="text-xs text-blue-500 hover:text-blue-700"
+                      >
+                        {schedule.enabled ? 'Pause' : 'Resume'}
+                      </button>
+                      <button
+                        onClick={() => handleDeleteSchedule(schedule)}
+                        className="text-xs text-red-500 hover:text-red-700"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                <div className="flex gap-2 mt-2">
+                  <input
+                    type="text"
+                    value={scheduleDrafts[scene.id] || ''}
+                    onChange={(e) => setScheduleDrafts(drafts => ({ ...drafts, [scene.id]: e.target.value }))}
+                    placeholder="Cron, e.g. 0 22 * * *"
+                    className="flex-1 min-w-0 px-2 py-1 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded dark:bg-gray-700 dark:text-gray-100"
+                  />
+                  <button
+                    onClick={() => handleAddSchedule(scene)}
+                    disabled={!scheduleDrafts[scene.id]}
+                    className="px-3 py-1 text-sm bg-primary-600 dark:bg-primary-700 text-white rounded disabled:opacity-50"
+                  >
+                    Add
+                  </button>
+                </div>
+              </div>
+
               {/* Execute Button */}
               <button
                 onClick={() => handleExecute(scene.id, scene.name)}
@@ -282,6 +540,14 @@ function SceneManagement({ controllerId }) {
                   </div>
                 )}
               </button>
+              {Object.values(running).includes(scene.id) && (
+                <button
+                  onClick={() => handleCancel(scene)}
+                  className="w-full mt-2 px-4 py-2 rounded-lg font-medium border border-red-300 text-red-600 hover:bg-red-50 dark:hover:bg-gray-700 transition-colors"
+                >
+                  Stop Scene
+                </button>
+              )}
             </div>
           ))}
         </div>
@@ -292,25 +558,834 @@ function SceneManagement({ controllerId }) {
         <SceneEditor
           scene={editingScene}
           controllerId={controllerId}
+          scenes={scenes.filter(s => s.id !== editingScene.id)}
+          stepErrors={stepErrors}
           onSave={handleSave}
           onCancel={() => {
             setShowEditor(false);
             setEditingScene(null);
+            setStepErrors([]);
+          }}
+        />
+      )}
+
+      {/* Copy Dialog */}
+      {showCopy && (
+        <SceneCopyDialog
+          controllerId={controllerId}
+          scenes={scenes}
+          onCopied={(result) => {
+            setShowCopy(false);
+            setSuccess(`✅ ${result.message}${result.skipped.length > 0 ? ` (${result.skipped.length} already on the target, skipped)` : ''}`);
           }}
+          onCancel={() => setShowCopy(false)}
         />
       )}
+
+      {/* Recorded Scene */}
+      {proposalFor && (
+        <RecordingProposalDialog
+          controllerId={controllerId}
+          recording={proposalFor}
+          onUse={handleUseProposal}
+          onDiscard={handleDiscardRecording}
+          onCancel={() => setProposalFor(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+// Typed values are sent as booleans or numbers when they look like one
+function parseStepValue(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text !== '' && !isNaN(Number(text))) return Number(text);
+  return value;
+}
+
+const STEP_ACTION_LABELS = {
+  set_control: 'Set control',
+  delay: 'Wait',
+  ramp: 'Ramp / fade',
+  parallel: 'Run in parallel',
+  condition: 'If / else',
+  loop: 'Repeat',
+  run_scene: 'Run scene'
+};
+
+// What a scene does when it starts while it (or a scene of its group) is running
+const CONCURRENCY_LABELS = {
+  queue: 'wait for the running scene',
+  replace: 'stop the running scene',
+  reject: "don't start"
+};
+
+const CONDITION_OPERATORS = [
+  ['eq', '='],
+  ['ne', '≠'],
+  ['gt', '>'],
+  ['gte', '≥'],
+  ['lt', '<'],
+  ['lte', '≤']
+];
+
+// A new step of an action, with its fields blank
+function newStep(action) {
+  switch (action) {
+    case 'delay':
+      return { action, delay_ms: 1000 };
+    case 'ramp':
+      return { action, control_id: '', from: '', to: '', duration_ms: 3000 };
+    case 'parallel':
+      return { action, steps: [] };
+    case 'condition':
+      return { action, when: { control_id: '', operator: 'eq', value: '' }, then: [], else: [] };
+    case 'loop':
+      return { action, count: 2, steps: [] };
+    case 'run_scene':
+      return { action, scene_id: '' };
+    default:
+      return { action: 'set_control', control_id: '', value: '', delay_ms: 0 };
+  }
+}
+
+// Step as sent to the API: typed values, no blank ramp start or empty else branch
+function prepareStep(step) {
+  const prepared = { ...step };
+
+  for (const field of ['value', 'from', 'to']) {
+    if (field in prepared) prepared[field] = parseStepValue(prepared[field]);
+  }
+  if (prepared.from === '') delete prepared.from;
+  if (prepared.when) prepared.when = { ...prepared.when, value: parseStepValue(prepared.when.value) };
+
+  for (const field of ['steps', 'then', 'else']) {
+    if (Array.isArray(prepared[field])) prepared[field] = prepared[field].map(prepareStep);
+  }
+  if (prepared.action === 'condition' && prepared.else?.length === 0) delete prepared.else;
+
+  return prepared;
+}
+
+// Errors the API reported on a step itself, not on the steps nested in it
+function ownErrors(stepErrors, path) {
+  return stepErrors.filter(e =>
+    e.path === path || (e.path.startsWith(`${path}.`) && !e.path.slice(path.length + 1).includes('['))
+  );
+}
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded focus:ring-1 focus:ring-blue-500';
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1';
+
+function ControlSelect({ label = 'Control', value, controls, onChange }) {
+  return (
+    <div>
+      <label className={labelClass}>{label}</label>
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+        <option value="">Select control...</option>
+        {controls.map((control) => (
+          <option key={control.id} value={control.id}>
+            {control.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function NumberField({ label, value, onChange, min = 0, step = 100 }) {
+  return (
+    <div>
+      <label className={labelClass}>{label}</label>
+      <input
+        type="number"
+        value={value ?? ''}
+        onChange={(e) => onChange(parseInt(e.target.value) || 0)}
+        min={min}
+        step={step}
+        className={inputClass}
+      />
+    </div>
+  );
+}
+
+function TextField({ label, value, onChange, placeholder }) {
+  return (
+    <div>
+      <label className={labelClass}>{label}</label>
+      <input
+        type="text"
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+        className={inputClass}
+      />
+    </div>
+  );
+}
+
+// Steps of a scene, or of a parallel block, branch or loop inside one
+function StepList({ steps, onChange, path, controls, scenes, stepErrors, nested = false }) {
+  const updateStep = (index, changes) => {
+    const newSteps = [...steps];
+    newSteps[index] = { ...newSteps[index], ...changes };
+    onChange(newSteps);
+  };
+
+  const moveStep = (index, direction) => {
+    const targetIndex = direction === 'up' ? index - 1 : index + 1;
+    if (targetIndex < 0 || targetIndex >= steps.length) return;
+
+    const newSteps = [...steps];
+    [newSteps[index], newSteps[targetIndex]] = [newSteps[targetIndex], newSteps[index]];
+    onChange(newSteps);
+  };
+
+  const renderChildren = (step, index, field, label) => (
+    <div className="col-span-2">
+      <label className={labelClass}>{label}</label>
+      <div className="border-l-2 border-blue-200 dark:border-blue-800 pl-3">
+        <StepList
+          steps={step[field] || []}
+          onChange={(children) => updateStep(index, { [field]: children })}
+          path={`${path}[${index}].${field}`}
+          controls={controls}
+          scenes={scenes}
+          stepErrors={stepErrors}
+          nested
+        />
+      </div>
+    </div>
+  );
+
+  const renderFields = (step, index) => {
+    const update = (field, value) => updateStep(index, { [field]: value });
+
+    switch (step.action || 'set_control') {
+      case 'delay':
+        return <NumberField label="Wait (ms)" value={step.delay_ms} onChange={(v) => update('delay_ms', v)} />;
+
+      case 'ramp':
+        return (
+          <>
+            <ControlSelect value={step.control_id} controls={controls} onChange={(v) => update('control_id', v)} />
+            <NumberField label="Duration (ms)" value={step.duration_ms} onChange={(v) => update('duration_ms', v)} min={50} />
+            <TextField label="From" value={step.from} onChange={(v) => update('from', v)} placeholder="Current value" />
+            <TextField label="To" value={step.to} onChange={(v) => update('to', v)} placeholder="e.g., -20" />
+          </>
+        );
+
+      case 'parallel':
+        return renderChildren(step, index, 'steps', 'Run together');
+
+      case 'condition': {
+        const when = step.when || {};
+        const updateWhen = (field, value) => update('when', { ...when, [field]: value });
+        return (
+          <>
+            <ControlSelect label="If control" value={when.control_id || ''} controls={controls} onChange={(v) => updateWhen('control_id', v)} />
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className={labelClass}>Is</label>
+                <select value={when.operator || 'eq'} onChange={(e) => updateWhen('operator', e.target.value)} className={inputClass}>
+                  {CONDITION_OPERATORS.map(([operator, symbol]) => (
+                    <option key={operator} value={operator}>{symbol}</option>
+                  ))}
+                </select>
+              </div>
+              <TextField label="Value" value={when.value} onChange={(v) => updateWhen('value', v)} placeholder="e.g., true" />
+            </div>
+            {renderChildren(step, index, 'then', 'Then')}
+            {renderChildren(step, index, 'else', 'Else')}
+          </>
+        );
+      }
+
+      case 'run_scene':
+        return (
+          <div className="col-span-2">
+            <label className={labelClass}>Scene</label>
+            <select value={step.scene_id} onChange={(e) => update('scene_id', e.target.value)} className={inputClass}>
+              <option value="">Select scene...</option>
+              {scenes.map((scene) => (
+                <option key={scene.id} value={scene.scene_id}>
+                  {scene.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        );
+
+      case 'loop':
+        return (
+          <>
+            <NumberField label="Times" value={step.count} onChange={(v) => update('count', v)} min={1} step={1} />
+            <div />
+            {renderChildren(step, index, 'steps', 'Repeat these steps')}
+          </>
+        );
+
+      default:
+        return (
+          <>
+            <ControlSelect value={step.control_id} controls={controls} onChange={(v) => update('control_id', v)} />
+            <TextField label="Value" value={step.value} onChange={(v) => update('value', v)} placeholder="e.g., 75 or on" />
+            <div className="col-span-2">
+              <NumberField label="Delay After (ms)" value={step.delay_ms || 0} onChange={(v) => update('delay_ms', v)} />
+            </div>
+          </>
+        );
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {steps.map((step, index) => (
+        <div
+          key={index}
+          className={`border border-gray-300 dark:border-gray-600 rounded-lg p-4 ${nested ? 'bg-white dark:bg-gray-800' : 'bg-gray-50'}`}
+        >
+          <div className="flex items-start gap-3">
+            {/* Step Number & Move Buttons */}
+            <div className="flex flex-col items-center gap-1">
+              <span className="text-sm font-bold text-gray-600 dark:text-gray-400 w-6 h-6 flex items-center justify-center bg-white dark:bg-gray-800 rounded">
+                {index + 1}
+              </span>
+              <button
+                onClick={() => moveStep(index, 'up')}
+                disabled={index === 0}
+                className="text-gray-400 hover:text-gray-600 dark:text-gray-400 disabled:opacity-30"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                </svg>
+              </button>
+              <button
+                onClick={() => moveStep(index, 'down')}
+                disabled={index === steps.length - 1}
+                className="text-gray-400 hover:text-gray-600 dark:text-gray-400 disabled:opacity-30"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              </button>
+            </div>
+
+            {/* Step Configuration */}
+            <div className="flex-1 grid grid-cols-2 gap-3">
+              <div className="col-span-2">
+                <select
+                  value={step.action || 'set_control'}
+                  onChange={(e) => {
+                    const newSteps = [...steps];
+                    newSteps[index] = newStep(e.target.value);
+                    onChange(newSteps);
+                  }}
+                  className="px-2 py-1 text-sm font-medium border border-gray-300 dark:border-gray-600 rounded focus:ring-1 focus:ring-blue-500"
+                >
+                  {Object.entries(STEP_ACTION_LABELS).map(([action, label]) => (
+                    <option key={action} value={action}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {renderFields(step, index)}
+
+              {ownErrors(stepErrors, `${path}[${index}]`).map((e) => (
+                <p key={e.path} className="col-span-2 text-xs text-red-600 dark:text-red-400">
+                  {e.message}
+                </p>
+              ))}
+            </div>
+
+            {/* Delete Button */}
+            <button
+              onClick={() => onChange(steps.filter((_, i) => i !== index))}
+              className="text-red-500 hover:text-red-700 mt-1"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              </svg>
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {nested && (
+        <button
+          onClick={() => onChange([...steps, newStep('set_control')])}
+          className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+        >
+          + Add step
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Timeline rows beyond this are summarized (large loops expand to many rows)
+const MAX_TIMELINE_ROWS = 300;
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Short description of a simulated step
+function describeEntry(entry) {
+  const value = (v) => (v === null || v === undefined ? '?' : JSON.stringify(v));
+
+  switch (entry.action) {
+    case 'set_control':
+      return entry.control_id ? `${entry.control_id} → ${value(entry.value)}` : 'Set control (skipped)';
+    case 'delay':
+      return `Wait ${formatDuration(entry.end_ms - entry.start_ms)}`;
+    case 'ramp':
+      return `${entry.control_id || 'Ramp'} ${value(entry.from)} → ${value(entry.to)}`;
+    case 'parallel':
+      return 'Run in parallel';
+    case 'condition':
+      return `If (${value(entry.value)}) → ${entry.branch}`;
+    case 'loop':
+      return `Repeat ×${entry.count}`;
+    case 'run_scene':
+      return `Run scene ${entry.target_scene_id}`;
+    default:
+      return entry.action;
+  }
+}
+
+// Simulated run of a scene: one bar per step, placed by its start and end
+function SceneTimeline({ simulation }) {
+  const total = simulation.duration_ms || 1;
+  const conflicting = new Set(
+    simulation.conflicts.flatMap(conflict => conflict.paths.map(path => `${conflict.scene_id}:${path}`))
+  );
+  const rows = simulation.timeline.slice(0, MAX_TIMELINE_ROWS);
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-700 dark:text-gray-300">
+        Total duration: <span className="font-semibold">{formatDuration(simulation.duration_ms)}</span>
+      </p>
+
+      {simulation.conflicts.map((conflict) => (
+        <p key={`${conflict.scene_id}:${conflict.path}:${conflict.control_id}`} className="text-xs text-red-600 dark:text-red-400">
+          ⚠ {conflict.message} ({conflict.paths.join(', ')})
+        </p>
+      ))}
+      {simulation.warnings.map((warning, index) => (
+        <p key={index} className="text-xs text-yellow-700 dark:text-yellow-400">
+          {warning.path}: {warning.message}
+        </p>
+      ))}
+
+      <div className="space-y-1">
+        {rows.map((entry, index) => {
+          const depth = (entry.path.match(/\[/g) || []).length - 1;
+          const left = (entry.start_ms / total) * 100;
+          const width = Math.max(((entry.end_ms - entry.start_ms) / total) * 100, 0.5);
+          const conflict = conflicting.has(`${entry.scene_id}:${entry.path}`);
+
+          return (
+            <div key={index} className="flex items-center gap-2 text-xs">
+              <div
+                className="w-56 shrink-0 truncate text-gray-700 dark:text-gray-300"
+                style={{ paddingLeft: `${depth * 12}px` }}
+                title={`${entry.scene_id} ${entry.path}`}
+              >
+                {describeEntry(entry)}
+                {entry.iteration && <span className="text-gray-400"> #{entry.iteration}</span>}
+              </div>
+              <div className="relative flex-1 h-3 bg-gray-100 dark:bg-gray-700 rounded">
+                <div
+                  className={`absolute h-3 rounded ${conflict ? 'bg-red-500' : 'bg-blue-500'}`}
+                  style={{ left: `${Math.min(left, 99.5)}%`, width: `${width}%` }}
+                />
+              </div>
+              <span className="w-16 shrink-0 text-right text-gray-500 dark:text-gray-400">
+                {formatDuration(entry.start_ms)}
+              </span>
+            </div>
+          );
+        })}
+        {simulation.timeline.length > rows.length && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            … {simulation.timeline.length - rows.length} more steps
+          </p>
+        )}
+      </div>
+
+      {simulation.final_values.length > 0 && (
+        <div>
+          <p className="text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Resulting values</p>
+          <ul className="text-xs text-gray-700 dark:text-gray-300 space-y-0.5">
+            {simulation.final_values.map((control) => (
+              <li key={`${control.device_id}.${control.control_id}`}>
+                {control.logical_name || control.control_id}: {JSON.stringify(control.previous_value)} → {JSON.stringify(control.value)}
+                <span className="text-gray-400"> at {formatDuration(control.changed_at_ms)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const mappingKey = (control) => (control ? `${control.device_id}.${control.control_id}` : '');
+
+// Copy scenes to another controller of the project, confirming each control mapping
+function SceneCopyDialog({ controllerId, scenes, onCopied, onCancel }) {
+  const [targets, setTargets] = useState([]);
+  const [targetId, setTargetId] = useState('');
+  const [selected, setSelected] = useState(scenes.map(s => s.id));
+  const [onConflict, setOnConflict] = useState('skip');
+  const [preview, setPreview] = useState(null);
+  // Source control key -> chosen target control
+  const [choices, setChoices] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchTargets();
+  }, []);
+
+  const fetchTargets = async () => {
+    try {
+      const { data } = await controllersAPI.getOne(controllerId);
+      const response = await projectsAPI.getControllers(data.controller.project_id);
+      setTargets((response.data.controllers || []).filter(c => c.id !== controllerId));
+    } catch (err) {
+      console.error('Failed to fetch controllers:', err);
+      setError('Failed to load controllers');
+    }
+  };
+
+  // A new target or selection needs a new preview
+  const resetPreview = () => {
+    setPreview(null);
+    setChoices({});
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await controllersAPI.previewSceneCopy(controllerId, {
+        target_controller_id: targetId,
+        scene_ids: selected
+      });
+      setPreview(response.data);
+      setChoices(Object.fromEntries(response.data.mappings.map(m => [mappingKey(m.source), m.target])));
+    } catch (err) {
+      console.error('Preview copy error:', err);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to preview copy');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await controllersAPI.copyScenes(controllerId, {
+        target_controller_id: targetId,
+        scene_ids: selected,
+        on_conflict: onConflict,
+        mappings: preview.mappings.map(m => ({ source: m.source, target: choices[mappingKey(m.source)] }))
+      });
+      onCopied(response.data);
+    } catch (err) {
+      console.error('Copy scenes error:', err);
+      const failed = err.response?.data?.scene_errors?.map(e => `${e.name}: ${e.step_errors[0]?.message}`);
+      setError(failed?.join('; ') || err.response?.data?.message || err.response?.data?.error || 'Failed to copy scenes');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const unconfirmed = preview ? preview.mappings.filter(m => !choices[mappingKey(m.source)]).length : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-lg max-w-3xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="bg-gradient-to-r from-blue-500 to-blue-600 text-white p-6">
+          <h2 className="text-2xl font-bold">Copy Scenes to Another Controller</h2>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-5">
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Target controller
+            </label>
+            <select
+              value={targetId}
+              onChange={(e) => { setTargetId(e.target.value); resetPreview(); }}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Select controller...</option>
+              {targets.map((target) => (
+                <option key={target.id} value={target.id}>{target.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Scenes
+            </label>
+            <div className="grid grid-cols-2 gap-1">
+              {scenes.map((scene) => (
+                <label key={scene.id} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(scene.id)}
+                    onChange={(e) => {
+                      setSelected(e.target.checked ? [...selected, scene.id] : selected.filter(id => id !== scene.id));
+                      resetPreview();
+                    }}
+                  />
+                  {scene.name}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {preview && (
+            <>
+              <div>
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Will copy</p>
+                <ul className="text-sm text-gray-700 dark:text-gray-300 space-y-0.5">
+                  {preview.scenes.map((scene) => (
+                    <li key={scene.id}>
+                      {scene.name}
+                      {scene.dependency && <span className="text-gray-400"> (run by a selected scene)</span>}
+                      {scene.exists_on_target && <span className="text-yellow-700 dark:text-yellow-400"> - already on target</span>}
+                    </li>
+                  ))}
+                </ul>
+                {preview.scenes.some(s => s.exists_on_target) && (
+                  <select
+                    value={onConflict}
+                    onChange={(e) => setOnConflict(e.target.value)}
+                    className="mt-2 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded"
+                  >
+                    <option value="skip">Keep the target's version</option>
+                    <option value="overwrite">Overwrite on target</option>
+                  </select>
+                )}
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Control mappings {unconfirmed > 0 && <span className="text-red-600 dark:text-red-400">({unconfirmed} to choose)</span>}
+                </p>
+                <div className="space-y-2">
+                  {preview.mappings.map((mapping) => {
+                    const key = mappingKey(mapping.source);
+                    const options = [mapping.target, ...mapping.candidates]
+                      .filter((c, i, all) => c && all.findIndex(o => mappingKey(o) === mappingKey(c)) === i);
+
+                    return (
+                      <div key={key} className="grid grid-cols-2 gap-3 items-center text-sm">
+                        <div className="text-gray-700 dark:text-gray-300">
+                          {mapping.source.logical_name || mapping.source.control_id}
+                          <span className="text-gray-400"> ({mapping.source.device_id})</span>
+                        </div>
+                        <select
+                          value={mappingKey(choices[key])}
+                          onChange={(e) => setChoices({ ...choices, [key]: options.find(o => mappingKey(o) === e.target.value) || null })}
+                          className={`px-2 py-1 border rounded ${choices[key] ? 'border-gray-300 dark:border-gray-600' : 'border-red-400'}`}
+                        >
+                          <option value="">Choose target control...</option>
+                          {options.map((option) => (
+                            <option key={mappingKey(option)} value={mappingKey(option)}>
+                              {option.logical_name || option.control_id} ({option.device_id})
+                              {mapping.target && mappingKey(option) === mappingKey(mapping.target) ? ` - matched by ${mapping.match}` : ''}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    );
+                  })}
+                  {preview.mappings.length === 0 && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">These scenes don't set any controls.</p>
+                  )}
+                </div>
+              </div>
+
+              {preview.warnings.map((warning, index) => (
+                <p key={index} className="text-xs text-yellow-700 dark:text-yellow-400">
+                  {warning.scene_id}: {warning.message}
+                </p>
+              ))}
+            </>
+          )}
+        </div>
+
+        <div className="border-t border-gray-200 dark:border-gray-700 p-6 bg-gray-50 dark:bg-gray-900 flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="px-6 py-2 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-100"
+          >
+            Cancel
+          </button>
+          {preview ? (
+            <button
+              onClick={handleCopy}
+              disabled={busy || unconfirmed > 0}
+              className="px-6 py-2 bg-primary-600 dark:bg-primary-700 text-white rounded-lg disabled:opacity-50"
+            >
+              Copy {preview.scenes.length} Scene(s)
+            </button>
+          ) : (
+            <button
+              onClick={handlePreview}
+              disabled={busy || !targetId || selected.length === 0}
+              className="px-6 py-2 bg-primary-600 dark:bg-primary-700 text-white rounded-lg disabled:opacity-50"
+            >
+              {busy ? 'Matching controls...' : 'Match Controls'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Proposed scene from a stopped recording, to open in the editor
+function RecordingProposalDialog({ controllerId, recording, onUse, onDiscard, onCancel }) {
+  const [collapse, setCollapse] = useState(false);
+  const [mergeWindow, setMergeWindow] = useState(500);
+  const [proposal, setProposal] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchProposal();
+  }, [collapse, mergeWindow]);
+
+  const fetchProposal = async () => {
+    setError('');
+    try {
+      const response = await recordingsAPI.propose(controllerId, recording.id, {
+        collapse,
+        merge_window_ms: mergeWindow
+      });
+      setProposal(response.data);
+    } catch (err) {
+      console.error('Recording proposal error:', err);
+      setProposal(null);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to propose a scene');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-lg max-w-2xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="bg-gradient-to-r from-blue-500 to-blue-600 text-white p-6">
+          <h2 className="text-2xl font-bold">Recorded Scene</h2>
+          <p className="text-sm opacity-90 mt-1">{recording.name || 'Recording'} - {recording.change_count} change(s) captured</p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          <div className="flex flex-wrap items-center gap-6">
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input type="checkbox" checked={collapse} onChange={(e) => setCollapse(e.target.checked)} />
+              Final values only (no timing)
+            </label>
+            {!collapse && (
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                Merge changes closer than
+                <input
+                  type="number"
+                  min={0}
+                  step={100}
+                  value={mergeWindow}
+                  onChange={(e) => setMergeWindow(Math.max(0, parseInt(e.target.value) || 0))}
+                  className="w-24 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded"
+                />
+                ms
+              </label>
+            )}
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+
+          {proposal && (
+            <>
+              <ol className="text-sm text-gray-700 dark:text-gray-300 space-y-1">
+                {proposal.scene.steps.map((step, index) => (
+                  <li key={index} className="flex gap-2">
+                    <span className="text-gray-400 font-mono text-xs w-6 text-right">{index + 1}.</span>
+                    <span className="flex-1">
+                      Set <span className="font-medium">{step.device_id}.{step.control_id}</span> to {JSON.stringify(step.value)}
+                    </span>
+                    {step.delay_ms > 0 && (
+                      <span className="text-xs text-gray-500 dark:text-gray-400">then wait {formatDuration(step.delay_ms)}</span>
+                    )}
+                  </li>
+                ))}
+              </ol>
+              {proposal.scene.steps.length === 0 && (
+                <p className="text-sm text-gray-500 dark:text-gray-400 italic">No control changes were recorded.</p>
+              )}
+              {[...proposal.warnings, ...proposal.step_errors].map((warning, index) => (
+                <p key={index} className="text-xs text-yellow-700 dark:text-yellow-400">{warning.message}</p>
+              ))}
+            </>
+          )}
+        </div>
+
+        <div className="border-t border-gray-200 dark:border-gray-700 p-6 bg-gray-50 dark:bg-gray-900 flex justify-between gap-3">
+          <button
+            onClick={onDiscard}
+            className="px-4 py-2 text-red-600 hover:text-red-700"
+          >
+            Discard Recording
+          </button>
+          <div className="flex gap-3">
+            <button
+              onClick={onCancel}
+              className="px-6 py-2 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-100"
+            >
+              Close
+            </button>
+            <button
+              onClick={() => onUse(proposal)}
+              disabled={!proposal || proposal.scene.steps.length === 0}
+              className="px-6 py-2 bg-primary-600 dark:bg-primary-700 text-white rounded-lg disabled:opacity-50"
+            >
+              Edit as New Scene
+            </button>
+          </div>
+        </div>
+      </div>
     </div>
   );
 }
 
 // Scene Editor Component
-function SceneEditor({ scene, controllerId, onSave, onCancel }) {
+function SceneEditor({ scene, controllerId, scenes = [], stepErrors = [], onSave, onCancel }) {
   const [name, setName] = useState(scene.name || '');
   const [description, setDescription] = useState(scene.description || '');
+  const [concurrency, setConcurrency] = useState(scene.concurrency || 'queue');
+  const [exclusiveGroup, setExclusiveGroup] = useState(scene.exclusive_group || '');
   const [steps, setSteps] = useState(scene.steps || []);
   const [devices, setDevices] = useState([]);
   const [controls, setControls] = useState({});
   const [loading, setLoading] = useState(true);
+  const [simulation, setSimulation] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+  const [simulationError, setSimulationError] = useState('');
 
   useEffect(() => {
     fetchDevices();
@@ -340,37 +1415,30 @@ function SceneEditor({ scene, controllerId, onSave, onCancel }) {
     }
   };
 
-  const addStep = () => {
-    setSteps([...steps, {
-      action: 'set_control',
-      control_id: '',
-      value: '',
-      delay_ms: 0
-    }]);
-  };
-
-  const removeStep = (index) => {
-    setSteps(steps.filter((_, i) => i !== index));
+  // A preview no longer matches once the steps change
+  const changeSteps = (newSteps) => {
+    setSteps(newSteps);
+    setSimulation(null);
   };
 
-  const updateStep = (index, field, value) => {
-    const newSteps = [...steps];
-    newSteps[index] = { ...newSteps[index], [field]: value };
-    setSteps(newSteps);
+  const addStep = () => {
+    changeSteps([...steps, newStep('set_control')]);
   };
 
-  const moveStep = (index, direction) => {
-    if (
-      (direction === 'up' && index === 0) ||
-      (direction === 'down' && index === steps.length - 1)
-    ) {
-      return;
+  // Dry run of the steps as edited (the scene must be saved once first)
+  const handleSimulate = async () => {
+    setSimulating(true);
+    setSimulationError('');
+    try {
+      const response = await controllersAPI.simulateScene(controllerId, scene.id, { steps: steps.map(prepareStep) });
+      setSimulation(response.data.simulation);
+    } catch (err) {
+      console.error('Simulate error:', err);
+      setSimulation(null);
+      setSimulationError(err.response?.data?.message || err.response?.data?.error || 'Failed to simulate scene');
+    } finally {
+      setSimulating(false);
     }
-
-    const newSteps = [...steps];
-    const targetIndex = direction === 'up' ? index - 1 : index + 1;
-    [newSteps[index], newSteps[targetIndex]] = [newSteps[targetIndex], newSteps[index]];
-    setSteps(newSteps);
   };
 
   const handleSubmit = () => {
@@ -387,8 +1455,10 @@ function SceneEditor({ scene, controllerId, onSave, onCancel }) {
     onSave({
       name: name.trim(),
       description: description.trim(),
+      concurrency,
+      exclusive_group: exclusiveGroup.trim() || null,
       steps: steps.map((step, index) => ({
-        ...step,
+        ...prepareStep(step),
         order: index + 1
       }))
     });
@@ -451,6 +1521,38 @@ function SceneEditor({ scene, controllerId, onSave, onCancel }) {
                 className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
             </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  If already running
+                </label>
+                <select
+                  value={concurrency}
+                  onChange={(e) => setConcurrency(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {Object.entries(CONCURRENCY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label.charAt(0).toUpperCase() + label.slice(1)}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Exclusive group
+                </label>
+                <input
+                  type="text"
+                  value={exclusiveGroup}
+                  onChange={(e) => setExclusiveGroup(e.target.value)}
+                  placeholder="e.g., room_a_av"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Scenes in the same group never run at the same time
+                </p>
+              </div>
+            </div>
           </div>
 
           {/* Steps */}
@@ -472,98 +1574,38 @@ function SceneEditor({ scene, controllerId, onSave, onCancel }) {
                 <p className="text-gray-500 dark:text-gray-400">No steps yet. Add your first step to begin.</p>
               </div>
             ) : (
-              <div className="space-y-3">
-                {steps.map((step, index) => (
-                  <div key={index} className="border border-gray-300 dark:border-gray-600 rounded-lg p-4 bg-gray-50">
-                    <div className="flex items-start gap-3">
-                      {/* Step Number & Move Buttons */}
-                      <div className="flex flex-col items-center gap-1">
-                        <span className="text-sm font-bold text-gray-600 dark:text-gray-400 w-6 h-6 flex items-center justify-center bg-white dark:bg-gray-800 rounded">
-                          {index + 1}
-                        </span>
-                        <button
-                          onClick={() => moveStep(index, 'up')}
-                          disabled={index === 0}
-                          className="text-gray-400 hover:text-gray-600 dark:text-gray-400 disabled:opacity-30"
-                        >
-                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
-                          </svg>
-                        </button>
-                        <button
-                          onClick={() => moveStep(index, 'down')}
-                          disabled={index === steps.length - 1}
-                          className="text-gray-400 hover:text-gray-600 dark:text-gray-400 disabled:opacity-30"
-                        >
-                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-                          </svg>
-                        </button>
-                      </div>
-
-                      {/* Step Configuration */}
-                      <div className="flex-1 grid grid-cols-2 gap-3">
-                        <div>
-                          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
-                            Control
-                          </label>
-                          <select
-                            value={step.control_id}
-                            onChange={(e) => updateStep(index, 'control_id', e.target.value)}
-                            className="w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded focus:ring-1 focus:ring-blue-500"
-                          >
-                            <option value="">Select control...</option>
-                            {availableControls.map((control) => (
-                              <option key={control.id} value={control.id}>
-                                {control.label}
-                              </option>
-                            ))}
-                          </select>
-                        </div>
-
-                        <div>
-                          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
-                            Value
-                          </label>
-                          <input
-                            type="text"
-                            value={step.value}
-                            onChange={(e) => updateStep(index, 'value', e.target.value)}
-                            placeholder="e.g., 75 or on"
-                            className="w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded focus:ring-1 focus:ring-blue-500"
-                          />
-                        </div>
-
-                        <div className="col-span-2">
-                          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
-                            Delay After (ms)
-                          </label>
-                          <input
-                            type="number"
-                            value={step.delay_ms || 0}
-                            onChange={(e) => updateStep(index, 'delay_ms', parseInt(e.target.value) || 0)}
-                            min="0"
-                            step="100"
-                            className="w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded focus:ring-1 focus:ring-blue-500"
-                          />
-                        </div>
-                      </div>
-
-                      {/* Delete Button */}
-                      <button
-                        onClick={() => removeStep(index)}
-                        className="text-red-500 hover:text-red-700 mt-6"
-                      >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                        </svg>
-                      </button>
-                    </div>
-                  </div>
-                ))}
-              </div>
+              <StepList
+                steps={steps}
+                onChange={changeSteps}
+                path="steps"
+                controls={availableControls}
+                scenes={scenes}
+                stepErrors={stepErrors}
+              />
             )}
           </div>
+
+          {/* Timeline Preview */}
+          {scene.id && steps.length > 0 && (
+            <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+              <div className="flex justify-between items-center mb-3">
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Timeline
+                </label>
+                <button
+                  onClick={handleSimulate}
+                  disabled={simulating}
+                  className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                >
+                  {simulating ? 'Simulating...' : 'Preview Timeline'}
+                </button>
+              </div>
+              {simulationError && (
+                <p className="text-xs text-red-600 dark:text-red-400">{simulationError}</p>
+              )}
+              {simulation && <SceneTimeline simulation={simulation} />}
+            </div>
+          )}
         </div>
 
         {/* Footer */}
@@ -1,10 +1,18 @@
 import { useEffect, useState, useCallback } from 'react';
-import { projectsAPI } from '../utils/api';
+import { projectsAPI, controllersAPI } from '../utils/api';
+import { useLiveEvents } from './useLiveEvents';
+
+// Apply a controller_status event to a controller record
+const applyStatusEvent = (controller, message) => ({
+  ...controller,
+  status: message.data.status,
+  last_seen: message.data.last_seen || controller.last_seen,
+});
 
 /**
- * Hook to poll controller status and keep it updated
- * Since we don't have direct WebSocket connection from frontend to backend for status updates,
- * we'll use polling as a simple solution
+ * Hook to keep a project's controller list and their status up to date
+ * Status changes are pushed over the live channel; polling only runs
+ * as a fallback while that channel is disconnected
  */
 export const useControllerStatus = (projectId, pollInterval = 10000) => {
   const [controllers, setControllers] = useState([]);
@@ -23,14 +31,22 @@ export const useControllerStatus = (projectId, pollInterval = 10000) => {
     }
   }, [projectId]);
 
-  // Initial fetch
+  const { connected } = useLiveEvents({ projectIds: [projectId] }, (message) => {
+    if (message.event !== 'controller_status') return;
+
+    setControllers((current) => current.map((controller) =>
+      controller.id === message.controller_id ? applyStatusEvent(controller, message) : controller
+    ));
+  });
+
+  // Initial fetch, and refetch after reconnecting in case events were missed
   useEffect(() => {
     fetchControllers();
-  }, [fetchControllers]);
+  }, [fetchControllers, connected]);
 
-  // Set up polling
+  // Fall back to polling while the live channel is down
   useEffect(() => {
-    if (!projectId) return;
+    if (!projectId || connected) return;
 
     const intervalId = setInterval(() => {
       fetchControllers();
@@ -39,9 +55,9 @@ export const useControllerStatus = (projectId, pollInterval = 10000) => {
     return () => {
       clearInterval(intervalId);
     };
-  }, [projectId, pollInterval, fetchControllers]);
+  }, [projectId, pollInterval, fetchControllers, connected]);
 
-  return { controllers, loading, refresh: fetchControllers };
+  return { controllers, loading, live: connected, refresh: fetchControllers };
 };
 
 /**
@@ -55,7 +71,6 @@ export const useSingleControllerStatus = (controllerId, pollInterval = 10000) =>
     if (!controllerId) return;
 
     try {
-      const { controllersAPI } = await import('../utils/api');
       const response = await controllersAPI.getOne(controllerId);
       setController(response.data.controller);
     } catch (error) {
@@ -65,14 +80,20 @@ export const useSingleControllerStatus = (controllerId, pollInterval = 10000) =>
     }
   }, [controllerId]);
 
-  // Initial fetch
+  const { connected } = useLiveEvents({ controllerIds: [controllerId] }, (message) => {
+    if (message.event !== 'controller_status') return;
+
+    setController((current) => current && applyStatusEvent(current, message));
+  });
+
+  // Initial fetch, and refetch after reconnecting in case events were missed
   useEffect(() => {
     fetchController();
-  }, [fetchController]);
+  }, [fetchController, connected]);
 
-  // Set up polling
+  // Fall back to polling while the live channel is down
   useEffect(() => {
-    if (!controllerId) return;
+    if (!controllerId || connected) return;
 
     const intervalId = setInterval(() => {
       fetchController();
@@ -81,7 +102,7 @@ export const useSingleControllerStatus = (controllerId, pollInterval = 10000) =>
     return () => {
       clearInterval(intervalId);
     };
-  }, [controllerId, pollInterval, fetchController]);
+  }, [controllerId, pollInterval, fetchController, connected]);
 
-  return { controller, loading, refresh: fetchController };
+  return { controller, loading, live: connected, refresh: fetchController };
 };
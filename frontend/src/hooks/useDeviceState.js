@@ -0,0 +1,43 @@
+import { useEffect, useState, useCallback } from 'react';
+import { controllersAPI } from '../utils/api';
+import { useLiveEvents } from './useLiveEvents';
+
+// State entries are keyed the way GUI elements reference controls: '<device_id>.<control_id>'
+const stateKey = (entry) => `${entry.device_id}.${entry.control_id}`;
+
+/**
+ * Hook to mirror a controller's last-known control values
+ * Loaded once from the API, then kept current by device_state events
+ *
+ * @returns {Object} - { values: { '<device_id>.<control_id>': value }, live }
+ */
+export const useDeviceState = (controllerId) => {
+  const [values, setValues] = useState({});
+
+  const fetchState = useCallback(async () => {
+    if (!controllerId) return;
+
+    try {
+      const response = await controllersAPI.getState(controllerId);
+      setValues(Object.fromEntries(response.data.state.map((entry) => [stateKey(entry), entry.value])));
+    } catch (error) {
+      console.error('Failed to fetch device state:', error);
+    }
+  }, [controllerId]);
+
+  const { connected } = useLiveEvents({ controllerIds: [controllerId] }, (message) => {
+    if (message.event !== 'device_state') return;
+
+    setValues((current) => ({
+      ...current,
+      ...Object.fromEntries(message.data.changes.map((change) => [stateKey(change), change.value])),
+    }));
+  });
+
+  // Initial fetch, and refetch after reconnecting in case events were missed
+  useEffect(() => {
+    fetchState();
+  }, [fetchState, connected]);
+
+  return { values, live: connected };
+};
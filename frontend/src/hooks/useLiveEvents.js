@@ -0,0 +1,42 @@
+import { useEffect, useRef, useState } from 'react';
+import { subscribe, onConnectionChange, isConnected } from '../utils/liveEvents';
+
+/**
+ * Hook to receive live controller events pushed over the /live WebSocket
+ * (controller_status, gui_sync, driver_deployment, scene_execution, device_state, agent_update)
+ *
+ * @param {Object} scope - { projectIds: [], controllerIds: [] }
+ * @param {Function} onEvent - Called with { event, project_id, controller_id, data }
+ * @returns {Object} - { connected }
+ */
+export const useLiveEvents = ({ projectIds = [], controllerIds = [] }, onEvent) => {
+  const [connected, setConnected] = useState(isConnected());
+  const handlerRef = useRef(onEvent);
+
+  // Always call the latest handler without resubscribing
+  useEffect(() => {
+    handlerRef.current = onEvent;
+  });
+
+  const keys = [
+    ...projectIds.filter(Boolean).map((id) => `project:${id}`),
+    ...controllerIds.filter(Boolean).map((id) => `controller:${id}`),
+  ].join(',');
+
+  useEffect(() => {
+    if (!keys) return;
+
+    const unsubscribes = keys
+      .split(',')
+      .map((key) => subscribe(key, (message) => handlerRef.current?.(message)));
+    const removeConnectionListener = onConnectionChange(setConnected);
+    setConnected(isConnected());
+
+    return () => {
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+      removeConnectionListener();
+    };
+  }, [keys]);
+
+  return { connected };
+};
@@ -5,10 +5,13 @@ import DeviceManagement from '../components/DeviceManagement';
 import SceneManagement from '../components/SceneManagement';
 import AiChat from '../components/AiChat';
 import DeploySyncControls from '../components/DeploySyncControls';
+import RotateKeyModal from '../components/RotateKeyModal';
+import LogConsole from '../components/LogConsole';
 
 const ControllerDetailTabs = () => {
   const { controllerId } = useParams();
   const [activeTab, setActiveTab] = useState('devices');
+  const [showRotateKey, setShowRotateKey] = useState(false);
 
   // Use the hook for real-time controller status updates
   const { controller, loading } = useSingleControllerStatus(controllerId, 10000);
@@ -40,6 +43,7 @@ const ControllerDetailTabs = () => {
     { id: 'scenes', label: 'Scenes', icon: 'M7 4v16M17 4v16M3 8h4m10 0h4M3 12h18M3 16h4m10 0h4M4 20h16a1 1 0 001-1V5a1 1 0 00-1-1H4a1 1 0 00-1 1v14a1 1 0 001 1z' },
     { id: 'ai', label: 'AI Chat', icon: 'M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z' },
     { id: 'gui', label: 'GUI Deploy', icon: 'M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12' },
+    { id: 'logs', label: 'Logs', icon: 'M8 9l3 3-3 3m5 0h3M5 20h14a2 2 0 002-2V6a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z' },
   ];
 
   return (
@@ -76,6 +80,12 @@ const ControllerDetailTabs = () => {
               )}
             </div>
           </div>
+          <button
+            onClick={() => setShowRotateKey(true)}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
+          >
+            Rotate Key
+          </button>
         </div>
       </div>
 
@@ -120,7 +130,15 @@ const ControllerDetailTabs = () => {
         {activeTab === 'gui' && (
           <DeploySyncControls controllerId={controllerId} />
         )}
+
+        {activeTab === 'logs' && (
+          <LogConsole controllerId={controllerId} />
+        )}
       </div>
+
+      {showRotateKey && (
+        <RotateKeyModal controller={controller} onClose={() => setShowRotateKey(false)} />
+      )}
     </div>
   );
 };
@@ -1,14 +1,24 @@
 import { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { projectsAPI } from '../utils/api';
+import { useLiveEvents } from '../hooks/useLiveEvents';
 
 const Dashboard = () => {
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [stats, setStats] = useState({
-    totalProjects: 0,
-    totalControllers: 0,
-    onlineControllers: 0,
+  const [controllerStatus, setControllerStatus] = useState({}); // controllerId -> status
+
+  const statuses = Object.values(controllerStatus);
+  const stats = {
+    totalProjects: projects.length,
+    totalControllers: statuses.length,
+    onlineControllers: statuses.filter(status => status === 'online').length,
+  };
+
+  // Keep the online count current without refetching every project
+  useLiveEvents({ projectIds: projects.map(p => p.id) }, (message) => {
+    if (message.event !== 'controller_status') return;
+    setControllerStatus(current => ({ ...current, [message.controller_id]: message.data.status }));
   });
 
   // Fetch projects on mount
@@ -22,25 +32,21 @@ const Dashboard = () => {
       const projectsData = response.data.projects; // Correctly extract the array
       setProjects(projectsData);
 
-      // Calculate stats
-      let totalControllers = 0;
-      let onlineControllers = 0;
+      // Collect controller status for the stats
+      const statusMap = {};
 
       // Ensure projectsData is an array before iterating
       if (Array.isArray(projectsData)) {
         for (const project of projectsData) {
           const controllersRes = await projectsAPI.getControllers(project.id);
           const controllers = controllersRes.data.controllers; // Correctly extract the array
-          totalControllers += controllers.length;
-          onlineControllers += controllers.filter(c => c.status === 'online').length;
+          controllers.forEach(c => {
+            statusMap[c.id] = c.status;
+          });
         }
       }
 
-      setStats({
-        totalProjects: projectsData.length,
-        totalControllers,
-        onlineControllers,
-      });
+      setControllerStatus(statusMap);
     } catch (error) {
       console.error('Failed to fetch projects:', error);
     } finally {
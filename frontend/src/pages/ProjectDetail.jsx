@@ -557,6 +557,18 @@ const ProjectDetail = () => {
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Controller ID
+                </label>
+                <input
+                  type="text"
+                  readOnly
+                  value={newControllerKey.id}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 font-mono text-sm dark:text-gray-100"
+                />
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                   Connection Key
@@ -591,7 +603,7 @@ const ProjectDetail = () => {
                     <ol className="list-decimal list-inside space-y-1">
                       <li>Copy the connection key</li>
                       <li>SSH into your NUC controller</li>
-                      <li>Run the provisioning command with this key</li>
+                      <li>Run the provisioning command with the controller ID and key</li>
                       <li>The controller will connect automatically</li>
                     </ol>
                   </div>
@@ -54,6 +54,9 @@ export const projectsAPI = {
   delete: (id) => api.delete(`/projects/${id}`),
   getControllers: (id) => api.get(`/projects/${id}/controllers`),
   createController: (id, data) => api.post(`/projects/${id}/controllers`, data),
+  getUptime: (id, params) => api.get(`/projects/${id}/uptime`, { params }),
+  getSchedules: (id) => api.get(`/projects/${id}/schedules`),
+  createSchedules: (id, data) => api.post(`/projects/${id}/schedules`, data),
 };
 
 // Controllers API
@@ -63,8 +66,57 @@ export const controllersAPI = {
   delete: (id) => api.delete(`/controllers/${id}`),
   getDevices: (id) => api.get(`/controllers/${id}/devices`),
   createDevice: (id, data) => api.post(`/controllers/${id}/devices`, data),
+  getDrivers: (id) => api.get(`/controllers/${id}/drivers`),
   getScenes: (id) => api.get(`/controllers/${id}/scenes`),
   createScene: (id, data) => api.post(`/controllers/${id}/scenes`, data),
+  simulateScene: (id, sceneId, data) => api.post(`/controllers/${id}/scenes/${sceneId}/simulate`, data),
+  cancelScene: (id, sceneId, data) => api.post(`/controllers/${id}/scenes/${sceneId}/cancel`, data),
+  previewSceneCopy: (id, data) => api.post(`/controllers/${id}/scenes/copy/preview`, data),
+  copyScenes: (id, data) => api.post(`/controllers/${id}/scenes/copy`, data),
+  getState: (id) => api.get(`/controllers/${id}/state`),
+  getSessions: (id, params) => api.get(`/controllers/${id}/sessions`, { params }),
+  getUptime: (id, params) => api.get(`/controllers/${id}/uptime`, { params }),
+  getLogs: (id, params) => api.get(`/controllers/${id}/logs`, { params }),
+  // Live log tail (SSE over fetch, since EventSource can't send the auth header)
+  streamLogs: async (id, params, onLine, signal) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+    const response = await fetch(`${API_BASE_URL}/api/controllers/${id}/logs/stream?${query}`, {
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`,
+      },
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error('Log stream request failed');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      // Events end with a blank line; keep a partial event for the next chunk
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const event of events) {
+        const data = event.split('\n').find(line => line.startsWith('data: '));
+        if (!data) continue;
+
+        try {
+          onLine(JSON.parse(data.slice(6)));
+        } catch {
+          console.error('Failed to parse log line:', data);
+        }
+      }
+    }
+  },
+  rotateKey: (id, gracePeriodHours) => api.post(`/controllers/${id}/rotate-key`, { grace_period_hours: gracePeriodHours }),
 };
 
 // Devices API
@@ -74,6 +126,19 @@ export const devicesAPI = {
   delete: (id) => api.delete(`/devices/${id}`),
   getControls: (id) => api.get(`/devices/${id}/controls`),
   createControl: (id, data) => api.post(`/devices/${id}/controls`, data),
+  getControlTemplates: (id) => api.get(`/devices/${id}/controls/generate`),
+  generateControls: (id, data) => api.post(`/devices/${id}/controls/generate`, data),
+  setControlValue: (id, controlId, value) => api.post(`/devices/${id}/controls/${controlId}/set`, { value }),
+  getControlValue: (id, controlId) => api.get(`/devices/${id}/controls/${controlId}/value`),
+};
+
+// Device Discovery API
+export const discoveryAPI = {
+  startScan: (controllerId, data) => api.post(`/controllers/${controllerId}/discovery/scans`, data),
+  getScans: (controllerId, params) => api.get(`/controllers/${controllerId}/discovery/scans`, { params }),
+  getSuggestions: (controllerId, params) => api.get(`/controllers/${controllerId}/discovery/suggestions`, { params }),
+  importSuggestion: (controllerId, id, data = {}) => api.post(`/controllers/${controllerId}/discovery/suggestions/${id}/import`, data),
+  dismissSuggestion: (controllerId, id) => api.post(`/controllers/${controllerId}/discovery/suggestions/${id}/dismiss`),
 };
 
 // Device Controls API
@@ -91,6 +156,24 @@ export const scenesAPI = {
   execute: (id) => api.post(`/scenes/${id}/execute`),
 };
 
+// Scene Schedules API
+export const schedulesAPI = {
+  getAll: (controllerId, params) => api.get(`/controllers/${controllerId}/schedules`, { params }),
+  create: (controllerId, data) => api.post(`/controllers/${controllerId}/schedules`, data),
+  update: (controllerId, id, data) => api.put(`/controllers/${controllerId}/schedules/${id}`, data),
+  delete: (controllerId, id) => api.delete(`/controllers/${controllerId}/schedules/${id}`),
+  getRuns: (controllerId, id, params) => api.get(`/controllers/${controllerId}/schedules/${id}/runs`, { params }),
+};
+
+export const recordingsAPI = {
+  getAll: (controllerId, params) => api.get(`/controllers/${controllerId}/recordings`, { params }),
+  getOne: (controllerId, id) => api.get(`/controllers/${controllerId}/recordings/${id}`),
+  start: (controllerId, data) => api.post(`/controllers/${controllerId}/recordings`, data),
+  stop: (controllerId, id) => api.post(`/controllers/${controllerId}/recordings/${id}/stop`),
+  propose: (controllerId, id, data) => api.post(`/controllers/${controllerId}/recordings/${id}/proposal`, data),
+  delete: (controllerId, id) => api.delete(`/controllers/${controllerId}/recordings/${id}`),
+};
+
 // GUI API (NEW)
 export const guiAPI = {
   getStatus: (controllerId) => api.get(`/controllers/${controllerId}/gui/status`),
@@ -162,4 +245,29 @@ export const imagesAPI = {
   },
 };
 
+// Agent releases & rollouts API
+export const agentUpdatesAPI = {
+  getReleases: () => api.get('/agent-releases'),
+  getRelease: (id) => api.get(`/agent-releases/${id}`),
+  uploadRelease: (file, version, releaseNotes) => {
+    const formData = new FormData();
+    formData.append('package', file);
+    formData.append('version', version);
+    if (releaseNotes) formData.append('release_notes', releaseNotes);
+    return api.post('/agent-releases', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+  deleteRelease: (id) => api.delete(`/agent-releases/${id}`),
+  getRollouts: () => api.get('/agent-rollouts'),
+  getRollout: (id) => api.get(`/agent-rollouts/${id}`),
+  createRollout: (data) => api.post('/agent-rollouts', data),
+  pauseRollout: (id) => api.post(`/agent-rollouts/${id}/pause`),
+  resumeRollout: (id, maxFailures) =>
+    api.post(`/agent-rollouts/${id}/resume`, maxFailures ? { max_failures: maxFailures } : {}),
+  cancelRollout: (id) => api.post(`/agent-rollouts/${id}/cancel`),
+};
+
 export default api;
@@ -0,0 +1,126 @@
+// Live event channel - one shared WebSocket to the backend's /live endpoint
+// Components subscribe to a project or controller and receive pushed events
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+const LIVE_URL = `${API_BASE_URL.replace(/^http/, 'ws')}/live`;
+
+const MAX_RECONNECT_DELAY = 30000;
+
+let socket = null;
+let connected = false;
+let reconnectTimer = null;
+let reconnectDelay = 1000;
+
+const listeners = new Map(); // 'project:<id>' / 'controller:<id>' -> Set<listener>
+const connectionListeners = new Set();
+
+const scopeData = (key) => {
+  const [scope, id] = key.split(':');
+  return scope === 'project' ? { project_id: id } : { controller_id: id };
+};
+
+const send = (message) => {
+  if (socket?.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const setConnected = (value) => {
+  connected = value;
+  connectionListeners.forEach((listener) => listener(value));
+};
+
+const dispatch = (message) => {
+  // A client subscribed to both the project and the controller still gets each event once
+  const targets = new Set([
+    ...(listeners.get(`project:${message.project_id}`) || []),
+    ...(listeners.get(`controller:${message.controller_id}`) || []),
+  ]);
+  targets.forEach((listener) => listener(message));
+};
+
+const scheduleReconnect = () => {
+  if (reconnectTimer || listeners.size === 0) return;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+};
+
+const connect = () => {
+  const token = localStorage.getItem('token');
+  if (socket || !token) return;
+
+  socket = new WebSocket(`${LIVE_URL}?token=${encodeURIComponent(token)}`);
+
+  socket.onopen = () => {
+    reconnectDelay = 1000;
+    listeners.forEach((_, key) => send({ type: 'subscribe', data: scopeData(key) }));
+    setConnected(true);
+  };
+
+  socket.onmessage = (event) => {
+    try {
+      const message = JSON.parse(event.data);
+      if (message.type === 'event') {
+        dispatch(message);
+      } else if (message.type === 'error') {
+        console.warn('Live channel error:', message.message);
+      }
+    } catch (error) {
+      console.error('Failed to parse live event:', error);
+    }
+  };
+
+  socket.onclose = (event) => {
+    socket = null;
+    setConnected(false);
+
+    // 1008 = auth rejected; retrying with the same token won't help
+    if (event.code !== 1008) {
+      scheduleReconnect();
+    }
+  };
+};
+
+/**
+ * Subscribe to events for a scope key ('project:<id>' or 'controller:<id>')
+ * Returns an unsubscribe function; the socket closes when nothing is subscribed
+ */
+export const subscribe = (key, listener) => {
+  if (!listeners.has(key)) {
+    listeners.set(key, new Set());
+    send({ type: 'subscribe', data: scopeData(key) });
+  }
+  listeners.get(key).add(listener);
+  connect();
+
+  return () => {
+    const scoped = listeners.get(key);
+    if (!scoped) return;
+
+    scoped.delete(listener);
+    if (scoped.size === 0) {
+      listeners.delete(key);
+      send({ type: 'unsubscribe', data: scopeData(key) });
+    }
+
+    if (listeners.size === 0) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      socket?.close();
+    }
+  };
+};
+
+/**
+ * Be notified when the channel connects or drops
+ * Returns a function that removes the listener
+ */
+export const onConnectionChange = (listener) => {
+  connectionListeners.add(listener);
+  return () => connectionListeners.delete(listener);
+};
+
+export const isConnected = () => connected;
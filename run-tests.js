@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Test Runner
+ * Runs every test script that needs no database or running server, each in its
+ * own process, and exits non-zero if any of them fails.
+ * test-ai-integration.js and test-sprint5*.js need a database and API keys, so
+ * they are run on their own.
+ */
+
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { log } = require('./test-helpers');
+
+const TEST_FILES = [
+  'test-websocket-schemas.js',
+  'test-connection-key.js',
+  'test-capabilities.js',
+  'test-cron.js',
+  'test-scene-steps.js',
+  'test-scene-simulator.js',
+  'test-connection-log.js',
+  'test-control-generator.js',
+  'test-scene-cancel.js',
+  'test-control-set.js'
+];
+
+function runAllTests() {
+  const failures = [];
+
+  for (const file of TEST_FILES) {
+    const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+    if (result.status !== 0) failures.push(file);
+  }
+
+  console.log('='.repeat(60));
+  if (failures.length === 0) {
+    log(`\n🎉 All test files passed! (${TEST_FILES.length}/${TEST_FILES.length})`, 'green');
+    console.log();
+    process.exit(0);
+  } else {
+    log(`\n⚠️  ${failures.length} test file(s) failed: ${failures.join(', ')}`, 'red');
+    console.log();
+    process.exit(1);
+  }
+}
+
+runAllTests();
@@ -0,0 +1,204 @@
+/**
+ * Agent Release Routes
+ *
+ * Registry of NUC agent packages that rollouts deliver with agent_update
+ */
+
+const express = require('express');
+const multer = require('multer');
+const pool = require('../db/connection');
+const packageStorage = require('../utils/package-storage');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+router.use(authenticate);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: packageStorage.MAX_PACKAGE_SIZE
+  }
+});
+
+// Semver-like: 1.4.0, 1.4.0-beta.2
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/;
+
+/**
+ * GET /api/agent-releases
+ * List uploaded agent releases, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+
+    const result = await pool.query(
+      `SELECT id, version, release_notes, filename, size_bytes, checksum_sha256, created_at
+       FROM agent_releases
+       WHERE integrator_id = $1
+       ORDER BY created_at DESC`,
+      [integrator_id]
+    );
+
+    res.json({
+      count: result.rows.length,
+      releases: result.rows
+    });
+
+  } catch (error) {
+    console.error('List agent releases error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/agent-releases
+ * Upload an agent package (multipart: package, version, release_notes)
+ */
+router.post('/', upload.single('package'), async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { version, release_notes } = req.body;
+
+    if (!packageStorage.isEnabled()) {
+      return res.status(503).json({
+        error: 'Package storage not configured',
+        message: 'Cloudflare R2 credentials are missing'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please provide the agent package'
+      });
+    }
+
+    if (!version || !VERSION_PATTERN.test(version)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'version must look like 1.4.0 or 1.4.0-beta.1'
+      });
+    }
+
+    const existing = await pool.query(
+      'SELECT id FROM agent_releases WHERE integrator_id = $1 AND version = $2',
+      [integrator_id, version]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        error: 'Release already exists',
+        message: `Version ${version} was already uploaded`
+      });
+    }
+
+    const stored = await packageStorage.uploadPackage(req.file.buffer, req.file.originalname, version, integrator_id);
+
+    const result = await pool.query(
+      `INSERT INTO agent_releases
+       (integrator_id, version, release_notes, storage_key, filename, size_bytes, checksum_sha256)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, version, release_notes, filename, size_bytes, checksum_sha256, created_at`,
+      [integrator_id, version, release_notes || null, stored.storageKey, stored.filename, stored.size, stored.checksum]
+    );
+
+    res.status(201).json({
+      message: 'Agent release uploaded',
+      release: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Upload agent release error:', error);
+
+    if (error.message.includes('File too large')) {
+      return res.status(413).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/agent-releases/:id
+ * Get a release and its rollouts
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `SELECT id, version, release_notes, filename, size_bytes, checksum_sha256, created_at
+       FROM agent_releases
+       WHERE id = $1 AND integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Release not found' });
+    }
+
+    const rollouts = await pool.query(
+      `SELECT id, policy, project_id, percentage, status, halted_reason, created_at, completed_at
+       FROM agent_rollouts
+       WHERE release_id = $1
+       ORDER BY created_at DESC`,
+      [id]
+    );
+
+    res.json({
+      release: result.rows[0],
+      rollouts: rollouts.rows
+    });
+
+  } catch (error) {
+    console.error('Get agent release error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/agent-releases/:id
+ * Delete a release that no rollout is delivering
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'SELECT id, storage_key FROM agent_releases WHERE id = $1 AND integrator_id = $2',
+      [id, integrator_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Release not found' });
+    }
+
+    const running = await pool.query(
+      `SELECT id FROM agent_rollouts WHERE release_id = $1 AND status IN ('active', 'paused')`,
+      [id]
+    );
+
+    if (running.rows.length > 0) {
+      return res.status(409).json({
+        error: 'Release in use',
+        message: 'Cancel its active or paused rollouts first'
+      });
+    }
+
+    if (packageStorage.isEnabled()) {
+      await packageStorage.deletePackage(result.rows[0].storage_key);
+    }
+
+    await pool.query('DELETE FROM agent_releases WHERE id = $1', [id]);
+
+    res.json({ message: 'Agent release deleted' });
+
+  } catch (error) {
+    console.error('Delete agent release error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,283 @@
+/**
+ * Agent Rollout Routes
+ *
+ * Staged delivery of an agent release to controllers. The rollout itself is
+ * advanced by the WebSocket server's heartbeat loop (see websocket/agent-rollouts.js).
+ */
+
+const express = require('express');
+const pool = require('../db/connection');
+const agentRollouts = require('../websocket/agent-rollouts');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+router.use(authenticate);
+
+// Rollout with its release version, scoped to the integrator
+async function getRollout(id, integratorId) {
+  const result = await pool.query(
+    `SELECT r.*, ar.version
+     FROM agent_rollouts r
+     JOIN agent_releases ar ON r.release_id = ar.id
+     WHERE r.id = $1 AND r.integrator_id = $2`,
+    [id, integratorId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * GET /api/agent-rollouts
+ * List rollouts with per-status target counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+
+    const result = await pool.query(
+      `SELECT r.id, r.release_id, ar.version, r.policy, r.project_id, r.percentage,
+              r.batch_size, r.max_failures, r.reconnect_timeout_seconds,
+              r.status, r.halted_reason, r.created_at, r.updated_at, r.completed_at
+       FROM agent_rollouts r
+       JOIN agent_releases ar ON r.release_id = ar.id
+       WHERE r.integrator_id = $1
+       ORDER BY r.created_at DESC`,
+      [integrator_id]
+    );
+
+    const rollouts = await Promise.all(result.rows.map(async (rollout) => ({
+      ...rollout,
+      counts: await agentRollouts.getCounts(rollout.id)
+    })));
+
+    res.json({
+      count: rollouts.length,
+      rollouts
+    });
+
+  } catch (error) {
+    console.error('List agent rollouts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/agent-rollouts
+ * Start rolling out a release
+ * Body: { release_id, policy: pilot|percentage|project, project_id, percentage,
+ *         batch_size, max_failures, reconnect_timeout_seconds }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const options = req.body || {};
+
+    if (!options.release_id) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'release_id is required'
+      });
+    }
+
+    const validationError = agentRollouts.validate(options);
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationError
+      });
+    }
+
+    const release = await pool.query(
+      'SELECT * FROM agent_releases WHERE id = $1 AND integrator_id = $2',
+      [options.release_id, integrator_id]
+    );
+
+    if (release.rows.length === 0) {
+      return res.status(404).json({ error: 'Release not found' });
+    }
+
+    if (options.project_id) {
+      const project = await pool.query(
+        'SELECT id FROM projects WHERE id = $1 AND integrator_id = $2',
+        [options.project_id, integrator_id]
+      );
+
+      if (project.rows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+    }
+
+    const rollout = await agentRollouts.create(release.rows[0], options);
+    const counts = await agentRollouts.getCounts(rollout.id);
+
+    res.status(201).json({
+      message: counts.pending > 0 ? 'Rollout started' : 'No controller needs this release',
+      rollout: { ...rollout, version: release.rows[0].version },
+      counts
+    });
+
+  } catch (error) {
+    console.error('Create agent rollout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/agent-rollouts/:id
+ * Get a rollout with every target's progress
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const rollout = await getRollout(id, integrator_id);
+    if (!rollout) {
+      return res.status(404).json({ error: 'Rollout not found' });
+    }
+
+    const targets = await pool.query(
+      `SELECT t.id AS update_id, t.controller_id, c.name AS controller_name, t.status,
+              t.from_version, c.agent_version, t.error_message, t.sent_at, t.completed_at
+       FROM agent_rollout_targets t
+       JOIN controllers c ON t.controller_id = c.id
+       WHERE t.rollout_id = $1
+       ORDER BY c.name`,
+      [id]
+    );
+
+    res.json({
+      rollout,
+      counts: await agentRollouts.getCounts(id),
+      targets: targets.rows
+    });
+
+  } catch (error) {
+    console.error('Get agent rollout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/agent-rollouts/:id/pause
+ * Stop sending new batches; controllers already updating carry on
+ */
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const rollout = await getRollout(id, integrator_id);
+    if (!rollout) {
+      return res.status(404).json({ error: 'Rollout not found' });
+    }
+
+    if (rollout.status !== 'active') {
+      return res.status(409).json({
+        error: 'Invalid state',
+        message: `Only active rollouts can be paused (this one is ${rollout.status})`
+      });
+    }
+
+    await pool.query(`UPDATE agent_rollouts SET status = 'paused' WHERE id = $1`, [id]);
+
+    res.json({ message: 'Rollout paused' });
+
+  } catch (error) {
+    console.error('Pause agent rollout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/agent-rollouts/:id/resume
+ * Resume a paused or halted rollout
+ * A halted rollout needs a max_failures above its failure count, or it halts again
+ */
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+    const { max_failures } = req.body || {};
+
+    const rollout = await getRollout(id, integrator_id);
+    if (!rollout) {
+      return res.status(404).json({ error: 'Rollout not found' });
+    }
+
+    if (rollout.status !== 'paused' && rollout.status !== 'halted') {
+      return res.status(409).json({
+        error: 'Invalid state',
+        message: `Only paused or halted rollouts can be resumed (this one is ${rollout.status})`
+      });
+    }
+
+    if (max_failures !== undefined && !(Number.isInteger(max_failures) && max_failures >= 1)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'max_failures must be a positive integer'
+      });
+    }
+
+    const maxFailures = max_failures ?? rollout.max_failures;
+    const counts = await agentRollouts.getCounts(id);
+
+    if (counts.failed >= maxFailures) {
+      return res.status(409).json({
+        error: 'Too many failures',
+        message: `${counts.failed} controller(s) failed - raise max_failures above that to resume`
+      });
+    }
+
+    await pool.query(
+      `UPDATE agent_rollouts SET status = 'active', halted_reason = NULL, max_failures = $2 WHERE id = $1`,
+      [id, maxFailures]
+    );
+
+    res.json({ message: 'Rollout resumed' });
+
+  } catch (error) {
+    console.error('Resume agent rollout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/agent-rollouts/:id/cancel
+ * Cancel a rollout; controllers that were not sent the update are skipped
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const rollout = await getRollout(id, integrator_id);
+    if (!rollout) {
+      return res.status(404).json({ error: 'Rollout not found' });
+    }
+
+    if (rollout.status === 'completed' || rollout.status === 'cancelled') {
+      return res.status(409).json({
+        error: 'Invalid state',
+        message: `Rollout is already ${rollout.status}`
+      });
+    }
+
+    await pool.query(
+      `UPDATE agent_rollouts SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [id]
+    );
+    await pool.query(
+      `UPDATE agent_rollout_targets SET status = 'skipped', completed_at = CURRENT_TIMESTAMP
+       WHERE rollout_id = $1 AND status = 'pending'`,
+      [id]
+    );
+
+    res.json({ message: 'Rollout cancelled' });
+
+  } catch (error) {
+    console.error('Cancel agent rollout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,17 @@
 const express = require('express');
 const pool = require('../db/connection');
 const { authenticate } = require('../middleware/auth');
+const outbox = require('../websocket/outbox');
+const deviceState = require('../websocket/device-state');
+const logBuffer = require('../websocket/log-buffer');
+const connectionLog = require('../websocket/connection-log');
+const { generateConnectionKey, deriveStoredKey } = require('../utils/connection-key');
+const { LINKABLE_DEPLOYMENT_STATUSES } = require('../utils/control-generator');
+
+// Longest time an old key may keep working after a rotation (30 days)
+const MAX_GRACE_PERIOD_HOURS = 720;
+// Comment line sent on idle log tails so proxies don't close them
+const LOG_TAIL_KEEPALIVE = 25000;
 
 const router = express.Router();
 router.use(authenticate);
@@ -15,7 +26,10 @@ router.get('/:id', async (req, res) => {
     const { id } = req.params;
 
     const result = await pool.query(
-      `SELECT c.id, c.name, c.connection_key, c.last_seen, c.status, c.ip_address, c.created_at, c.project_id,
+      `SELECT c.id, c.name, c.last_seen, c.status, c.ip_address, c.created_at, c.project_id,
+              c.key_rotated_at, c.previous_key_expires_at,
+              c.agent_version, c.protocol_version, c.capabilities, c.update_pilot,
+              c.invalid_message_count, c.last_invalid_message_at,
               p.name as project_name
        FROM controllers c
        JOIN projects p ON c.project_id = p.id
@@ -37,13 +51,20 @@ router.get('/:id', async (req, res) => {
 
 /**
  * PUT /api/controllers/:id
- * Update controller name
+ * Update controller name and whether it is in the agent update pilot group
  */
 router.put('/:id', async (req, res) => {
   try {
     const { integrator_id } = req.user;
     const { id } = req.params;
-    const { name } = req.body;
+    const { name, update_pilot } = req.body;
+
+    if (update_pilot !== undefined && typeof update_pilot !== 'boolean') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'update_pilot must be a boolean'
+      });
+    }
 
     // Verify ownership
     const check = await pool.query(
@@ -59,10 +80,10 @@ router.put('/:id', async (req, res) => {
 
     const result = await pool.query(
       `UPDATE controllers
-       SET name = COALESCE($1, name), updated_at = NOW()
+       SET name = COALESCE($1, name), update_pilot = COALESCE($3, update_pilot), updated_at = NOW()
        WHERE id = $2
-       RETURNING id, name, connection_key, status, last_seen, created_at`,
-      [name, id]
+       RETURNING id, name, status, last_seen, update_pilot, created_at`,
+      [name, id, update_pilot ?? null]
     );
 
     res.json({
@@ -76,6 +97,593 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/controllers/:id/rotate-key
+ * Issue a new connection key; the old one keeps working for grace_period_hours
+ * (default 24, 0 revokes it immediately). The new key is only returned here.
+ */
+router.post('/:id/rotate-key', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+    const { grace_period_hours = 24 } = req.body || {};
+
+    const graceHours = Number(grace_period_hours);
+    if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_PERIOD_HOURS) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `grace_period_hours must be between 0 and ${MAX_GRACE_PERIOD_HOURS}`
+      });
+    }
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const connection_key = generateConnectionKey();
+    const graceSeconds = Math.round(graceHours * 3600);
+
+    // A grace period of 0 drops the old key entirely
+    const result = await pool.query(
+      `UPDATE controllers
+       SET previous_stored_key = CASE WHEN $2::int > 0 THEN stored_key END,
+           previous_key_expires_at = CASE WHEN $2::int > 0 THEN NOW() + make_interval(secs => $2::int) END,
+           stored_key = $1,
+           key_rotated_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING id, key_rotated_at, previous_key_expires_at`,
+      [deriveStoredKey(connection_key), graceSeconds, id]
+    );
+
+    // The open connection (authenticated with the old key) follows the same grace period
+    const wsServer = req.app.get('wsServer');
+    if (wsServer) {
+      await wsServer.applyKeyRotation(id, graceSeconds)
+        .catch(err => console.error('Key rotation broadcast error:', err));
+    }
+
+    res.json({
+      message: 'Connection key rotated',
+      controller_id: id,
+      connection_key,
+      key_rotated_at: result.rows[0].key_rotated_at,
+      previous_key_expires_at: result.rows[0].previous_key_expires_at
+    });
+
+  } catch (error) {
+    console.error('Rotate key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:id/telemetry
+ * Get telemetry history (downsampled into time buckets)
+ *
+ * Query: from, to (ISO dates, default last 24h), metric (cpu|memory|devices|all),
+ *        points (max buckets returned, default 300)
+ */
+router.get('/:id/telemetry', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+    const { metric = 'all' } = req.query;
+
+    const validMetrics = ['cpu', 'memory', 'devices', 'all'];
+    if (!validMetrics.includes(metric)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `metric must be one of: ${validMetrics.join(', ')}`
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    // Pick a bucket size so the response never exceeds the requested number of points
+    const maxPoints = Math.min(Math.max(parseInt(req.query.points) || 300, 1), 2000);
+    const rangeSeconds = (to.getTime() - from.getTime()) / 1000;
+    const bucketSeconds = Math.max(Math.ceil(rangeSeconds / maxPoints), 1);
+
+    const result = await pool.query(
+      `SELECT
+         to_timestamp(floor(extract(epoch FROM recorded_at) / $4) * $4) AS bucket,
+         COUNT(*)::int AS samples,
+         ROUND(AVG(cpu_percent), 2)::float AS cpu_avg,
+         MAX(cpu_percent)::float AS cpu_max,
+         ROUND(AVG(memory_percent), 2)::float AS memory_avg,
+         MAX(memory_percent)::float AS memory_max,
+         MAX(memory_used_mb) AS memory_used_mb_max,
+         MAX(devices_total) AS devices_total,
+         MIN(devices_connected) AS devices_connected_min,
+         (ARRAY_AGG(devices ORDER BY recorded_at DESC))[1] AS devices,
+         (ARRAY_AGG(agent_version ORDER BY recorded_at DESC))[1] AS agent_version
+       FROM controller_telemetry
+       WHERE controller_id = $1 AND recorded_at >= $2 AND recorded_at < $3
+       GROUP BY 1
+       ORDER BY 1`,
+      [id, from, to, bucketSeconds]
+    );
+
+    const points = result.rows.map(row => {
+      const point = { timestamp: row.bucket, samples: row.samples };
+
+      if (metric === 'cpu' || metric === 'all') {
+        point.cpu = { avg: row.cpu_avg, max: row.cpu_max };
+      }
+      if (metric === 'memory' || metric === 'all') {
+        point.memory = { avg: row.memory_avg, max: row.memory_max, used_mb_max: row.memory_used_mb_max };
+      }
+      if (metric === 'devices' || metric === 'all') {
+        point.devices = {
+          total: row.devices_total,
+          connected_min: row.devices_connected_min,
+          last_state: row.devices
+        };
+      }
+      if (metric === 'all') {
+        point.agent_version = row.agent_version;
+      }
+
+      return point;
+    });
+
+    res.json({
+      controller_id: id,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      metric,
+      bucket_seconds: bucketSeconds,
+      points
+    });
+
+  } catch (error) {
+    console.error('Get telemetry error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:id/sessions
+ * Connection history: every connect and disconnect, newest first
+ *
+ * Query: from, to (ISO dates, default last 30 days), limit (default 200)
+ */
+router.get('/:id/sessions', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const { range, error } = connectionLog.parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', message: error });
+    }
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+    const sessions = await connectionLog.list(id, range, limit);
+
+    res.json({
+      controller_id: id,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      count: sessions.length,
+      sessions
+    });
+
+  } catch (error) {
+    console.error('Get controller sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:id/uptime
+ * Uptime report over a date range, with every outage
+ *
+ * Query: from, to (ISO dates, default last 30 days), target (uptime %, e.g. 99.9)
+ */
+router.get('/:id/uptime', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const { range, error } = connectionLog.parseRange(req.query);
+    const { target, error: targetError } = connectionLog.parseTarget(req.query.target);
+    if (error || targetError) {
+      return res.status(400).json({ error: 'Validation failed', message: error || targetError });
+    }
+
+    const result = await pool.query(
+      `SELECT c.id, c.name, c.connectivity_tracked_since FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const [report] = await connectionLog.uptime(result.rows, range, { target });
+
+    res.json({
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      target,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Get controller uptime error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:id/state
+ * Get the last-known value of every control, as reported by the NUC
+ */
+router.get('/:id/state', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const [state, controls] = await Promise.all([
+      deviceState.get(id),
+      pool.query(
+        `SELECT d.device_id, dc.control_id, dc.id, dc.logical_name, dc.control_type
+         FROM device_controls dc
+         JOIN devices d ON dc.device_id = d.id
+         WHERE d.controller_id = $1`,
+        [id]
+      )
+    ]);
+
+    // Values for controls not mapped in the cloud are still returned, without control details
+    const mapped = new Map(controls.rows.map(c => [`${c.device_id}.${c.control_id}`, c]));
+
+    res.json({
+      controller_id: id,
+      state: state.map(entry => {
+        const control = mapped.get(`${entry.device_id}.${entry.control_id}`);
+        return {
+          device_id: entry.device_id,
+          control_id: entry.control_id,
+          value: entry.value,
+          reported_at: entry.reported_at,
+          control: control
+            ? { id: control.id, logical_name: control.logical_name, control_type: control.control_type }
+            : null
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get device state error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:id/logs
+ * Get recent NUC agent log lines, newest first
+ *
+ * Query: level (minimum: debug|info|warn|error), source (comma-separated),
+ *        before (line id, to page back), limit (default 200)
+ */
+router.get('/:id/logs', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const { filter, error } = logBuffer.parseFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', message: error });
+    }
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+    const before = /^\d+$/.test(req.query.before || '') ? req.query.before : null;
+    const lines = await logBuffer.query(id, filter, { before, limit });
+
+    res.json({ controller_id: id, count: lines.length, lines });
+
+  } catch (error) {
+    console.error('Get controller logs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:id/logs/stream
+ * Live log tail (Server-Sent Events) - the NUC streams while a tail is open
+ *
+ * Query: level, source (as for /logs), tail (stored lines sent first, default 100)
+ * Events: `log` with a line as data
+ */
+router.get('/:id/logs/stream', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const { filter, error } = logBuffer.parseFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', message: error });
+    }
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const wsServer = req.app.get('wsServer');
+    if (!wsServer) {
+      return res.status(500).json({ error: 'WebSocket server not available' });
+    }
+
+    if (!(await wsServer.supports(id, 'start_log_stream'))) {
+      return res.status(409).json({
+        error: 'Unsupported by controller',
+        message: 'The controller agent does not support log streaming - update the agent first'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const sendLines = (lines) => {
+      for (const line of lines) {
+        res.write(`id: ${line.id}\nevent: log\ndata: ${JSON.stringify(line)}\n\n`);
+      }
+    };
+
+    // Follow before reading the backlog so no line falls between the two
+    const buffered = [];
+    let backlogSent = false;
+    const stopTail = wsServer.tailLogs(id, filter, (lines) => {
+      if (!backlogSent) {
+        buffered.push(...lines);
+        return;
+      }
+      sendLines(lines);
+    });
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), LOG_TAIL_KEEPALIVE);
+
+    req.on('close', () => {
+      clearInterval(keepalive);
+      stopTail();
+    });
+
+    const tail = Math.min(Math.max(parseInt(req.query.tail ?? 100) || 0, 0), 1000);
+    const backlog = tail > 0 ? (await logBuffer.query(id, filter, { limit: tail })).reverse() : [];
+    sendLines(backlog);
+    const lastSentId = backlog.length > 0 ? Number(backlog[backlog.length - 1].id) : 0;
+
+    sendLines(buffered.filter(line => Number(line.id) > lastSentId));
+    backlogSent = true;
+
+  } catch (error) {
+    console.error('Controller log stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * GET /api/controllers/:id/drivers
+ * Drivers deployed to the controller that devices can be linked to
+ */
+router.get('/:id/drivers', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT drv.id, drv.name, drv.device_type, drv.manufacturer, drv.model,
+              dd.deployed_version, dd.deployment_status
+       FROM driver_deployments dd
+       JOIN device_drivers drv ON drv.id = dd.driver_id
+       WHERE dd.controller_id = $1 AND dd.deployment_status = ANY($2)
+       ORDER BY drv.name`,
+      [id, LINKABLE_DEPLOYMENT_STATUSES]
+    );
+
+    res.json({ drivers: result.rows });
+
+  } catch (error) {
+    console.error('Get controller drivers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:id/outbox
+ * List messages queued for delivery while the controller is offline
+ */
+router.get('/:id/outbox', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const messages = await outbox.list(id);
+
+    res.json({ controller_id: id, count: messages.length, messages });
+
+  } catch (error) {
+    console.error('Get outbox error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/controllers/:id/outbox
+ * Purge a controller's queued messages (optionally ?type=config_update|gui_sync|driver_sync)
+ */
+router.delete('/:id/outbox', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+    const { type } = req.query;
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const removed = await outbox.purge(id, { messageType: type || null });
+
+    res.json({ message: 'Outbox purged', removed: removed.length });
+
+  } catch (error) {
+    console.error('Purge outbox error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/controllers/:id/outbox/:messageId
+ * Remove a single queued message
+ */
+router.delete('/:id/outbox/:messageId', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id, messageId } = req.params;
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [id, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const removed = await outbox.purge(id, { id: messageId });
+
+    if (removed.length === 0) {
+      return res.status(404).json({ error: 'Queued message not found' });
+    }
+
+    res.json({ message: 'Queued message removed' });
+
+  } catch (error) {
+    console.error('Remove outbox message error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * DELETE /api/controllers/:id
  * Delete controller
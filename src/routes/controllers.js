@@ -1,7 +1,7 @@
 const express = require('express');
-const crypto = require('crypto');
 const pool = require('../db/connection');
 const { authenticate } = require('../middleware/auth');
+const { generateConnectionKey, deriveStoredKey } = require('../utils/connection-key');
 
 const router = express.Router({ mergeParams: true });
 router.use(authenticate);
@@ -26,7 +26,7 @@ router.get('/', async (req, res) => {
     }
     
     const result = await pool.query(
-      `SELECT id, name, connection_key, last_seen, status, ip_address, created_at
+      `SELECT id, name, last_seen, status, ip_address, created_at, key_rotated_at
        FROM controllers 
        WHERE project_id = $1 
        ORDER BY created_at DESC`,
@@ -68,19 +68,19 @@ router.post('/', async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
     
-    // Generate secure connection key
-    const connection_key = crypto.randomBytes(32).toString('hex');
+    // Generate secure connection key - only its StoredKey is kept, so this response is the one chance to see it
+    const connection_key = generateConnectionKey();
     
     const result = await pool.query(
-      `INSERT INTO controllers (project_id, name, connection_key) 
+      `INSERT INTO controllers (project_id, name, stored_key) 
        VALUES ($1, $2, $3) 
-       RETURNING id, name, connection_key, status, created_at`,
-      [projectId, name, connection_key]
+       RETURNING id, name, status, created_at`,
+      [projectId, name, deriveStoredKey(connection_key)]
     );
     
     res.status(201).json({ 
       message: 'Controller registered',
-      controller: result.rows[0]
+      controller: { ...result.rows[0], connection_key }
     });
     
   } catch (error) {
@@ -99,7 +99,7 @@ router.get('/:id', async (req, res) => {
     const { projectId, id } = req.params;
     
     const result = await pool.query(
-      `SELECT c.id, c.name, c.connection_key, c.last_seen, c.status, c.ip_address, c.created_at
+      `SELECT c.id, c.name, c.last_seen, c.status, c.ip_address, c.created_at, c.key_rotated_at, c.previous_key_expires_at
        FROM controllers c
        JOIN projects p ON c.project_id = p.id
        WHERE c.id = $1 AND c.project_id = $2 AND p.integrator_id = $3`,
@@ -144,7 +144,7 @@ router.put('/:id', async (req, res) => {
       `UPDATE controllers 
        SET name = COALESCE($1, name)
        WHERE id = $2
-       RETURNING id, name, connection_key, status, last_seen, created_at`,
+       RETURNING id, name, status, last_seen, created_at`,
       [name, id]
     );
     
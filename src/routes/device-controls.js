@@ -1,10 +1,63 @@
 const express = require('express');
 const pool = require('../db/connection');
 const { authenticate } = require('../middleware/auth');
+const { sendRequestError } = require('../utils/request-error');
+const { DRIVER_SET_COMMAND_JOIN, mergeValueSpec, validateControlValue } = require('../utils/control-value');
+const sceneRecorder = require('../websocket/scene-recorder');
+const { loadControlTemplates, expandSelections } = require('../utils/control-generator');
+
+// How long a live set/get waits for the NUC (it answers from the device, not a cache)
+const CONTROL_REQUEST_TIMEOUT = 5000;
 
 const router = express.Router({ mergeParams: true });
 router.use(authenticate);
 
+/**
+ * Load a control with what is needed to address it on the NUC
+ * (controller, device key), or null if it doesn't belong to the integrator
+ * Its parameters are the value spec scene steps check against (see mergeValueSpec)
+ */
+async function getLiveControl(deviceId, id, integratorId) {
+  const result = await pool.query(
+    `SELECT dc.id, dc.control_id, dc.control_type, dc.block_id, dc.parameters,
+            d.device_id AS device_key, c.id AS controller_id,
+            cmd.parameters AS command_parameters, cmd.validation_rules AS command_rules
+     FROM device_controls dc
+     JOIN devices d ON dc.device_id = d.id
+     JOIN controllers c ON d.controller_id = c.id
+     JOIN projects p ON c.project_id = p.id
+     ${DRIVER_SET_COMMAND_JOIN}
+     WHERE dc.id = $1 AND dc.device_id = $2 AND p.integrator_id = $3`,
+    [id, deviceId, integratorId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const { command_parameters, command_rules, ...control } = result.rows[0];
+  return { ...control, parameters: mergeValueSpec(control, command_parameters, command_rules) };
+}
+
+/**
+ * Load a device with its linked driver, or null if it doesn't belong to the integrator
+ */
+async function getDriverDevice(deviceId, integratorId) {
+  const result = await pool.query(
+    `SELECT d.id, d.controller_id, d.driver_id,
+            drv.name AS driver_name, drv.device_type AS driver_device_type, drv.version AS driver_version
+     FROM devices d
+     JOIN controllers c ON d.controller_id = c.id
+     JOIN projects p ON c.project_id = p.id
+     LEFT JOIN device_drivers drv ON drv.id = d.driver_id
+     WHERE d.id = $1 AND p.integrator_id = $2`,
+    [deviceId, integratorId]
+  );
+  return result.rows[0] || null;
+}
+
+const NO_DRIVER = {
+  error: 'Validation failed',
+  message: 'Device has no linked driver - link the driver deployed for it first'
+};
+
 /**
  * GET /api/devices/:deviceId/controls
  * Get all controls for a device
@@ -107,6 +160,119 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/devices/:deviceId/controls/generate
+ * Control templates proposed from the linked driver's set/get commands
+ */
+router.get('/generate', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { deviceId } = req.params;
+
+    const device = await getDriverDevice(deviceId, integrator_id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    if (!device.driver_id) {
+      return res.status(400).json(NO_DRIVER);
+    }
+
+    const [templates, existing] = await Promise.all([
+      loadControlTemplates(device.driver_id),
+      pool.query('SELECT control_id, control_type, block_id FROM device_controls WHERE device_id = $1', [deviceId])
+    ]);
+
+    res.json({
+      driver: {
+        id: device.driver_id,
+        name: device.driver_name,
+        device_type: device.driver_device_type,
+        version: device.driver_version
+      },
+      templates: templates.map(template => ({
+        ...template,
+        existing: existing.rows.filter(control => control.control_type === template.control_type)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get control templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/controls/generate
+ * Create controls from the linked driver's templates
+ *
+ * Body: { controls: [{ template, block_ids } | { template, instances: { from, to }, block_id_pattern }] }
+ * Controls whose control_id already exists on the device are skipped
+ */
+router.post('/generate', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { deviceId } = req.params;
+
+    const device = await getDriverDevice(deviceId, integrator_id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    if (!device.driver_id) {
+      return res.status(400).json(NO_DRIVER);
+    }
+
+    const templates = await loadControlTemplates(device.driver_id);
+    const { controls, errors } = expandSelections(templates, req.body?.controls);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors[0],
+        errors
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO device_controls (device_id, control_id, logical_name, control_type, block_id, parameters)
+       SELECT $1, control.*
+       FROM UNNEST($2::text[], $3::text[], $4::text[], $5::text[], $6::jsonb[]) AS control
+       ON CONFLICT (device_id, control_id) DO NOTHING
+       RETURNING id, control_id, logical_name, control_type, block_id, parameters, created_at`,
+      [
+        deviceId,
+        controls.map(control => control.control_id),
+        controls.map(control => control.logical_name),
+        controls.map(control => control.control_type),
+        controls.map(control => control.block_id),
+        controls.map(control => JSON.stringify(control.parameters))
+      ]
+    );
+
+    const created = new Set(result.rows.map(control => control.control_id));
+    const skipped = controls.map(control => control.control_id).filter(controlId => !created.has(controlId));
+
+    // Push to WebSocket if controller is connected
+    const wsServer = req.app.get('wsServer');
+    if (wsServer) {
+      for (const control of result.rows) {
+        wsServer.broadcastConfigUpdate(device.controller_id, 'control_added', {
+          device_id: deviceId,
+          control
+        });
+      }
+    }
+
+    res.status(201).json({
+      message: `${result.rows.length} control mapping(s) created`,
+      controls: result.rows,
+      skipped
+    });
+
+  } catch (error) {
+    console.error('Generate controls error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * PUT /api/devices/:deviceId/controls/:id
  * Update control mapping
@@ -203,4 +369,117 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/devices/:deviceId/controls/:id/set
+ * Set a control's value on the device now (through the owning controller)
+ */
+router.post('/:id/set', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { deviceId, id } = req.params;
+    const { value } = req.body;
+
+    const control = await getLiveControl(deviceId, id, integrator_id);
+    if (!control) {
+      return res.status(404).json({ error: 'Control not found' });
+    }
+
+    const validation = validateControlValue(control, value);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validation.error
+      });
+    }
+
+    const wsServer = req.app.get('wsServer');
+    if (!wsServer) {
+      return res.status(500).json({ error: 'WebSocket server not available' });
+    }
+
+    let reply;
+    try {
+      reply = await wsServer.request(
+        control.controller_id,
+        'set_control',
+        {
+          device_id: control.device_key,
+          control_id: control.control_id,
+          block_id: control.block_id,
+          control_type: control.control_type,
+          value
+        },
+        { timeout: CONTROL_REQUEST_TIMEOUT }
+      );
+    } catch (error) {
+      return sendRequestError(res, error);
+    }
+
+    // Recorded here only - the NUC's control_value reply isn't captured again as a device change
+    await sceneRecorder.capture(control.controller_id, [{
+      device_id: control.device_key,
+      control_id: control.control_id,
+      value: reply.data?.value ?? value,
+      reported_at: new Date()
+    }], 'api');
+
+    res.json({
+      message: 'Control value set',
+      control_id: control.control_id,
+      value: reply.data?.value ?? value
+    });
+
+  } catch (error) {
+    console.error('Set control error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/controls/:id/value
+ * Read a control's current value from the device
+ */
+router.get('/:id/value', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { deviceId, id } = req.params;
+
+    const control = await getLiveControl(deviceId, id, integrator_id);
+    if (!control) {
+      return res.status(404).json({ error: 'Control not found' });
+    }
+
+    const wsServer = req.app.get('wsServer');
+    if (!wsServer) {
+      return res.status(500).json({ error: 'WebSocket server not available' });
+    }
+
+    let reply;
+    try {
+      reply = await wsServer.request(
+        control.controller_id,
+        'get_control',
+        {
+          device_id: control.device_key,
+          control_id: control.control_id,
+          block_id: control.block_id,
+          control_type: control.control_type
+        },
+        { timeout: CONTROL_REQUEST_TIMEOUT }
+      );
+    } catch (error) {
+      return sendRequestError(res, error);
+    }
+
+    res.json({
+      control_id: control.control_id,
+      value: reply.data?.value ?? null
+    });
+
+  } catch (error) {
+    console.error('Get control value error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const pool = require('../db/connection');
 const { authenticate } = require('../middleware/auth');
+const { driverLinkError } = require('../utils/control-generator');
 
 const router = express.Router();
 router.use(authenticate);
@@ -15,7 +16,7 @@ router.get('/:id', async (req, res) => {
     const { id } = req.params;
 
     const result = await pool.query(
-      `SELECT d.id, d.device_id, d.name, d.type, d.connection_config, d.status, d.created_at, d.updated_at, d.controller_id
+      `SELECT d.id, d.device_id, d.name, d.type, d.connection_config, d.status, d.driver_id, d.created_at, d.updated_at, d.controller_id
        FROM devices d
        JOIN controllers c ON d.controller_id = c.id
        JOIN projects p ON c.project_id = p.id
@@ -43,7 +44,7 @@ router.put('/:id', async (req, res) => {
   try {
     const { integrator_id } = req.user;
     const { id } = req.params;
-    const { name, type, connection_config, status } = req.body;
+    const { name, type, connection_config, status, driver_id } = req.body;
 
     // Verify ownership and get controller_id
     const check = await pool.query(
@@ -60,16 +61,25 @@ router.put('/:id', async (req, res) => {
 
     const controllerId = check.rows[0].controller_id;
 
+    // driver_id: null unlinks the driver, leaving it out keeps the current one
+    if (driver_id !== undefined && driver_id !== null) {
+      const driverError = await driverLinkError(controllerId, driver_id);
+      if (driverError) {
+        return res.status(400).json({ error: 'Validation failed', message: driverError });
+      }
+    }
+
     const result = await pool.query(
       `UPDATE devices
        SET name = COALESCE($1, name),
            type = COALESCE($2, type),
            connection_config = COALESCE($3, connection_config),
            status = COALESCE($4, status),
+           driver_id = CASE WHEN $6 THEN $7::uuid ELSE driver_id END,
            updated_at = NOW()
        WHERE id = $5
-       RETURNING id, device_id, name, type, connection_config, status, created_at, updated_at`,
-      [name, type, connection_config, status, id]
+       RETURNING id, device_id, name, type, connection_config, status, driver_id, created_at, updated_at`,
+      [name, type, connection_config, status, id, driver_id !== undefined, driver_id ?? null]
     );
 
     // Push to WebSocket if controller is connected
@@ -1,6 +1,7 @@
 const express = require('express');
 const pool = require('../db/connection');
 const { authenticate } = require('../middleware/auth');
+const { driverLinkError } = require('../utils/control-generator');
 
 const router = express.Router({ mergeParams: true });
 router.use(authenticate);
@@ -27,7 +28,7 @@ router.get('/', async (req, res) => {
     }
     
     const result = await pool.query(
-      `SELECT id, device_id, name, type, connection_config, status, created_at, updated_at
+      `SELECT id, device_id, name, type, connection_config, status, driver_id, created_at, updated_at
        FROM devices 
        WHERE controller_id = $1 
        ORDER BY created_at DESC`,
@@ -50,7 +51,7 @@ router.post('/', async (req, res) => {
   try {
     const { integrator_id } = req.user;
     const { controllerId } = req.params;
-    const { device_id, name, type, connection_config } = req.body;
+    const { device_id, name, type, connection_config, driver_id } = req.body;
     
     // Validation
     if (!device_id || !name || !type) {
@@ -71,12 +72,19 @@ router.post('/', async (req, res) => {
     if (controllerCheck.rows.length === 0) {
       return res.status(404).json({ error: 'Controller not found' });
     }
+
+    if (driver_id !== undefined && driver_id !== null) {
+      const driverError = await driverLinkError(controllerId, driver_id);
+      if (driverError) {
+        return res.status(400).json({ error: 'Validation failed', message: driverError });
+      }
+    }
     
     const result = await pool.query(
-      `INSERT INTO devices (controller_id, device_id, name, type, connection_config) 
-       VALUES ($1, $2, $3, $4, $5) 
-       RETURNING id, device_id, name, type, connection_config, status, created_at`,
-      [controllerId, device_id, name, type, connection_config || null]
+      `INSERT INTO devices (controller_id, device_id, name, type, connection_config, driver_id) 
+       VALUES ($1, $2, $3, $4, $5, $6) 
+       RETURNING id, device_id, name, type, connection_config, status, driver_id, created_at`,
+      [controllerId, device_id, name, type, connection_config || null, driver_id || null]
     );
     
     // Push to WebSocket if controller is connected
@@ -114,7 +122,7 @@ router.get('/:id', async (req, res) => {
     const { controllerId, id } = req.params;
     
     const result = await pool.query(
-      `SELECT d.id, d.device_id, d.name, d.type, d.connection_config, d.status, d.created_at, d.updated_at
+      `SELECT d.id, d.device_id, d.name, d.type, d.connection_config, d.status, d.driver_id, d.created_at, d.updated_at
        FROM devices d
        JOIN controllers c ON d.controller_id = c.id
        JOIN projects p ON c.project_id = p.id
@@ -142,7 +150,7 @@ router.put('/:id', async (req, res) => {
   try {
     const { integrator_id } = req.user;
     const { controllerId, id } = req.params;
-    const { name, type, connection_config, status } = req.body;
+    const { name, type, connection_config, status, driver_id } = req.body;
     
     // Verify ownership
     const check = await pool.query(
@@ -156,16 +164,25 @@ router.put('/:id', async (req, res) => {
     if (check.rows.length === 0) {
       return res.status(404).json({ error: 'Device not found' });
     }
+
+    // driver_id: null unlinks the driver, leaving it out keeps the current one
+    if (driver_id !== undefined && driver_id !== null) {
+      const driverError = await driverLinkError(controllerId, driver_id);
+      if (driverError) {
+        return res.status(400).json({ error: 'Validation failed', message: driverError });
+      }
+    }
     
     const result = await pool.query(
       `UPDATE devices 
        SET name = COALESCE($1, name),
            type = COALESCE($2, type),
            connection_config = COALESCE($3, connection_config),
-           status = COALESCE($4, status)
+           status = COALESCE($4, status),
+           driver_id = CASE WHEN $6 THEN $7::uuid ELSE driver_id END
        WHERE id = $5
-       RETURNING id, device_id, name, type, connection_config, status, created_at, updated_at`,
-      [name, type, connection_config, status, id]
+       RETURNING id, device_id, name, type, connection_config, status, driver_id, created_at, updated_at`,
+      [name, type, connection_config, status, id, driver_id !== undefined, driver_id ?? null]
     );
 
     // Push to WebSocket if controller is connected
@@ -201,7 +218,7 @@ router.delete('/:id', async (req, res) => {
        USING controllers c, projects p
        WHERE d.id = $1 AND d.controller_id = $2
        AND c.id = $2 AND p.id = c.project_id AND p.integrator_id = $3
-       RETURNING d.id`,
+       RETURNING d.id, d.device_id`,
       [id, controllerId, integrator_id]
     );
     
@@ -209,7 +226,13 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Device not found' });
     }
 
-    
+    // Push to WebSocket if controller is connected
+    const wsServer = req.app.get('wsServer');
+    if (wsServer) {
+      wsServer.broadcastConfigUpdate(controllerId, 'device_deleted', {
+        device_id: result.rows[0].device_id
+      });
+    }
     
     res.json({ message: 'Device deleted' });
     
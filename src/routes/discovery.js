@@ -0,0 +1,334 @@
+const express = require('express');
+const pool = require('../db/connection');
+const { authenticate } = require('../middleware/auth');
+const { sendRequestError } = require('../utils/request-error');
+const discovery = require('../websocket/discovery');
+
+const router = express.Router({ mergeParams: true });
+router.use(authenticate);
+
+const SUGGESTION_STATUSES = ['new', 'imported', 'dismissed'];
+// Device type of imports without a matched driver
+const GENERIC_DEVICE_TYPE = 'generic_tcp';
+
+/**
+ * POST /api/controllers/:controllerId/discovery/scans
+ * Ask the NUC to scan its LAN; results arrive as discovery_result messages
+ *
+ * Body: { subnets, ports, timeout_seconds } (all optional - the NUC's own subnets and port list by default)
+ */
+router.post('/scans', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId } = req.params;
+    const options = {
+      subnets: req.body.subnets,
+      ports: req.body.ports,
+      timeout_seconds: req.body.timeout_seconds
+    };
+
+    const validationError = discovery.validate(options);
+    if (validationError) {
+      return res.status(400).json({ error: 'Validation failed', message: validationError });
+    }
+
+    // Verify controller ownership
+    const controllerCheck = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [controllerId, integrator_id]
+    );
+
+    if (controllerCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const wsServer = req.app.get('wsServer');
+    if (!wsServer) {
+      return res.status(500).json({ error: 'WebSocket server not available' });
+    }
+
+    await discovery.expireScans(controllerId);
+
+    const running = await pool.query(
+      `SELECT id FROM device_discovery_scans
+       WHERE controller_id = $1 AND status IN ('pending', 'running')`,
+      [controllerId]
+    );
+    if (running.rows.length > 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A discovery scan is already running on this controller',
+        scan_id: running.rows[0].id
+      });
+    }
+
+    const scan = await discovery.createScan(controllerId, options);
+
+    try {
+      // The NUC acks once the scan has started
+      await wsServer.request(controllerId, 'discover_devices', discovery.command(scan));
+    } catch (error) {
+      await discovery.markFailed(scan.id, error.message);
+      return sendRequestError(res, error);
+    }
+
+    const started = await discovery.markRunning(scan.id);
+    if (started.status === 'running') {
+      wsServer.emitControllerEvent(controllerId, 'device_discovery', {
+        scan_id: started.id,
+        status: started.status,
+        devices_found: started.devices_found,
+        error: null
+      });
+    }
+
+    res.status(202).json({
+      message: 'Discovery scan started',
+      scan: started
+    });
+
+  } catch (error) {
+    console.error('Start discovery scan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:controllerId/discovery/scans
+ * Recent discovery scans, newest first
+ */
+router.get('/scans', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    // Verify controller ownership
+    const controllerCheck = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [controllerId, integrator_id]
+    );
+
+    if (controllerCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    await discovery.expireScans(controllerId);
+
+    const result = await pool.query(
+      `SELECT * FROM device_discovery_scans
+       WHERE controller_id = $1
+       ORDER BY started_at DESC
+       LIMIT $2`,
+      [controllerId, limit]
+    );
+
+    res.json({ scans: result.rows });
+
+  } catch (error) {
+    console.error('Get discovery scans error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:controllerId/discovery/suggestions
+ * Devices found on the controller's LAN, with the driver they matched
+ *
+ * Query: status (new|imported|dismissed|all, default new)
+ */
+router.get('/suggestions', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId } = req.params;
+    const { status = 'new' } = req.query;
+
+    if (status !== 'all' && !SUGGESTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `status must be one of: ${[...SUGGESTION_STATUSES, 'all'].join(', ')}`
+      });
+    }
+
+    // Verify controller ownership
+    const controllerCheck = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [controllerId, integrator_id]
+    );
+
+    if (controllerCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT dd.*, drv.name AS driver_name, drv.device_type AS driver_device_type,
+              drv.manufacturer AS driver_manufacturer, drv.model AS driver_model
+       FROM discovered_devices dd
+       LEFT JOIN device_drivers drv ON dd.driver_id = drv.id
+       WHERE dd.controller_id = $1 AND ($2 = 'all' OR dd.status = $2)
+       ORDER BY (dd.driver_id IS NULL), dd.match_confidence, dd.ip_address`,
+      [controllerId, status]
+    );
+
+    res.json({ suggestions: result.rows });
+
+  } catch (error) {
+    console.error('Get discovery suggestions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/controllers/:controllerId/discovery/suggestions/:id/import
+ * Create a device from a suggestion
+ *
+ * Body (all optional): { device_id, name, type, port } - defaults come from the matched driver
+ */
+router.post('/suggestions/:id/import', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+
+    await client.query('BEGIN');
+
+    const suggestionResult = await client.query(
+      `SELECT dd.*, drv.device_type AS driver_device_type, drv.manufacturer AS driver_manufacturer,
+              drv.model AS driver_model, drv.connection_config AS driver_connection_config
+       FROM discovered_devices dd
+       JOIN controllers c ON dd.controller_id = c.id
+       JOIN projects p ON c.project_id = p.id
+       LEFT JOIN device_drivers drv ON dd.driver_id = drv.id
+       WHERE dd.id = $1 AND dd.controller_id = $2 AND p.integrator_id = $3
+       FOR UPDATE OF dd`,
+      [id, controllerId, integrator_id]
+    );
+
+    if (suggestionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    const suggestion = suggestionResult.rows[0];
+    if (suggestion.status === 'imported' && suggestion.device_id) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Suggestion was already imported',
+        device_id: suggestion.device_id
+      });
+    }
+
+    // The driver's port if the device has it open, else the first open port
+    const driverPort = Number(suggestion.driver_connection_config?.port) || null;
+    const defaultPort = driverPort && suggestion.open_ports.includes(driverPort)
+      ? driverPort
+      : suggestion.open_ports[0] || driverPort;
+
+    const type = req.body.type || suggestion.driver_device_type || GENERIC_DEVICE_TYPE;
+    const port = req.body.port !== undefined ? req.body.port : defaultPort;
+    const deviceId = req.body.device_id ||
+      `${type}_${suggestion.ip_address.replace(/[.:]/g, '_')}`.slice(0, 100);
+    const name = req.body.name ||
+      [suggestion.driver_manufacturer, suggestion.driver_model].filter(Boolean).join(' ') ||
+      suggestion.hostname ||
+      `Device at ${suggestion.ip_address}`;
+
+    if (port !== null && !(Number.isInteger(port) && port >= 1 && port <= 65535)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'port must be an integer between 1 and 65535'
+      });
+    }
+
+    // The matched driver handles the device if it is deployed here and the type was kept
+    const deviceResult = await client.query(
+      `INSERT INTO devices (controller_id, device_id, name, type, connection_config, driver_id)
+       VALUES ($1, $2, $3, $4, $5, (
+         SELECT dep.driver_id FROM driver_deployments dep
+         WHERE dep.controller_id = $1 AND dep.driver_id = $6
+           AND dep.deployment_status IN ('pending', 'syncing', 'active')
+       ))
+       RETURNING id, device_id, name, type, connection_config, status, driver_id, created_at`,
+      [controllerId, deviceId, name, type, { host: suggestion.ip_address, port },
+        type === suggestion.driver_device_type ? suggestion.driver_id : null]
+    );
+    const device = deviceResult.rows[0];
+
+    await client.query(
+      `UPDATE discovered_devices SET status = 'imported', device_id = $2 WHERE id = $1`,
+      [id, device.id]
+    );
+
+    await client.query('COMMIT');
+
+    // Push to WebSocket if controller is connected
+    const wsServer = req.app.get('wsServer');
+    if (wsServer) {
+      wsServer.broadcastConfigUpdate(controllerId, 'device_added', { device });
+    }
+
+    res.status(201).json({
+      message: 'Device created',
+      device
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.code === '23505') { // Unique violation
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Device ID already exists for this controller'
+      });
+    }
+    console.error('Import discovered device error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/controllers/:controllerId/discovery/suggestions/:id/dismiss
+ * Hide a suggestion (it comes back if another device shows up at its address)
+ */
+router.post('/suggestions/:id/dismiss', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+
+    const result = await pool.query(
+      `UPDATE discovered_devices dd
+       SET status = 'dismissed'
+       FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE dd.id = $1 AND dd.controller_id = $2
+         AND c.id = dd.controller_id AND p.integrator_id = $3
+       RETURNING dd.id, dd.status`,
+      [id, controllerId, integrator_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    res.json({
+      message: 'Suggestion dismissed',
+      suggestion: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Dismiss discovered device error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -608,6 +608,15 @@ router.post('/:id/deploy', async (req, res) => {
       });
     }
 
+    // An agent without driver_sync would silently ignore the deployment
+    const wsServer = req.app.get('wsServer');
+    if (wsServer && !(await wsServer.supports(controllerId, 'driver_sync'))) {
+      return res.status(409).json({
+        error: 'Unsupported by controller',
+        message: 'The controller agent does not support driver_sync - update the agent first'
+      });
+    }
+
     const syncId = uuidv4();
 
     // Create deployment record
@@ -625,10 +634,10 @@ router.post('/:id/deploy', async (req, res) => {
       [id, controllerId, driver.version, syncId, integrator_id]
     );
 
-    // Send deployment via WebSocket
-    const wsServer = req.app.get('wsServer');
+    // Send deployment via WebSocket (queued until reconnect if offline)
+    let delivery = { delivered: false, queued: false };
     if (wsServer) {
-      const sent = wsServer.sendToController(controllerId, {
+      delivery = await wsServer.deliver(controllerId, {
         type: 'driver_sync',
         timestamp: new Date().toISOString(),
         data: {
@@ -643,11 +652,18 @@ router.post('/:id/deploy', async (req, res) => {
         }
       });
 
-      if (!sent) {
-        console.warn(`Failed to send driver to controller ${controllerId} - controller offline`);
-      } else {
+      if (delivery.delivered) {
         console.log(`Driver deployment message sent to controller ${controllerId}`);
+      } else {
+        console.warn(`Controller ${controllerId} offline - driver deployment queued`);
       }
+
+      wsServer.emitControllerEvent(controllerId, 'driver_deployment', {
+        sync_id: syncId,
+        driver_id: id,
+        status: 'pending',
+        queued: delivery.queued
+      });
     }
 
     res.json({
@@ -655,7 +671,8 @@ router.post('/:id/deploy', async (req, res) => {
       syncId,
       driverId: id,
       controllerId,
-      status: 'pending'
+      status: 'pending',
+      queued: delivery.queued
     });
 
   } catch (error) {
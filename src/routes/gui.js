@@ -168,21 +168,16 @@ router.post('/sync', async (req, res) => {
       return res.status(500).json({ error: 'WebSocket server not available' });
     }
 
-    const sent = await wsServer.syncGUI(controllerId, syncId, version, deployedFiles);
-
-    if (sent) {
-      res.json({
-        message: 'Sync initiated',
-        syncId,
-        version,
-        fileCount: Object.keys(deployedFiles).length
-      });
-    } else {
-      res.status(503).json({
-        error: 'Controller offline',
-        message: 'Controller is not connected via WebSocket'
-      });
-    }
+    const { delivered } = await wsServer.syncGUI(controllerId, syncId, version, deployedFiles);
+
+    // Offline controllers get the sync from their outbox when they reconnect
+    res.status(delivered ? 200 : 202).json({
+      message: delivered ? 'Sync initiated' : 'Sync queued',
+      syncId,
+      version,
+      fileCount: Object.keys(deployedFiles).length,
+      queued: !delivered
+    });
 
   } catch (error) {
     console.error('Sync error:', error);
@@ -1,6 +1,8 @@
 const express = require('express');
 const pool = require('../db/connection');
 const { authenticate } = require('../middleware/auth');
+const connectionLog = require('../websocket/connection-log');
+const sceneSchedules = require('../websocket/scene-schedules');
 
 const router = express.Router();
 
@@ -16,7 +18,7 @@ router.get('/', async (req, res) => {
     const { integrator_id } = req.user;
     
     const result = await pool.query(
-      `SELECT id, name, customer_name, location, created_at, updated_at
+      `SELECT id, name, customer_name, location, timezone, holidays::text[] AS holidays, created_at, updated_at
        FROM projects 
        WHERE integrator_id = $1 
        ORDER BY created_at DESC`,
@@ -38,7 +40,7 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const { integrator_id } = req.user;
-    const { name, customer_name, location } = req.body;
+    const { name, customer_name, location, timezone, holidays } = req.body;
     
     // Validation
     if (!name) {
@@ -47,12 +49,17 @@ router.post('/', async (req, res) => {
         message: 'Project name is required' 
       });
     }
+
+    const calendarError = sceneSchedules.validateCalendar({ timezone, holidays });
+    if (calendarError) {
+      return res.status(400).json({ error: 'Validation failed', message: calendarError });
+    }
     
     const result = await pool.query(
-      `INSERT INTO projects (integrator_id, name, customer_name, location) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING id, name, customer_name, location, created_at, updated_at`,
-      [integrator_id, name, customer_name, location]
+      `INSERT INTO projects (integrator_id, name, customer_name, location, timezone, holidays) 
+       VALUES ($1, $2, $3, $4, COALESCE($5, 'UTC'), COALESCE($6, '{}'::date[])) 
+       RETURNING id, name, customer_name, location, timezone, holidays::text[] AS holidays, created_at, updated_at`,
+      [integrator_id, name, customer_name, location, timezone, holidays]
     );
     
     res.status(201).json({ 
@@ -76,7 +83,7 @@ router.get('/:id', async (req, res) => {
     const { id } = req.params;
     
     const result = await pool.query(
-      `SELECT id, name, customer_name, location, created_at, updated_at
+      `SELECT id, name, customer_name, location, timezone, holidays::text[] AS holidays, created_at, updated_at
        FROM projects 
        WHERE id = $1 AND integrator_id = $2`,
       [id, integrator_id]
@@ -94,6 +101,193 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/projects/:id/uptime
+ * Uptime report of every controller in the project over a date range
+ *
+ * Query: from, to (ISO dates, default last 30 days), target (uptime %, e.g. 99.9)
+ */
+router.get('/:id/uptime', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const { range, error } = connectionLog.parseRange(req.query);
+    const { target, error: targetError } = connectionLog.parseTarget(req.query.target);
+    if (error || targetError) {
+      return res.status(400).json({ error: 'Validation failed', message: error || targetError });
+    }
+
+    const project = await pool.query(
+      'SELECT id, name FROM projects WHERE id = $1 AND integrator_id = $2',
+      [id, integrator_id]
+    );
+
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const controllers = await pool.query(
+      `SELECT id, name, connectivity_tracked_since FROM controllers
+       WHERE project_id = $1
+       ORDER BY name`,
+      [id]
+    );
+
+    // Outages are listed per controller by /api/controllers/:id/uptime
+    const reports = await connectionLog.uptime(controllers.rows, range, { target, includeOutages: false });
+
+    res.json({
+      project_id: id,
+      project_name: project.rows[0].name,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      target,
+      summary: connectionLog.summarize(reports, target),
+      controllers: reports
+    });
+
+  } catch (error) {
+    console.error('Get project uptime error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/schedules
+ * Scene schedules of every controller in the project
+ */
+router.get('/:id/schedules', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+
+    const project = await pool.query(
+      'SELECT id, timezone, holidays::text[] AS holidays FROM projects WHERE id = $1 AND integrator_id = $2',
+      [id, integrator_id]
+    );
+
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const schedules = await sceneSchedules.find(integrator_id, { projectId: id });
+
+    res.json({
+      timezone: project.rows[0].timezone,
+      holidays: project.rows[0].holidays,
+      schedules
+    });
+
+  } catch (error) {
+    console.error('Get project schedules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/schedules
+ * Schedule a scene on every controller of the project that has it
+ * (e.g. shut down every meeting room at 10pm)
+ *
+ * Body: { scene_id (the scene's scene_id, e.g. "system_off"), cron_expression, name,
+ *         enabled, skip_holidays, exception_dates, controller_ids (optional subset) }
+ */
+router.post('/:id/schedules', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { integrator_id } = req.user;
+    const { id } = req.params;
+    const { scene_id, controller_ids } = req.body;
+
+    if (!scene_id || typeof scene_id !== 'string') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'scene_id and cron_expression are required'
+      });
+    }
+    if (controller_ids !== undefined && !Array.isArray(controller_ids)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'controller_ids must be a list of controller IDs'
+      });
+    }
+
+    const validationError = sceneSchedules.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: 'Validation failed', message: validationError });
+    }
+
+    const project = await client.query(
+      'SELECT id FROM projects WHERE id = $1 AND integrator_id = $2',
+      [id, integrator_id]
+    );
+
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const controllers = await client.query(
+      `SELECT c.id, c.name, s.id AS scene_uuid
+       FROM controllers c
+       LEFT JOIN scenes s ON s.controller_id = c.id AND s.scene_id = $2
+       WHERE c.project_id = $1 AND ($3::text[] IS NULL OR c.id::text = ANY($3))
+       ORDER BY c.name`,
+      [id, scene_id, controller_ids || null]
+    );
+
+    const targets = controllers.rows.filter(c => c.scene_uuid);
+    if (targets.length === 0) {
+      return res.status(404).json({
+        error: 'Scene not found',
+        message: `No controller in this project has scene ${scene_id}`
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const created = [];
+    for (const controller of targets) {
+      const scheduleId = await sceneSchedules.create(client, {
+        ...req.body,
+        controllerId: controller.id,
+        sceneId: controller.scene_uuid,
+        integratorId: integrator_id
+      });
+      created.push({ scheduleId, controllerId: controller.id });
+    }
+
+    await client.query('COMMIT');
+
+    // Push to WebSocket
+    const wsServer = req.app.get('wsServer');
+    for (const { scheduleId, controllerId } of created) {
+      await sceneSchedules.notify(wsServer, controllerId, 'schedule_added', scheduleId);
+    }
+
+    const createdIds = new Set(created.map(c => c.scheduleId));
+    const schedules = (await sceneSchedules.find(integrator_id, { projectId: id }))
+      .filter(schedule => createdIds.has(schedule.id));
+
+    res.status(201).json({
+      message: `Scene scheduled on ${schedules.length} controller(s)`,
+      schedules,
+      // Controllers without the scene
+      skipped: controllers.rows
+        .filter(c => !c.scene_uuid)
+        .map(c => ({ controller_id: c.id, name: c.name, reason: 'Scene not found on this controller' }))
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Create project schedules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * PUT /api/projects/:id
  * Update project
@@ -102,11 +296,16 @@ router.put('/:id', async (req, res) => {
   try {
     const { integrator_id } = req.user;
     const { id } = req.params;
-    const { name, customer_name, location } = req.body;
+    const { name, customer_name, location, timezone, holidays } = req.body;
+
+    const calendarError = sceneSchedules.validateCalendar({ timezone, holidays });
+    if (calendarError) {
+      return res.status(400).json({ error: 'Validation failed', message: calendarError });
+    }
     
     // Verify ownership
     const check = await pool.query(
-      'SELECT id FROM projects WHERE id = $1 AND integrator_id = $2',
+      'SELECT id, timezone, holidays::text[] AS holidays FROM projects WHERE id = $1 AND integrator_id = $2',
       [id, integrator_id]
     );
     
@@ -118,11 +317,21 @@ router.put('/:id', async (req, res) => {
       `UPDATE projects 
        SET name = COALESCE($1, name),
            customer_name = COALESCE($2, customer_name),
-           location = COALESCE($3, location)
-       WHERE id = $4
-       RETURNING id, name, customer_name, location, created_at, updated_at`,
-      [name, customer_name, location, id]
+           location = COALESCE($3, location),
+           timezone = COALESCE($4, timezone),
+           holidays = COALESCE($5, holidays)
+       WHERE id = $6
+       RETURNING id, name, customer_name, location, timezone, holidays::text[] AS holidays, created_at, updated_at`,
+      [name, customer_name, location, timezone, holidays ? [...new Set(holidays)].sort() : null, id]
     );
+
+    // Schedules carry the project calendar, so the NUCs need them again
+    const previous = check.rows[0];
+    const project = result.rows[0];
+    if (project.timezone !== previous.timezone ||
+        project.holidays.join(',') !== previous.holidays.join(',')) {
+      await sceneSchedules.resyncProject(req.app.get('wsServer'), id);
+    }
     
     res.json({ 
       message: 'Project updated',
@@ -0,0 +1,247 @@
+const express = require('express');
+const pool = require('../db/connection');
+const { authenticate } = require('../middleware/auth');
+const sceneRecorder = require('../websocket/scene-recorder');
+const { loadStepTargets, validateSteps, MAX_DELAY_MS } = require('../utils/scene-steps');
+const { DEFAULT_MERGE_WINDOW_MS, proposeSteps } = require('../utils/scene-recording');
+
+const router = express.Router({ mergeParams: true });
+router.use(authenticate);
+
+// "Evening Preset" -> evening_preset, made unique among the controller's scene_ids
+function suggestSceneId(name, existing) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 90) || 'recorded_scene';
+  let sceneId = base;
+  for (let n = 2; existing.has(sceneId); n++) {
+    sceneId = `${base}_${n}`;
+  }
+  return sceneId;
+}
+
+/**
+ * GET /api/controllers/:controllerId/recordings
+ * Get a controller's recordings, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    // Verify controller ownership
+    const controllerCheck = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [controllerId, integrator_id]
+    );
+
+    if (controllerCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const recordings = await sceneRecorder.find(integrator_id, { controllerId, limit });
+
+    res.json({ recordings });
+
+  } catch (error) {
+    console.error('Get recordings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/controllers/:controllerId/recordings
+ * Start recording the controller's control changes
+ *
+ * Body: { name } (optional), used for the proposed scene
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId } = req.params;
+
+    const validationError = sceneRecorder.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: 'Validation failed', message: validationError });
+    }
+
+    // Verify controller ownership
+    const controllerCheck = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [controllerId, integrator_id]
+    );
+
+    if (controllerCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const recording = await sceneRecorder.start(controllerId, {
+      name: req.body.name,
+      integratorId: integrator_id
+    });
+
+    if (!recording) {
+      const [active] = await sceneRecorder.find(integrator_id, { controllerId, limit: 1 });
+      return res.status(409).json({
+        error: 'Recording in progress',
+        message: 'The controller is already being recorded - stop that recording first',
+        recording: active
+      });
+    }
+
+    res.status(201).json({
+      message: 'Recording started',
+      recording
+    });
+
+  } catch (error) {
+    console.error('Start recording error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:controllerId/recordings/:id
+ * Get a recording with the changes it captured
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+
+    const [recording] = await sceneRecorder.find(integrator_id, { id, controllerId, limit: 1 });
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    const changes = await sceneRecorder.changes(id);
+
+    res.json({ recording, changes });
+
+  } catch (error) {
+    console.error('Get recording error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/controllers/:controllerId/recordings/:id/stop
+ * Stop capturing changes
+ */
+router.post('/:id/stop', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+
+    // Verify ownership
+    const [existing] = await sceneRecorder.find(integrator_id, { id, controllerId, limit: 1 });
+    if (!existing) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    const recording = await sceneRecorder.stop(id);
+    if (!recording) {
+      return res.status(409).json({ error: 'Recording not running', message: 'Recording already stopped' });
+    }
+
+    res.json({
+      message: 'Recording stopped',
+      recording
+    });
+
+  } catch (error) {
+    console.error('Stop recording error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/controllers/:controllerId/recordings/:id/proposal
+ * Propose a scene from the recorded changes (nothing is saved)
+ *
+ * Body: { collapse, merge_window_ms, name } (all optional)
+ */
+router.post('/:id/proposal', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+    const { collapse = false, merge_window_ms = DEFAULT_MERGE_WINDOW_MS, name } = req.body || {};
+
+    if (typeof collapse !== 'boolean') {
+      return res.status(400).json({ error: 'Validation failed', message: 'collapse must be a boolean' });
+    }
+    if (!Number.isInteger(merge_window_ms) || merge_window_ms < 0 || merge_window_ms > MAX_DELAY_MS) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `merge_window_ms must be an integer between 0 and ${MAX_DELAY_MS}`
+      });
+    }
+
+    const [recording] = await sceneRecorder.find(integrator_id, { id, controllerId, limit: 1 });
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    const [changes, targets, scenes] = await Promise.all([
+      sceneRecorder.changes(id),
+      loadStepTargets(controllerId),
+      pool.query('SELECT scene_id FROM scenes WHERE controller_id = $1', [controllerId])
+    ]);
+
+    const proposal = proposeSteps(changes, targets, { collapse, mergeWindowMs: merge_window_ms });
+    const sceneName = name || recording.name || `Recording ${new Date(recording.started_at).toISOString().slice(0, 16).replace('T', ' ')}`;
+
+    // Values the controls no longer accept (e.g. a range changed since) are for the editor to fix
+    const { errors } = validateSteps(proposal.steps, targets);
+
+    res.json({
+      recording,
+      scene: {
+        scene_id: suggestSceneId(sceneName, new Set(scenes.rows.map(scene => scene.scene_id))),
+        name: sceneName,
+        steps: proposal.steps
+      },
+      changes_recorded: changes.length,
+      changes_used: proposal.changes_used,
+      warnings: proposal.warnings,
+      step_errors: errors
+    });
+
+  } catch (error) {
+    console.error('Propose recording scene error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/controllers/:controllerId/recordings/:id
+ * Discard a recording and its changes (a running one is stopped)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+
+    // Verify ownership
+    const [existing] = await sceneRecorder.find(integrator_id, { id, controllerId, limit: 1 });
+    if (!existing) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    if (existing.status === 'recording') {
+      await sceneRecorder.stop(id);
+    }
+    await pool.query('DELETE FROM scene_recordings WHERE id = $1', [id]);
+
+    res.json({ message: 'Recording deleted' });
+
+  } catch (error) {
+    console.error('Delete recording error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,114 @@
 const express = require('express');
 const pool = require('../db/connection');
 const { authenticate } = require('../middleware/auth');
+const { sendRequestError } = require('../utils/request-error');
+const { UUID_PATTERN } = require('../websocket/message-schemas');
+const sceneSchedules = require('../websocket/scene-schedules');
+const deviceState = require('../websocket/device-state');
+const { simulateScene } = require('../utils/scene-simulator');
+const {
+  ADVANCED_ACTIONS, loadStepTargets, resolveControl, validateSteps, sceneReferences, findCycle, sceneOrder
+} = require('../utils/scene-steps');
+const { controlKey, selectScenes, usedControls, suggestMapping, remapSteps } = require('../utils/scene-copy');
 
 const router = express.Router({ mergeParams: true });
 router.use(authenticate);
 
+/**
+ * Close a scene run that never reached the controller
+ */
+async function markExecutionOffline(executionId) {
+  await pool.query(
+    `UPDATE scene_executions
+     SET status = 'failed', error_message = 'Controller offline', completed_at = NOW()
+     WHERE id = $1`,
+    [executionId]
+  );
+}
+
+const CONCURRENCY_POLICIES = ['queue', 'replace', 'reject'];
+const MAX_GROUP_LENGTH = 100;
+
+/**
+ * Check a scene's concurrency policy and exclusive group (either may be omitted)
+ * @returns {string|null} - Error message
+ */
+function policyError({ concurrency, exclusive_group }) {
+  if (concurrency !== undefined && !CONCURRENCY_POLICIES.includes(concurrency)) {
+    return `concurrency must be one of: ${CONCURRENCY_POLICIES.join(', ')}`;
+  }
+  if (exclusive_group !== undefined && exclusive_group !== null &&
+      (typeof exclusive_group !== 'string' || !exclusive_group.trim() || exclusive_group.length > MAX_GROUP_LENGTH)) {
+    return `exclusive_group must be a non-empty string of up to ${MAX_GROUP_LENGTH} characters, or null`;
+  }
+  return null;
+}
+
+// Blank groups are stored as no group
+const groupValue = (group) => (group ? group.trim() : null);
+
+// Response body listing the problems validateSteps() found
+function stepErrorsBody(errors) {
+  return {
+    error: 'Validation failed',
+    message: `${errors.length} problem(s) in scene steps`,
+    step_errors: errors
+  };
+}
+
+/**
+ * Check scene steps against the controller's controls, scenes and agent
+ * @param {Object} req - Request (for the WebSocket server)
+ * @param {string} controllerId - Controller UUID
+ * @param {string} sceneKey - scene_id of the scene being saved
+ * @param {Array} steps - Its new steps
+ * @returns {Object|null} - { status, body } error response, null when the steps are valid
+ */
+async function checkSteps(req, controllerId, sceneKey, steps) {
+  const scenes = await pool.query(
+    'SELECT scene_id, steps FROM scenes WHERE controller_id = $1',
+    [controllerId]
+  );
+
+  // Its own scene_id is known, so a scene running itself is reported as a cycle
+  const sceneKeys = [...scenes.rows.map(scene => scene.scene_id), sceneKey];
+
+  const { errors, advanced } = validateSteps(steps, await loadStepTargets(controllerId), sceneKeys);
+  if (errors.length > 0) {
+    return { status: 400, body: stepErrorsBody(errors) };
+  }
+
+  // The other scenes as stored, this one as it would be saved
+  const graph = new Map(scenes.rows.map(scene => [scene.scene_id, sceneReferences(scene.steps)]));
+  graph.set(sceneKey, sceneReferences(steps));
+
+  const cycle = findCycle(graph, sceneKey);
+  if (cycle) {
+    return {
+      status: 400,
+      body: {
+        error: 'Validation failed',
+        message: `Scene would run itself: ${cycle.join(' → ')}`,
+        cycle
+      }
+    };
+  }
+
+  // An older agent would fail these steps when the scene runs
+  const wsServer = req.app.get('wsServer');
+  if (advanced && wsServer && !(await wsServer.supports(controllerId, 'advanced_steps'))) {
+    return {
+      status: 409,
+      body: {
+        error: 'Unsupported by controller',
+        message: `The controller agent does not support ${ADVANCED_ACTIONS.join(', ')} steps - update the agent first`
+      }
+    };
+  }
+
+  return null;
+}
+
 /**
  * GET /api/controllers/:controllerId/scenes
  * Get all scenes for a controller
@@ -27,7 +131,7 @@ router.get('/', async (req, res) => {
     }
     
     const result = await pool.query(
-      `SELECT id, scene_id, name, description, steps, continue_on_error, created_at
+      `SELECT id, scene_id, name, description, steps, continue_on_error, concurrency, exclusive_group, created_at
        FROM scenes 
        WHERE controller_id = $1 
        ORDER BY created_at DESC`,
@@ -50,7 +154,7 @@ router.post('/', async (req, res) => {
   try {
     const { integrator_id } = req.user;
     const { controllerId } = req.params;
-    const { scene_id, name, description, steps, continue_on_error } = req.body;
+    const { scene_id, name, description, steps, continue_on_error, concurrency, exclusive_group } = req.body;
     
     // Validation
     if (!scene_id || !name || !steps || !Array.isArray(steps)) {
@@ -59,6 +163,11 @@ router.post('/', async (req, res) => {
         message: 'scene_id, name, and steps array are required' 
       });
     }
+
+    const policyMessage = policyError(req.body);
+    if (policyMessage) {
+      return res.status(400).json({ error: 'Validation failed', message: policyMessage });
+    }
     
     if (steps.length === 0) {
       return res.status(400).json({ 
@@ -78,12 +187,20 @@ router.post('/', async (req, res) => {
     if (controllerCheck.rows.length === 0) {
       return res.status(404).json({ error: 'Controller not found' });
     }
+
+    const stepsError = await checkSteps(req, controllerId, scene_id, steps);
+    if (stepsError) {
+      return res.status(stepsError.status).json(stepsError.body);
+    }
     
     const result = await pool.query(
-      `INSERT INTO scenes (controller_id, scene_id, name, description, steps, continue_on_error) 
-       VALUES ($1, $2, $3, $4, $5, $6) 
-       RETURNING id, scene_id, name, description, steps, continue_on_error, created_at`,
-      [controllerId, scene_id, name, description, JSON.stringify(steps), continue_on_error || false]
+      `INSERT INTO scenes (controller_id, scene_id, name, description, steps, continue_on_error, concurrency, exclusive_group) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+       RETURNING id, scene_id, name, description, steps, continue_on_error, concurrency, exclusive_group, created_at`,
+      [
+        controllerId, scene_id, name, description, JSON.stringify(steps), continue_on_error || false,
+        concurrency || 'queue', groupValue(exclusive_group)
+      ]
     );
     
     // Push to WebSocket
@@ -111,6 +228,266 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Load the two sides of a scene copy
+ * @returns {Object} - { error: { status, body } } or { selected, sourceTargets, targetTargets, targetScenes, warnings }
+ */
+async function loadCopy(integratorId, controllerId, body) {
+  const { target_controller_id, scene_ids } = body;
+
+  if (!target_controller_id) {
+    return { error: { status: 400, body: { error: 'Validation failed', message: 'target_controller_id is required' } } };
+  }
+  if (target_controller_id === controllerId) {
+    return { error: { status: 400, body: { error: 'Validation failed', message: 'Scenes can only be copied to another controller' } } };
+  }
+  if (scene_ids !== undefined && (!Array.isArray(scene_ids) || scene_ids.length === 0)) {
+    return { error: { status: 400, body: { error: 'Validation failed', message: 'scene_ids must be a non-empty array' } } };
+  }
+
+  // Verify ownership of both controllers
+  const controllers = await pool.query(
+    `SELECT c.id FROM controllers c
+     JOIN projects p ON c.project_id = p.id
+     WHERE c.id = ANY($1::uuid[]) AND p.integrator_id = $2`,
+    [[controllerId, target_controller_id], integratorId]
+  );
+
+  if (controllers.rows.length !== 2) {
+    return { error: { status: 404, body: { error: 'Controller not found' } } };
+  }
+
+  const [sourceScenes, targetScenes, sourceTargets, targetTargets] = await Promise.all([
+    pool.query(
+      'SELECT id, scene_id, name, description, steps, continue_on_error, concurrency, exclusive_group FROM scenes WHERE controller_id = $1',
+      [controllerId]
+    ),
+    pool.query('SELECT id, scene_id, steps FROM scenes WHERE controller_id = $1', [target_controller_id]),
+    loadStepTargets(controllerId),
+    loadStepTargets(target_controller_id)
+  ]);
+
+  const { selected, missing } = selectScenes(sourceScenes.rows, scene_ids);
+  if (missing.length > 0) {
+    return { error: { status: 404, body: { error: 'Scene not found', message: `Not on this controller: ${missing.join(', ')}` } } };
+  }
+
+  const { controls, warnings } = usedControls(selected, sourceTargets);
+
+  return {
+    selected,
+    controls,
+    warnings,
+    sourceTargets,
+    targetTargets,
+    targetScenes: new Map(targetScenes.rows.map(scene => [scene.scene_id, scene]))
+  };
+}
+
+/**
+ * POST /api/controllers/:controllerId/scenes/copy/preview
+ * Propose how scenes map onto another controller's controls (nothing is written)
+ *
+ * Body: { target_controller_id, scene_ids (scene UUIDs, all when omitted) }
+ */
+router.post('/copy/preview', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId } = req.params;
+
+    const copy = await loadCopy(integrator_id, controllerId, req.body);
+    if (copy.error) {
+      return res.status(copy.error.status).json(copy.error.body);
+    }
+
+    const mappings = [...copy.controls.values()].map(control => suggestMapping(control, copy.targetTargets));
+
+    res.json({
+      target_controller_id: req.body.target_controller_id,
+      scenes: copy.selected.map(scene => ({
+        id: scene.id,
+        scene_id: scene.scene_id,
+        name: scene.name,
+        // Added because a selected scene runs it
+        dependency: scene.dependency,
+        exists_on_target: copy.targetScenes.has(scene.scene_id)
+      })),
+      mappings,
+      unmapped: mappings.filter(mapping => !mapping.target).length,
+      warnings: copy.warnings
+    });
+
+  } catch (error) {
+    console.error('Preview scene copy error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/controllers/:controllerId/scenes/copy
+ * Copy scenes to another controller with confirmed control mappings
+ *
+ * Body: {
+ *   target_controller_id, scene_ids,
+ *   mappings: [{ source: { device_id, control_id }, target: { device_id, control_id } }] (one per control the scenes use),
+ *   on_conflict: 'skip' (default) or 'overwrite' for scenes whose scene_id exists on the target
+ * }
+ */
+router.post('/copy', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId } = req.params;
+    const { target_controller_id, mappings, on_conflict = 'skip' } = req.body;
+
+    if (!Array.isArray(mappings)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'mappings are required - get them from /copy/preview and confirm each one'
+      });
+    }
+    if (!['skip', 'overwrite'].includes(on_conflict)) {
+      return res.status(400).json({ error: 'Validation failed', message: 'on_conflict must be skip or overwrite' });
+    }
+
+    const copy = await loadCopy(integrator_id, controllerId, req.body);
+    if (copy.error) {
+      return res.status(copy.error.status).json(copy.error.body);
+    }
+
+    // Confirmed mappings, checked against both controllers
+    const mapping = new Map();
+    for (const [index, entry] of mappings.entries()) {
+      const source = resolveControl(entry?.source || {}, copy.sourceTargets);
+      const target = resolveControl(entry?.target || {}, copy.targetTargets);
+      const problem = source.error ? `source: ${source.error}` : target.error ? `target: ${target.error}` : null;
+
+      if (problem) {
+        return res.status(400).json({ error: 'Validation failed', message: `mappings[${index}] ${problem}` });
+      }
+      mapping.set(controlKey(source.control), target.control);
+    }
+
+    const unmapped = [...copy.controls.entries()]
+      .filter(([key]) => !mapping.has(key))
+      .map(([, control]) => ({ device_id: control.device_key, control_id: control.control_id }));
+
+    if (unmapped.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `${unmapped.length} control(s) have no confirmed mapping`,
+        unmapped
+      });
+    }
+
+    const skipped = on_conflict === 'skip'
+      ? copy.selected.filter(scene => copy.targetScenes.has(scene.scene_id))
+      : [];
+    const written = copy.selected
+      .filter(scene => !skipped.includes(scene))
+      .map(scene => ({ ...scene, steps: remapSteps(scene.steps, copy.sourceTargets, mapping) }));
+
+    // Validate the copies as if they were saved one by one on the target
+    const targetKeys = [...copy.targetScenes.keys(), ...written.map(scene => scene.scene_id)];
+    const sceneErrors = [];
+    let advanced = false;
+    for (const scene of written) {
+      const result = validateSteps(scene.steps, copy.targetTargets, targetKeys);
+      if (result.errors.length > 0) {
+        sceneErrors.push({ scene_id: scene.scene_id, name: scene.name, step_errors: result.errors });
+      }
+      advanced = advanced || result.advanced;
+    }
+
+    if (sceneErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `${sceneErrors.length} scene(s) don't fit the target controller`,
+        scene_errors: sceneErrors
+      });
+    }
+
+    const graph = new Map([...copy.targetScenes.values()].map(scene => [scene.scene_id, sceneReferences(scene.steps)]));
+    for (const scene of written) {
+      graph.set(scene.scene_id, sceneReferences(scene.steps));
+    }
+    for (const scene of written) {
+      const cycle = findCycle(graph, scene.scene_id);
+      if (cycle) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `Scene would run itself on the target: ${cycle.join(' → ')}`,
+          cycle
+        });
+      }
+    }
+
+    const wsServer = req.app.get('wsServer');
+    if (advanced && wsServer && !(await wsServer.supports(target_controller_id, 'advanced_steps'))) {
+      return res.status(409).json({
+        error: 'Unsupported by controller',
+        message: `The target controller agent does not support ${ADVANCED_ACTIONS.join(', ')} steps - update the agent first`
+      });
+    }
+
+    // Scenes they run are written first
+    const byKey = new Map(written.map(scene => [scene.scene_id, scene]));
+    const ordered = sceneOrder(written).map(key => byKey.get(key));
+
+    await client.query('BEGIN');
+
+    const saved = [];
+    for (const scene of ordered) {
+      const existing = copy.targetScenes.get(scene.scene_id);
+      const result = existing
+        ? await client.query(
+          `UPDATE scenes
+           SET name = $2, description = $3, steps = $4, continue_on_error = $5, concurrency = $6, exclusive_group = $7
+           WHERE id = $1
+           RETURNING id, scene_id, name, description, steps, continue_on_error, concurrency, exclusive_group, created_at`,
+          [
+            existing.id, scene.name, scene.description, JSON.stringify(scene.steps),
+            scene.continue_on_error, scene.concurrency, scene.exclusive_group
+          ]
+        )
+        : await client.query(
+          `INSERT INTO scenes
+             (controller_id, scene_id, name, description, steps, continue_on_error, concurrency, exclusive_group)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING id, scene_id, name, description, steps, continue_on_error, concurrency, exclusive_group, created_at`,
+          [
+            target_controller_id, scene.scene_id, scene.name, scene.description, JSON.stringify(scene.steps),
+            scene.continue_on_error, scene.concurrency, scene.exclusive_group
+          ]
+        );
+      saved.push({ scene: result.rows[0], configType: existing ? 'scene_updated' : 'scene_added' });
+    }
+
+    await client.query('COMMIT');
+
+    // Push to WebSocket
+    if (wsServer) {
+      for (const { scene, configType } of saved) {
+        await wsServer.broadcastConfigUpdate(target_controller_id, configType, { scene });
+      }
+    }
+
+    res.status(201).json({
+      message: `Copied ${saved.length} scene(s)`,
+      scenes: saved.map(({ scene }) => scene),
+      skipped: skipped.map(scene => ({ scene_id: scene.scene_id, name: scene.name, reason: 'Scene ID already exists on the target' }))
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Copy scenes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * GET /api/controllers/:controllerId/scenes/:id
  * Get single scene
@@ -121,7 +498,7 @@ router.get('/:id', async (req, res) => {
     const { controllerId, id } = req.params;
     
     const result = await pool.query(
-      `SELECT s.id, s.scene_id, s.name, s.description, s.steps, s.continue_on_error, s.created_at
+      `SELECT s.id, s.scene_id, s.name, s.description, s.steps, s.continue_on_error, s.concurrency, s.exclusive_group, s.created_at
        FROM scenes s
        JOIN controllers c ON s.controller_id = c.id
        JOIN projects p ON c.project_id = p.id
@@ -149,11 +526,16 @@ router.put('/:id', async (req, res) => {
   try {
     const { integrator_id } = req.user;
     const { controllerId, id } = req.params;
-    const { name, description, steps, continue_on_error } = req.body;
+    const { name, description, steps, continue_on_error, concurrency, exclusive_group } = req.body;
+
+    const policyMessage = policyError(req.body);
+    if (policyMessage) {
+      return res.status(400).json({ error: 'Validation failed', message: policyMessage });
+    }
     
     // Verify ownership
     const check = await pool.query(
-      `SELECT s.id FROM scenes s
+      `SELECT s.id, s.scene_id FROM scenes s
        JOIN controllers c ON s.controller_id = c.id
        JOIN projects p ON c.project_id = p.id
        WHERE s.id = $1 AND s.controller_id = $2 AND p.integrator_id = $3`,
@@ -163,6 +545,13 @@ router.put('/:id', async (req, res) => {
     if (check.rows.length === 0) {
       return res.status(404).json({ error: 'Scene not found' });
     }
+
+    if (steps !== undefined) {
+      const stepsError = await checkSteps(req, controllerId, check.rows[0].scene_id, steps);
+      if (stepsError) {
+        return res.status(stepsError.status).json(stepsError.body);
+      }
+    }
     
     // Build update query dynamically
     const updates = [];
@@ -185,6 +574,14 @@ router.put('/:id', async (req, res) => {
       updates.push(`continue_on_error = $${paramCount++}`);
       values.push(continue_on_error);
     }
+    if (concurrency !== undefined) {
+      updates.push(`concurrency = $${paramCount++}`);
+      values.push(concurrency);
+    }
+    if (exclusive_group !== undefined) {
+      updates.push(`exclusive_group = $${paramCount++}`);
+      values.push(groupValue(exclusive_group));
+    }
     
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
@@ -196,7 +593,7 @@ router.put('/:id', async (req, res) => {
       `UPDATE scenes 
        SET ${updates.join(', ')}
        WHERE id = $${paramCount}
-       RETURNING id, scene_id, name, description, steps, continue_on_error, created_at`,
+       RETURNING id, scene_id, name, description, steps, continue_on_error, concurrency, exclusive_group, created_at`,
       values
     );
     
@@ -221,12 +618,46 @@ router.put('/:id', async (req, res) => {
 
 /**
  * DELETE /api/controllers/:controllerId/scenes/:id
- * Delete scene
+ * Delete scene (refused while other scenes run it)
  */
 router.delete('/:id', async (req, res) => {
   try {
     const { integrator_id } = req.user;
     const { controllerId, id } = req.params;
+
+    // Verify ownership
+    const check = await pool.query(
+      `SELECT s.scene_id FROM scenes s
+       JOIN controllers c ON s.controller_id = c.id
+       JOIN projects p ON c.project_id = p.id
+       WHERE s.id = $1 AND s.controller_id = $2 AND p.integrator_id = $3`,
+      [id, controllerId, integrator_id]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    const sceneKey = check.rows[0].scene_id;
+    const others = await pool.query(
+      'SELECT id, scene_id, name, steps FROM scenes WHERE controller_id = $1 AND id <> $2',
+      [controllerId, id]
+    );
+    const referencedBy = others.rows.filter(scene => sceneReferences(scene.steps).has(sceneKey));
+
+    if (referencedBy.length > 0) {
+      return res.status(409).json({
+        error: 'Scene in use',
+        message: `Scene is run by: ${referencedBy.map(scene => scene.name).join(', ')}`,
+        referenced_by: referencedBy.map(({ id, scene_id, name }) => ({ id, scene_id, name }))
+      });
+    }
+
+    // The scene's schedules are deleted with it
+    const schedules = await pool.query(
+      'SELECT id FROM scene_schedules WHERE scene_id = $1 AND controller_id = $2',
+      [id, controllerId]
+    );
     
     const result = await pool.query(
       `DELETE FROM scenes s
@@ -244,6 +675,9 @@ router.delete('/:id', async (req, res) => {
     // Push to WebSocket
     const wsServer = req.app.get('wsServer');
     if (wsServer) {
+      for (const schedule of schedules.rows) {
+        await sceneSchedules.notify(wsServer, controllerId, 'schedule_deleted', schedule.id);
+      }
       wsServer.broadcastConfigUpdate(controllerId, 'scene_deleted', {
         scene_id: result.rows[0].scene_id
       });
@@ -260,11 +694,15 @@ router.delete('/:id', async (req, res) => {
 /**
  * POST /api/controllers/:controllerId/scenes/:id/execute
  * Execute a scene
+ *
+ * Query: wait=true blocks until the NUC reports the result (or timeout ms elapse)
  */
 router.post('/:id/execute', async (req, res) => {
   try {
     const { integrator_id } = req.user;
     const { controllerId, id } = req.params;
+    const wait = req.query.wait === 'true';
+    const timeoutMs = Math.min(Math.max(parseInt(req.query.timeout) || 30000, 1000), 120000);
     
     // Verify scene exists and ownership
     const sceneCheck = await pool.query(
@@ -279,22 +717,103 @@ router.post('/:id/execute', async (req, res) => {
       return res.status(404).json({ error: 'Scene not found' });
     }
     
-    // Send execute command via WebSocket
     const wsServer = req.app.get('wsServer');
-    if (wsServer) {
-      const sent = wsServer.executeScene(controllerId, sceneCheck.rows[0].scene_id);
-      
-      if (sent) {
-        res.json({ message: 'Scene execution triggered' });
-      } else {
-        res.status(503).json({ 
+    if (!wsServer) {
+      return res.status(500).json({ error: 'WebSocket server not available' });
+    }
+
+    // Record the run before sending so the result can never arrive first
+    const executionResult = await pool.query(
+      `INSERT INTO scene_executions (scene_id, controller_id, triggered_by)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [id, controllerId, integrator_id]
+    );
+    const execution = executionResult.rows[0];
+
+    const sceneKey = sceneCheck.rows[0].scene_id;
+
+    if (await wsServer.isControllerOnline(controllerId)) {
+      wsServer.emitControllerEvent(controllerId, 'scene_execution', {
+        execution_id: execution.id,
+        scene_id: id,
+        status: 'pending'
+      });
+    }
+
+    if (!wait) {
+      // Send execute command via WebSocket
+      const sent = await wsServer.executeScene(controllerId, sceneKey, execution.id);
+
+      if (!sent) {
+        await markExecutionOffline(execution.id);
+        return res.status(503).json({ 
           error: 'Controller offline',
-          message: 'Controller is not connected'
+          message: 'Controller is not connected',
+          execution_id: execution.id
+        });
+      }
+
+      return res.json({
+        message: 'Scene execution triggered',
+        execution_id: execution.id,
+        execution
+      });
+    }
+
+    try {
+      // The NUC replies with execution_result once the run finishes
+      await wsServer.request(
+        controllerId,
+        'execute_scene',
+        { scene_id: sceneKey, execution_id: execution.id },
+        { timeout: timeoutMs }
+      );
+    } catch (error) {
+      if (error.code === 'CONTROLLER_OFFLINE') {
+        await markExecutionOffline(execution.id);
+        return res.status(503).json({
+          error: 'Controller offline',
+          message: 'Controller is not connected',
+          execution_id: execution.id
+        });
+      }
+      if (error.code === 'CONTROLLER_DISCONNECTED') {
+        return res.status(503).json({
+          error: 'Controller disconnected',
+          message: error.message,
+          execution_id: execution.id
         });
       }
-    } else {
-      res.status(500).json({ error: 'WebSocket server not available' });
+      if (error.code === 'REQUEST_REJECTED') {
+        await pool.query(
+          `UPDATE scene_executions
+           SET status = 'failed', error_message = $2, completed_at = NOW()
+           WHERE id = $1 AND status = 'pending'`,
+          [execution.id, error.message]
+        );
+      } else if (error.code !== 'REQUEST_TIMEOUT') {
+        throw error;
+      }
+    }
+
+    // The reply has been stored by the time the request settles
+    const completed = await pool.query('SELECT * FROM scene_executions WHERE id = $1', [execution.id]);
+    const current = completed.rows[0];
+
+    if (current.status === 'pending') {
+      return res.status(202).json({
+        message: 'Scene execution still running',
+        execution_id: current.id,
+        execution: current
+      });
     }
+
+    res.json({
+      message: `Scene execution ${current.status}`,
+      execution_id: current.id,
+      execution: current
+    });
     
   } catch (error) {
     console.error('Execute scene error:', error);
@@ -302,4 +821,213 @@ router.post('/:id/execute', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/controllers/:controllerId/scenes/:id/cancel
+ * Stop a scene on the NUC: one run, or every running and queued run of the scene
+ *
+ * Body: { execution_id } (optional) to cancel a single run
+ * Each cancelled run is closed by the execution_result the NUC sends (status 'cancelled')
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+    const { execution_id } = req.body || {};
+
+    if (execution_id !== undefined && (typeof execution_id !== 'string' || !UUID_PATTERN.test(execution_id))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'execution_id must be a UUID'
+      });
+    }
+
+    // Verify scene exists and ownership
+    const sceneCheck = await pool.query(
+      `SELECT s.scene_id FROM scenes s
+       JOIN controllers c ON s.controller_id = c.id
+       JOIN projects p ON c.project_id = p.id
+       WHERE s.id = $1 AND s.controller_id = $2 AND p.integrator_id = $3`,
+      [id, controllerId, integrator_id]
+    );
+
+    if (sceneCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    if (execution_id !== undefined) {
+      const execution = await pool.query(
+        'SELECT status FROM scene_executions WHERE id = $1 AND scene_id = $2',
+        [execution_id, id]
+      );
+
+      if (execution.rows.length === 0) {
+        return res.status(404).json({ error: 'Execution not found' });
+      }
+      if (execution.rows[0].status !== 'pending') {
+        return res.status(409).json({
+          error: 'Execution not running',
+          message: `Execution already ${execution.rows[0].status}`
+        });
+      }
+    }
+
+    const wsServer = req.app.get('wsServer');
+    if (!wsServer) {
+      return res.status(500).json({ error: 'WebSocket server not available' });
+    }
+
+    try {
+      await wsServer.request(controllerId, 'cancel_scene', {
+        scene_id: sceneCheck.rows[0].scene_id,
+        ...(execution_id && { execution_id })
+      });
+    } catch (error) {
+      return sendRequestError(res, error);
+    }
+
+    const cancelled = await pool.query(
+      `UPDATE scene_executions
+       SET cancelled_by = $3, cancel_requested_at = NOW()
+       WHERE scene_id = $1 AND status = 'pending' AND ($2::uuid IS NULL OR id = $2)
+       RETURNING id`,
+      [id, execution_id || null, integrator_id]
+    );
+
+    res.json({
+      message: 'Scene cancellation requested',
+      execution_ids: cancelled.rows.map(row => row.id)
+    });
+
+  } catch (error) {
+    console.error('Cancel scene error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/controllers/:controllerId/scenes/:id/simulate
+ * Dry run of a scene: its timeline and the values it leaves, without contacting the controller
+ *
+ * Body: { steps } (optional) to simulate unsaved steps instead of the stored ones
+ */
+router.post('/:id/simulate', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+    const { steps } = req.body || {};
+
+    // Verify scene exists and ownership
+    const sceneCheck = await pool.query(
+      `SELECT s.id, s.scene_id, s.name, s.steps FROM scenes s
+       JOIN controllers c ON s.controller_id = c.id
+       JOIN projects p ON c.project_id = p.id
+       WHERE s.id = $1 AND s.controller_id = $2 AND p.integrator_id = $3`,
+      [id, controllerId, integrator_id]
+    );
+
+    if (sceneCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    const scene = sceneCheck.rows[0];
+    const [targets, scenes, state] = await Promise.all([
+      loadStepTargets(controllerId),
+      pool.query('SELECT scene_id, steps FROM scenes WHERE controller_id = $1', [controllerId]),
+      deviceState.get(controllerId)
+    ]);
+
+    if (steps !== undefined) {
+      const { errors } = validateSteps(steps, targets, scenes.rows.map(s => s.scene_id));
+      if (errors.length > 0) {
+        return res.status(400).json(stepErrorsBody(errors));
+      }
+    }
+
+    const simulation = simulateScene(
+      { scene_id: scene.scene_id, steps: steps ?? scene.steps },
+      { targets, scenes: new Map(scenes.rows.map(s => [s.scene_id, s])), state }
+    );
+
+    res.json({
+      scene: { id: scene.id, scene_id: scene.scene_id, name: scene.name },
+      simulation
+    });
+
+  } catch (error) {
+    console.error('Simulate scene error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:controllerId/scenes/:id/executions
+ * Get run history for a scene
+ */
+router.get('/:id/executions', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+
+    // Verify scene exists and ownership
+    const sceneCheck = await pool.query(
+      `SELECT s.id FROM scenes s
+       JOIN controllers c ON s.controller_id = c.id
+       JOIN projects p ON c.project_id = p.id
+       WHERE s.id = $1 AND s.controller_id = $2 AND p.integrator_id = $3`,
+      [id, controllerId, integrator_id]
+    );
+
+    if (sceneCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT id, status, trigger_source, triggered_by, steps_executed, steps_failed,
+              duration_ms, error_message, cancelled_by, started_at, completed_at
+       FROM scene_executions
+       WHERE scene_id = $1
+       ORDER BY started_at DESC
+       LIMIT $2`,
+      [id, limit]
+    );
+
+    res.json({ executions: result.rows });
+
+  } catch (error) {
+    console.error('Get scene executions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:controllerId/scenes/:id/executions/:executionId
+ * Get a single scene run with per-step results
+ */
+router.get('/:id/executions/:executionId', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id, executionId } = req.params;
+
+    const result = await pool.query(
+      `SELECT se.*
+       FROM scene_executions se
+       JOIN controllers c ON se.controller_id = c.id
+       JOIN projects p ON c.project_id = p.id
+       WHERE se.id = $1 AND se.scene_id = $2 AND se.controller_id = $3 AND p.integrator_id = $4`,
+      [executionId, id, controllerId, integrator_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    res.json({ execution: result.rows[0] });
+
+  } catch (error) {
+    console.error('Get scene execution error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
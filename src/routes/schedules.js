@@ -0,0 +1,243 @@
+const express = require('express');
+const pool = require('../db/connection');
+const { authenticate } = require('../middleware/auth');
+const sceneSchedules = require('../websocket/scene-schedules');
+
+const router = express.Router({ mergeParams: true });
+router.use(authenticate);
+
+/**
+ * GET /api/controllers/:controllerId/schedules
+ * Get all scene schedules of a controller, with their next fire times
+ *
+ * Query: scene_id (scene UUID) to only list one scene's schedules
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId } = req.params;
+
+    // Verify controller ownership
+    const controllerCheck = await pool.query(
+      `SELECT c.id FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND p.integrator_id = $2`,
+      [controllerId, integrator_id]
+    );
+
+    if (controllerCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Controller not found' });
+    }
+
+    const schedules = await sceneSchedules.find(integrator_id, {
+      controllerId,
+      sceneId: req.query.scene_id
+    });
+
+    res.json({ schedules });
+
+  } catch (error) {
+    console.error('Get schedules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/controllers/:controllerId/schedules
+ * Schedule a scene
+ *
+ * Body: { scene_id (scene UUID), cron_expression, name, enabled, skip_holidays, exception_dates }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId } = req.params;
+    const { scene_id } = req.body;
+
+    if (!scene_id) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'scene_id and cron_expression are required'
+      });
+    }
+
+    const validationError = sceneSchedules.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: 'Validation failed', message: validationError });
+    }
+
+    // Verify scene exists and ownership
+    const sceneCheck = await pool.query(
+      `SELECT s.id FROM scenes s
+       JOIN controllers c ON s.controller_id = c.id
+       JOIN projects p ON c.project_id = p.id
+       WHERE s.id = $1 AND s.controller_id = $2 AND p.integrator_id = $3`,
+      [scene_id, controllerId, integrator_id]
+    );
+
+    if (sceneCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    const scheduleId = await sceneSchedules.create(pool, {
+      ...req.body,
+      controllerId,
+      sceneId: scene_id,
+      integratorId: integrator_id
+    });
+
+    // Push to WebSocket
+    await sceneSchedules.notify(req.app.get('wsServer'), controllerId, 'schedule_added', scheduleId);
+
+    const [schedule] = await sceneSchedules.find(integrator_id, { id: scheduleId });
+
+    res.status(201).json({
+      message: 'Schedule created',
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:controllerId/schedules/:id
+ * Get single schedule
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+
+    const [schedule] = await sceneSchedules.find(integrator_id, { id, controllerId });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json({ schedule });
+
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/controllers/:controllerId/schedules/:id
+ * Update schedule (the scene can't be changed)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+
+    const validationError = sceneSchedules.validate(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: 'Validation failed', message: validationError });
+    }
+
+    // Verify ownership
+    const [existing] = await sceneSchedules.find(integrator_id, { id, controllerId });
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const updated = await sceneSchedules.update(id, req.body);
+    if (!updated) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    // Push to WebSocket
+    await sceneSchedules.notify(req.app.get('wsServer'), controllerId, 'schedule_updated', id);
+
+    const [schedule] = await sceneSchedules.find(integrator_id, { id });
+
+    res.json({
+      message: 'Schedule updated',
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/controllers/:controllerId/schedules/:id
+ * Delete schedule (its past runs are kept)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+
+    const result = await pool.query(
+      `DELETE FROM scene_schedules ss
+       USING controllers c, projects p
+       WHERE ss.id = $1 AND ss.controller_id = $2
+       AND c.id = $2 AND p.id = c.project_id AND p.integrator_id = $3
+       RETURNING ss.id`,
+      [id, controllerId, integrator_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    // Push to WebSocket
+    await sceneSchedules.notify(req.app.get('wsServer'), controllerId, 'schedule_deleted', id);
+
+    res.json({ message: 'Schedule deleted' });
+
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/controllers/:controllerId/schedules/:id/runs
+ * Fires reported by the NUC, newest first
+ */
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const { integrator_id } = req.user;
+    const { controllerId, id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    // Verify schedule exists and ownership
+    const scheduleCheck = await pool.query(
+      `SELECT ss.id FROM scene_schedules ss
+       JOIN controllers c ON ss.controller_id = c.id
+       JOIN projects p ON c.project_id = p.id
+       WHERE ss.id = $1 AND ss.controller_id = $2 AND p.integrator_id = $3`,
+      [id, controllerId, integrator_id]
+    );
+
+    if (scheduleCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT id, scene_id, status, scheduled_for, steps_executed, steps_failed,
+              duration_ms, error_message, started_at, completed_at
+       FROM scene_executions
+       WHERE schedule_id = $1
+       ORDER BY scheduled_for DESC
+       LIMIT $2`,
+      [id, limit]
+    );
+
+    res.json({ runs: result.rows });
+
+  } catch (error) {
+    console.error('Get schedule runs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -10,14 +10,19 @@ const projectRoutes = require('./routes/projects');
 const controllerRoutes = require('./routes/controllers');
 const controllerStandaloneRoutes = require('./routes/controller-standalone');
 const deviceRoutes = require('./routes/devices');
+const discoveryRoutes = require('./routes/discovery');
 const devicesDirectRoutes = require('./routes/devices-direct');
 const deviceControlRoutes = require('./routes/device-controls');
 const sceneRoutes = require('./routes/scenes');
+const scheduleRoutes = require('./routes/schedules');
+const sceneRecordingRoutes = require('./routes/scene-recordings');
 const imageRoutes = require('./routes/images');
 const aiRoutes = require('./routes/ai');
 const guiRoutes = require('./routes/gui');
 const driverRoutes = require('./routes/drivers');
 const adminRoutes = require('./routes/admin');
+const agentReleaseRoutes = require('./routes/agent-releases');
+const agentRolloutRoutes = require('./routes/agent-rollouts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -71,7 +76,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/projects/:projectId/controllers', controllerRoutes);
 app.use('/api/controllers/:controllerId/devices', deviceRoutes);
+app.use('/api/controllers/:controllerId/discovery', discoveryRoutes);
 app.use('/api/controllers/:controllerId/scenes', sceneRoutes);
+app.use('/api/controllers/:controllerId/schedules', scheduleRoutes);
+app.use('/api/controllers/:controllerId/recordings', sceneRecordingRoutes);
 app.use('/api/controllers/:controllerId/ai', aiRoutes);
 app.use('/api/controllers/:controllerId/gui', guiRoutes);
 app.use('/api/controllers', controllerStandaloneRoutes);  // Standalone controller operations
@@ -81,6 +89,8 @@ app.use('/api/images', imageRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/drivers', driverRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/agent-releases', agentReleaseRoutes);
+app.use('/api/agent-rollouts', agentRolloutRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -100,10 +110,18 @@ wsServer.startHeartbeat();
 // Make WebSocket server available to routes
 app.set('wsServer', wsServer);
 
+// Hand controllers over to the remaining instances when this one is stopped
+process.on('SIGTERM', async () => {
+  console.log('SIGTERM received, shutting down');
+  await wsServer.shutdown();
+  process.exit(0);
+});
+
 // Start server
 server.listen(PORT, () => {
   console.log(`✓ Server running on port ${PORT}`);
   console.log(`✓ Environment: ${process.env.NODE_ENV}`);
   console.log(`✓ Health check: http://localhost:${PORT}/health`);
   console.log(`✓ WebSocket: ws://localhost:${PORT}`);
+  console.log(`✓ Live events: ws://localhost:${PORT}/live`);
 });
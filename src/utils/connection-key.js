@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * Controller keys follow SCRAM (RFC 5802) without the salt and iterations
+ * (the key is 32 random bytes, not a password):
+ *
+ *   ClientKey       = SHA-256(connection key)       - only the NUC can derive it
+ *   StoredKey       = SHA-256(ClientKey)            - what the database holds
+ *   ClientSignature = HMAC-SHA256(StoredKey, "<nonce>:<controller id>")
+ *   ClientProof     = ClientKey XOR ClientSignature - what the NUC sends
+ *
+ * The cloud recovers ClientKey from the proof and checks it hashes to StoredKey,
+ * so reading the database (or a backup) is not enough to sign a challenge.
+ */
+
+/**
+ * Generate a new controller connection key (shown to the integrator once)
+ */
+function generateConnectionKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Derive the ClientKey from a connection key (raw bytes)
+ */
+function deriveClientKey(connectionKey) {
+  return sha256(connectionKey);
+}
+
+/**
+ * Derive the StoredKey kept in the database (hex)
+ */
+function deriveStoredKey(connectionKey) {
+  return sha256(deriveClientKey(connectionKey)).toString('hex');
+}
+
+/**
+ * Generate a one-time nonce for the auth_challenge message
+ */
+function generateNonce() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function clientSignature(storedKey, nonce, controllerId) {
+  return crypto
+    .createHmac('sha256', Buffer.from(storedKey, 'hex'))
+    .update(`${nonce}:${controllerId}`)
+    .digest();
+}
+
+function xor(a, b) {
+  return Buffer.from(a.map((byte, i) => byte ^ b[i]));
+}
+
+/**
+ * Answer a challenge (the NUC's side): ClientProof, hex
+ */
+function signChallenge(connectionKey, nonce, controllerId) {
+  const clientKey = deriveClientKey(connectionKey);
+  const storedKey = sha256(clientKey).toString('hex');
+  return xor(clientKey, clientSignature(storedKey, nonce, controllerId)).toString('hex');
+}
+
+/**
+ * Check a ClientProof against the stored key in constant time
+ */
+function verifyChallenge(storedKey, nonce, controllerId, proof) {
+  if (!storedKey || typeof proof !== 'string' || !/^[0-9a-f]{64}$/i.test(proof)) return false;
+
+  const clientKey = xor(Buffer.from(proof, 'hex'), clientSignature(storedKey, nonce, controllerId));
+  return crypto.timingSafeEqual(sha256(clientKey), Buffer.from(storedKey, 'hex'));
+}
+
+module.exports = {
+  generateConnectionKey,
+  deriveStoredKey,
+  generateNonce,
+  signChallenge,
+  verifyChallenge
+};
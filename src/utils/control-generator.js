@@ -0,0 +1,252 @@
+const pool = require('../db/connection');
+
+// Controls one generate request may create
+const MAX_GENERATED_CONTROLS = 256;
+// Deployments a device can be linked through
+const LINKABLE_DEPLOYMENT_STATUSES = ['pending', 'syncing', 'active'];
+
+// "set_gain" / "getGain" -> "gain", for commands without a control_type
+const commandKey = (command) =>
+  command.control_type || command.command_name.replace(/^(set|get)_?/i, '').toLowerCase() || command.command_name;
+
+// "Input 1" -> "input_1"
+const slug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Check that a driver can be linked to a device: it must be deployed to the
+ * device's controller (a failed or deactivated deployment doesn't count)
+ *
+ * @param {string} controllerId - Controller UUID of the device
+ * @param {string} driverId - device_drivers UUID
+ * @returns {Promise<string|null>} - Error message
+ */
+async function driverLinkError(controllerId, driverId) {
+  if (typeof driverId !== 'string') {
+    return 'driver_id must be a driver id or null';
+  }
+
+  const result = await pool.query(
+    `SELECT dd.deployment_status FROM driver_deployments dd
+     WHERE dd.controller_id = $1 AND dd.driver_id::text = $2`,
+    [controllerId, driverId]
+  );
+
+  const deployment = result.rows[0];
+  if (!deployment) {
+    return 'Driver is not deployed to this controller';
+  }
+  if (!LINKABLE_DEPLOYMENT_STATUSES.includes(deployment.deployment_status)) {
+    return `Driver deployment is ${deployment.deployment_status} - redeploy it first`;
+  }
+  return null;
+}
+
+// Value spec of a command, from its value parameter and validation rules
+function commandValueSpec(command) {
+  const value = command.parameters?.value && typeof command.parameters.value === 'object'
+    ? command.parameters.value
+    : {};
+  const rules = command.validation_rules || {};
+
+  const spec = {};
+  const type = value.type;
+  const min = value.min ?? rules.min_value;
+  const max = value.max ?? rules.max_value;
+  const options = value.options ?? value.enum ?? rules.allowed_values;
+
+  if (type) spec.type = type;
+  if (typeof min === 'number') spec.min = min;
+  if (typeof max === 'number') spec.max = max;
+  if (Array.isArray(options)) spec.options = options;
+  if (value.unit) spec.unit = value.unit;
+  return spec;
+}
+
+// Whether a command is sent to a block of the device (a channel, a zone...)
+const addressesBlock = (command) =>
+  command.protocol_template.includes('{block_id}') || Boolean(command.parameters?.block_id);
+
+/**
+ * Group a driver's set/get commands into control templates
+ * A set and a get command of the same control type make one template; either
+ * alone does too (a get-only template is a read-only control like a meter)
+ *
+ * @param {Array} commands - driver_commands rows
+ * @returns {Array} - [{ key, control_type, display_name, description, set_command,
+ *   get_command, has_block, block_id_pattern, parameters }]
+ */
+function buildTemplates(commands) {
+  const templates = new Map();
+
+  for (const command of commands) {
+    if (command.command_type !== 'set' && command.command_type !== 'get') continue;
+
+    const key = commandKey(command);
+    const template = templates.get(key) || {
+      key,
+      control_type: key,
+      display_name: null,
+      description: null,
+      set_command: null,
+      get_command: null,
+      has_block: false,
+      block_id_pattern: null,
+      parameters: null
+    };
+
+    template[`${command.command_type}_command`] ??= command.command_name;
+    template.has_block ||= addressesBlock(command);
+    // The set command describes the value the control takes; a get only fills gaps
+    if (command.command_type === 'set' || !template.parameters) {
+      template.display_name = command.display_name || template.display_name;
+      template.description = command.description || template.description;
+      template.parameters = { value: commandValueSpec(command) };
+    }
+
+    templates.set(key, template);
+  }
+
+  return [...templates.values()].map(template => {
+    const displayName = template.display_name || template.key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    return {
+      ...template,
+      display_name: displayName,
+      block_id_pattern: template.has_block ? `${template.key.toUpperCase()}_{n}` : null,
+      parameters: {
+        ...template.parameters,
+        ...(template.set_command && { set_command: template.set_command }),
+        ...(template.get_command && { get_command: template.get_command })
+      }
+    };
+  });
+}
+
+/**
+ * Control templates of a device's linked driver
+ * @param {string} driverId - device_drivers UUID
+ * @returns {Promise<Array>} - From buildTemplates()
+ */
+async function loadControlTemplates(driverId) {
+  const result = await pool.query(
+    `SELECT command_name, command_type, display_name, description, protocol_template,
+            parameters, validation_rules, control_type
+     FROM driver_commands
+     WHERE driver_id = $1 AND command_type IN ('set', 'get')
+     ORDER BY command_name`,
+    [driverId]
+  );
+  return buildTemplates(result.rows);
+}
+
+// Blocks one selection asks for: [{ block_id, label }]
+function selectionBlocks(template, selection, path) {
+  const { block_ids, instances, block_id_pattern } = selection;
+
+  if (!template.has_block) {
+    if (block_ids !== undefined || instances !== undefined) {
+      return { error: `${path}: ${template.key} isn't sent to a block - leave out block_ids and instances` };
+    }
+    return { blocks: [{ block_id: template.key, label: null }] };
+  }
+
+  if ((block_ids === undefined) === (instances === undefined)) {
+    return { error: `${path}: give either block_ids or instances` };
+  }
+
+  if (block_ids !== undefined) {
+    if (!Array.isArray(block_ids) || block_ids.length === 0 ||
+        !block_ids.every(id => typeof id === 'string' && id.trim() && id.length <= 255)) {
+      return { error: `${path}.block_ids must be a list of block ids` };
+    }
+    return { blocks: block_ids.map(id => ({ block_id: id.trim(), label: id.trim() })) };
+  }
+
+  const { from, to } = instances || {};
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) {
+    return { error: `${path}.instances must be { from, to } with whole numbers, from <= to` };
+  }
+  if (to - from + 1 > MAX_GENERATED_CONTROLS) {
+    return { error: `${path}.instances can't cover more than ${MAX_GENERATED_CONTROLS} blocks` };
+  }
+
+  const pattern = block_id_pattern ?? template.block_id_pattern;
+  if (typeof pattern !== 'string' || !pattern.includes('{n}')) {
+    return { error: `${path}.block_id_pattern must contain {n}` };
+  }
+
+  const blocks = [];
+  for (let n = from; n <= to; n++) {
+    blocks.push({ block_id: pattern.replaceAll('{n}', n), label: String(n) });
+  }
+  return { blocks };
+}
+
+/**
+ * Expand selected templates into device_controls rows
+ * A selection is { template, block_ids } or { template, instances: { from, to },
+ * block_id_pattern } ("{n}" is the instance number); templates without a block
+ * take neither and make one control
+ *
+ * @param {Array} templates - From buildTemplates()
+ * @param {Array} selections - Requested templates and blocks
+ * @returns {Object} - { controls: [{ control_id, logical_name, control_type, block_id, parameters }], errors }
+ */
+function expandSelections(templates, selections) {
+  if (!Array.isArray(selections) || selections.length === 0) {
+    return { controls: [], errors: ['controls must list at least one template'] };
+  }
+
+  const byKey = new Map(templates.map(template => [template.key, template]));
+  const controls = new Map();
+  const errors = [];
+
+  selections.forEach((selection, index) => {
+    const path = `controls[${index}]`;
+    const template = byKey.get(selection?.template);
+    if (!template) {
+      errors.push(`${path}.template must be one of: ${[...byKey.keys()].join(', ')}`);
+      return;
+    }
+
+    const { blocks, error } = selectionBlocks(template, selection, path);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+
+    for (const { block_id, label } of blocks) {
+      const controlId = (label === null ? template.key : `${template.key}_${slug(label)}`).slice(0, 100);
+
+      // The same block asked for twice is one control; two blocks sharing an id
+      // (block ids differing only in case or punctuation, or past 100 characters) would lose one
+      const existing = controls.get(controlId);
+      if (existing && (existing.block_id !== block_id || existing.control_type !== template.control_type)) {
+        errors.push(`${path}: blocks ${existing.block_id} and ${block_id} would both get control_id ${controlId}`);
+        continue;
+      }
+
+      controls.set(controlId, {
+        control_id: controlId,
+        logical_name: label === null ? template.display_name : `${template.display_name} ${label}`,
+        control_type: template.control_type,
+        block_id,
+        parameters: template.parameters
+      });
+    }
+  });
+
+  if (controls.size > MAX_GENERATED_CONTROLS) {
+    errors.push(`At most ${MAX_GENERATED_CONTROLS} controls can be generated at once`);
+  }
+
+  return { controls: [...controls.values()], errors };
+}
+
+module.exports = {
+  MAX_GENERATED_CONTROLS,
+  LINKABLE_DEPLOYMENT_STATUSES,
+  driverLinkError,
+  buildTemplates,
+  loadControlTemplates,
+  expandSelections
+};
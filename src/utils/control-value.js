@@ -0,0 +1,124 @@
+// Value type implied by a control type when its parameters don't name one
+const DEFAULT_VALUE_TYPES = {
+  gain: 'number',
+  volume: 'number',
+  level: 'number',
+  mute: 'boolean',
+  toggle: 'boolean',
+  power: 'boolean'
+};
+
+/**
+ * Resolve the value spec from a control's parameters
+ * Accepts flat parameters ({ min, max }) and the driver command style ({ value: { type, min, max } })
+ */
+function getValueSpec(control) {
+  const parameters = control.parameters || {};
+  const spec = parameters.value && typeof parameters.value === 'object' ? parameters.value : parameters;
+
+  return {
+    type: spec.type || DEFAULT_VALUE_TYPES[control.control_type] || null,
+    min: typeof spec.min === 'number' ? spec.min : null,
+    max: typeof spec.max === 'number' ? spec.max : null,
+    options: Array.isArray(spec.options) ? spec.options : null
+  };
+}
+
+/**
+ * Joins the `set` command describing a control's value as `cmd` (parameters, validation_rules)
+ * The command comes from the device's linked driver, or else from the driver deployed for
+ * its device type. Expects device_controls as `dc` and devices as `d`.
+ */
+const DRIVER_SET_COMMAND_JOIN = `LEFT JOIN LATERAL (
+       SELECT command.parameters, command.validation_rules
+       FROM driver_deployments dd
+       JOIN device_drivers drv ON drv.id = dd.driver_id
+       JOIN driver_commands command ON command.driver_id = drv.id
+       WHERE dd.controller_id = d.controller_id AND dd.deployment_status = 'active'
+         AND (drv.id = d.driver_id OR (d.driver_id IS NULL AND drv.device_type = d.type))
+         AND command.command_type = 'set' AND command.control_type = dc.control_type
+       ORDER BY dd.deployed_at DESC
+       LIMIT 1
+     ) cmd ON true`;
+
+/**
+ * Value spec of a control, completed from its driver's set command
+ * The control's own parameters win; the command fills in the type, range and options they leave out.
+ *
+ * @param {Object} control - device_controls row ({ parameters })
+ * @param {Object|null} commandParameters - The command's parameters (cmd.parameters)
+ * @param {Object|null} commandRules - The command's validation_rules (cmd.validation_rules)
+ * @returns {Object} - { type, min, max, options }, usable as the control's parameters
+ */
+function mergeValueSpec(control, commandParameters, commandRules) {
+  // Without the control type, so its default value type doesn't hide the driver's
+  const own = getValueSpec({ parameters: control.parameters });
+  const command = commandParameters?.value && typeof commandParameters.value === 'object'
+    ? commandParameters.value
+    : {};
+  const rules = commandRules || {};
+
+  const pick = (...values) => values.find(value => value !== undefined && value !== null) ?? null;
+
+  return {
+    type: pick(own.type, command.type),
+    min: pick(own.min, command.min, rules.min_value),
+    max: pick(own.max, command.max, rules.max_value),
+    options: pick(own.options, command.options, command.enum, rules.allowed_values)
+  };
+}
+
+/**
+ * Check a value before it is sent to a control with set_control
+ *
+ * @param {Object} control - device_controls row ({ control_type, parameters }), parameters merged with mergeValueSpec()
+ * @param {*} value - Requested value
+ * @returns {Object} - { valid, error }
+ */
+function validateControlValue(control, value) {
+  if (value === undefined || value === null) {
+    return { valid: false, error: 'value is required' };
+  }
+
+  const { type, min, max, options } = getValueSpec(control);
+
+  if (options && !options.includes(value)) {
+    return { valid: false, error: `value must be one of: ${options.join(', ')}` };
+  }
+
+  switch (type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { valid: false, error: `${control.control_type} value must be true or false` };
+      }
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { valid: false, error: `${control.control_type} value must be a number` };
+      }
+      if (type === 'integer' && !Number.isInteger(value)) {
+        return { valid: false, error: `${control.control_type} value must be an integer` };
+      }
+      if ((min !== null && value < min) || (max !== null && value > max)) {
+        return { valid: false, error: `value must be between ${min ?? '-∞'} and ${max ?? '∞'}` };
+      }
+      break;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        return { valid: false, error: `${control.control_type} value must be a string` };
+      }
+      break;
+  }
+
+  return { valid: true, error: null };
+}
+
+module.exports = {
+  DRIVER_SET_COMMAND_JOIN,
+  getValueSpec,
+  mergeValueSpec,
+  validateControlValue
+};
@@ -0,0 +1,261 @@
+/**
+ * Cron expressions for scene schedules
+ *
+ * Five fields - minute hour day-of-month month day-of-week - each `*`, a value,
+ * a range (1-5), a list (1,15), or either with a step (0-59/15, 8-18/2, * with
+ * /15). Months and weekdays also take names (JAN, MON); Sunday is 0 or 7. When
+ * both day fields are restricted, a day matching either one runs (as in Vixie cron).
+ * @hourly, @daily, @weekly, @monthly and @yearly are accepted too. Expressions
+ * that can never run (0 0 31 2 *) are refused.
+ *
+ * Times are wall-clock times in the schedule's timezone. A time skipped by a
+ * DST change doesn't run; a time repeated by one runs once, the first time.
+ */
+
+const MAX_EXPRESSION_LENGTH = 100;
+// How far ahead to look for a run (covers Feb 29 across a skipped leap year)
+const MAX_SEARCH_DAYS = 366 * 8;
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+// Longest each month gets (February in leap years)
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// One formatter per timezone - creating them is the slow part
+const formatters = new Map();
+
+// A field value: a number, or a month/weekday name
+function parseValue(text, field) {
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  return index === -1 ? NaN : index + field.offset;
+}
+
+/**
+ * Parse one field into the sorted values it matches
+ * @returns {Array<number>|null} - null when the field is invalid
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|[A-Za-z0-9]+(?:-[A-Za-z0-9]+)?)(?:\/(\d+))?$/);
+    if (!match) return null;
+
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start = field.min;
+    let end = field.max;
+
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      // A single value with a step runs from that value to the end of the range
+      end = to !== undefined ? parseValue(to, field) : stepText !== undefined ? field.max : start;
+    }
+
+    if (isNaN(start) || isNaN(end) || start < field.min || end > field.max || start > end || step < 1) {
+      return null;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 22 * * *", "30 7 * * MON-FRI", "@daily"
+ * @returns {Object} - { cron } or { error }
+ */
+function parse(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    return { error: 'cron_expression is required' };
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    return { error: `cron_expression can't be longer than ${MAX_EXPRESSION_LENGTH} characters` };
+  }
+
+  const normalized = SHORTCUTS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return { error: 'cron_expression must have 5 fields: minute hour day-of-month month day-of-week' };
+  }
+
+  const values = [];
+  for (let i = 0; i < FIELDS.length; i++) {
+    const parsed = parseField(parts[i], FIELDS[i]);
+    if (!parsed) {
+      return { error: `Invalid ${FIELDS[i].name} field in cron_expression: "${parts[i]}"` };
+    }
+    values.push(parsed);
+  }
+
+  const [minutes, hours, days, months, weekdays] = values;
+  // A day field starting with * doesn't restrict the day
+  const anyDay = parts[2].startsWith('*');
+  const anyWeekday = parts[4].startsWith('*');
+
+  // Only the day of month restricts the day, and no selected month has it (e.g. 31 in February)
+  if (!anyDay && anyWeekday && !months.some(month => days.some(day => day <= MONTH_DAYS[month - 1]))) {
+    return { error: `cron_expression never runs: no selected month has day ${days.join(', ')}` };
+  }
+
+  return {
+    cron: {
+      minutes,
+      hours,
+      days: new Set(days),
+      months: new Set(months),
+      // Sunday is both 0 and 7
+      weekdays: new Set(weekdays.map(day => day % 7)),
+      anyDay,
+      anyWeekday
+    }
+  };
+}
+
+/**
+ * Whether a timezone is a valid IANA name (e.g. Europe/Paris)
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+// Wall-clock time of an instant in a timezone
+function wallClock(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(instant))) {
+    parts[type] = Number(value);
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour % 24, minute: parts.minute };
+}
+
+// Offset of a timezone from UTC at an instant, in ms
+function offsetAt(instant, timeZone) {
+  const wall = wallClock(instant, timeZone);
+  const minute = Math.floor(instant / 60000) * 60000;
+  return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute) - minute;
+}
+
+/**
+ * Instant of a wall-clock time in a timezone
+ * @returns {number|null} - Epoch ms (the earlier one if the time is repeated), null if it doesn't exist
+ */
+function toInstant(year, month, day, hour, minute, timeZone) {
+  const local = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offsets either side of a DST change give the two candidates
+  const candidates = [
+    local - offsetAt(local - 12 * 3600000, timeZone),
+    local - offsetAt(local + 12 * 3600000, timeZone)
+  ].sort((a, b) => a - b);
+
+  for (const instant of candidates) {
+    const wall = wallClock(instant, timeZone);
+    if (wall.year === year && wall.month === month && wall.day === day &&
+        wall.hour === hour && wall.minute === minute) {
+      return instant;
+    }
+  }
+  return null;
+}
+
+// A stepped * (*/2) still restricts its field, it just doesn't make the day fields an OR
+function dayMatches(cron, day, weekday) {
+  if (cron.anyDay || cron.anyWeekday) {
+    return cron.days.has(day) && cron.weekdays.has(weekday);
+  }
+  return cron.days.has(day) || cron.weekdays.has(weekday);
+}
+
+/**
+ * Next times a cron expression runs
+ * @param {Object} cron - From parse()
+ * @param {string} timeZone - IANA timezone the expression is in
+ * @param {Object} options - { from } (exclusive, default now), { count }, { skipDates } local YYYY-MM-DD dates that don't run
+ * @returns {Array<Date>}
+ */
+function nextRuns(cron, timeZone, { from = new Date(), count = 5, skipDates = [] } = {}) {
+  const after = from.getTime();
+  const skip = new Set(skipDates);
+  const start = wallClock(after, timeZone);
+  const runs = [];
+
+  for (let offset = 0; offset < MAX_SEARCH_DAYS && runs.length < count; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+
+    if (!cron.months.has(month) || !dayMatches(cron, day, date.getUTCDay())) continue;
+    if (skip.has(date.toISOString().slice(0, 10))) continue;
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const instant = toInstant(year, month, day, hour, minute, timeZone);
+        if (instant === null || instant <= after) continue;
+        // Times in a repeated hour resolve to their first occurrence
+        if (runs.length > 0 && instant <= runs[runs.length - 1].getTime()) continue;
+
+        runs.push(new Date(instant));
+        if (runs.length === count) return runs;
+      }
+    }
+  }
+
+  return runs;
+}
+
+module.exports = {
+  parse,
+  isValidTimezone,
+  nextRuns
+};
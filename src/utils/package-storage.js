@@ -0,0 +1,129 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const crypto = require('crypto');
+
+// Agent packages bundle the runtime and its dependencies
+const MAX_PACKAGE_SIZE = 200 * 1024 * 1024; // 200MB
+
+/**
+ * PackageStorage
+ * Stores NUC agent release packages in Cloudflare R2 (same bucket as images)
+ * NUCs download them through short-lived signed URLs
+ */
+class PackageStorage {
+  constructor() {
+    const requiredVars = ['R2_ACCESS_KEY_ID', 'R2_SECRET_ACCESS_KEY', 'R2_BUCKET_NAME', 'R2_ACCOUNT_ID'];
+    const missing = requiredVars.filter(v => !process.env[v]);
+
+    if (missing.length > 0) {
+      this.enabled = false;
+      return;
+    }
+
+    this.enabled = true;
+
+    this.client = new S3Client({
+      region: 'auto',
+      endpoint: `https://${process.env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com`,
+      credentials: {
+        accessKeyId: process.env.R2_ACCESS_KEY_ID,
+        secretAccessKey: process.env.R2_SECRET_ACCESS_KEY
+      }
+    });
+
+    this.bucketName = process.env.R2_BUCKET_NAME;
+  }
+
+  /**
+   * Upload an agent package
+   *
+   * @param {Buffer} fileBuffer - Package file buffer
+   * @param {string} originalFilename - Original filename
+   * @param {string} version - Release version
+   * @param {string} integratorId - Integrator ID (for multi-tenancy)
+   * @returns {Promise<Object>} - { storageKey, filename, size, checksum }
+   */
+  async uploadPackage(fileBuffer, originalFilename, version, integratorId) {
+    if (!this.enabled) {
+      throw new Error('Package storage not configured');
+    }
+
+    if (fileBuffer.length > MAX_PACKAGE_SIZE) {
+      throw new Error(`File too large. Max size: ${MAX_PACKAGE_SIZE / 1024 / 1024}MB`);
+    }
+
+    const checksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+    const filename = originalFilename.replace(/[^A-Za-z0-9._-]/g, '_');
+    const storageKey = `agent-releases/${integratorId}/${version}/${filename}`;
+
+    try {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: storageKey,
+        Body: fileBuffer,
+        ContentType: 'application/octet-stream',
+        Metadata: {
+          'integrator-id': integratorId,
+          'agent-version': version,
+          'checksum-sha256': checksum
+        }
+      }));
+
+      console.log(`✓ Agent package uploaded: ${storageKey}`);
+
+      return { storageKey, filename, size: fileBuffer.length, checksum };
+
+    } catch (error) {
+      console.error('Agent package upload failed:', error);
+      throw new Error(`Failed to upload package: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an agent package
+   *
+   * @param {string} storageKey - Object key in R2
+   */
+  async deletePackage(storageKey) {
+    if (!this.enabled) {
+      throw new Error('Package storage not configured');
+    }
+
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: storageKey
+    }));
+  }
+
+  /**
+   * Signed download URL, sent to the NUC in agent_update
+   *
+   * @param {string} storageKey - Object key in R2
+   * @param {number} expiresIn - Seconds until expiration
+   * @returns {Promise<string>}
+   */
+  async getDownloadUrl(storageKey, expiresIn = 3600) {
+    if (!this.enabled) {
+      throw new Error('Package storage not configured');
+    }
+
+    const command = new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: storageKey
+    });
+
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+
+  /**
+   * Check if package storage is enabled
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+}
+
+module.exports = new PackageStorage();
+module.exports.MAX_PACKAGE_SIZE = MAX_PACKAGE_SIZE;
@@ -0,0 +1,36 @@
+/**
+ * Build an error for a failed controller request
+ * Routes map `code` to an HTTP status (offline → 503, timeout → 504, ...)
+ */
+function createRequestError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Map a failed controller request to an HTTP response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from createRequestError(); anything else is rethrown
+ */
+function sendRequestError(res, error) {
+  switch (error.code) {
+    case 'CONTROLLER_OFFLINE':
+      return res.status(503).json({ error: 'Controller offline', message: 'Controller is not connected' });
+    case 'CONTROLLER_DISCONNECTED':
+      return res.status(503).json({ error: 'Controller disconnected', message: error.message });
+    case 'REQUEST_TIMEOUT':
+      return res.status(504).json({ error: 'Controller timeout', message: error.message });
+    case 'REQUEST_REJECTED':
+      return res.status(502).json({ error: 'Controller rejected request', message: error.message });
+    case 'UNSUPPORTED_MESSAGE':
+      return res.status(409).json({ error: 'Unsupported by controller', message: error.message });
+    default:
+      throw error;
+  }
+}
+
+module.exports = {
+  createRequestError,
+  sendRequestError
+};
@@ -0,0 +1,156 @@
+const { resolveControl, sceneReferences } = require('./scene-steps');
+
+const controlKey = (control) => `${control.device_key}.${control.control_id}`;
+
+// How a control is shown in a mapping
+function describeControl(control) {
+  return {
+    device_id: control.device_key,
+    device_type: control.device_type,
+    control_id: control.control_id,
+    logical_name: control.logical_name,
+    control_type: control.control_type
+  };
+}
+
+/**
+ * Call `visit` with every object in a step list that names a control:
+ * set_control and ramp steps, and the `when` of conditions
+ */
+function forEachControlRef(steps, visit) {
+  if (!Array.isArray(steps)) return;
+
+  for (const step of steps) {
+    if (!step || typeof step !== 'object') continue;
+
+    const action = step.action ?? 'set_control';
+    if (action === 'set_control' || action === 'ramp') visit(step);
+    if (action === 'condition' && step.when && typeof step.when === 'object') visit(step.when);
+
+    forEachControlRef(step.steps, visit);
+    forEachControlRef(step.then, visit);
+    forEachControlRef(step.else, visit);
+  }
+}
+
+/**
+ * Scenes to copy: the requested ones plus the scenes they run
+ * @param {Array} scenes - Source controller's scenes ({ id, scene_id, steps })
+ * @param {Array|undefined} sceneIds - Scene UUIDs, all scenes when omitted
+ * @returns {Object} - { selected: [{ ...scene, dependency }], missing: [UUIDs not found] }
+ */
+function selectScenes(scenes, sceneIds) {
+  const byKey = new Map(scenes.map(scene => [scene.scene_id, scene]));
+  const requested = sceneIds ? scenes.filter(scene => sceneIds.includes(scene.id)) : scenes;
+  const missing = sceneIds ? sceneIds.filter(id => !scenes.some(scene => scene.id === id)) : [];
+
+  const selected = new Map(requested.map(scene => [scene.scene_id, { ...scene, dependency: false }]));
+  const pending = [...selected.values()];
+  while (pending.length > 0) {
+    for (const key of sceneReferences(pending.pop().steps)) {
+      const scene = byKey.get(key);
+      if (scene && !selected.has(key)) {
+        selected.set(key, { ...scene, dependency: true });
+        pending.push(scene);
+      }
+    }
+  }
+
+  return { selected: [...selected.values()], missing };
+}
+
+/**
+ * Controls the scenes use on the source controller
+ * @returns {Object} - { controls: Map(key → control), warnings: [{ scene_id, message }] }
+ */
+function usedControls(scenes, sourceTargets) {
+  const controls = new Map();
+  const warnings = [];
+
+  for (const scene of scenes) {
+    forEachControlRef(scene.steps, (ref) => {
+      const { control, error } = resolveControl(ref, sourceTargets);
+      if (control) {
+        controls.set(controlKey(control), control);
+      } else {
+        warnings.push({ scene_id: scene.scene_id, message: error });
+      }
+    });
+  }
+
+  return { controls, warnings };
+}
+
+// The one match, or the one on a device with the same device_id when there are several
+function pickMatch(matches, control) {
+  if (matches.length <= 1) return matches[0] || null;
+  const sameDevice = matches.filter(target => target.device_key === control.device_key);
+  return sameDevice.length === 1 ? sameDevice[0] : null;
+}
+
+/**
+ * Suggest the target control for a source control
+ * Controls on devices of the same type match by logical_name, then by control_id
+ *
+ * @param {Object} control - Source control (from loadStepTargets)
+ * @param {Array} targetTargets - Target controller's controls
+ * @returns {Object} - { source, target, match ('logical_name', 'control_id' or null), candidates }
+ */
+function suggestMapping(control, targetTargets) {
+  const sameType = targetTargets.filter(target => target.device_type === control.device_type);
+  const name = (control.logical_name || '').trim().toLowerCase();
+
+  let target = null;
+  let match = null;
+
+  if (name) {
+    target = pickMatch(sameType.filter(t => (t.logical_name || '').trim().toLowerCase() === name), control);
+    if (target) match = 'logical_name';
+  }
+  if (!target) {
+    target = pickMatch(sameType.filter(t => t.control_id === control.control_id), control);
+    if (target) match = 'control_id';
+  }
+
+  // What the user can choose from instead
+  const candidates = sameType.filter(t => t.control_type === control.control_type);
+
+  return {
+    source: describeControl(control),
+    target: target ? describeControl(target) : null,
+    match,
+    candidates: candidates.map(describeControl)
+  };
+}
+
+/**
+ * Rewrite steps for the target controller
+ * @param {Array} steps - Source scene steps
+ * @param {Array} sourceTargets - Source controller's controls
+ * @param {Map} mapping - Source control key ('<device_id>.<control_id>') → target control
+ * @returns {Array} - New steps naming the target controls by device_id and control_id
+ */
+function remapSteps(steps, sourceTargets, mapping) {
+  const copy = structuredClone(steps);
+
+  forEachControlRef(copy, (ref) => {
+    const { control } = resolveControl(ref, sourceTargets);
+    const target = control && mapping.get(controlKey(control));
+    if (!target) return;
+
+    delete ref.device;
+    delete ref.control;
+    ref.device_id = target.device_key;
+    ref.control_id = target.control_id;
+  });
+
+  return copy;
+}
+
+module.exports = {
+  controlKey,
+  selectScenes,
+  usedControls,
+  suggestMapping,
+  remapSteps
+};
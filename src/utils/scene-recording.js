@@ -0,0 +1,84 @@
+const { MAX_DELAY_MS, MAX_STEPS } = require('./scene-steps');
+
+// Changes to one control closer together than this are one move (e.g. a slider drag)
+const DEFAULT_MERGE_WINDOW_MS = 500;
+
+const changeKey = (change) => `${change.device_id}.${change.control_id}`;
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Turn recorded control changes into set_control steps
+ *
+ * Repeated values are dropped (the NUC echoes values set through the API), and
+ * changes to a control within the merge window become one step with the last
+ * value. Steps wait for the time that passed until the next change, unless
+ * `collapse` is set: then each control is set once, to its final value, without
+ * waits - a preset of the state the room was left in.
+ *
+ * @param {Array} changes - [{ device_id, control_id, value, recorded_at }] oldest first
+ * @param {Array} targets - From loadStepTargets()
+ * @param {Object} options - { collapse, mergeWindowMs }
+ * @returns {Object} - { steps, warnings, changes_used }
+ */
+function proposeSteps(changes, targets, { collapse = false, mergeWindowMs = DEFAULT_MERGE_WINDOW_MS } = {}) {
+  const known = new Set(targets.map(target => `${target.device_key}.${target.control_id}`));
+  const unknown = new Set();
+  const warnings = [];
+
+  // Last kept move of each control: { device_id, control_id, value, at, last_at }
+  const latest = new Map();
+  const moves = [];
+
+  for (const change of changes) {
+    const key = changeKey(change);
+    if (!known.has(key)) {
+      unknown.add(key);
+      continue;
+    }
+
+    const at = new Date(change.recorded_at).getTime();
+    const previous = latest.get(key);
+    if (previous && sameValue(previous.value, change.value)) continue;
+
+    if (previous && !collapse && at - previous.last_at < mergeWindowMs) {
+      previous.value = change.value;
+      previous.last_at = at;
+      continue;
+    }
+
+    const move = { device_id: change.device_id, control_id: change.control_id, value: change.value, at, last_at: at };
+    latest.set(key, move);
+    moves.push(move);
+  }
+
+  for (const key of unknown) {
+    warnings.push({ control: key, message: `${key} is not a control of this controller - its changes were left out` });
+  }
+
+  let steps;
+  if (collapse) {
+    steps = [...latest.values()]
+      .sort((a, b) => a.last_at - b.last_at)
+      .map(move => ({ action: 'set_control', device_id: move.device_id, control_id: move.control_id, value: move.value }));
+  } else {
+    steps = moves.map((move, index) => {
+      const step = { action: 'set_control', device_id: move.device_id, control_id: move.control_id, value: move.value };
+      const next = moves[index + 1];
+      const wait = next ? Math.min(Math.round(next.at - move.at), MAX_DELAY_MS) : 0;
+      if (wait > 0) step.delay_ms = wait;
+      return step;
+    });
+  }
+
+  if (steps.length > MAX_STEPS) {
+    warnings.push({ message: `Only the first ${MAX_STEPS} of ${steps.length} steps were kept (a scene's limit)` });
+    steps = steps.slice(0, MAX_STEPS);
+  }
+
+  return { steps, warnings, changes_used: moves.length };
+}
+
+module.exports = {
+  DEFAULT_MERGE_WINDOW_MS,
+  proposeSteps
+};
@@ -0,0 +1,246 @@
+const { resolveControl } = require('./scene-steps');
+
+// Steps walked before a simulation gives up (nested loops multiply quickly)
+const MAX_SIMULATED_STEPS = 20000;
+// Ramps step every 100 ms on the NUC unless told otherwise
+const DEFAULT_RAMP_INTERVAL_MS = 100;
+
+const COMPARISONS = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b
+};
+
+const controlKey = (control) => `${control.device_key}.${control.control_id}`;
+
+/**
+ * Dry run of a scene: walks its steps the way the NUC runs them, without
+ * contacting the controller, and reports when each step starts and ends
+ *
+ * Conditions and ramps without `from` read the value the scene set earlier,
+ * or else the control's last-known value. The time a set_control takes on the
+ * device isn't known, so it counts as instant.
+ *
+ * @param {Object} scene - { scene_id, steps }
+ * @param {Object} context
+ * @param {Array} context.targets - From loadStepTargets()
+ * @param {Map} context.scenes - scene_id → { scene_id, steps } for run_scene steps
+ * @param {Array} context.state - Last-known values [{ device_id, control_id, value }]
+ * @returns {Object} - { duration_ms, timeline, final_values, conflicts, warnings, truncated }
+ */
+function simulateScene(scene, { targets, scenes, state = [] }) {
+  const run = {
+    targets,
+    scenes,
+    initial: new Map(state.map(entry => [`${entry.device_id}.${entry.control_id}`, entry.value])),
+    controls: new Map(),
+    writes: [],
+    timeline: [],
+    conflicts: [],
+    warnings: [],
+    simulated: 0,
+    truncated: false,
+    stack: [scene.scene_id]
+  };
+
+  const duration = runSteps(scene.steps || [], 'steps', 0, run, { scene_id: scene.scene_id });
+
+  return {
+    duration_ms: duration,
+    timeline: run.timeline,
+    final_values: finalValues(run),
+    conflicts: run.conflicts,
+    warnings: run.warnings,
+    truncated: run.truncated
+  };
+}
+
+// Value of a control at a time: the last write at or before it, else the last-known value
+function valueAt(run, key, time) {
+  let value = run.initial.get(key);
+  for (const write of run.writes) {
+    if (write.key === key && write.at <= time) value = write.value;
+  }
+  return value;
+}
+
+function write(run, control, at, value, path) {
+  const key = controlKey(control);
+  run.controls.set(key, control);
+  run.writes.push({ key, at, value, path });
+}
+
+// Each touched control's value once the scene ends
+function finalValues(run) {
+  return [...run.controls].map(([key, control]) => {
+    const writes = run.writes.filter(w => w.key === key);
+    const last = writes.reduce((latest, w) => (w.at >= latest.at ? w : latest));
+
+    return {
+      device_id: control.device_key,
+      control_id: control.control_id,
+      logical_name: control.logical_name,
+      previous_value: run.initial.has(key) ? run.initial.get(key) : null,
+      value: last.value,
+      changed_at_ms: last.at
+    };
+  });
+}
+
+// Runs steps one after the other from `start`; returns when the last one ends
+function runSteps(steps, path, start, run, meta) {
+  let time = start;
+  steps.forEach((step, index) => {
+    time = runStep(step, `${path}[${index}]`, time, run, meta);
+  });
+  return time;
+}
+
+function resolve(step, path, run) {
+  const { control, error } = resolveControl(step, run.targets);
+  if (error) run.warnings.push({ path, message: `${error} - step skipped` });
+  return control || null;
+}
+
+function runStep(step, path, start, run, meta) {
+  if (run.truncated) return start;
+  if (++run.simulated > MAX_SIMULATED_STEPS) {
+    run.truncated = true;
+    run.warnings.push({ path, message: `Stopped after ${MAX_SIMULATED_STEPS} steps - timings and values are incomplete` });
+    return start;
+  }
+  if (!step || typeof step !== 'object') return start;
+
+  const action = step.action ?? 'set_control';
+  const entry = { ...meta, path, action, start_ms: start, end_ms: start };
+  run.timeline.push(entry);
+
+  switch (action) {
+    case 'set_control': {
+      const control = resolve(step, path, run);
+      if (control) {
+        write(run, control, start, step.value, path);
+        Object.assign(entry, { device_id: control.device_key, control_id: control.control_id, value: step.value });
+      }
+      entry.end_ms = start + (step.delay_ms ?? step.delay ?? 0);
+      break;
+    }
+
+    case 'delay':
+      entry.end_ms = start + (step.delay_ms ?? step.delay ?? 0);
+      break;
+
+    case 'ramp': {
+      entry.end_ms = start + step.duration_ms;
+      const control = resolve(step, path, run);
+      if (!control) break;
+
+      const from = step.from ?? valueAt(run, controlKey(control), start);
+      if (from === undefined) {
+        run.warnings.push({ path, message: `${control.control_id} has no known value - the ramp starts from whatever it is` });
+      }
+      if (step.from !== undefined) write(run, control, start, step.from, path);
+      write(run, control, entry.end_ms, step.to, path);
+
+      Object.assign(entry, {
+        device_id: control.device_key,
+        control_id: control.control_id,
+        from: from ?? null,
+        to: step.to,
+        interval_ms: step.interval_ms ?? DEFAULT_RAMP_INTERVAL_MS
+      });
+      break;
+    }
+
+    case 'parallel':
+      entry.end_ms = runParallel(step.steps || [], path, start, run, meta);
+      break;
+
+    case 'condition': {
+      const control = resolve(step.when || {}, `${path}.when`, run);
+      const value = control ? valueAt(run, controlKey(control), start) : undefined;
+
+      // Like the NUC, a control with no known value takes the else branch
+      const compare = COMPARISONS[step.when?.operator];
+      const matched = value !== undefined && Boolean(compare?.(value, step.when.value));
+      if (control && value === undefined) {
+        run.warnings.push({ path, message: `${control.control_id} has no known value - the else branch is assumed` });
+      }
+
+      const branch = matched ? 'then' : 'else';
+      Object.assign(entry, { value: value ?? null, branch });
+      entry.end_ms = runSteps(step[branch] || [], `${path}.${branch}`, start, run, meta);
+      break;
+    }
+
+    case 'loop': {
+      let time = start;
+      for (let iteration = 1; iteration <= step.count && !run.truncated; iteration++) {
+        time = runSteps(step.steps || [], `${path}.steps`, time, run, { ...meta, iteration });
+      }
+      Object.assign(entry, { count: step.count, end_ms: time });
+      break;
+    }
+
+    case 'run_scene': {
+      const target = run.scenes.get(step.scene_id);
+      entry.target_scene_id = step.scene_id;
+
+      if (!target) {
+        run.warnings.push({ path, message: `Scene ${step.scene_id} not found - step skipped` });
+      } else if (run.stack.includes(step.scene_id)) {
+        run.warnings.push({ path, message: `Scene ${step.scene_id} would run itself - step skipped` });
+      } else {
+        run.stack.push(step.scene_id);
+        entry.end_ms = runSteps(target.steps || [], 'steps', start, run, { ...meta, scene_id: step.scene_id });
+        run.stack.pop();
+      }
+      break;
+    }
+  }
+
+  return entry.end_ms;
+}
+
+// Starts every step at once; ends with the last one. Controls written by more
+// than one of them are reported, as the value they end up with depends on timing.
+function runParallel(steps, path, start, run, meta) {
+  const writers = new Map(); // control key -> paths of the branches writing it
+  let end = start;
+
+  steps.forEach((step, index) => {
+    const branchPath = `${path}.steps[${index}]`;
+    const firstWrite = run.writes.length;
+
+    end = Math.max(end, runStep(step, branchPath, start, run, meta));
+
+    for (const key of new Set(run.writes.slice(firstWrite).map(w => w.key))) {
+      if (!writers.has(key)) writers.set(key, []);
+      writers.get(key).push(branchPath);
+    }
+  });
+
+  for (const [key, paths] of writers) {
+    if (paths.length < 2) continue;
+
+    const control = run.controls.get(key);
+    run.conflicts.push({
+      type: 'parallel_write',
+      scene_id: meta.scene_id,
+      path,
+      device_id: control.device_key,
+      control_id: control.control_id,
+      paths,
+      message: `${control.control_id} is set by ${paths.length} steps running in parallel`
+    });
+  }
+
+  return end;
+}
+
+module.exports = {
+  simulateScene
+};
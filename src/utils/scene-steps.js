@@ -0,0 +1,367 @@
+const pool = require('../db/connection');
+const { DRIVER_SET_COMMAND_JOIN, getValueSpec, mergeValueSpec, validateControlValue } = require('./control-value');
+
+const STEP_ACTIONS = ['set_control', 'delay', 'ramp', 'parallel', 'condition', 'loop', 'run_scene'];
+// Actions only agents declaring the advanced_steps capability run
+const ADVANCED_ACTIONS = ['ramp', 'parallel', 'condition', 'loop', 'run_scene'];
+// Fields holding nested step lists
+const NESTED_FIELDS = ['steps', 'then', 'else'];
+const CONDITION_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'];
+const NUMERIC_TYPES = ['number', 'integer'];
+
+// Steps in a scene, counting those nested in parallel blocks, branches and loops
+const MAX_STEPS = 500;
+// Parallel blocks, branches and loops inside each other
+const MAX_DEPTH = 5;
+const MAX_LOOP_COUNT = 100;
+// Longest wait a step may hold the scene for (1 hour)
+const MAX_DELAY_MS = 60 * 60 * 1000;
+// Ramps change the value at most this often
+const MIN_RAMP_INTERVAL_MS = 50;
+
+/**
+ * Controls a controller's scene steps can target, with the value spec of each
+ *
+ * A control's own parameters win; what they leave out comes from its driver's
+ * set command (see mergeValueSpec).
+ *
+ * @param {string} controllerId - Controller UUID
+ * @returns {Promise<Array>} - [{ id, device_key, device_type, control_id, logical_name, control_type, parameters }]
+ */
+async function loadStepTargets(controllerId) {
+  const result = await pool.query(
+    `SELECT dc.id, d.device_id AS device_key, d.type AS device_type, dc.control_id, dc.logical_name, dc.control_type,
+            dc.block_id, dc.parameters, cmd.parameters AS command_parameters,
+            cmd.validation_rules AS command_rules
+     FROM device_controls dc
+     JOIN devices d ON d.id = dc.device_id
+     ${DRIVER_SET_COMMAND_JOIN}
+     WHERE d.controller_id = $1`,
+    [controllerId]
+  );
+
+  return result.rows.map(({ command_parameters, command_rules, ...control }) => ({
+    ...control,
+    parameters: mergeValueSpec(control, command_parameters, command_rules)
+  }));
+}
+
+/**
+ * Find the control a set_control step targets
+ * Steps name the device and control by device_id/control_id (or device/control);
+ * without a device, a unique control_id or logical_name on the controller is enough.
+ *
+ * @returns {Object} - { control } or { error }
+ */
+function resolveControl(step, targets) {
+  const deviceKey = step.device_id ?? step.device;
+  const controlKey = step.control_id ?? step.control;
+
+  if (controlKey === undefined || controlKey === null || controlKey === '') {
+    return { error: 'control_id is required' };
+  }
+
+  let matches = targets.filter(c => c.control_id === controlKey && (deviceKey == null || c.device_key === deviceKey));
+  if (matches.length === 0 && deviceKey == null) {
+    matches = targets.filter(c => c.logical_name === controlKey);
+  }
+
+  if (matches.length === 0) {
+    return {
+      error: deviceKey != null
+        ? `Control ${controlKey} not found on device ${deviceKey}`
+        : `Control ${controlKey} not found on this controller`
+    };
+  }
+  if (matches.length > 1) {
+    return { error: `Control ${controlKey} exists on several devices - set device_id` };
+  }
+  return { control: matches[0] };
+}
+
+// Delay fields: `delay_ms`, or `delay` as documented for the API
+function checkDelay(step, path, errors, required = false) {
+  const field = step.delay_ms !== undefined ? 'delay_ms' : 'delay';
+  const delay = step[field];
+
+  if (delay === undefined || delay === null) {
+    if (required) errors.push({ path: `${path}.delay_ms`, message: 'delay_ms is required' });
+    return;
+  }
+  if (!Number.isInteger(delay) || delay < 0 || delay > MAX_DELAY_MS) {
+    errors.push({ path: `${path}.${field}`, message: `${field} must be an integer between 0 and ${MAX_DELAY_MS}` });
+  }
+}
+
+// Control a step names, reported on the field the step used
+function checkControl(step, path, targets, errors) {
+  const { control, error } = resolveControl(step, targets);
+  if (error) {
+    const field = step.control_id === undefined && step.control !== undefined ? 'control' : 'control_id';
+    errors.push({ path: `${path}.${field}`, message: error });
+    return null;
+  }
+  return control;
+}
+
+function checkValue(control, value, path, errors) {
+  if (value === undefined) {
+    errors.push({ path, message: `${path.split('.').pop()} is required` });
+    return;
+  }
+  const validation = validateControlValue(control, value);
+  if (!validation.valid) {
+    errors.push({ path, message: `${control.control_id}: ${validation.error}` });
+  }
+}
+
+// Steps nested in a parallel block, branch or loop
+function checkChildren(children, path, context, { required = true } = {}) {
+  if (children === undefined && !required) return;
+
+  if (!Array.isArray(children) || (required && children.length === 0)) {
+    context.errors.push({ path, message: `${path.split('.').pop()} must be a non-empty list of steps` });
+    return;
+  }
+  if (context.depth >= MAX_DEPTH) {
+    context.errors.push({ path, message: `Steps can't be nested more than ${MAX_DEPTH} levels deep` });
+    return;
+  }
+
+  context.depth++;
+  children.forEach((child, index) => validateStep(child, `${path}[${index}]`, context));
+  context.depth--;
+}
+
+function checkRamp(step, path, context) {
+  const { errors } = context;
+  const control = checkControl(step, path, context.targets, errors);
+
+  if (control && !NUMERIC_TYPES.includes(getValueSpec(control).type)) {
+    errors.push({ path: `${path}.control_id`, message: `${control.control_id}: only numeric controls can be ramped` });
+  } else if (control) {
+    // Without `from`, the ramp starts at the control's current value
+    if (step.from !== undefined) checkValue(control, step.from, `${path}.from`, errors);
+    checkValue(control, step.to, `${path}.to`, errors);
+  }
+
+  const duration = step.duration_ms;
+  if (!Number.isInteger(duration) || duration < MIN_RAMP_INTERVAL_MS || duration > MAX_DELAY_MS) {
+    errors.push({
+      path: `${path}.duration_ms`,
+      message: `duration_ms must be an integer between ${MIN_RAMP_INTERVAL_MS} and ${MAX_DELAY_MS}`
+    });
+  } else if (step.interval_ms !== undefined &&
+      (!Number.isInteger(step.interval_ms) || step.interval_ms < MIN_RAMP_INTERVAL_MS || step.interval_ms > duration)) {
+    errors.push({
+      path: `${path}.interval_ms`,
+      message: `interval_ms must be an integer between ${MIN_RAMP_INTERVAL_MS} and duration_ms`
+    });
+  }
+}
+
+function checkCondition(step, path, context) {
+  const { errors } = context;
+  const when = step.when;
+  const whenPath = `${path}.when`;
+
+  if (!when || typeof when !== 'object' || Array.isArray(when)) {
+    errors.push({ path: whenPath, message: 'when is required: { control_id, operator, value }' });
+  } else {
+    const control = checkControl(when, whenPath, context.targets, errors);
+
+    if (!CONDITION_OPERATORS.includes(when.operator)) {
+      errors.push({ path: `${whenPath}.operator`, message: `operator must be one of: ${CONDITION_OPERATORS.join(', ')}` });
+    } else if (control) {
+      if (!['eq', 'ne'].includes(when.operator) && !NUMERIC_TYPES.includes(getValueSpec(control).type)) {
+        errors.push({ path: `${whenPath}.operator`, message: `${control.control_id}: ${when.operator} needs a numeric control` });
+      } else {
+        checkValue(control, when.value, `${whenPath}.value`, errors);
+      }
+    }
+  }
+
+  // One branch is enough; a condition without either does nothing
+  const branches = [step.then, step.else].filter(branch => branch !== undefined);
+  if (branches.every(branch => Array.isArray(branch) && branch.length === 0)) {
+    errors.push({ path: `${path}.then`, message: 'then or else needs at least one step' });
+  }
+  checkChildren(step.then, `${path}.then`, context, { required: false });
+  checkChildren(step.else, `${path}.else`, context, { required: false });
+}
+
+function validateStep(step, path, context) {
+  const { targets, errors } = context;
+  context.count++;
+
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    errors.push({ path, message: 'Step must be an object' });
+    return;
+  }
+
+  // Steps written before actions existed are control changes
+  const action = step.action ?? 'set_control';
+  if (!STEP_ACTIONS.includes(action)) {
+    errors.push({ path: `${path}.action`, message: `action must be one of: ${STEP_ACTIONS.join(', ')}` });
+    return;
+  }
+
+  switch (action) {
+    case 'set_control': {
+      const control = checkControl(step, path, targets, errors);
+      if (control) checkValue(control, step.value, `${path}.value`, errors);
+      checkDelay(step, path, errors);
+      break;
+    }
+
+    case 'delay':
+      checkDelay(step, path, errors, true);
+      break;
+
+    case 'ramp':
+      checkRamp(step, path, context);
+      break;
+
+    // Runs its steps at the same time and ends when the last one does
+    case 'parallel':
+      checkChildren(step.steps, `${path}.steps`, context);
+      break;
+
+    case 'condition':
+      checkCondition(step, path, context);
+      break;
+
+    // Runs another scene of the controller, by its scene_id
+    case 'run_scene':
+      if (typeof step.scene_id !== 'string' || !step.scene_id) {
+        errors.push({ path: `${path}.scene_id`, message: 'scene_id is required' });
+      } else if (!context.scenes.has(step.scene_id)) {
+        errors.push({ path: `${path}.scene_id`, message: `Scene ${step.scene_id} not found on this controller` });
+      }
+      break;
+
+    case 'loop':
+      if (!Number.isInteger(step.count) || step.count < 1 || step.count > MAX_LOOP_COUNT) {
+        errors.push({ path: `${path}.count`, message: `count must be an integer between 1 and ${MAX_LOOP_COUNT}` });
+      }
+      checkChildren(step.steps, `${path}.steps`, context);
+      break;
+  }
+
+  if (ADVANCED_ACTIONS.includes(action)) {
+    context.advanced = true;
+  }
+}
+
+/**
+ * Check scene steps against the controller's controls and scenes
+ * @param {Array} steps - Scene steps
+ * @param {Array} targets - From loadStepTargets()
+ * @param {Array} sceneKeys - scene_ids run_scene steps may name
+ * @returns {Object} - { errors: [{ step (1-based top-level step), path, message }], advanced }
+ *   advanced is true when a step needs the advanced_steps capability
+ */
+function validateSteps(steps, targets, sceneKeys = []) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { errors: [{ step: null, path: 'steps', message: 'Scene must have at least one step' }], advanced: false };
+  }
+
+  const context = { targets, scenes: new Set(sceneKeys), errors: [], depth: 0, count: 0, advanced: false };
+  const errors = [];
+  steps.forEach((step, index) => {
+    context.errors = [];
+    validateStep(step, `steps[${index}]`, context);
+    errors.push(...context.errors.map(error => ({ step: index + 1, ...error })));
+  });
+
+  if (context.count > MAX_STEPS) {
+    return { errors: [{ step: null, path: 'steps', message: `A scene can't have more than ${MAX_STEPS} steps` }], advanced: context.advanced };
+  }
+  return { errors, advanced: context.advanced };
+}
+
+/**
+ * scene_ids a scene's run_scene steps name, nested ones included
+ * @param {Array} steps - Scene steps
+ * @returns {Set<string>}
+ */
+function sceneReferences(steps, references = new Set()) {
+  if (!Array.isArray(steps)) return references;
+
+  for (const step of steps) {
+    if (!step || typeof step !== 'object') continue;
+    if (step.action === 'run_scene' && typeof step.scene_id === 'string') {
+      references.add(step.scene_id);
+    }
+    for (const field of NESTED_FIELDS) {
+      sceneReferences(step[field], references);
+    }
+  }
+  return references;
+}
+
+/**
+ * Find a chain of run_scene steps leading back to a scene
+ * @param {Map} graph - scene_id → Set of scene_ids it runs
+ * @param {string} start - scene_id to start from
+ * @returns {Array<string>|null} - e.g. ['a', 'b', 'a'], null without a cycle
+ */
+function findCycle(graph, start) {
+  const path = [];
+  const done = new Set();
+
+  const visit = (key) => {
+    const index = path.indexOf(key);
+    if (index !== -1) return [...path.slice(index), key];
+    if (done.has(key)) return null;
+
+    path.push(key);
+    for (const reference of graph.get(key) || []) {
+      const cycle = visit(reference);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    done.add(key);
+    return null;
+  };
+
+  return visit(start);
+}
+
+/**
+ * Order scenes so every scene comes after the scenes it runs
+ * @param {Array} scenes - [{ scene_id, steps }]
+ * @returns {Array<string>} - scene_ids
+ */
+function sceneOrder(scenes) {
+  const graph = new Map(scenes.map(scene => [scene.scene_id, sceneReferences(scene.steps)]));
+  const order = [];
+  const seen = new Set();
+
+  const visit = (key) => {
+    if (seen.has(key)) return;
+    seen.add(key);
+    for (const reference of graph.get(key)) {
+      if (graph.has(reference)) visit(reference);
+    }
+    order.push(key);
+  };
+
+  for (const key of [...graph.keys()].sort()) {
+    visit(key);
+  }
+  return order;
+}
+
+module.exports = {
+  STEP_ACTIONS,
+  ADVANCED_ACTIONS,
+  MAX_DELAY_MS,
+  MAX_STEPS,
+  loadStepTargets,
+  resolveControl,
+  validateSteps,
+  sceneReferences,
+  findCycle,
+  sceneOrder
+};
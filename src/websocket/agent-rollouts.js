@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const pool = require('../db/connection');
+const packageStorage = require('../utils/package-storage');
+
+const POLICIES = ['pilot', 'percentage', 'project'];
+// Target statuses while the NUC is working on an update
+const IN_FLIGHT = ['sent', 'downloading', 'installing'];
+// How long the download URL in agent_update stays valid
+const DOWNLOAD_URL_TTL = 3600;
+
+/**
+ * AgentRollouts
+ * Delivers agent releases (agent_update) to controllers a batch at a time
+ *
+ * A rollout targets the pilot group, a stable percentage of controllers, or
+ * a whole project. Every heartbeat loop tick() times out controllers that did
+ * not come back on the new version, halts rollouts that reached max_failures,
+ * and sends the next batch to online controllers.
+ */
+class AgentRollouts {
+  /**
+   * Stable 0-99 bucket of a controller for a release
+   * Raising the percentage of a release keeps the controllers already picked
+   */
+  bucket(releaseId, controllerId) {
+    const hash = crypto.createHash('sha256').update(`${releaseId}:${controllerId}`).digest();
+    return hash.readUInt32BE(0) % 100;
+  }
+
+  /**
+   * Check rollout options from the API
+   * @param {Object} options - { policy, project_id, percentage, batch_size, max_failures, reconnect_timeout_seconds }
+   * @returns {string|null} - Error message
+   */
+  validate(options = {}) {
+    const { policy, project_id, percentage, batch_size, max_failures, reconnect_timeout_seconds } = options;
+
+    if (!POLICIES.includes(policy)) {
+      return `policy must be one of: ${POLICIES.join(', ')}`;
+    }
+    if (policy === 'project' && !project_id) {
+      return 'project_id is required for the project policy';
+    }
+    if (policy === 'percentage' && !(Number.isInteger(percentage) && percentage >= 1 && percentage <= 100)) {
+      return 'percentage must be an integer between 1 and 100';
+    }
+    if (batch_size !== undefined && !(Number.isInteger(batch_size) && batch_size >= 1)) {
+      return 'batch_size must be a positive integer';
+    }
+    if (max_failures !== undefined && !(Number.isInteger(max_failures) && max_failures >= 1)) {
+      return 'max_failures must be a positive integer';
+    }
+    if (reconnect_timeout_seconds !== undefined &&
+        !(Number.isInteger(reconnect_timeout_seconds) && reconnect_timeout_seconds >= 60)) {
+      return 'reconnect_timeout_seconds must be an integer of at least 60';
+    }
+    return null;
+  }
+
+  /**
+   * Controllers a rollout covers
+   * @param {Object} release - agent_releases row
+   * @param {Object} options - Validated rollout options
+   * @returns {Promise<Array>} - [{ id, agent_version }]
+   */
+  async selectControllers(release, options) {
+    const result = await pool.query(
+      `SELECT c.id, c.agent_version, c.update_pilot
+       FROM controllers c
+       JOIN projects p ON c.project_id = p.id
+       WHERE p.integrator_id = $1
+         AND ($2::uuid IS NULL OR c.project_id = $2)
+       ORDER BY c.created_at`,
+      [release.integrator_id, options.project_id || null]
+    );
+
+    if (options.policy === 'pilot') {
+      return result.rows.filter(c => c.update_pilot);
+    }
+    if (options.policy === 'percentage') {
+      return result.rows.filter(c => this.bucket(release.id, c.id) < options.percentage);
+    }
+    return result.rows;
+  }
+
+  /**
+   * Create a rollout and its targets
+   * Controllers already on the release version are skipped
+   *
+   * @param {Object} release - agent_releases row
+   * @param {Object} options - Validated rollout options
+   * @returns {Promise<Object>} - Rollout row
+   */
+  async create(release, options) {
+    const controllers = await this.selectControllers(release, options);
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const rollout = await client.query(
+        `INSERT INTO agent_rollouts
+         (release_id, integrator_id, policy, project_id, percentage, batch_size, max_failures, reconnect_timeout_seconds)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, 5), COALESCE($7, 2), COALESCE($8, 600))
+         RETURNING *`,
+        [
+          release.id,
+          release.integrator_id,
+          options.policy,
+          options.project_id || null,
+          options.policy === 'percentage' ? options.percentage : null,
+          options.batch_size ?? null,
+          options.max_failures ?? null,
+          options.reconnect_timeout_seconds ?? null
+        ]
+      );
+
+      if (controllers.length > 0) {
+        await client.query(
+          `INSERT INTO agent_rollout_targets (rollout_id, controller_id, from_version, status, completed_at)
+           SELECT $1, t.controller_id, t.from_version,
+                  CASE WHEN t.from_version = $4 THEN 'skipped' ELSE 'pending' END,
+                  CASE WHEN t.from_version = $4 THEN CURRENT_TIMESTAMP END
+           FROM UNNEST($2::uuid[], $3::text[]) AS t(controller_id, from_version)`,
+          [rollout.rows[0].id, controllers.map(c => c.id), controllers.map(c => c.agent_version), release.version]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      return rollout.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Target counts per status
+   * @param {string} rolloutId - Rollout UUID
+   * @param {Object} db - Pool or a transaction's client
+   * @returns {Promise<Object>} - { pending, sent, ..., total }
+   */
+  async getCounts(rolloutId, db = pool) {
+    const result = await db.query(
+      `SELECT status, COUNT(*)::int AS count FROM agent_rollout_targets
+       WHERE rollout_id = $1 GROUP BY status`,
+      [rolloutId]
+    );
+
+    const counts = { pending: 0, sent: 0, downloading: 0, installing: 0, succeeded: 0, failed: 0, skipped: 0, total: 0 };
+    for (const row of result.rows) {
+      counts[row.status] = row.count;
+      counts.total += row.count;
+    }
+    return counts;
+  }
+
+  /**
+   * Advance every active rollout (called from the heartbeat loop on every instance)
+   * Each rollout is locked while it is advanced, so only one instance works on it
+   *
+   * @param {Object} wsServer - WebSocketServer (delivery and live events)
+   */
+  async tick(wsServer) {
+    const active = await pool.query(`SELECT id FROM agent_rollouts WHERE status = 'active'`);
+    if (active.rows.length === 0) return;
+
+    const online = new Set(await wsServer.getConnectedControllers());
+
+    for (const { id } of active.rows) {
+      try {
+        await this.advance(id, wsServer, online);
+      } catch (error) {
+        console.error(`Agent rollout ${id} error:`, error);
+      }
+    }
+  }
+
+  async advance(rolloutId, wsServer, online) {
+    const client = await pool.connect();
+    const events = [];
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(
+        `SELECT r.*, ar.version, ar.storage_key, ar.checksum_sha256, ar.size_bytes, ar.release_notes
+         FROM agent_rollouts r
+         JOIN agent_releases ar ON r.release_id = ar.id
+         WHERE r.id = $1 AND r.status = 'active'
+         FOR UPDATE OF r SKIP LOCKED`,
+        [rolloutId]
+      );
+
+      if (locked.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return;
+      }
+
+      const rollout = locked.rows[0];
+
+      // Controllers that never came back on the new version
+      const timedOut = await client.query(
+        `UPDATE agent_rollout_targets
+         SET status = 'failed', error_message = 'Did not reconnect on the new version in time',
+             completed_at = CURRENT_TIMESTAMP
+         WHERE rollout_id = $1 AND status = ANY($2)
+           AND sent_at < CURRENT_TIMESTAMP - make_interval(secs => $3)
+         RETURNING id, controller_id, status, error_message`,
+        [rollout.id, IN_FLIGHT, rollout.reconnect_timeout_seconds]
+      );
+      for (const target of timedOut.rows) {
+        events.push([target.controller_id, this.targetEvent(rollout, target)]);
+      }
+
+      const counts = await this.getCounts(rollout.id, client);
+
+      if (counts.failed >= rollout.max_failures) {
+        await client.query(
+          `UPDATE agent_rollouts SET status = 'halted', halted_reason = $2 WHERE id = $1`,
+          [rollout.id, `${counts.failed} controller(s) failed to update (max_failures ${rollout.max_failures})`]
+        );
+        await client.query('COMMIT');
+        console.log(`✗ Agent rollout ${rollout.id} (${rollout.version}) halted after ${counts.failed} failures`);
+        this.emit(wsServer, events);
+        return;
+      }
+
+      const inFlight = IN_FLIGHT.reduce((sum, status) => sum + counts[status], 0);
+
+      if (counts.pending === 0 && inFlight === 0) {
+        await client.query(
+          `UPDATE agent_rollouts SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = $1`,
+          [rollout.id]
+        );
+        await client.query('COMMIT');
+        console.log(`✓ Agent rollout ${rollout.id} (${rollout.version}) completed`);
+        this.emit(wsServer, events);
+        return;
+      }
+
+      // Next batch - online controllers not already updating in another rollout
+      const slots = rollout.batch_size - inFlight;
+      const batch = slots > 0 && online.size > 0
+        ? await client.query(
+          `SELECT t.id, t.controller_id FROM agent_rollout_targets t
+           WHERE t.rollout_id = $1 AND t.status = 'pending' AND t.controller_id = ANY($2)
+             AND NOT EXISTS (
+               SELECT 1 FROM agent_rollout_targets other
+               WHERE other.controller_id = t.controller_id AND other.status = ANY($3)
+             )
+           ORDER BY t.id
+           LIMIT $4`,
+          [rollout.id, Array.from(online), IN_FLIGHT, slots]
+        )
+        : { rows: [] };
+
+      const url = batch.rows.length > 0
+        ? await packageStorage.getDownloadUrl(rollout.storage_key, DOWNLOAD_URL_TTL)
+        : null;
+
+      for (const target of batch.rows) {
+        // Agents from before agent_update can only be updated on site
+        if (!(await wsServer.supports(target.controller_id, 'agent_update'))) {
+          const skipped = await client.query(
+            `UPDATE agent_rollout_targets
+             SET status = 'skipped', error_message = 'Agent does not support agent_update', completed_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING id, controller_id, status, error_message`,
+            [target.id]
+          );
+          events.push([target.controller_id, this.targetEvent(rollout, skipped.rows[0])]);
+          continue;
+        }
+
+        const sent = await wsServer.sendToController(target.controller_id, {
+          type: 'agent_update',
+          timestamp: new Date().toISOString(),
+          data: {
+            update_id: target.id,
+            version: rollout.version,
+            url,
+            checksum_sha256: rollout.checksum_sha256,
+            size_bytes: Number(rollout.size_bytes),
+            release_notes: rollout.release_notes
+          }
+        });
+
+        // Went offline since the presence check - stays pending for the next tick
+        if (!sent) continue;
+
+        const updated = await client.query(
+          `UPDATE agent_rollout_targets
+           SET status = 'sent', sent_at = CURRENT_TIMESTAMP,
+               from_version = (SELECT agent_version FROM controllers WHERE id = $2)
+           WHERE id = $1
+           RETURNING id, controller_id, status, error_message`,
+          [target.id, target.controller_id]
+        );
+        events.push([target.controller_id, this.targetEvent(rollout, updated.rows[0])]);
+      }
+
+      await client.query('COMMIT');
+      this.emit(wsServer, events);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Progress reported by the NUC (agent_update_status)
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} data - { update_id, status, error }
+   * @returns {Promise<Object|null>} - agent_update event payload, or null if the update is unknown
+   */
+  async handleStatus(controllerId, data = {}) {
+    const statuses = ['downloading', 'installing', 'succeeded', 'failed'];
+    if (!data.update_id || !statuses.includes(data.status)) return null;
+
+    const done = data.status === 'succeeded' || data.status === 'failed';
+
+    const result = await pool.query(
+      `UPDATE agent_rollout_targets t
+       SET status = $3, error_message = $4,
+           completed_at = CASE WHEN $5 THEN CURRENT_TIMESTAMP END
+       FROM agent_rollouts r, agent_releases ar
+       WHERE t.id = $1 AND t.controller_id = $2 AND t.status = ANY($6)
+         AND r.id = t.rollout_id AND ar.id = r.release_id
+       RETURNING t.id, t.controller_id, t.status, t.error_message, r.id AS rollout_id, ar.version`,
+      [data.update_id, controllerId, data.status, data.error ? String(data.error) : null, done, IN_FLIGHT]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const target = result.rows[0];
+    return this.targetEvent({ id: target.rollout_id, version: target.version }, target);
+  }
+
+  /**
+   * A controller reported its agent version (status_update)
+   * Coming back on the release version is what confirms an update
+   *
+   * @param {string} controllerId - Controller UUID
+   * @param {string} agentVersion - Reported version
+   * @returns {Promise<Array>} - agent_update event payloads
+   */
+  async confirmVersion(controllerId, agentVersion) {
+    const result = await pool.query(
+      `UPDATE agent_rollout_targets t
+       SET status = 'succeeded', error_message = NULL, completed_at = CURRENT_TIMESTAMP
+       FROM agent_rollouts r, agent_releases ar
+       WHERE t.controller_id = $1 AND t.status = ANY($3)
+         AND r.id = t.rollout_id AND ar.id = r.release_id AND ar.version = $2
+       RETURNING t.id, t.controller_id, t.status, t.error_message, r.id AS rollout_id, ar.version`,
+      [controllerId, agentVersion, IN_FLIGHT]
+    );
+
+    return result.rows.map(target => this.targetEvent({ id: target.rollout_id, version: target.version }, target));
+  }
+
+  targetEvent(rollout, target) {
+    return {
+      rollout_id: rollout.id,
+      update_id: target.id,
+      version: rollout.version,
+      status: target.status,
+      error: target.error_message || null
+    };
+  }
+
+  emit(wsServer, events) {
+    for (const [controllerId, data] of events) {
+      wsServer.emitControllerEvent(controllerId, 'agent_update', data);
+    }
+  }
+}
+
+module.exports = new AgentRollouts();
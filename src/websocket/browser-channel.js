@@ -0,0 +1,227 @@
+const WebSocket = require('ws');
+const pool = require('../db/connection');
+const { verifyToken } = require('../utils/jwt');
+
+/**
+ * BrowserChannel
+ * JWT-authenticated WebSocket endpoint (/live) that pushes controller events
+ * to the frontend instead of it polling the REST API
+ *
+ * Clients connect with ?token=<jwt>, then subscribe to a project or controller:
+ *   { "type": "subscribe", "data": { "project_id": "uuid" } }
+ *   { "type": "subscribe", "data": { "controller_id": "uuid" } }
+ *
+ * Events are sent once per client even if several subscriptions match:
+ *   { "type": "event", "event": "controller_status", "project_id", "controller_id", "data" }
+ */
+class BrowserChannel {
+  constructor() {
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.clients = new Set();
+    this.projectIds = new Map(); // controllerId -> projectId (controllers never change project)
+
+    this.wss.on('connection', (ws, req) => {
+      this.handleConnection(ws, req);
+    });
+  }
+
+  // Called by the HTTP upgrade router for the /live path
+  handleUpgrade(req, socket, head) {
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.wss.emit('connection', ws, req);
+    });
+  }
+
+  handleConnection(ws, req) {
+    const url = new URL(req.url, 'http://localhost');
+    const token = url.searchParams.get('token');
+
+    if (!token) {
+      ws.close(1008, 'Token required');
+      return;
+    }
+
+    let user;
+    try {
+      user = verifyToken(token);
+    } catch (error) {
+      ws.close(1008, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+      return;
+    }
+
+    ws.integratorId = user.integrator_id;
+    ws.subscriptions = new Set(); // 'project:<id>' / 'controller:<id>'
+    ws.isAlive = true;
+    this.clients.add(ws);
+
+    // Don't keep pushing events past the token's lifetime
+    if (user.exp) {
+      ws.expiryTimer = setTimeout(() => ws.close(1008, 'Token expired'), user.exp * 1000 - Date.now());
+    }
+
+    ws.on('message', (data) => {
+      this.handleMessage(ws, data);
+    });
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('close', () => {
+      clearTimeout(ws.expiryTimer);
+      this.clients.delete(ws);
+    });
+
+    ws.on('error', (error) => {
+      console.error('Browser WebSocket error:', error);
+    });
+
+    this.send(ws, { type: 'connected', timestamp: new Date().toISOString() });
+  }
+
+  async handleMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.send(ws, { type: 'error', message: 'Invalid JSON' });
+      return;
+    }
+
+    try {
+      switch (message.type) {
+        case 'subscribe':
+          await this.handleSubscribe(ws, message);
+          break;
+
+        case 'unsubscribe':
+          this.handleUnsubscribe(ws, message);
+          break;
+
+        case 'ping':
+          this.send(ws, { type: 'pong', reply_to: message.message_id });
+          break;
+
+        default:
+          this.sendError(ws, message, `Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      console.error('Browser message handling error:', error);
+      this.sendError(ws, message, 'Internal server error');
+    }
+  }
+
+  async handleSubscribe(ws, message) {
+    const key = this.getSubscriptionKey(message.data);
+    if (!key) {
+      return this.sendError(ws, message, 'project_id or controller_id is required');
+    }
+
+    // Only the owning integrator may subscribe
+    const { project_id, controller_id } = message.data;
+    const result = project_id
+      ? await pool.query(
+        'SELECT id FROM projects WHERE id = $1 AND integrator_id = $2',
+        [project_id, ws.integratorId]
+      )
+      : await pool.query(
+        `SELECT c.id, c.project_id FROM controllers c
+         JOIN projects p ON c.project_id = p.id
+         WHERE c.id = $1 AND p.integrator_id = $2`,
+        [controller_id, ws.integratorId]
+      );
+
+    if (result.rows.length === 0) {
+      return this.sendError(ws, message, project_id ? 'Project not found' : 'Controller not found');
+    }
+
+    if (controller_id) {
+      this.projectIds.set(controller_id, result.rows[0].project_id);
+    }
+
+    ws.subscriptions.add(key);
+    this.send(ws, { type: 'subscribed', reply_to: message.message_id, data: message.data });
+  }
+
+  handleUnsubscribe(ws, message) {
+    const key = this.getSubscriptionKey(message.data);
+    if (key) {
+      ws.subscriptions.delete(key);
+    }
+    this.send(ws, { type: 'unsubscribed', reply_to: message.message_id, data: message.data });
+  }
+
+  getSubscriptionKey(data = {}) {
+    if (data.project_id) return `project:${data.project_id}`;
+    if (data.controller_id) return `controller:${data.controller_id}`;
+    return null;
+  }
+
+  /**
+   * Push an event about a controller to subscribed browsers
+   * @param {string} controllerId - Controller UUID
+   * @param {string} event - Event name (controller_status, gui_sync, driver_deployment, scene_execution, device_state, agent_update)
+   * @param {Object} data - Event payload
+   * @param {string} projectId - Project UUID, looked up (and cached) if omitted
+   */
+  async publish(controllerId, event, data, projectId = null) {
+    if (this.clients.size === 0) return;
+
+    try {
+      if (projectId) {
+        this.projectIds.set(controllerId, projectId);
+      } else {
+        projectId = this.projectIds.get(controllerId);
+      }
+
+      if (!projectId) {
+        const result = await pool.query('SELECT project_id FROM controllers WHERE id = $1', [controllerId]);
+        if (result.rows.length === 0) return;
+        projectId = result.rows[0].project_id;
+        this.projectIds.set(controllerId, projectId);
+      }
+
+      const message = {
+        type: 'event',
+        event,
+        project_id: projectId,
+        controller_id: controllerId,
+        timestamp: new Date().toISOString(),
+        data
+      };
+
+      for (const ws of this.clients) {
+        if (ws.subscriptions.has(`project:${projectId}`) || ws.subscriptions.has(`controller:${controllerId}`)) {
+          this.send(ws, message);
+        }
+      }
+    } catch (error) {
+      console.error(`Browser event (${event}) publish error:`, error);
+    }
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  sendError(ws, message, error) {
+    this.send(ws, { type: 'error', reply_to: message?.message_id, message: error });
+  }
+
+  // Ping clients and drop the ones that stopped answering (called from the NUC heartbeat loop)
+  checkAlive() {
+    for (const ws of this.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+}
+
+module.exports = BrowserChannel;
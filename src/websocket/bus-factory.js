@@ -0,0 +1,26 @@
+const LocalControllerBus = require('./bus/local');
+const PostgresControllerBus = require('./bus/postgres');
+
+const BUS_TYPES = {
+  local: LocalControllerBus,
+  postgres: PostgresControllerBus
+};
+
+/**
+ * Create the bus used to reach controllers connected to other backend instances
+ * Set CONTROLLER_BUS=postgres when running more than one instance
+ *
+ * @param {string} type - 'local' (default) or 'postgres'
+ * @returns {BaseControllerBus}
+ */
+function createBus(type = process.env.CONTROLLER_BUS || 'local') {
+  const BusClass = BUS_TYPES[type.toLowerCase()];
+
+  if (!BusClass) {
+    throw new Error(`Unknown CONTROLLER_BUS: ${type}. Available: ${Object.keys(BUS_TYPES).join(', ')}`);
+  }
+
+  return new BusClass();
+}
+
+module.exports = { createBus };
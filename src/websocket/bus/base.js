@@ -0,0 +1,166 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * BaseControllerBus
+ * Abstract base class for the message bus between backend instances (Local, Postgres)
+ *
+ * Messages are { kind, payload } envelopes. An instance registers a handler per kind
+ * and can:
+ * - broadcast() - every instance (including itself) runs the handler
+ * - send() - one instance runs the handler, fire-and-forget
+ * - call() - one instance runs the handler and its return value is sent back
+ *
+ * Subclasses implement transmit(target, envelope) where target is null for broadcast.
+ */
+class BaseControllerBus {
+  constructor() {
+    this.instanceId = uuidv4();
+    this.hostname = os.hostname();
+    this.distributed = false; // True when other instances can exist
+    this.handlers = new Map(); // kind -> (payload, fromInstanceId) => result
+    this.pendingCalls = new Map(); // callId -> { resolve, reject, timer }
+  }
+
+  /**
+   * Connect to the transport
+   * @returns {Promise<void>}
+   */
+  async start() {}
+
+  /**
+   * Register the handler for a message kind
+   * @param {string} kind - e.g. 'deliver', 'event'
+   * @param {Function} handler - (payload, fromInstanceId) => result
+   */
+  handle(kind, handler) {
+    this.handlers.set(kind, handler);
+  }
+
+  /**
+   * Run a handler on every instance
+   * @param {string} kind - Message kind
+   * @param {Object} payload - JSON-serializable payload
+   */
+  async broadcast(kind, payload) {
+    await this.transmit(null, { kind, from: this.instanceId, payload });
+  }
+
+  /**
+   * Run a handler on one instance without waiting for it
+   * @param {string} instanceId - Target instance
+   * @param {string} kind - Message kind
+   * @param {Object} payload - JSON-serializable payload
+   */
+  async send(instanceId, kind, payload) {
+    if (instanceId === this.instanceId) {
+      return this.dispatch({ kind, from: this.instanceId, payload });
+    }
+    await this.transmit(instanceId, { kind, from: this.instanceId, payload });
+  }
+
+  /**
+   * Run a handler on one instance and wait for its result
+   * @param {string} instanceId - Target instance
+   * @param {string} kind - Message kind
+   * @param {Object} payload - JSON-serializable payload
+   * @param {Object} options - { timeout } in ms (default 5000)
+   * @returns {Promise<*>} - The handler's return value
+   */
+  async call(instanceId, kind, payload, { timeout = 5000 } = {}) {
+    if (instanceId === this.instanceId) {
+      return this.runHandler({ kind, from: this.instanceId, payload });
+    }
+
+    const callId = uuidv4();
+    const result = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingCalls.delete(callId);
+        reject(new Error(`Bus call ${kind} to instance ${instanceId} timed out`));
+      }, timeout);
+
+      this.pendingCalls.set(callId, { resolve, reject, timer });
+    });
+
+    try {
+      await this.transmit(instanceId, { kind, from: this.instanceId, call_id: callId, payload });
+    } catch (error) {
+      clearTimeout(this.pendingCalls.get(callId)?.timer);
+      this.pendingCalls.delete(callId);
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Handle an envelope received from the transport
+   * @param {Object} envelope - { kind, from, payload, call_id?, reply_to? }
+   */
+  async dispatch(envelope) {
+    // Result of one of our calls
+    if (envelope.reply_to) {
+      const pending = this.pendingCalls.get(envelope.reply_to);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      this.pendingCalls.delete(envelope.reply_to);
+      if (envelope.error) {
+        pending.reject(new Error(envelope.error));
+      } else {
+        pending.resolve(envelope.payload);
+      }
+      return;
+    }
+
+    let result = null;
+    let error = null;
+    try {
+      result = await this.runHandler(envelope);
+    } catch (err) {
+      console.error(`Bus handler error (${envelope.kind}):`, err);
+      error = err.message;
+    }
+
+    if (envelope.call_id) {
+      await this.transmit(envelope.from, {
+        kind: envelope.kind,
+        from: this.instanceId,
+        reply_to: envelope.call_id,
+        payload: result ?? null,
+        error
+      }).catch(err => console.error('Bus reply error:', err));
+    }
+  }
+
+  async runHandler(envelope) {
+    const handler = this.handlers.get(envelope.kind);
+    if (!handler) {
+      throw new Error(`No bus handler for ${envelope.kind}`);
+    }
+    return handler(envelope.payload, envelope.from);
+  }
+
+  /**
+   * Deliver an envelope to one instance (or all when target is null)
+   * @param {string|null} target - Instance ID, null for broadcast
+   * @param {Object} envelope - Message envelope
+   */
+  async transmit(target, envelope) {
+    throw new Error('transmit() must be implemented by subclass');
+  }
+
+  /**
+   * Periodic housekeeping (called from the heartbeat loop)
+   * @returns {Promise<void>}
+   */
+  async maintenance() {}
+
+  /**
+   * Release transport resources
+   * @returns {Promise<void>}
+   */
+  async stop() {}
+}
+
+module.exports = BaseControllerBus;
@@ -0,0 +1,21 @@
+const BaseControllerBus = require('./base');
+
+/**
+ * LocalControllerBus
+ * In-process bus for a single backend instance (the default)
+ * Broadcasts loop straight back to this instance's handlers
+ */
+class LocalControllerBus extends BaseControllerBus {
+  async transmit(target, envelope) {
+    if (target && target !== this.instanceId) {
+      throw new Error(`Instance ${target} is unreachable with the local bus`);
+    }
+
+    // Keep delivery asynchronous like a real transport
+    setImmediate(() => {
+      this.dispatch(envelope).catch(err => console.error('Local bus dispatch error:', err));
+    });
+  }
+}
+
+module.exports = LocalControllerBus;
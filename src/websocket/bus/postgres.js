@@ -0,0 +1,114 @@
+const pool = require('../../db/connection');
+const BaseControllerBus = require('./base');
+
+// NOTIFY payloads must stay under 8000 bytes
+const MAX_NOTIFY_BYTES = 7000;
+const BROADCAST_CHANNEL = 'controller_bus';
+const RECONNECT_DELAY = 5000;
+
+/**
+ * PostgresControllerBus
+ * Bus between backend instances over Postgres LISTEN/NOTIFY
+ *
+ * Every instance listens on the shared broadcast channel and on its own
+ * channel (controller_bus_<instance id>). Payloads too large for NOTIFY
+ * are written to bus_payloads and only the row id is notified.
+ */
+class PostgresControllerBus extends BaseControllerBus {
+  constructor() {
+    super();
+    this.distributed = true;
+    this.client = null;
+    this.stopped = false;
+  }
+
+  channelFor(instanceId) {
+    return `${BROADCAST_CHANNEL}_${instanceId.replace(/-/g, '')}`;
+  }
+
+  async start() {
+    this.stopped = false;
+    await this.listen();
+  }
+
+  // Hold a dedicated pool connection for LISTEN, re-establishing it if it drops
+  async listen() {
+    const client = await pool.connect();
+
+    client.on('notification', (msg) => {
+      this.receive(msg.payload).catch(err => console.error('Bus receive error:', err));
+    });
+
+    client.on('error', (error) => {
+      console.error('Bus listener connection error:', error);
+      client.release(error);
+      if (this.client === client) {
+        this.client = null;
+        this.reconnect();
+      }
+    });
+
+    await client.query(`LISTEN ${BROADCAST_CHANNEL}`);
+    await client.query(`LISTEN ${this.channelFor(this.instanceId)}`);
+
+    this.client = client;
+    console.log(`✓ Controller bus listening (instance ${this.instanceId})`);
+  }
+
+  reconnect() {
+    if (this.stopped) return;
+
+    setTimeout(() => {
+      this.listen().catch((error) => {
+        console.error('Bus reconnect failed:', error);
+        this.reconnect();
+      });
+    }, RECONNECT_DELAY);
+  }
+
+  async transmit(target, envelope) {
+    const channel = target ? this.channelFor(target) : BROADCAST_CHANNEL;
+    let text = JSON.stringify(envelope);
+
+    if (Buffer.byteLength(text) > MAX_NOTIFY_BYTES) {
+      const result = await pool.query(
+        'INSERT INTO bus_payloads (payload) VALUES ($1) RETURNING id',
+        [text]
+      );
+      text = JSON.stringify({ spilled: result.rows[0].id });
+    }
+
+    await pool.query('SELECT pg_notify($1, $2)', [channel, text]);
+  }
+
+  async receive(text) {
+    let envelope = JSON.parse(text);
+
+    if (envelope.spilled) {
+      const result = await pool.query('SELECT payload FROM bus_payloads WHERE id = $1', [envelope.spilled]);
+      if (result.rows.length === 0) {
+        console.warn(`Bus payload ${envelope.spilled} no longer exists`);
+        return;
+      }
+      envelope = result.rows[0].payload;
+    }
+
+    await this.dispatch(envelope);
+  }
+
+  // Spilled payloads are read by every listener, so they expire instead of being deleted on read
+  async maintenance() {
+    await pool.query(`DELETE FROM bus_payloads WHERE created_at < NOW() - INTERVAL '5 minutes'`);
+  }
+
+  async stop() {
+    this.stopped = true;
+    if (this.client) {
+      await this.client.query('UNLISTEN *').catch(() => {});
+      this.client.release();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = PostgresControllerBus;
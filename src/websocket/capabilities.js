@@ -0,0 +1,103 @@
+/**
+ * Protocol version and capability negotiation
+ *
+ * A NUC declares its protocol_version and capabilities when it connects
+ * (auth_response, or ?protocol_version=&capabilities= with the legacy ?key=).
+ * Agents that declare nothing are protocol 1 and only get the base messages.
+ */
+
+// Protocol version this server speaks
+const PROTOCOL_VERSION = 2;
+
+// Capability a NUC must declare before the cloud sends it a message type
+// (types not listed here are part of protocol 1 and always sent)
+const MESSAGE_CAPABILITIES = {
+  driver_sync: 'driver_sync',
+  delta_sync: 'delta_sync',
+  set_control: 'control',
+  get_control: 'control',
+  start_log_stream: 'log_stream',
+  stop_log_stream: 'log_stream',
+  agent_update: 'agent_update',
+  discover_devices: 'discovery',
+  cancel_scene: 'scene_control'
+};
+
+// Capability a NUC must declare before the cloud sends it configuration using a feature
+// (checked with the feature name where a message type is expected)
+const FEATURE_CAPABILITIES = {
+  advanced_steps: 'advanced_steps'
+};
+
+const CAPABILITIES = [...new Set([...Object.values(MESSAGE_CAPABILITIES), ...Object.values(FEATURE_CAPABILITIES)])];
+
+const MAX_CAPABILITIES = 50;
+
+/**
+ * Normalize what a NUC declared
+ * @param {Object} declared - { protocol_version, capabilities } (capabilities: array or comma-separated)
+ * @returns {Object} - { protocolVersion, capabilities }
+ */
+function parseDeclaration(declared = {}) {
+  const version = parseInt(declared.protocol_version, 10);
+
+  let capabilities = declared.capabilities;
+  if (typeof capabilities === 'string') {
+    capabilities = capabilities.split(',');
+  }
+
+  // Unknown names are kept - a newer agent may declare what this server doesn't use yet
+  capabilities = Array.isArray(capabilities)
+    ? [...new Set(capabilities
+      .filter(name => typeof name === 'string')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => name && name.length <= 50))].slice(0, MAX_CAPABILITIES)
+    : [];
+
+  return {
+    protocolVersion: Number.isInteger(version) && version >= 1 ? version : 1,
+    capabilities
+  };
+}
+
+/**
+ * Capability needed for a message type or feature
+ * @param {string} type - Cloud → NUC message type, or a FEATURE_CAPABILITIES name
+ * @returns {string|null} - null for protocol 1 messages
+ */
+function requiredCapability(type) {
+  return MESSAGE_CAPABILITIES[type] || FEATURE_CAPABILITIES[type] || null;
+}
+
+/**
+ * Check whether a NUC with these capabilities handles a message type
+ * @param {Array} capabilities - Declared capabilities
+ * @param {string} type - Cloud → NUC message type
+ */
+function supportsMessage(capabilities, type) {
+  const required = requiredCapability(type);
+  return !required || (capabilities || []).includes(required);
+}
+
+/**
+ * Check a controller record (last declaration) for a message type
+ * A controller that hasn't connected since capabilities were recorded is unknown,
+ * not protocol 1: the message is allowed so it can be queued, and the outbox replay
+ * drops it if the agent turns out not to handle it
+ *
+ * @param {Object} controller - { capabilities, capabilities_reported_at }
+ * @param {string} type - Cloud → NUC message type
+ */
+function controllerSupports(controller, type) {
+  if (!controller?.capabilities_reported_at) return true;
+  return supportsMessage(controller.capabilities, type);
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  CAPABILITIES,
+  parseDeclaration,
+  requiredCapability,
+  supportsMessage,
+  controllerSupports
+};
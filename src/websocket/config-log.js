@@ -0,0 +1,278 @@
+const pool = require('../db/connection');
+const { sceneOrder } = require('../utils/scene-steps');
+
+// How each config_update entity is identified (added/updated/deleted payloads differ)
+const CONFIG_ENTITY_KEYS = {
+  device: data => data.device?.device_id ?? data.device_id,
+  control: data => data.control?.id ?? data.control_id,
+  scene: data => data.scene?.scene_id ?? data.scene_id,
+  schedule: data => data.schedule?.schedule_id ?? data.schedule_id
+};
+
+// Changes kept per controller - a NUC further behind than this gets a full sync
+const MAX_LOG_ENTRIES = 500;
+
+/**
+ * ConfigChangeLog
+ * Per-controller configuration revision, bumped by every device, control,
+ * scene and schedule change, plus a log of which entity changed at each revision
+ *
+ * A delta is built from the log but carries each changed entity's current
+ * state (or a deletion), so it never depends on the order updates were sent in.
+ */
+class ConfigChangeLog {
+  /**
+   * Identify the entity a config_update is about
+   * @param {Object} data - config_update data ({ config_type, ...payload })
+   * @returns {Object|null} - { entity, entityId, action } or null if unknown
+   */
+  describe(data) {
+    if (!data.config_type) return null;
+
+    const separator = data.config_type.lastIndexOf('_');
+    const entity = data.config_type.slice(0, separator);
+    const action = data.config_type.slice(separator + 1);
+    const entityId = CONFIG_ENTITY_KEYS[entity]?.(data);
+
+    if (!entityId) return null;
+    return { entity, entityId: String(entityId), action };
+  }
+
+  /**
+   * Bump the controller's revision and log the change
+   * @param {string} controllerId - Controller UUID
+   * @param {string} configType - e.g. device_added, scene_deleted
+   * @param {Object} data - config_update payload
+   * @returns {number|null} - New revision, null if the controller no longer exists
+   */
+  async record(controllerId, configType, data) {
+    const change = this.describe({ config_type: configType, ...data });
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // The row lock serializes concurrent changes for the controller
+      const result = await client.query(
+        'UPDATE controllers SET config_revision = config_revision + 1 WHERE id = $1 RETURNING config_revision',
+        [controllerId]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('COMMIT');
+        return null;
+      }
+
+      const revision = Number(result.rows[0].config_revision);
+
+      // Without a log entry the revision is a gap, so deltas across it fall back to a full sync
+      if (change) {
+        await client.query(
+          `INSERT INTO config_changes (controller_id, revision, config_type, entity_type, entity_id, device_id)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [controllerId, revision, configType, change.entity, change.entityId,
+            change.entity === 'control' ? data.device_id : null]
+        );
+      }
+
+      await client.query(
+        'DELETE FROM config_changes WHERE controller_id = $1 AND revision <= $2',
+        [controllerId, revision - MAX_LOG_ENTRIES]
+      );
+
+      await client.query('COMMIT');
+      return revision;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Current configuration revision
+   * @param {string} controllerId - Controller UUID
+   * @returns {number}
+   */
+  async getRevision(controllerId) {
+    const result = await pool.query('SELECT config_revision FROM controllers WHERE id = $1', [controllerId]);
+    return Number(result.rows[0]?.config_revision || 0);
+  }
+
+  /**
+   * Everything the NUC needs for a full sync
+   * The revision is read first, so a change made during the snapshot is resent by the next delta
+   * @param {string} controllerId - Controller UUID
+   * @returns {Object} - { revision, devices, controls, scenes, scene_order, schedules }
+   *   (scenes come after the scenes they run, as listed in scene_order)
+   */
+  async getSnapshot(controllerId) {
+    const revision = await this.getRevision(controllerId);
+    const scenes = this.orderScenes(await this.loadScenes(controllerId));
+
+    return {
+      revision,
+      devices: await this.loadDevices(controllerId),
+      controls: await this.loadControls(controllerId),
+      scenes,
+      scene_order: scenes.map(scene => scene.scene_id),
+      schedules: await this.loadSchedules(controllerId)
+    };
+  }
+
+  /**
+   * Changes since a revision the NUC already has
+   * @param {string} controllerId - Controller UUID
+   * @param {number} sinceRevision - NUC's last applied revision
+   * @returns {Object|null} - { from_revision, revision, devices, controls, scenes, schedules }
+   *   (each { upserted, deleted }), or null when only a full sync can bring the NUC up to date
+   */
+  async getDelta(controllerId, sinceRevision) {
+    const revision = await this.getRevision(controllerId);
+
+    // Ahead of the cloud (e.g. restored database) - the NUC's state can't be trusted
+    if (sinceRevision > revision) return null;
+
+    const result = await pool.query(
+      `SELECT entity_type, entity_id, device_id, revision FROM config_changes
+       WHERE controller_id = $1 AND revision > $2 AND revision <= $3
+       ORDER BY revision`,
+      [controllerId, sinceRevision, revision]
+    );
+
+    // Every revision in the range must still be logged
+    if (result.rows.length !== revision - sinceRevision) return null;
+
+    const changed = { device: new Map(), control: new Map(), scene: new Map(), schedule: new Map() };
+    for (const row of result.rows) {
+      changed[row.entity_type]?.set(row.entity_id, row);
+    }
+
+    const devices = changed.device.size > 0
+      ? await this.loadDevices(controllerId, [...changed.device.keys()])
+      : [];
+    const controls = changed.control.size > 0
+      ? await this.loadControls(controllerId, [...changed.control.keys()])
+      : [];
+    const scenes = changed.scene.size > 0
+      ? this.orderScenes(await this.loadScenes(controllerId, [...changed.scene.keys()]))
+      : [];
+    const schedules = changed.schedule.size > 0
+      ? await this.loadSchedules(controllerId, [...changed.schedule.keys()])
+      : [];
+
+    const foundDevices = new Set(devices.map(d => d.device_id));
+    const foundControls = new Set(controls.map(c => c.control.id));
+    const foundScenes = new Set(scenes.map(s => s.scene_id));
+    const foundSchedules = new Set(schedules.map(s => s.schedule_id));
+
+    return {
+      from_revision: sinceRevision,
+      revision,
+      devices: {
+        upserted: devices,
+        deleted: [...changed.device.keys()].filter(id => !foundDevices.has(id))
+      },
+      controls: {
+        upserted: controls,
+        deleted: [...changed.control.values()]
+          .filter(row => !foundControls.has(row.entity_id))
+          .map(row => ({ device_id: row.device_id, control_id: row.entity_id }))
+      },
+      scenes: {
+        upserted: scenes,
+        deleted: [...changed.scene.keys()].filter(id => !foundScenes.has(id))
+      },
+      schedules: {
+        upserted: schedules,
+        deleted: [...changed.schedule.keys()].filter(id => !foundSchedules.has(id))
+      }
+    };
+  }
+
+  // Devices in the format the NUC expects (all, or only the given device_ids)
+  async loadDevices(controllerId, deviceIds = null) {
+    const result = await pool.query(
+      `SELECT id, device_id, name, type, connection_config, status, driver_id FROM devices
+       WHERE controller_id = $1 AND ($2::text[] IS NULL OR device_id = ANY($2))`,
+      [controllerId, deviceIds]
+    );
+
+    return result.rows.map(d => ({
+      id: d.id,
+      device_id: d.device_id,
+      name: d.name,
+      type: d.type,
+      connection_config: d.connection_config,
+      status: d.status || 'unknown',
+      driver_id: d.driver_id
+    }));
+  }
+
+  // Controls as { device_id, control }, matching control_added/control_updated payloads
+  async loadControls(controllerId, controlIds = null) {
+    const result = await pool.query(
+      `SELECT dc.id, dc.device_id, dc.control_id, dc.logical_name, dc.control_type, dc.block_id, dc.parameters
+       FROM device_controls dc
+       JOIN devices d ON d.id = dc.device_id
+       WHERE d.controller_id = $1 AND ($2::text[] IS NULL OR dc.id::text = ANY($2))`,
+      [controllerId, controlIds]
+    );
+
+    return result.rows.map(({ device_id, ...control }) => ({ device_id, control }));
+  }
+
+  // Scenes in the format the NUC expects (all, or only the given scene_ids)
+  async loadScenes(controllerId, sceneIds = null) {
+    const result = await pool.query(
+      `SELECT scene_id, name, description, steps, continue_on_error, concurrency, exclusive_group FROM scenes
+       WHERE controller_id = $1 AND ($2::text[] IS NULL OR scene_id = ANY($2))`,
+      [controllerId, sceneIds]
+    );
+
+    return result.rows.map(s => ({
+      scene_id: s.scene_id,
+      name: s.name,
+      description: s.description,
+      steps: s.steps,
+      continue_on_error: s.continue_on_error,
+      concurrency: s.concurrency,
+      exclusive_group: s.exclusive_group
+    }));
+  }
+
+  // Scenes with the scenes their run_scene steps name first
+  orderScenes(scenes) {
+    const byKey = new Map(scenes.map(scene => [scene.scene_id, scene]));
+    return sceneOrder(scenes).map(key => byKey.get(key));
+  }
+
+  // Schedules in the format the NUC expects (all, or only the given schedule UUIDs)
+  // The project's timezone and holidays are folded in, so the NUC needs nothing else to run them
+  async loadSchedules(controllerId, scheduleIds = null) {
+    const result = await pool.query(
+      `SELECT ss.id, s.scene_id, ss.name, ss.cron_expression, ss.enabled, ss.skip_holidays,
+              ss.exception_dates::text[] AS exception_dates, p.timezone, p.holidays::text[] AS holidays
+       FROM scene_schedules ss
+       JOIN scenes s ON s.id = ss.scene_id
+       JOIN controllers c ON c.id = ss.controller_id
+       JOIN projects p ON p.id = c.project_id
+       WHERE ss.controller_id = $1 AND ($2::text[] IS NULL OR ss.id::text = ANY($2))`,
+      [controllerId, scheduleIds]
+    );
+
+    return result.rows.map(s => ({
+      schedule_id: s.id,
+      scene_id: s.scene_id,
+      name: s.name,
+      cron_expression: s.cron_expression,
+      timezone: s.timezone,
+      enabled: s.enabled,
+      exception_dates: [...new Set([...s.exception_dates, ...(s.skip_holidays ? s.holidays : [])])].sort()
+    }));
+  }
+}
+
+module.exports = new ConfigChangeLog();
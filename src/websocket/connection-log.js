@@ -0,0 +1,273 @@
+const pool = require('../db/connection');
+
+// Default report range, and the longest one allowed
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// Outages listed per controller (all of them are counted)
+const MAX_OUTAGES = 500;
+// An open session whose instance is gone is closed once it is this old (seconds),
+// so a connection made while its instance is still registering isn't closed
+const ORPHAN_GRACE_SECONDS = 90;
+
+/**
+ * ConnectionLog
+ * One session per controller WebSocket connection (connect, disconnect, close
+ * code, why it ended), and the uptime reports computed from them
+ */
+class ConnectionLog {
+  /**
+   * Record a new connection
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} details - { instanceId, ipAddress, protocolVersion, authMethod }
+   * @returns {Promise<string>} - Session UUID
+   */
+  async open(controllerId, { instanceId, ipAddress, protocolVersion, authMethod }) {
+    const result = await pool.query(
+      `INSERT INTO controller_sessions
+         (controller_id, instance_id, ip_address, agent_version, protocol_version, auth_method)
+       SELECT id, $2, $3, agent_version, $4, $5 FROM controllers WHERE id = $1
+       RETURNING id`,
+      [controllerId, instanceId, ipAddress, protocolVersion, authMethod]
+    );
+    return result.rows[0]?.id || null;
+  }
+
+  /**
+   * Record the end of a connection
+   * @param {string} sessionId - Session UUID
+   * @param {Object} details - { code, reason, endReason }
+   */
+  async close(sessionId, { code = null, reason = null, endReason = 'disconnected' }) {
+    await pool.query(
+      `UPDATE controller_sessions
+       SET disconnected_at = NOW(), close_code = $2, close_reason = $3, end_reason = $4
+       WHERE id = $1 AND disconnected_at IS NULL`,
+      [sessionId, code, reason ? reason.slice(0, 255) : null, endReason]
+    );
+  }
+
+  /**
+   * Close every open session held by an instance (graceful shutdown)
+   * @param {string} instanceId - Bus instance UUID
+   * @param {string} endReason - e.g. server_shutdown
+   */
+  async closeInstance(instanceId, endReason) {
+    await pool.query(
+      `UPDATE controller_sessions
+       SET disconnected_at = NOW(), end_reason = $2
+       WHERE instance_id = $1 AND disconnected_at IS NULL`,
+      [instanceId, endReason]
+    );
+  }
+
+  /**
+   * Close sessions left open by instances that died without disconnecting
+   * The controller's last heartbeat is the best guess of when it was lost
+   *
+   * @returns {Promise<number>} - Sessions closed
+   */
+  async closeOrphaned() {
+    const result = await pool.query(
+      `UPDATE controller_sessions s
+       SET disconnected_at = GREATEST(s.connected_at, COALESCE(c.last_seen, s.connected_at)),
+           end_reason = 'instance_lost'
+       FROM controllers c
+       WHERE c.id = s.controller_id
+         AND s.disconnected_at IS NULL
+         AND s.connected_at < NOW() - make_interval(secs => $1)
+         AND NOT EXISTS (SELECT 1 FROM bus_instances bi WHERE bi.id = s.instance_id)`,
+      [ORPHAN_GRACE_SECONDS]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Parse a report range from a query string
+   * @param {Object} query - { from, to } ISO dates (default: the last 30 days)
+   * @returns {Object} - { range: { from, to } } or { error }
+   */
+  parseRange(query = {}) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from
+      ? new Date(query.from)
+      : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return { error: 'from and to must be valid dates with from before to' };
+    }
+    if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `The range can't be longer than ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { range: { from, to } };
+  }
+
+  /**
+   * Sessions overlapping a range, newest first
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} range - { from, to }
+   * @param {number} limit - Max sessions
+   * @returns {Promise<Array>}
+   */
+  async list(controllerId, { from, to }, limit = 200) {
+    const result = await pool.query(
+      `SELECT id, instance_id, ip_address, agent_version, protocol_version, auth_method,
+              connected_at, disconnected_at, close_code, close_reason, end_reason,
+              EXTRACT(EPOCH FROM (COALESCE(disconnected_at, NOW()) - connected_at))::int AS duration_seconds
+       FROM controller_sessions
+       WHERE controller_id = $1
+         AND connected_at < $3
+         AND (disconnected_at IS NULL OR disconnected_at > $2)
+       ORDER BY connected_at DESC
+       LIMIT $4`,
+      [controllerId, from, to, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Uptime of each controller over a range
+   *
+   * Time before a controller's connectivity_tracked_since (or in the future)
+   * isn't counted; overlapping sessions (a reconnect replacing the old socket)
+   * count once.
+   *
+   * @param {Array} controllers - [{ id, name, connectivity_tracked_since }]
+   * @param {Object} range - { from, to }
+   * @param {Object} options - { target } uptime % to check against, { includeOutages }
+   * @returns {Promise<Array>} - One report per controller
+   */
+  async uptime(controllers, { from, to }, { target = null, includeOutages = true } = {}) {
+    if (controllers.length === 0) return [];
+
+    const result = await pool.query(
+      `SELECT controller_id, connected_at, disconnected_at, end_reason
+       FROM controller_sessions
+       WHERE controller_id = ANY($1)
+         AND connected_at < $3
+         AND (disconnected_at IS NULL OR disconnected_at > $2)
+       ORDER BY connected_at`,
+      [controllers.map(c => c.id), from, to]
+    );
+
+    const sessionsByController = new Map();
+    for (const session of result.rows) {
+      if (!sessionsByController.has(session.controller_id)) {
+        sessionsByController.set(session.controller_id, []);
+      }
+      sessionsByController.get(session.controller_id).push(session);
+    }
+
+    const now = Date.now();
+
+    return controllers.map(controller => {
+      const start = Math.max(from.getTime(), new Date(controller.connectivity_tracked_since).getTime());
+      const end = Math.min(to.getTime(), now);
+      const sessions = sessionsByController.get(controller.id) || [];
+
+      let onlineMs = 0;
+      let cursor = start;
+      let lastEndReason = null;
+      const outages = [];
+      const disconnects = {};
+
+      const addOutage = (startedAt, endedAt, ongoing) => {
+        outages.push({
+          started_at: new Date(startedAt).toISOString(),
+          ended_at: ongoing ? null : new Date(endedAt).toISOString(),
+          duration_seconds: Math.round((endedAt - startedAt) / 1000),
+          reason: lastEndReason
+        });
+      };
+
+      for (const session of sessions) {
+        const connectedAt = Math.max(session.connected_at.getTime(), start);
+        const disconnectedAt = Math.min(session.disconnected_at ? session.disconnected_at.getTime() : now, end);
+
+        if (session.disconnected_at && session.disconnected_at.getTime() >= start && session.disconnected_at.getTime() < end) {
+          disconnects[session.end_reason] = (disconnects[session.end_reason] || 0) + 1;
+        }
+
+        // Entirely before tracking started, or covered by an overlapping session
+        if (disconnectedAt <= cursor) continue;
+
+        if (connectedAt > cursor) {
+          addOutage(cursor, connectedAt, false);
+        }
+        onlineMs += disconnectedAt - Math.max(connectedAt, cursor);
+        cursor = disconnectedAt;
+        lastEndReason = session.end_reason;
+      }
+
+      if (cursor < end) {
+        addOutage(cursor, end, end === now);
+      }
+
+      const monitoredMs = Math.max(end - start, 0);
+      const uptimePercent = monitoredMs > 0 ? Math.round(onlineMs / monitoredMs * 100000) / 1000 : null;
+
+      const report = {
+        controller_id: controller.id,
+        name: controller.name,
+        tracked_since: new Date(controller.connectivity_tracked_since).toISOString(),
+        monitored_seconds: Math.round(monitoredMs / 1000),
+        online_seconds: Math.round(onlineMs / 1000),
+        offline_seconds: Math.round((monitoredMs - onlineMs) / 1000),
+        uptime_percent: uptimePercent,
+        meets_target: target != null && uptimePercent != null ? uptimePercent >= target : null,
+        sessions: sessions.length,
+        disconnects,
+        outage_count: outages.length,
+        longest_outage_seconds: outages.reduce((longest, o) => Math.max(longest, o.duration_seconds), 0)
+      };
+
+      if (includeOutages) {
+        report.outages = outages.slice(0, MAX_OUTAGES);
+        report.outages_truncated = outages.length > MAX_OUTAGES;
+      }
+
+      return report;
+    });
+  }
+
+  /**
+   * Combine controller reports into a time-weighted total
+   * @param {Array} reports - From uptime()
+   * @param {number|null} target - Uptime % to check against
+   */
+  summarize(reports, target = null) {
+    const monitored = reports.reduce((sum, r) => sum + r.monitored_seconds, 0);
+    const online = reports.reduce((sum, r) => sum + r.online_seconds, 0);
+    const uptimePercent = monitored > 0 ? Math.round(online / monitored * 100000) / 1000 : null;
+
+    return {
+      controllers: reports.length,
+      monitored_seconds: monitored,
+      online_seconds: online,
+      offline_seconds: monitored - online,
+      uptime_percent: uptimePercent,
+      meets_target: target != null && uptimePercent != null ? uptimePercent >= target : null,
+      controllers_below_target: target != null
+        ? reports.filter(r => r.meets_target === false).length
+        : null,
+      outage_count: reports.reduce((sum, r) => sum + r.outage_count, 0)
+    };
+  }
+
+  /**
+   * Parse an uptime target percentage
+   * @param {string} value - e.g. "99.9"
+   * @returns {Object} - { target } (null when not given) or { error }
+   */
+  parseTarget(value) {
+    if (value === undefined || value === '') return { target: null };
+
+    const target = Number(value);
+    if (!Number.isFinite(target) || target <= 0 || target > 100) {
+      return { error: 'target must be a percentage between 0 and 100' };
+    }
+    return { target };
+  }
+}
+
+module.exports = new ConnectionLog();
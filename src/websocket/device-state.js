@@ -0,0 +1,157 @@
+const pool = require('../db/connection');
+
+// Reports are written to the database at most this often per instance (sliders report many values a second)
+const FLUSH_DELAY = 1000;
+
+/**
+ * DeviceStateCache
+ * Last-known value of every control, as reported by the NUC (device_state)
+ *
+ * The instance holding a controller's socket keeps its state in memory and
+ * writes it behind to the device_state table; other instances (and this one,
+ * once the controller disconnects) read the table.
+ */
+class DeviceStateCache {
+  constructor() {
+    this.states = new Map(); // controllerId -> Map('<device_id>.<control_id>' -> entry)
+    this.dirty = new Map(); // controllerId -> Set of keys not yet written
+    this.flushTimer = null;
+  }
+
+  /**
+   * Normalize a device_state payload into a list of changes
+   * Accepts { changes: [...] } or a single { device_id, control_id, value }
+   * @param {Object} data - device_state data
+   * @returns {Array} - [{ device_id, control_id, value, reported_at }]
+   */
+  parseChanges(data = {}) {
+    const changes = Array.isArray(data.changes) ? data.changes : [data];
+    const fallbackTime = data.timestamp && !isNaN(Date.parse(data.timestamp)) ? new Date(data.timestamp) : new Date();
+
+    return changes
+      .filter(change => change && change.device_id && change.control_id && change.value !== undefined)
+      .map(change => ({
+        device_id: String(change.device_id),
+        control_id: String(change.control_id),
+        value: change.value,
+        reported_at: change.timestamp && !isNaN(Date.parse(change.timestamp))
+          ? new Date(change.timestamp)
+          : fallbackTime
+      }));
+  }
+
+  /**
+   * Apply reported values to the cache
+   * @param {string} controllerId - Controller UUID
+   * @param {Array} changes - From parseChanges()
+   * @returns {Promise<Array>} - Changes that altered the state (older or repeated reports are dropped)
+   */
+  async apply(controllerId, changes) {
+    const state = await this.load(controllerId);
+    const applied = [];
+
+    for (const change of changes) {
+      const key = `${change.device_id}.${change.control_id}`;
+      const current = state.get(key);
+
+      if (current && current.reported_at > change.reported_at) continue;
+      if (current && JSON.stringify(current.value) === JSON.stringify(change.value)) {
+        current.reported_at = change.reported_at;
+        continue;
+      }
+
+      state.set(key, change);
+      applied.push(change);
+
+      if (!this.dirty.has(controllerId)) this.dirty.set(controllerId, new Set());
+      this.dirty.get(controllerId).add(key);
+    }
+
+    if (applied.length > 0 && !this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Current state of a controller's controls
+   * @param {string} controllerId - Controller UUID
+   * @returns {Promise<Array>} - [{ device_id, control_id, value, reported_at }]
+   */
+  async get(controllerId) {
+    const state = this.states.get(controllerId) || await this.read(controllerId);
+    return Array.from(state.values());
+  }
+
+  // In-memory state for a controller, read from the table the first time
+  async load(controllerId) {
+    if (!this.states.has(controllerId)) {
+      const state = await this.read(controllerId);
+      // Another report may have loaded it while we were reading
+      if (!this.states.has(controllerId)) this.states.set(controllerId, state);
+    }
+    return this.states.get(controllerId);
+  }
+
+  async read(controllerId) {
+    const result = await pool.query(
+      `SELECT device_id, control_id, value, reported_at FROM device_state
+       WHERE controller_id = $1
+       ORDER BY device_id, control_id`,
+      [controllerId]
+    );
+
+    return new Map(result.rows.map(row => [`${row.device_id}.${row.control_id}`, row]));
+  }
+
+  /**
+   * Write pending changes to the database
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const pending = this.dirty;
+    this.dirty = new Map();
+
+    for (const [controllerId, keys] of pending) {
+      const state = this.states.get(controllerId);
+      if (!state) continue;
+
+      const entries = [...keys].map(key => state.get(key)).filter(Boolean);
+
+      try {
+        await pool.query(
+          `INSERT INTO device_state (controller_id, device_id, control_id, value, reported_at)
+           SELECT $1::uuid, * FROM UNNEST($2::text[], $3::text[], $4::jsonb[], $5::timestamp[])
+           ON CONFLICT (controller_id, device_id, control_id) DO UPDATE
+           SET value = EXCLUDED.value, reported_at = EXCLUDED.reported_at, updated_at = NOW()
+           WHERE device_state.reported_at <= EXCLUDED.reported_at`,
+          [
+            controllerId,
+            entries.map(e => e.device_id),
+            entries.map(e => e.control_id),
+            entries.map(e => JSON.stringify(e.value)),
+            entries.map(e => e.reported_at)
+          ]
+        );
+      } catch (error) {
+        console.error(`Device state flush error for controller ${controllerId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Write a controller's pending changes and drop it from memory (it disconnected)
+   * @param {string} controllerId - Controller UUID
+   */
+  async evict(controllerId) {
+    if (this.dirty.has(controllerId)) {
+      await this.flush();
+    }
+    this.states.delete(controllerId);
+  }
+}
+
+module.exports = new DeviceStateCache();
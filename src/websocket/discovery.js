@@ -0,0 +1,331 @@
+const pool = require('../db/connection');
+
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const MAX_TIMEOUT_SECONDS = 600;
+const MAX_SUBNETS = 16;
+const MAX_PORTS = 256;
+// Smallest prefix a subnet may have (/20 = 4096 addresses)
+const MIN_PREFIX = 20;
+// How long after its timeout a scan without a complete result is given up
+const SCAN_GRACE_SECONDS = 60;
+const MAX_BANNER_LENGTH = 1024;
+
+const CIDR_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/;
+
+// Preferred driver when several match equally well
+const DRIVER_STATUS_RANK = { production: 0, validated: 1, testing: 2, draft: 3 };
+
+// Lowercase words, so "HARVEY-DSP v2" matches "Harvey DSP"
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function mentions(haystack, term) {
+  const needle = normalize(term);
+  if (!needle) return false;
+  if (` ${haystack} `.includes(` ${needle} `)) return true;
+
+  // Model numbers are written with and without separators (DSP-8x8, DSP8x8)
+  const compact = needle.replace(/ /g, '');
+  return compact.length >= 4 && haystack.replace(/ /g, '').includes(compact);
+}
+
+// Lexicographic comparison of [score, status, ownership] ranks
+function compareRanks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * DeviceDiscovery
+ * Network scans run by the NUC (discover_devices), and the devices they find,
+ * stored per controller as suggestions matched against device_drivers
+ */
+class DeviceDiscovery {
+  /**
+   * Check scan options from the API
+   * @param {Object} options - { subnets, ports, timeout_seconds }
+   * @returns {string|null} - Error message
+   */
+  validate(options = {}) {
+    const { subnets, ports, timeout_seconds } = options;
+
+    if (subnets !== undefined) {
+      if (!Array.isArray(subnets) || subnets.length === 0 || subnets.length > MAX_SUBNETS) {
+        return `subnets must be a list of 1 to ${MAX_SUBNETS} CIDR ranges`;
+      }
+      for (const subnet of subnets) {
+        const match = typeof subnet === 'string' && subnet.match(CIDR_PATTERN);
+        if (!match || match.slice(1, 5).some(octet => Number(octet) > 255) || Number(match[5]) > 32) {
+          return `Invalid subnet: ${subnet} (expected e.g. 192.168.1.0/24)`;
+        }
+        if (Number(match[5]) < MIN_PREFIX) {
+          return `Subnet ${subnet} is too large (smallest allowed prefix is /${MIN_PREFIX})`;
+        }
+      }
+    }
+
+    if (ports !== undefined) {
+      if (!Array.isArray(ports) || ports.length === 0 || ports.length > MAX_PORTS) {
+        return `ports must be a list of 1 to ${MAX_PORTS} port numbers`;
+      }
+      if (!ports.every(port => Number.isInteger(port) && port >= 1 && port <= 65535)) {
+        return 'ports must be integers between 1 and 65535';
+      }
+    }
+
+    if (timeout_seconds !== undefined &&
+        !(Number.isInteger(timeout_seconds) && timeout_seconds >= 5 && timeout_seconds <= MAX_TIMEOUT_SECONDS)) {
+      return `timeout_seconds must be an integer between 5 and ${MAX_TIMEOUT_SECONDS}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a new scan, before discover_devices is sent
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} options - Validated { subnets, ports, timeout_seconds }
+   * @returns {Promise<Object>} - device_discovery_scans row
+   */
+  async createScan(controllerId, options = {}) {
+    const result = await pool.query(
+      `INSERT INTO device_discovery_scans (controller_id, subnets, ports, timeout_seconds)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [
+        controllerId,
+        options.subnets ? [...new Set(options.subnets)] : null,
+        options.ports ? [...new Set(options.ports)] : null,
+        options.timeout_seconds || DEFAULT_TIMEOUT_SECONDS
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * discover_devices payload for a scan
+   * @param {Object} scan - device_discovery_scans row
+   */
+  command(scan) {
+    return {
+      scan_id: scan.id,
+      ...(scan.subnets && { subnets: scan.subnets }),
+      ...(scan.ports && { ports: scan.ports }),
+      timeout_seconds: scan.timeout_seconds
+    };
+  }
+
+  /**
+   * The NUC accepted the scan
+   * @param {string} scanId - Scan UUID
+   * @returns {Promise<Object>} - Scan row (already completed if the results beat the ack)
+   */
+  async markRunning(scanId) {
+    await pool.query(
+      `UPDATE device_discovery_scans SET status = 'running' WHERE id = $1 AND status = 'pending'`,
+      [scanId]
+    );
+    const result = await pool.query('SELECT * FROM device_discovery_scans WHERE id = $1', [scanId]);
+    return result.rows[0];
+  }
+
+  /**
+   * The scan could not be started, or the NUC reported it failed
+   * @param {string} scanId - Scan UUID
+   * @param {string} message - Error message
+   */
+  async markFailed(scanId, message) {
+    await pool.query(
+      `UPDATE device_discovery_scans
+       SET status = 'failed', error_message = $2, completed_at = NOW()
+       WHERE id = $1 AND status IN ('pending', 'running')`,
+      [scanId, message]
+    );
+  }
+
+  /**
+   * Give up on scans that never reported completion
+   * @param {string} controllerId - Controller UUID
+   */
+  async expireScans(controllerId) {
+    await pool.query(
+      `UPDATE device_discovery_scans
+       SET status = 'timed_out', completed_at = NOW()
+       WHERE controller_id = $1
+         AND status IN ('pending', 'running')
+         AND started_at < NOW() - make_interval(secs => timeout_seconds + $2)`,
+      [controllerId, SCAN_GRACE_SECONDS]
+    );
+  }
+
+  /**
+   * Drivers a discovered device can be matched against: the integrator's own and public ones
+   * @param {string} integratorId - Integrator UUID
+   * @returns {Promise<Array>}
+   */
+  async loadDrivers(integratorId) {
+    const result = await pool.query(
+      `SELECT id, name, device_type, manufacturer, model, connection_config, status,
+              integrator_id = $1 AS owned
+       FROM device_drivers
+       WHERE (integrator_id = $1 OR is_public = true)
+         AND status <> 'deprecated'
+         AND (manufacturer IS NOT NULL OR model IS NOT NULL)`,
+      [integratorId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Best driver for a discovered device
+   *
+   * The manufacturer or model must appear in what the device reported
+   * (hostname, MAC vendor, manufacturer/model, banners); the driver's port
+   * being open adds confidence but never matches on its own.
+   *
+   * @param {Array} drivers - From loadDrivers()
+   * @param {Object} device - Discovered device
+   * @returns {Object|null} - { driver, confidence, reasons }
+   */
+  matchDriver(drivers, device) {
+    const haystack = normalize([
+      device.hostname, device.vendor, device.manufacturer, device.model,
+      ...Object.values(device.banners || {})
+    ].filter(Boolean).join(' '));
+
+    let best = null;
+
+    for (const driver of drivers) {
+      const reasons = [];
+      const manufacturer = driver.manufacturer && mentions(haystack, driver.manufacturer);
+      const model = driver.model && mentions(haystack, driver.model);
+      if (!manufacturer && !model) continue;
+
+      const port = Number(driver.connection_config?.port);
+      const portOpen = Boolean(port) && device.open_ports.includes(port);
+
+      if (manufacturer) reasons.push(`manufacturer "${driver.manufacturer}"`);
+      if (model) reasons.push(`model "${driver.model}"`);
+      if (portOpen) reasons.push(`port ${port} open`);
+
+      const score = (model ? 3 : 0) + (manufacturer ? 2 : 0) + (portOpen ? 1 : 0);
+      const rank = [
+        -score,
+        DRIVER_STATUS_RANK[driver.status] ?? 9,
+        driver.owned ? 0 : 1
+      ];
+
+      if (!best || compareRanks(rank, best.rank) < 0) {
+        best = {
+          rank,
+          driver,
+          confidence: model && (manufacturer || portOpen) ? 'high' : 'medium',
+          reasons
+        };
+      }
+    }
+
+    return best && { driver: best.driver, confidence: best.confidence, reasons: best.reasons };
+  }
+
+  /**
+   * Store a discovery_result: upsert the devices as suggestions and update the scan
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} data - discovery_result data ({ scan_id, devices, complete, error })
+   * @returns {Promise<Object|null>} - Updated scan, null if the scan is unknown
+   */
+  async handleResult(controllerId, data) {
+    const scanResult = await pool.query(
+      `SELECT s.id, s.status, p.integrator_id
+       FROM device_discovery_scans s
+       JOIN controllers c ON s.controller_id = c.id
+       JOIN projects p ON c.project_id = p.id
+       WHERE s.id = $1 AND s.controller_id = $2`,
+      [data.scan_id, controllerId]
+    );
+    if (scanResult.rows.length === 0) return null;
+    const scan = scanResult.rows[0];
+
+    const devices = (data.devices || []).map(device => this.parseDevice(device));
+    const drivers = devices.length > 0 ? await this.loadDrivers(scan.integrator_id) : [];
+
+    for (const device of devices) {
+      const match = this.matchDriver(drivers, device);
+
+      await pool.query(
+        `INSERT INTO discovered_devices
+           (controller_id, scan_id, ip_address, mac_address, hostname, vendor, manufacturer, model,
+            open_ports, banners, driver_id, match_confidence, match_reasons)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         ON CONFLICT (controller_id, ip_address) DO UPDATE SET
+           scan_id = EXCLUDED.scan_id,
+           mac_address = COALESCE(EXCLUDED.mac_address, discovered_devices.mac_address),
+           hostname = COALESCE(EXCLUDED.hostname, discovered_devices.hostname),
+           vendor = COALESCE(EXCLUDED.vendor, discovered_devices.vendor),
+           manufacturer = COALESCE(EXCLUDED.manufacturer, discovered_devices.manufacturer),
+           model = COALESCE(EXCLUDED.model, discovered_devices.model),
+           open_ports = EXCLUDED.open_ports,
+           banners = EXCLUDED.banners,
+           driver_id = EXCLUDED.driver_id,
+           match_confidence = EXCLUDED.match_confidence,
+           match_reasons = EXCLUDED.match_reasons,
+           -- A dismissed address now used by another device, or an imported device since deleted, is suggested again
+           status = CASE
+             WHEN discovered_devices.status = 'dismissed'
+               AND EXCLUDED.mac_address IS NOT NULL
+               AND EXCLUDED.mac_address IS DISTINCT FROM discovered_devices.mac_address THEN 'new'
+             WHEN discovered_devices.status = 'imported' AND discovered_devices.device_id IS NULL THEN 'new'
+             ELSE discovered_devices.status
+           END,
+           last_seen_at = NOW()`,
+        [
+          controllerId, scan.id, device.ip, device.mac, device.hostname, device.vendor,
+          device.manufacturer, device.model, device.open_ports, JSON.stringify(device.banners),
+          match?.driver.id || null, match?.confidence || null, match?.reasons || null
+        ]
+      );
+    }
+
+    let status = data.complete ? 'completed' : 'running';
+    if (data.error) status = 'failed';
+
+    const updated = await pool.query(
+      `UPDATE device_discovery_scans
+       SET devices_found = devices_found + $2,
+           status = CASE WHEN status IN ('pending', 'running') THEN $3 ELSE status END,
+           error_message = COALESCE($4, error_message),
+           completed_at = CASE WHEN $3 IN ('completed', 'failed') THEN NOW() ELSE completed_at END
+       WHERE id = $1
+       RETURNING *`,
+      [scan.id, devices.length, status, data.error || null]
+    );
+    return updated.rows[0];
+  }
+
+  /**
+   * Normalize a device from a discovery_result (already schema-checked)
+   * @param {Object} device - { ip, mac, hostname, vendor, manufacturer, model, open_ports, banners }
+   */
+  parseDevice(device) {
+    const banners = {};
+    for (const [port, banner] of Object.entries(device.banners || {})) {
+      banners[port] = banner.slice(0, MAX_BANNER_LENGTH);
+    }
+
+    return {
+      ip: device.ip,
+      mac: device.mac ? device.mac.toLowerCase().replace(/-/g, ':') : null,
+      hostname: device.hostname || null,
+      vendor: device.vendor || null,
+      manufacturer: device.manufacturer || null,
+      model: device.model || null,
+      open_ports: [...new Set(device.open_ports || [])].sort((a, b) => a - b),
+      banners
+    };
+  }
+}
+
+module.exports = new DeviceDiscovery();
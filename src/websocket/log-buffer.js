@@ -0,0 +1,137 @@
+const pool = require('../db/connection');
+
+// Lines kept per controller - older ones are pruned as new chunks arrive
+const MAX_LINES = 5000;
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Least to most severe
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * ControllerLogBuffer
+ * Stores NUC agent log lines (log_chunk) in a per-controller ring buffer
+ * and filters them by level and source for the API and live tails
+ */
+class ControllerLogBuffer {
+  /**
+   * Normalize a log_chunk payload
+   * @param {Object} data - log_chunk data ({ lines: [...] })
+   * @returns {Array} - [{ logged_at, level, source, message, context }]
+   */
+  parseLines(data = {}) {
+    const lines = Array.isArray(data.lines) ? data.lines : [];
+
+    return lines
+      .filter(line => line && line.message != null)
+      .map(line => {
+        const level = String(line.level || '').toLowerCase();
+        return {
+          logged_at: line.timestamp && !isNaN(Date.parse(line.timestamp)) ? new Date(line.timestamp) : new Date(),
+          level: level === 'warning' ? 'warn' : LEVELS.includes(level) ? level : 'info',
+          source: line.source ? String(line.source).slice(0, 100) : null,
+          message: String(line.message).slice(0, MAX_MESSAGE_LENGTH),
+          context: line.context && typeof line.context === 'object' ? line.context : null
+        };
+      });
+  }
+
+  /**
+   * Store lines and prune the controller's oldest ones
+   * @param {string} controllerId - Controller UUID
+   * @param {Array} lines - From parseLines()
+   * @returns {Promise<Array>} - Stored lines, with id
+   */
+  async append(controllerId, lines) {
+    if (lines.length === 0) return [];
+
+    const result = await pool.query(
+      `INSERT INTO controller_logs (controller_id, logged_at, level, source, message, context)
+       SELECT $1::uuid, * FROM UNNEST($2::timestamp[], $3::text[], $4::text[], $5::text[], $6::jsonb[])
+       RETURNING id, logged_at, level, source, message, context`,
+      [
+        controllerId,
+        lines.map(l => l.logged_at),
+        lines.map(l => l.level),
+        lines.map(l => l.source),
+        lines.map(l => l.message),
+        lines.map(l => l.context && JSON.stringify(l.context))
+      ]
+    );
+
+    await pool.query(
+      `DELETE FROM controller_logs
+       WHERE controller_id = $1 AND id <= (
+         SELECT id FROM controller_logs WHERE controller_id = $1
+         ORDER BY id DESC OFFSET $2 LIMIT 1
+       )`,
+      [controllerId, MAX_LINES]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Parse level/source filters from a query string
+   * @param {Object} query - { level, source } (source is comma-separated)
+   * @returns {Object} - { filter } or { error }
+   */
+  parseFilter(query = {}) {
+    const level = query.level ? String(query.level).toLowerCase() : 'debug';
+    if (!LEVELS.includes(level)) {
+      return { error: `level must be one of: ${LEVELS.join(', ')}` };
+    }
+
+    const sources = query.source
+      ? String(query.source).split(',').map(s => s.trim()).filter(Boolean)
+      : null;
+
+    return { filter: { level, sources } };
+  }
+
+  /**
+   * Check a line against a filter (live tails)
+   * @param {Object} line - Stored line
+   * @param {Object} filter - { level, sources }
+   */
+  matches(line, filter) {
+    if (LEVELS.indexOf(line.level) < LEVELS.indexOf(filter.level)) return false;
+    if (filter.sources && !filter.sources.includes(line.source)) return false;
+    return true;
+  }
+
+  /**
+   * Stored lines, newest first
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} filter - { level, sources }
+   * @param {Object} options - { before } line id to page back from, { limit }
+   * @returns {Promise<Array>}
+   */
+  async query(controllerId, filter, { before = null, limit = 200 } = {}) {
+    const result = await pool.query(
+      `SELECT id, logged_at, level, source, message, context, received_at
+       FROM controller_logs
+       WHERE controller_id = $1
+         AND level = ANY($2)
+         AND ($3::text[] IS NULL OR source = ANY($3))
+         AND ($4::bigint IS NULL OR id < $4)
+       ORDER BY id DESC
+       LIMIT $5`,
+      [controllerId, LEVELS.slice(LEVELS.indexOf(filter.level)), filter.sources, before, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Most verbose level any of the filters needs (what the NUC is asked to stream)
+   * @param {Array} filters - [{ level }]
+   */
+  lowestLevel(filters) {
+    return filters.reduce(
+      (lowest, filter) => LEVELS.indexOf(filter.level) < LEVELS.indexOf(lowest) ? filter.level : lowest,
+      'error'
+    );
+  }
+}
+
+module.exports = new ControllerLogBuffer();
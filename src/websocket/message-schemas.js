@@ -0,0 +1,742 @@
+/**
+ * Message schemas for the NUC protocol (WEBSOCKET_PROTOCOL.md)
+ *
+ * Every inbound (NUC → Cloud) and outbound (Cloud → NUC) message type has a
+ * declared schema. Inbound messages that don't match are rejected before any
+ * handler sees them; outbound ones are checked before sending.
+ *
+ * Field specs:
+ *   { type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'any',
+ *     required, nullable, enum, pattern, format: 'date-time', maxLength, min, max,
+ *     properties (object), items / maxItems (array), anyOf: [spec, ...],
+ *     check: (value) => error message or null }
+ * Unknown object properties are allowed, so newer agents can add fields.
+ */
+
+const ID_LENGTH = 255;
+
+// Shared field specs
+const id = (required = true) => ({ type: 'string', required, maxLength: ID_LENGTH });
+const count = { type: 'integer', min: 0 };
+const duration = { type: 'number', min: 0 };
+const dateTime = { type: 'string', format: 'date-time' };
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const controlChange = {
+  type: 'object',
+  properties: {
+    device_id: id(),
+    control_id: id(),
+    value: { type: 'any', required: true },
+    timestamp: dateTime
+  }
+};
+
+// Per-step outcome of a scene run
+const stepResults = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      step: count,
+      // Nested steps (parallel, condition, loop), e.g. "steps[2].steps[0]"
+      path: { type: 'string', maxLength: 200 },
+      iteration: count,
+      success: { type: 'boolean' },
+      error: { type: 'string', nullable: true },
+      duration_ms: duration
+    }
+  }
+};
+
+const CONFIG_TYPES = [
+  'device_added', 'device_updated', 'device_deleted',
+  'control_added', 'control_updated', 'control_deleted',
+  'scene_added', 'scene_updated', 'scene_deleted',
+  'schedule_added', 'schedule_updated', 'schedule_deleted'
+];
+
+// What each config_update entity carries: the whole entity, or only its id when deleted
+const CONFIG_PAYLOADS = {
+  device: { entity: 'device', id: 'device_id' },
+  control: { entity: 'control', id: 'control_id' },
+  scene: { entity: 'scene', id: 'scene_id' },
+  schedule: { entity: 'schedule', id: 'schedule_id' }
+};
+
+const deltaSection = {
+  type: 'object',
+  required: true,
+  properties: {
+    upserted: { type: 'array', required: true },
+    deleted: { type: 'array', required: true }
+  }
+};
+
+const controlAddress = {
+  device_id: id(),
+  control_id: id(),
+  block_id: { type: 'string', nullable: true },
+  control_type: { type: 'string', nullable: true }
+};
+
+/**
+ * NUC → Cloud
+ * messageId / replyTo: the envelope must carry message_id / reply_to
+ */
+const INBOUND = {
+  auth_response: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        controller_id: id(false),
+        proof: { type: 'string', required: true, pattern: /^[0-9a-f]{64}$/i },
+        protocol_version: { type: 'integer', min: 1 },
+        capabilities: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 50 } }
+      }
+    }
+  },
+
+  heartbeat: {},
+
+  request_full_sync: {},
+
+  request_delta_sync: {
+    data: {
+      type: 'object',
+      properties: {
+        revision: { type: 'integer', min: 0 }
+      }
+    }
+  },
+
+  status_update: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        cpu_percent: { type: 'number', min: 0, max: 100 },
+        memory_percent: { type: 'number', min: 0, max: 100 },
+        memory_used_mb: { type: 'number', min: 0 },
+        uptime_seconds: { type: 'number', min: 0 },
+        agent_version: { type: 'string', maxLength: 50 },
+        devices: {
+          type: 'array',
+          maxItems: 1000,
+          items: {
+            type: 'object',
+            properties: {
+              device_id: id(),
+              status: { type: 'string', maxLength: 50 },
+              connected: { type: 'boolean' }
+            }
+          }
+        },
+        // Older agents: a single device per message
+        device_id: id(false),
+        status: { type: 'string', maxLength: 50 },
+        timestamp: dateTime
+      }
+    }
+  },
+
+  execution_result: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        scene_id: id(),
+        execution_id: { type: 'string', pattern: UUID_PATTERN },
+        status: { type: 'string', required: true, enum: ['completed', 'failed', 'cancelled', 'rejected'] },
+        steps_executed: count,
+        steps_failed: count,
+        steps: stepResults,
+        duration_ms: duration,
+        error: { type: 'string', nullable: true },
+        timestamp: dateTime
+      }
+    }
+  },
+
+  schedule_result: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        schedule_id: { type: 'string', required: true, pattern: UUID_PATTERN },
+        scene_id: id(false),
+        scheduled_for: { ...dateTime, required: true },
+        fired_at: dateTime,
+        status: { type: 'string', required: true, enum: ['completed', 'failed', 'skipped', 'cancelled', 'rejected'] },
+        steps_executed: count,
+        steps_failed: count,
+        steps: stepResults,
+        duration_ms: duration,
+        error: { type: 'string', nullable: true }
+      }
+    }
+  },
+
+  ack: {
+    replyTo: true,
+    data: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        error: { type: 'string', nullable: true }
+      }
+    }
+  },
+
+  error: {
+    message: { type: 'string' },
+    data: {
+      type: 'object',
+      properties: {
+        error: { type: 'string' }
+      }
+    }
+  },
+
+  sync_progress: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        sync_id: id(),
+        status: { type: 'string', maxLength: 50 },
+        progress: { type: 'number', min: 0, max: 100 },
+        files_synced: count,
+        files_total: count
+      }
+    }
+  },
+
+  sync_complete: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        sync_id: id(),
+        version: { type: 'integer', min: 1 },
+        status: { type: 'string', maxLength: 50 },
+        files_synced: count,
+        duration_ms: duration
+      }
+    }
+  },
+
+  sync_error: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        sync_id: id(),
+        error_message: { type: 'string' }
+      }
+    }
+  },
+
+  driver_sync_progress: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        sync_id: id(),
+        status: { type: 'string', maxLength: 50 },
+        step: { type: 'string', maxLength: 100 }
+      }
+    }
+  },
+
+  driver_sync_complete: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        sync_id: id(),
+        driver_id: id(false)
+      }
+    }
+  },
+
+  driver_sync_error: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        sync_id: id(),
+        driver_id: id(false),
+        error_message: { type: 'string' }
+      }
+    }
+  },
+
+  control_value: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        device_id: id(),
+        control_id: id(),
+        value: { type: 'any', required: true }
+      }
+    }
+  },
+
+  device_state: {
+    data: {
+      required: true,
+      anyOf: [
+        {
+          type: 'object',
+          properties: {
+            changes: { type: 'array', required: true, maxItems: 1000, items: controlChange }
+          }
+        },
+        controlChange
+      ]
+    }
+  },
+
+  log_chunk: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        lines: {
+          type: 'array',
+          required: true,
+          maxItems: 1000,
+          items: {
+            type: 'object',
+            properties: {
+              timestamp: dateTime,
+              level: { type: 'string', maxLength: 20 },
+              source: { type: 'string', nullable: true },
+              message: { type: 'string', required: true },
+              context: { type: 'object', nullable: true }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  agent_update_status: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        update_id: id(),
+        status: { type: 'string', required: true, enum: ['downloading', 'installing', 'succeeded', 'failed'] },
+        error: { type: 'string', nullable: true }
+      }
+    }
+  },
+
+  discovery_result: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        scan_id: id(),
+        complete: { type: 'boolean' },
+        error: { type: 'string', nullable: true },
+        devices: {
+          type: 'array',
+          maxItems: 1024,
+          items: {
+            type: 'object',
+            properties: {
+              ip: { type: 'string', required: true, pattern: /^[0-9a-fA-F.:]{2,45}$/ },
+              mac: { type: 'string', nullable: true, pattern: /^([0-9a-fA-F]{2}[:-]){5}[0-9a-fA-F]{2}$/ },
+              hostname: { type: 'string', nullable: true, maxLength: 255 },
+              vendor: { type: 'string', nullable: true, maxLength: 255 },
+              manufacturer: { type: 'string', nullable: true, maxLength: 255 },
+              model: { type: 'string', nullable: true, maxLength: 255 },
+              open_ports: { type: 'array', maxItems: 256, items: { type: 'integer', min: 1, max: 65535 } },
+              banners: {
+                type: 'object',
+                nullable: true,
+                check: banners => Object.values(banners).every(banner => typeof banner === 'string')
+                  ? null
+                  : 'banners must map ports to strings'
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Cloud → NUC
+ */
+const OUTBOUND = {
+  auth_challenge: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        nonce: { type: 'string', required: true },
+        algorithm: { type: 'string', required: true, enum: ['scram-sha256'] }
+      }
+    }
+  },
+
+  connected: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        controller_id: id(),
+        name: { type: 'string', required: true },
+        config_revision: { ...count, required: true },
+        protocol_version: { type: 'integer', required: true, min: 1 },
+        capabilities: { type: 'array', required: true, items: { type: 'string' } },
+        auth_method: { type: 'string', required: true, enum: ['challenge', 'key'] },
+        key_status: { type: 'string', required: true, enum: ['current', 'previous'] },
+        key_expires_at: { ...dateTime, nullable: true }
+      }
+    }
+  },
+
+  heartbeat_ack: {},
+
+  config_update: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        config_type: { type: 'string', required: true, enum: CONFIG_TYPES },
+        // Absent on updates queued before revisions existed
+        revision: { ...count, nullable: true },
+        device: { type: 'object' },
+        device_id: id(false),
+        control: { type: 'object' },
+        control_id: id(false),
+        scene: { type: 'object' },
+        scene_id: id(false),
+        schedule: { type: 'object' },
+        schedule_id: id(false)
+      },
+      check: (data) => {
+        const [entity, action] = data.config_type.split('_');
+        const payload = CONFIG_PAYLOADS[entity];
+        const field = action === 'deleted' ? payload.id : payload.entity;
+        return data[field] == null ? `${field} is required for ${data.config_type}` : null;
+      }
+    }
+  },
+
+  execute_scene: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        scene_id: id(),
+        execution_id: id(false)
+      }
+    }
+  },
+
+  // Without execution_id, every running and queued run of the scene
+  cancel_scene: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        scene_id: id(),
+        execution_id: id(false)
+      }
+    }
+  },
+
+  gui_sync: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        sync_id: id(),
+        version: { type: 'integer', required: true, min: 1 },
+        files: { type: 'object', required: true }
+      }
+    }
+  },
+
+  full_sync: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        revision: { ...count, required: true },
+        reason: {
+          type: 'string',
+          required: true,
+          enum: ['requested', 'revision_unavailable', 'invalid_revision', 'delta_sync_unsupported']
+        },
+        devices: { type: 'array', required: true, items: { type: 'object' } },
+        controls: { type: 'array', required: true, items: { type: 'object' } },
+        scenes: { type: 'array', required: true, items: { type: 'object' } },
+        scene_order: { type: 'array', required: true, items: { type: 'string' } },
+        schedules: { type: 'array', required: true, items: { type: 'object' } }
+      }
+    }
+  },
+
+  delta_sync: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        from_revision: { ...count, required: true },
+        revision: { ...count, required: true },
+        devices: deltaSection,
+        controls: deltaSection,
+        scenes: deltaSection,
+        schedules: deltaSection
+      }
+    }
+  },
+
+  driver_sync: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        sync_id: id(),
+        driver_id: id(),
+        driver_type: { type: 'string' },
+        version: { type: 'string' },
+        driver_code: { type: 'string', required: true },
+        command_mappings: { type: 'any' },
+        protocol_type: { type: 'string' },
+        connection_config: { type: 'object', nullable: true }
+      }
+    }
+  },
+
+  set_control: {
+    messageId: true,
+    data: {
+      type: 'object',
+      required: true,
+      properties: { ...controlAddress, value: { type: 'any', required: true } }
+    }
+  },
+
+  get_control: {
+    messageId: true,
+    data: {
+      type: 'object',
+      required: true,
+      properties: controlAddress
+    }
+  },
+
+  start_log_stream: {
+    messageId: true,
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        stream_id: id(),
+        level: { type: 'string', required: true, enum: LOG_LEVELS },
+        expires_in: { type: 'integer', required: true, min: 1 }
+      }
+    }
+  },
+
+  stop_log_stream: {
+    messageId: true,
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        stream_id: id()
+      }
+    }
+  },
+
+  agent_update: {
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        update_id: id(),
+        version: { type: 'string', required: true, maxLength: 50 },
+        url: { type: 'string', required: true },
+        checksum_sha256: { type: 'string', required: true, pattern: /^[0-9a-f]{64}$/ },
+        size_bytes: { ...count, required: true },
+        release_notes: { type: 'string', nullable: true }
+      }
+    }
+  },
+
+  discover_devices: {
+    messageId: true,
+    data: {
+      type: 'object',
+      required: true,
+      properties: {
+        scan_id: id(),
+        subnets: { type: 'array', maxItems: 16, items: { type: 'string', maxLength: 18 } },
+        ports: { type: 'array', maxItems: 256, items: { type: 'integer', min: 1, max: 65535 } },
+        timeout_seconds: { type: 'integer', required: true, min: 1 }
+      }
+    }
+  },
+
+  error: {
+    message: { type: 'string', required: true },
+    data: {
+      type: 'object',
+      properties: {
+        code: { type: 'string' },
+        message_type: { type: 'string', nullable: true },
+        errors: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a field spec
+ * @param {*} value - Value to check
+ * @param {Object} spec - Field spec
+ * @param {string} path - Where the value is, for error messages
+ * @param {Array} errors - Collects error messages
+ */
+function checkValue(value, spec, path, errors) {
+  if (value === undefined) {
+    if (spec.required) errors.push(`${path} is required`);
+    return;
+  }
+
+  if (value === null && (spec.nullable || spec.type === 'any')) return;
+
+  if (spec.anyOf) {
+    const matches = spec.anyOf.some(option => {
+      const optionErrors = [];
+      checkValue(value, option, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) errors.push(`${path} does not match any allowed shape`);
+    return;
+  }
+
+  const actual = typeOf(value);
+
+  switch (spec.type) {
+    case 'any':
+      break;
+
+    case 'string':
+      if (actual !== 'string') {
+        errors.push(`${path} must be a string`);
+        return;
+      }
+      if (spec.maxLength && value.length > spec.maxLength) errors.push(`${path} must be at most ${spec.maxLength} characters`);
+      if (spec.pattern && !spec.pattern.test(value)) errors.push(`${path} has an invalid format`);
+      if (spec.format === 'date-time' && isNaN(Date.parse(value))) errors.push(`${path} must be an ISO 8601 date-time`);
+      break;
+
+    case 'number':
+    case 'integer':
+      if (actual !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path} must be a number`);
+        return;
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        errors.push(`${path} must be an integer`);
+        return;
+      }
+      if (spec.min !== undefined && value < spec.min) errors.push(`${path} must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) errors.push(`${path} must be at most ${spec.max}`);
+      break;
+
+    case 'boolean':
+      if (actual !== 'boolean') errors.push(`${path} must be a boolean`);
+      break;
+
+    case 'object':
+      if (actual !== 'object') {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      for (const [key, fieldSpec] of Object.entries(spec.properties || {})) {
+        checkValue(value[key], fieldSpec, `${path}.${key}`, errors);
+      }
+      break;
+
+    case 'array':
+      if (actual !== 'array') {
+        errors.push(`${path} must be an array`);
+        return;
+      }
+      if (spec.maxItems && value.length > spec.maxItems) {
+        errors.push(`${path} must have at most ${spec.maxItems} items`);
+        return;
+      }
+      if (spec.items) {
+        value.forEach((item, index) => checkValue(item, spec.items, `${path}[${index}]`, errors));
+      }
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${spec.enum.join(', ')}`);
+  }
+
+  if (spec.check && errors.length === 0) {
+    const error = spec.check(value);
+    if (error) errors.push(`${path}: ${error}`);
+  }
+}
+
+/**
+ * Validate a message against the schemas for one direction
+ * @param {Object} schemas - INBOUND or OUTBOUND
+ * @param {*} message - Parsed message
+ * @returns {Object} - { valid, errors }
+ */
+function validate(schemas, message) {
+  if (typeOf(message) !== 'object') {
+    return { valid: false, errors: ['message must be a JSON object'] };
+  }
+  if (typeof message.type !== 'string') {
+    return { valid: false, errors: ['type is required'] };
+  }
+
+  const schema = schemas[message.type];
+  if (!schema) {
+    return { valid: false, errors: [`unknown message type "${message.type}"`] };
+  }
+
+  const errors = [];
+  checkValue(message.timestamp, dateTime, 'timestamp', errors);
+  checkValue(message.message_id, { ...id(false), required: Boolean(schema.messageId) }, 'message_id', errors);
+  checkValue(message.reply_to, { ...id(false), required: Boolean(schema.replyTo) }, 'reply_to', errors);
+  if (schema.message) checkValue(message.message, schema.message, 'message', errors);
+  if (schema.data) checkValue(message.data, schema.data, 'data', errors);
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  UUID_PATTERN,
+  INBOUND,
+  OUTBOUND,
+  validateInbound: (message) => validate(INBOUND, message),
+  validateOutbound: (message) => validate(OUTBOUND, message)
+};
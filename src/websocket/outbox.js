@@ -0,0 +1,247 @@
+const pool = require('../db/connection');
+const configLog = require('./config-log');
+
+/**
+ * ControllerOutbox
+ * Persists cloud → NUC messages that could not be delivered because the
+ * controller was offline, and replays them in order on reconnect
+ *
+ * Collapsing rules (per controller):
+ * - X_updated replaces a queued X_updated for the same entity,
+ *   or is folded into a queued X_added
+ * - X_deleted drops queued X_added/X_updated for the entity
+ *   (and is not queued at all if the NUC never saw the X_added)
+ * - gui_sync keeps only the newest sync, driver_sync the newest per driver
+ */
+class ControllerOutbox {
+  /**
+   * Work out which queued messages a message supersedes
+   * @param {Object} message - { type, data }
+   * @returns {Object|null} - { key, configType, action } or null if never collapsed
+   */
+  getCollapseKey(message) {
+    const data = message.data || {};
+
+    if (message.type === 'gui_sync') {
+      return { key: 'gui_sync', configType: null, action: 'replace' };
+    }
+
+    if (message.type === 'driver_sync' && data.driver_id) {
+      return { key: `driver_sync:${data.driver_id}`, configType: null, action: 'replace' };
+    }
+
+    if (message.type === 'config_update' && data.config_type) {
+      const change = configLog.describe(data);
+
+      if (change) {
+        return { key: `${change.entity}:${change.entityId}`, configType: data.config_type, action: change.action };
+      }
+      return { key: null, configType: data.config_type, action: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Queue a message for an offline controller
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} message - Message exactly as it would have been sent
+   * @returns {Object} - { queued, id, superseded }
+   */
+  async enqueue(controllerId, message) {
+    const collapse = this.getCollapseKey(message);
+    const key = collapse?.key || null;
+    const configType = collapse?.configType || null;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      let existing = [];
+      if (key) {
+        const result = await client.query(
+          `SELECT id, message_type, config_type, message FROM controller_outbox
+           WHERE controller_id = $1 AND collapse_key = $2
+           ORDER BY seq
+           FOR UPDATE`,
+          [controllerId, key]
+        );
+        existing = result.rows;
+      }
+
+      // Only messages after the last queued delete describe the current entity
+      const lastDeleted = existing.map(row => Boolean(row.config_type?.endsWith('_deleted'))).lastIndexOf(true);
+      const live = existing.slice(lastDeleted + 1);
+      const addedRow = live.find(row => row.config_type?.endsWith('_added'));
+      let queuedId = null;
+      let superseded = [];
+
+      if (collapse?.action === 'updated' && addedRow) {
+        // NUC hasn't seen the entity yet - send the latest state as the add
+        const merged = {
+          ...message,
+          data: { ...message.data, config_type: addedRow.config_type }
+        };
+        await client.query(
+          'UPDATE controller_outbox SET message = $2 WHERE id = $1',
+          [addedRow.id, JSON.stringify(merged)]
+        );
+        await client.query(
+          'DELETE FROM controller_outbox WHERE id = ANY($1)',
+          [live.filter(row => row.id !== addedRow.id).map(row => row.id)]
+        );
+        queuedId = addedRow.id;
+
+      } else if (['updated', 'deleted', 'replace'].includes(collapse?.action) && live.length > 0) {
+        await client.query(
+          'DELETE FROM controller_outbox WHERE id = ANY($1)',
+          [live.map(row => row.id)]
+        );
+        superseded = live;
+      }
+
+      // Entity was added and deleted while offline - the NUC never needs to know
+      const skip = queuedId || (collapse?.action === 'deleted' && addedRow);
+
+      if (!skip) {
+        const result = await client.query(
+          `INSERT INTO controller_outbox (controller_id, message_type, config_type, collapse_key, message)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [controllerId, message.type, configType, key, JSON.stringify(message)]
+        );
+        queuedId = result.rows[0].id;
+      }
+
+      await client.query('COMMIT');
+
+      await this.markUndelivered(controllerId, superseded, 'Superseded by a newer sync');
+
+      return { queued: Boolean(queuedId), id: queuedId, superseded: superseded.length };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Send queued messages in order, removing each once sent
+   * Stops at the first message that can't be sent (controller went away again)
+   *
+   * @param {string} controllerId - Controller UUID
+   * @param {Function} send - (message) => boolean
+   * @returns {number} - Messages replayed
+   */
+  async replay(controllerId, send) {
+    let replayed = 0;
+
+    while (true) {
+      const result = await pool.query(
+        `SELECT id, message FROM controller_outbox
+         WHERE controller_id = $1
+         ORDER BY seq
+         LIMIT 100`,
+        [controllerId]
+      );
+
+      if (result.rows.length === 0) return replayed;
+
+      for (const row of result.rows) {
+        if (!send({ ...row.message, replayed: true })) return replayed;
+
+        await pool.query('DELETE FROM controller_outbox WHERE id = $1', [row.id]);
+        replayed++;
+      }
+    }
+  }
+
+  /**
+   * Count queued messages for a controller
+   * @param {string} controllerId - Controller UUID
+   * @returns {number}
+   */
+  async count(controllerId) {
+    const result = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM controller_outbox WHERE controller_id = $1',
+      [controllerId]
+    );
+    return result.rows[0].count;
+  }
+
+  /**
+   * List queued messages (without payloads, which can be large)
+   * @param {string} controllerId - Controller UUID
+   * @returns {Array} - Queue in delivery order
+   */
+  async list(controllerId) {
+    const result = await pool.query(
+      `SELECT id, message_type, config_type, collapse_key, created_at,
+              pg_column_size(message) AS size_bytes
+       FROM controller_outbox
+       WHERE controller_id = $1
+       ORDER BY seq`,
+      [controllerId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Remove queued messages
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} filter - { id, messageType } (omit both to purge everything)
+   * @returns {Array} - Removed rows
+   */
+  async purge(controllerId, { id = null, messageType = null } = {}) {
+    const result = await pool.query(
+      `DELETE FROM controller_outbox
+       WHERE controller_id = $1
+         AND ($2::text IS NULL OR id::text = $2)
+         AND ($3::text IS NULL OR message_type = $3)
+       RETURNING id, message_type, config_type, message`,
+      [controllerId, id, messageType]
+    );
+
+    await this.markUndelivered(controllerId, result.rows, 'Removed from outbox before delivery');
+
+    return result.rows;
+  }
+
+  /**
+   * Fail the sync/deployment records of messages that will never be delivered
+   * @param {string} controllerId - Controller UUID
+   * @param {Array} rows - Outbox rows ({ message_type, message })
+   * @param {string} reason - Stored as the error message
+   */
+  async markUndelivered(controllerId, rows, reason) {
+    const syncIds = type => rows
+      .filter(row => row.message_type === type && row.message?.data?.sync_id)
+      .map(row => row.message.data.sync_id);
+
+    const guiSyncIds = syncIds('gui_sync');
+    const driverSyncIds = syncIds('driver_sync');
+
+    if (guiSyncIds.length > 0) {
+      await pool.query(
+        `UPDATE sync_history
+         SET status = 'failed', completed_at = NOW(), error_message = $3
+         WHERE controller_id = $1 AND id = ANY($2) AND status = 'pending'`,
+        [controllerId, guiSyncIds, reason]
+      ).catch(err => console.error('Sync history update error:', err));
+    }
+
+    if (driverSyncIds.length > 0) {
+      await pool.query(
+        `UPDATE driver_deployments
+         SET deployment_status = 'failed', sync_error_message = $3
+         WHERE controller_id = $1 AND sync_id = ANY($2) AND deployment_status = 'pending'`,
+        [controllerId, driverSyncIds, reason]
+      ).catch(err => console.error('Driver deployment update error:', err));
+    }
+  }
+}
+
+module.exports = new ControllerOutbox();
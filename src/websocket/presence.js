@@ -0,0 +1,173 @@
+const pool = require('../db/connection');
+
+// An instance that hasn't heartbeated for this long is considered dead
+const INSTANCE_TIMEOUT_SECONDS = 90;
+
+/**
+ * ControllerPresence
+ * Records which backend instance holds each controller's WebSocket,
+ * so any instance can tell whether a controller is online and route to it
+ */
+class ControllerPresence {
+  /**
+   * Register (or refresh) a backend instance
+   * @param {string} instanceId - Bus instance UUID
+   * @param {string} hostname - For debugging
+   */
+  async registerInstance(instanceId, hostname) {
+    await pool.query(
+      `INSERT INTO bus_instances (id, hostname)
+       VALUES ($1, $2)
+       ON CONFLICT (id) DO UPDATE SET last_heartbeat = NOW()`,
+      [instanceId, hostname]
+    );
+  }
+
+  /**
+   * Mark an instance as alive
+   * @param {string} instanceId - Bus instance UUID
+   */
+  async heartbeat(instanceId) {
+    await pool.query(
+      'UPDATE bus_instances SET last_heartbeat = NOW() WHERE id = $1',
+      [instanceId]
+    );
+  }
+
+  /**
+   * Remove instances that stopped heartbeating, and mark their controllers offline
+   * @returns {Array} - Controllers that were marked offline ({ id, project_id })
+   */
+  async reapStaleInstances() {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const stale = await client.query(
+        `DELETE FROM bus_instances
+         WHERE last_heartbeat < NOW() - make_interval(secs => $1)
+         RETURNING id`,
+        [INSTANCE_TIMEOUT_SECONDS]
+      );
+
+      let controllers = [];
+      if (stale.rows.length > 0) {
+        const orphaned = await client.query(
+          `DELETE FROM controller_presence WHERE instance_id = ANY($1) RETURNING controller_id`,
+          [stale.rows.map(row => row.id)]
+        );
+
+        const result = await client.query(
+          `UPDATE controllers SET status = 'offline'
+           WHERE id = ANY($1)
+             AND NOT EXISTS (SELECT 1 FROM controller_presence cp WHERE cp.controller_id = controllers.id)
+           RETURNING id, project_id`,
+          [orphaned.rows.map(row => row.controller_id)]
+        );
+        controllers = result.rows;
+      }
+
+      await client.query('COMMIT');
+      return controllers;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remove an instance and mark its controllers offline (graceful shutdown)
+   * @param {string} instanceId - Bus instance UUID
+   * @returns {Array} - Controllers that were marked offline ({ id, project_id })
+   */
+  async unregisterInstance(instanceId) {
+    const orphaned = await pool.query(
+      'DELETE FROM controller_presence WHERE instance_id = $1 RETURNING controller_id',
+      [instanceId]
+    );
+    await pool.query('DELETE FROM bus_instances WHERE id = $1', [instanceId]);
+
+    const result = await pool.query(
+      `UPDATE controllers SET status = 'offline'
+       WHERE id = ANY($1)
+         AND NOT EXISTS (SELECT 1 FROM controller_presence cp WHERE cp.controller_id = controllers.id)
+       RETURNING id, project_id`,
+      [orphaned.rows.map(row => row.controller_id)]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record that an instance now holds a controller's socket
+   * @param {string} controllerId - Controller UUID
+   * @param {string} instanceId - Bus instance UUID
+   */
+  async setPresent(controllerId, instanceId) {
+    await pool.query(
+      `INSERT INTO controller_presence (controller_id, instance_id)
+       VALUES ($1, $2)
+       ON CONFLICT (controller_id) DO UPDATE SET instance_id = $2, connected_at = NOW()`,
+      [controllerId, instanceId]
+    );
+  }
+
+  /**
+   * Remove a controller's presence and mark it offline,
+   * unless it has already reconnected to another instance
+   *
+   * @param {string} controllerId - Controller UUID
+   * @param {string} instanceId - Bus instance UUID
+   * @returns {boolean} - True if the controller was marked offline
+   */
+  async clearPresent(controllerId, instanceId) {
+    await pool.query(
+      'DELETE FROM controller_presence WHERE controller_id = $1 AND instance_id = $2',
+      [controllerId, instanceId]
+    );
+
+    const result = await pool.query(
+      `UPDATE controllers SET status = 'offline'
+       WHERE id = $1
+         AND NOT EXISTS (SELECT 1 FROM controller_presence WHERE controller_id = $1)
+       RETURNING id`,
+      [controllerId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Find the live instance holding a controller
+   * @param {string} controllerId - Controller UUID
+   * @returns {string|null} - Instance UUID
+   */
+  async getInstance(controllerId) {
+    const result = await pool.query(
+      `SELECT cp.instance_id FROM controller_presence cp
+       JOIN bus_instances bi ON bi.id = cp.instance_id
+       WHERE cp.controller_id = $1
+         AND bi.last_heartbeat > NOW() - make_interval(secs => $2)`,
+      [controllerId, INSTANCE_TIMEOUT_SECONDS]
+    );
+    return result.rows[0]?.instance_id || null;
+  }
+
+  /**
+   * List controllers connected to any live instance
+   * @returns {Array<string>} - Controller UUIDs
+   */
+  async listConnected() {
+    const result = await pool.query(
+      `SELECT cp.controller_id FROM controller_presence cp
+       JOIN bus_instances bi ON bi.id = cp.instance_id
+       WHERE bi.last_heartbeat > NOW() - make_interval(secs => $1)`,
+      [INSTANCE_TIMEOUT_SECONDS]
+    );
+    return result.rows.map(row => row.controller_id);
+  }
+}
+
+module.exports = new ControllerPresence();
@@ -0,0 +1,188 @@
+const pool = require('../db/connection');
+
+// Changes a recording keeps; capture stops there
+const MAX_RECORDED_CHANGES = 5000;
+const MAX_NAME_LENGTH = 255;
+// How long an instance trusts what it knows about a controller's recording
+// (one started through another instance is picked up within this time)
+const ACTIVE_CHECK_MS = 2000;
+
+const RECORDING_COLUMNS = 'id, controller_id, name, status, change_count, started_by, started_at, stopped_at';
+
+/**
+ * SceneRecorder
+ * Record mode: while a controller has a recording running, every control change
+ * the NUC reports (device_state, control_value) and every value set through the
+ * API is stored, to be proposed afterwards as the steps of a new scene.
+ *
+ * Recordings live in the database so any instance can start or stop them; the
+ * instance holding the controller's socket checks for one at most every
+ * ACTIVE_CHECK_MS instead of on every report.
+ */
+class SceneRecorder {
+  constructor() {
+    this.active = new Map(); // controllerId -> { recordingId (or null), checkedAt }
+  }
+
+  /**
+   * Check a recording from the API
+   * @param {Object} input - { name }
+   * @returns {string|null} - Error message
+   */
+  validate({ name } = {}) {
+    if (name !== undefined && name !== null &&
+        (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+      return `name must be a string of up to ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Start recording a controller
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} options - { name, integratorId }
+   * @returns {Promise<Object|null>} - The recording, null if one is already running
+   */
+  async start(controllerId, { name, integratorId }) {
+    const result = await pool.query(
+      `INSERT INTO scene_recordings (controller_id, name, started_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (controller_id) WHERE status = 'recording' DO NOTHING
+       RETURNING ${RECORDING_COLUMNS}`,
+      [controllerId, name || null, integratorId]
+    );
+
+    const recording = result.rows[0] || null;
+    if (recording) {
+      this.active.set(controllerId, { recordingId: recording.id, checkedAt: Date.now() });
+    }
+    return recording;
+  }
+
+  /**
+   * Stop a recording
+   * @param {string} recordingId - Recording UUID
+   * @returns {Promise<Object|null>} - The recording, null if it wasn't running
+   */
+  async stop(recordingId) {
+    const result = await pool.query(
+      `UPDATE scene_recordings SET status = 'stopped', stopped_at = NOW()
+       WHERE id = $1 AND status = 'recording'
+       RETURNING ${RECORDING_COLUMNS}`,
+      [recordingId]
+    );
+
+    const recording = result.rows[0] || null;
+    if (recording) {
+      this.active.set(recording.controller_id, { recordingId: null, checkedAt: Date.now() });
+    }
+    return recording;
+  }
+
+  /**
+   * Recordings of a controller an integrator owns, newest first
+   * @param {string} integratorId - Integrator UUID
+   * @param {Object} filters - { id, controllerId, limit }
+   * @returns {Promise<Array>}
+   */
+  async find(integratorId, { id, controllerId, limit = 20 } = {}) {
+    const result = await pool.query(
+      `SELECT ${RECORDING_COLUMNS.split(', ').map(column => `sr.${column}`).join(', ')}
+       FROM scene_recordings sr
+       JOIN controllers c ON c.id = sr.controller_id
+       JOIN projects p ON p.id = c.project_id
+       WHERE p.integrator_id = $1
+         AND ($2::uuid IS NULL OR sr.id = $2)
+         AND ($3::uuid IS NULL OR sr.controller_id = $3)
+       ORDER BY sr.started_at DESC
+       LIMIT $4`,
+      [integratorId, id || null, controllerId || null, limit]
+    );
+
+    return result.rows.map(recording => ({
+      ...recording,
+      limit_reached: recording.change_count >= MAX_RECORDED_CHANGES
+    }));
+  }
+
+  /**
+   * Changes captured by a recording, oldest first
+   * @param {string} recordingId - Recording UUID
+   * @returns {Promise<Array>} - [{ device_id, control_id, value, source, recorded_at }]
+   */
+  async changes(recordingId) {
+    const result = await pool.query(
+      `SELECT device_id, control_id, value, source, recorded_at
+       FROM scene_recording_changes
+       WHERE recording_id = $1
+       ORDER BY recorded_at, id`,
+      [recordingId]
+    );
+    return result.rows;
+  }
+
+  // The controller's running recording, from memory when recently checked
+  async activeRecording(controllerId) {
+    const known = this.active.get(controllerId);
+    if (known && Date.now() - known.checkedAt < ACTIVE_CHECK_MS) {
+      return known.recordingId;
+    }
+
+    const result = await pool.query(
+      `SELECT id FROM scene_recordings WHERE controller_id = $1 AND status = 'recording'`,
+      [controllerId]
+    );
+
+    const recordingId = result.rows[0]?.id || null;
+    this.active.set(controllerId, { recordingId, checkedAt: Date.now() });
+    return recordingId;
+  }
+
+  /**
+   * Store control changes if the controller is being recorded
+   * Never throws: recording must not get in the way of the change itself
+   *
+   * @param {string} controllerId - Controller UUID
+   * @param {Array} changes - [{ device_id, control_id, value, reported_at }]
+   * @param {string} source - 'device' (reported by the NUC) or 'api'
+   */
+  async capture(controllerId, changes, source) {
+    if (changes.length === 0) return;
+
+    try {
+      const recordingId = await this.activeRecording(controllerId);
+      if (!recordingId) return;
+
+      // The count check lets the last batch go slightly over the limit
+      await pool.query(
+        `WITH recording AS (
+           UPDATE scene_recordings SET change_count = change_count + $2
+           WHERE id = $1 AND status = 'recording' AND change_count < $3
+           RETURNING id
+         )
+         INSERT INTO scene_recording_changes (recording_id, device_id, control_id, value, recorded_at, source)
+         SELECT recording.id, change.*, $4
+         FROM recording, UNNEST($5::text[], $6::text[], $7::jsonb[], $8::timestamp[]) AS change`,
+        [
+          recordingId,
+          changes.length,
+          MAX_RECORDED_CHANGES,
+          source,
+          changes.map(change => change.device_id),
+          changes.map(change => change.control_id),
+          changes.map(change => JSON.stringify(change.value)),
+          changes.map(change => change.reported_at)
+        ]
+      );
+    } catch (error) {
+      console.error(`Scene recording capture error for controller ${controllerId}:`, error);
+    }
+  }
+
+  // Forget a controller's recording state (it disconnected from this instance)
+  evict(controllerId) {
+    this.active.delete(controllerId);
+  }
+}
+
+module.exports = new SceneRecorder();
@@ -0,0 +1,325 @@
+const pool = require('../db/connection');
+const configLog = require('./config-log');
+const cron = require('../utils/cron');
+
+// Upcoming fire times listed with each schedule
+const NEXT_RUNS = 5;
+const MAX_DATES = 366;
+const MAX_NAME_LENGTH = 255;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Schedules with their scene, controller, project calendar and last fire
+const SCHEDULE_SELECT = `
+  SELECT ss.id, ss.controller_id, c.name AS controller_name, c.project_id,
+         ss.scene_id, s.scene_id AS scene_key, s.name AS scene_name,
+         ss.name, ss.cron_expression, ss.enabled, ss.skip_holidays,
+         ss.exception_dates::text[] AS exception_dates, p.timezone, p.holidays::text[] AS holidays,
+         ss.created_at, ss.updated_at,
+         lr.id AS last_run_id, lr.status AS last_run_status,
+         lr.scheduled_for AS last_run_scheduled_for, lr.error_message AS last_run_error
+  FROM scene_schedules ss
+  JOIN scenes s ON s.id = ss.scene_id
+  JOIN controllers c ON c.id = ss.controller_id
+  JOIN projects p ON p.id = c.project_id
+  LEFT JOIN LATERAL (
+    SELECT id, status, scheduled_for, error_message FROM scene_executions
+    WHERE schedule_id = ss.id
+    ORDER BY scheduled_for DESC
+    LIMIT 1
+  ) lr ON true`;
+
+// Sorted without duplicates, as stored and sent to the NUC
+function normalizeDates(dates) {
+  return [...new Set(dates)].sort();
+}
+
+/**
+ * SceneSchedules
+ * Cron schedules attached to scenes. The NUC gets them with its configuration
+ * (full_sync, delta_sync, config_update) and fires them itself, so they run
+ * while the cloud is unreachable; each fire is reported back with
+ * schedule_result and stored as a scene run.
+ */
+class SceneSchedules {
+  /**
+   * Check a list of YYYY-MM-DD dates
+   * @param {*} dates - Value from the API
+   * @param {string} field - Field name for the error message
+   * @returns {string|null} - Error message
+   */
+  validateDates(dates, field) {
+    if (!Array.isArray(dates) || dates.length > MAX_DATES) {
+      return `${field} must be a list of up to ${MAX_DATES} dates`;
+    }
+    for (const date of dates) {
+      const valid = typeof date === 'string' && DATE_PATTERN.test(date) &&
+        !isNaN(Date.parse(`${date}T00:00:00Z`)) &&
+        new Date(`${date}T00:00:00Z`).toISOString().slice(0, 10) === date;
+      if (!valid) {
+        return `Invalid date in ${field}: ${date} (expected YYYY-MM-DD)`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check a schedule from the API
+   * @param {Object} input - { name, cron_expression, enabled, skip_holidays, exception_dates }
+   * @param {Object} options - { partial } for updates (nothing required)
+   * @returns {string|null} - Error message
+   */
+  validate(input = {}, { partial = false } = {}) {
+    const { name, cron_expression, enabled, skip_holidays, exception_dates } = input;
+
+    if (name !== undefined && name !== null &&
+        (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+      return `name must be a string of up to ${MAX_NAME_LENGTH} characters`;
+    }
+
+    if (cron_expression !== undefined || !partial) {
+      const { error } = cron.parse(cron_expression);
+      if (error) return error;
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return 'enabled must be a boolean';
+    }
+    if (skip_holidays !== undefined && typeof skip_holidays !== 'boolean') {
+      return 'skip_holidays must be a boolean';
+    }
+
+    if (exception_dates !== undefined) {
+      return this.validateDates(exception_dates, 'exception_dates');
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a project's schedule calendar
+   * @param {Object} calendar - { timezone, holidays } (either may be omitted)
+   * @returns {string|null} - Error message
+   */
+  validateCalendar({ timezone, holidays } = {}) {
+    if (timezone !== undefined && !cron.isValidTimezone(timezone)) {
+      return 'timezone must be an IANA timezone name (e.g. Europe/Paris)';
+    }
+    if (holidays !== undefined) {
+      return this.validateDates(holidays, 'holidays');
+    }
+    return null;
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} db - Pool or transaction client
+   * @param {Object} schedule - { controllerId, sceneId (scene UUID), integratorId, ...validated input }
+   * @returns {Promise<string>} - Schedule UUID
+   */
+  async create(db, { controllerId, sceneId, integratorId, name, cron_expression, enabled, skip_holidays, exception_dates }) {
+    const result = await db.query(
+      `INSERT INTO scene_schedules
+         (controller_id, scene_id, name, cron_expression, enabled, skip_holidays, exception_dates, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [
+        controllerId,
+        sceneId,
+        name || null,
+        cron_expression.trim(),
+        enabled !== undefined ? enabled : true,
+        skip_holidays !== undefined ? skip_holidays : true,
+        normalizeDates(exception_dates || []),
+        integratorId
+      ]
+    );
+    return result.rows[0].id;
+  }
+
+  /**
+   * Update a schedule's fields
+   * @param {string} scheduleId - Schedule UUID
+   * @param {Object} input - Validated fields to change
+   * @returns {Promise<boolean>} - false when there was nothing to change
+   */
+  async update(scheduleId, input) {
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (input.name !== undefined) {
+      updates.push(`name = $${paramCount++}`);
+      values.push(input.name);
+    }
+    if (input.cron_expression !== undefined) {
+      updates.push(`cron_expression = $${paramCount++}`);
+      values.push(input.cron_expression.trim());
+    }
+    if (input.enabled !== undefined) {
+      updates.push(`enabled = $${paramCount++}`);
+      values.push(input.enabled);
+    }
+    if (input.skip_holidays !== undefined) {
+      updates.push(`skip_holidays = $${paramCount++}`);
+      values.push(input.skip_holidays);
+    }
+    if (input.exception_dates !== undefined) {
+      updates.push(`exception_dates = $${paramCount++}`);
+      values.push(normalizeDates(input.exception_dates));
+    }
+
+    if (updates.length === 0) return false;
+
+    values.push(scheduleId);
+    await pool.query(
+      `UPDATE scene_schedules
+       SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramCount}`,
+      values
+    );
+    return true;
+  }
+
+  /**
+   * Schedules an integrator owns, with their next fire times and last run
+   * @param {string} integratorId - Integrator UUID
+   * @param {Object} filters - { id, controllerId, sceneId, projectId }
+   * @returns {Promise<Array>}
+   */
+  async find(integratorId, { id, controllerId, sceneId, projectId } = {}) {
+    const conditions = ['p.integrator_id = $1'];
+    const values = [integratorId];
+
+    const filters = [['ss.id', id], ['ss.controller_id', controllerId], ['ss.scene_id', sceneId], ['c.project_id', projectId]];
+    for (const [column, value] of filters) {
+      if (value === undefined) continue;
+      values.push(value);
+      conditions.push(`${column} = $${values.length}`);
+    }
+
+    const result = await pool.query(
+      `${SCHEDULE_SELECT}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY c.name, s.name, ss.created_at`,
+      values
+    );
+
+    return result.rows.map(row => this.describe(row));
+  }
+
+  // API shape of a schedule row: next fire times instead of the raw calendar columns
+  describe(row) {
+    const { holidays, last_run_id, last_run_status, last_run_scheduled_for, last_run_error, ...schedule } = row;
+    const { cron: parsed } = cron.parse(row.cron_expression);
+
+    const skipDates = row.skip_holidays ? [...row.exception_dates, ...holidays] : row.exception_dates;
+    schedule.next_runs = row.enabled && parsed
+      ? cron.nextRuns(parsed, row.timezone, { count: NEXT_RUNS, skipDates }).map(run => run.toISOString())
+      : [];
+
+    schedule.last_run = last_run_id
+      ? {
+        execution_id: last_run_id,
+        status: last_run_status,
+        scheduled_for: last_run_scheduled_for,
+        error_message: last_run_error
+      }
+      : null;
+
+    return schedule;
+  }
+
+  /**
+   * Send a schedule change to its controller
+   * @param {Object} wsServer - WebSocket server (nothing is sent without one)
+   * @param {string} controllerId - Controller UUID
+   * @param {string} configType - schedule_added, schedule_updated or schedule_deleted
+   * @param {string} scheduleId - Schedule UUID
+   */
+  async notify(wsServer, controllerId, configType, scheduleId) {
+    if (!wsServer) return;
+
+    if (configType === 'schedule_deleted') {
+      await wsServer.broadcastConfigUpdate(controllerId, configType, { schedule_id: scheduleId });
+      return;
+    }
+
+    const [schedule] = await configLog.loadSchedules(controllerId, [scheduleId]);
+    if (schedule) {
+      await wsServer.broadcastConfigUpdate(controllerId, configType, { schedule });
+    }
+  }
+
+  /**
+   * Resend every schedule of a project after its timezone or holidays changed
+   * @param {Object} wsServer - WebSocket server
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<number>} - Schedules resent
+   */
+  async resyncProject(wsServer, projectId) {
+    const result = await pool.query(
+      `SELECT ss.id, ss.controller_id FROM scene_schedules ss
+       JOIN controllers c ON c.id = ss.controller_id
+       WHERE c.project_id = $1`,
+      [projectId]
+    );
+
+    for (const schedule of result.rows) {
+      await this.notify(wsServer, schedule.controller_id, 'schedule_updated', schedule.id);
+    }
+    return result.rows.length;
+  }
+
+  /**
+   * Store a fire reported by the NUC (schedule_result)
+   * A result sent again (e.g. resent after a reconnect) is ignored
+   *
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} data - schedule_result data
+   * @returns {Promise<Object|null>} - The scene run, null if unknown or already stored
+   */
+  async recordResult(controllerId, data) {
+    const scheduleResult = await pool.query(
+      'SELECT id, scene_id FROM scene_schedules WHERE id = $1 AND controller_id = $2',
+      [data.schedule_id, controllerId]
+    );
+
+    // Deleted while the NUC was running it, or not this controller's
+    const schedule = scheduleResult.rows[0];
+    if (!schedule) return null;
+
+    const scheduledFor = new Date(data.scheduled_for);
+    const startedAt = data.fired_at ? new Date(data.fired_at) : scheduledFor;
+    const completedAt = new Date(startedAt.getTime() + (data.duration_ms || 0));
+
+    const result = await pool.query(
+      `INSERT INTO scene_executions
+         (scene_id, controller_id, status, trigger_source, schedule_id, scheduled_for,
+          steps_executed, steps_failed, step_results, duration_ms, error_message, result,
+          started_at, completed_at)
+       VALUES ($1, $2, $3, 'schedule', $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       ON CONFLICT (schedule_id, scheduled_for) WHERE schedule_id IS NOT NULL DO NOTHING
+       RETURNING *`,
+      [
+        schedule.scene_id,
+        controllerId,
+        data.status,
+        schedule.id,
+        scheduledFor,
+        data.steps_executed ?? null,
+        data.steps_failed ?? null,
+        JSON.stringify(data.steps || []),
+        data.duration_ms ?? null,
+        data.error || null,
+        JSON.stringify(data),
+        startedAt,
+        completedAt
+      ]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new SceneSchedules();
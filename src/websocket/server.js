@@ -1,15 +1,59 @@
 const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
 const pool = require('../db/connection');
+const outbox = require('./outbox');
+const configLog = require('./config-log');
+const deviceState = require('./device-state');
+const logBuffer = require('./log-buffer');
+const agentRollouts = require('./agent-rollouts');
+const discovery = require('./discovery');
+const sceneSchedules = require('./scene-schedules');
+const sceneRecorder = require('./scene-recorder');
+const presence = require('./presence');
+const connectionLog = require('./connection-log');
+const BrowserChannel = require('./browser-channel');
+const { createBus } = require('./bus-factory');
+const { deriveStoredKey, generateNonce, verifyChallenge } = require('../utils/connection-key');
+const { createRequestError } = require('../utils/request-error');
+const { PROTOCOL_VERSION, CAPABILITIES, parseDeclaration, requiredCapability, supportsMessage, controllerSupports } = require('./capabilities');
+const { UUID_PATTERN, validateInbound, validateOutbound } = require('./message-schemas');
+
+// How long a NUC has to answer the auth challenge
+const AUTH_TIMEOUT = 10000;
+// The raw key in ?key= is refused unless this is set (for agents not yet on the handshake)
+const ALLOW_KEY_QUERY_AUTH = process.env.ALLOW_KEY_QUERY_AUTH === 'true';
+// A NUC stops a log stream that isn't renewed within this many seconds (renewed every heartbeat loop)
+const LOG_STREAM_TTL = 120;
 
 class WebSocketServer {
   constructor(server) {
-    this.wss = new WebSocket.Server({ server });
-    this.controllers = new Map(); // controllerId -> ws connection
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.browserChannel = new BrowserChannel();
+    this.controllers = new Map(); // controllerId -> ws connection (on this instance)
+    this.pendingRequests = new Map(); // messageId -> { controllerId, type, resolve, reject, timer }
+    this.remoteRequests = new Map(); // messageId -> { instanceId, controllerId, expiresAt } (sent for another instance)
+    this.logTails = new Map(); // controllerId -> Set of { filter, onLines } (live log viewers on this instance)
+    this.connecting = new Map(); // controllerId -> sockets authenticated but not yet registered here
+    this.bus = createBus();
     
-    this.setupServer();
+    this.setupServer(server);
+    this.setupBus();
   }
   
-  setupServer() {
+  setupServer(server) {
+    // /live is the browser channel, every other path is a NUC connection
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (pathname === '/live') {
+        this.browserChannel.handleUpgrade(req, socket, head);
+      } else {
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+          this.wss.emit('connection', ws, req);
+        });
+      }
+    });
+
     this.wss.on('connection', (ws, req) => {
       console.log('New WebSocket connection attempt');
       this.handleConnection(ws, req);
@@ -21,54 +65,207 @@ class WebSocketServer {
     
     console.log('✓ WebSocket server initialized');
   }
+
+  // Handlers for messages from other backend instances
+  setupBus() {
+    // Send a message to a controller connected here
+    this.bus.handle('deliver', ({ controller_id, message, after_outbox }, fromInstance) => {
+      const ws = this.controllers.get(controller_id);
+
+      // While the outbox replays, the sender queues the message instead
+      if (after_outbox && ws?.replayingOutbox) {
+        return { delivered: false };
+      }
+
+      const delivered = this.sendLocal(controller_id, message);
+
+      // Route the controller's reply back to the instance waiting for it
+      if (delivered && message.message_id && fromInstance !== this.bus.instanceId) {
+        this.remoteRequests.set(message.message_id, {
+          instanceId: fromInstance,
+          controllerId: controller_id,
+          type: message.type,
+          expiresAt: Date.now() + 5 * 60 * 1000
+        });
+      }
+
+      return { delivered };
+    });
+
+    // A controller replied to a request this instance sent through another one
+    this.bus.handle('reply', ({ controller_id, message }) => {
+      this.settleRequest(controller_id, message);
+    });
+
+    // The controller connected to another instance - drop our stale socket
+    this.bus.handle('controller_connected', ({ controller_id }, fromInstance) => {
+      const ws = this.controllers.get(controller_id);
+      if (ws && fromInstance !== this.bus.instanceId) {
+        ws.endReason = 'replaced';
+        ws.close(1000, 'Controller reconnected to another instance');
+      }
+
+      // A fresh connection has no log streams - restart ours
+      if (this.logTails.has(controller_id)) {
+        this.startLogStream(controller_id);
+      }
+    });
+
+    this.bus.handle('controller_disconnected', ({ controller_id }) => {
+      this.rejectPendingRequests(
+        controller_id,
+        createRequestError('CONTROLLER_DISCONNECTED', 'Controller disconnected before replying')
+      );
+    });
+
+    // The controller's key was rotated - its socket may only stay for the grace period
+    this.bus.handle('key_rotated', ({ controller_id, grace_seconds }) => {
+      const ws = this.controllers.get(controller_id);
+      if (!ws) return;
+
+      // A socket on the previous key lost it entirely (it is no longer stored)
+      if (grace_seconds <= 0 || ws.keyStatus === 'previous') {
+        ws.endReason = 'key_revoked';
+        ws.close(1008, 'Connection key revoked');
+        return;
+      }
+      ws.keyStatus = 'previous';
+      ws.keyExpiresAt = Date.now() + grace_seconds * 1000;
+    });
+
+    // Log lines stored by the instance holding the controller, for tails on every instance
+    this.bus.handle('log_lines', ({ controller_id, lines }) => {
+      for (const tail of this.logTails.get(controller_id) || []) {
+        const matching = lines.filter(line => logBuffer.matches(line, tail.filter));
+        if (matching.length > 0) tail.onLines(matching);
+      }
+    });
+
+    // Browser events are pushed by every instance to its own /live clients
+    this.bus.handle('event', ({ controller_id, event, data, project_id }) => {
+      this.browserChannel.publish(controller_id, event, data, project_id);
+    });
+
+    this.bus.start()
+      .then(() => presence.registerInstance(this.bus.instanceId, this.bus.hostname))
+      .catch(err => console.error('Controller bus start error:', err));
+  }
   
   async handleConnection(ws, req) {
+    let controller = null;
+    let connecting = false;
+
     try {
-      // Extract connection key from query string
       const url = new URL(req.url, 'http://localhost');
+      const controllerId = url.searchParams.get('controller_id');
       const connectionKey = url.searchParams.get('key');
-      
-      if (!connectionKey) {
-        console.log('Connection rejected: No key provided');
-        ws.close(1008, 'Connection key required');
+
+      let auth;
+      if (controllerId) {
+        auth = await this.authenticateChallenge(ws, controllerId);
+      } else if (connectionKey && !ALLOW_KEY_QUERY_AUTH) {
+        console.log('Connection rejected: ?key= authentication is disabled');
+        ws.close(1008, 'Key authentication disabled');
         return;
-      }
-      
-      // Validate connection key
-      const result = await pool.query(
-        'SELECT id, name, project_id FROM controllers WHERE connection_key = $1',
-        [connectionKey]
-      );
-      
-      if (result.rows.length === 0) {
-        console.log('Connection rejected: Invalid key');
-        ws.close(1008, 'Invalid connection key');
+      } else if (connectionKey) {
+        auth = await this.authenticateKey(ws, connectionKey);
+      } else {
+        console.log('Connection rejected: No controller ID provided');
+        ws.close(1008, 'Controller ID required');
         return;
       }
+
+      if (!auth) return;
+
+      controller = auth.controller;
+
+      // Before any await, so a NUC dropping during setup isn't missed
+      ws.on('close', (code, reason) => this.handleDisconnect(ws, controller, code, reason));
+      ws.on('error', (error) => {
+        console.error(`WebSocket error for ${controller.name}:`, error);
+      });
+      this.trackConnecting(controller.id, 1);
+      connecting = true;
+
+      // What the agent understands - declared in auth_response, or in the query string with ?key=
+      const { protocolVersion, capabilities } = parseDeclaration(auth.declared || {
+        protocol_version: url.searchParams.get('protocol_version'),
+        capabilities: url.searchParams.get('capabilities')
+      });
+
+      // Claim the controller for this instance before announcing it online
+      await presence.setPresent(controller.id, this.bus.instanceId);
       
-      const controller = result.rows[0];
-      
-      // Update controller status
+      // Update controller status and what its agent declared
       await pool.query(
-        'UPDATE controllers SET status = $1, last_seen = NOW() WHERE id = $2',
-        ['online', controller.id]
+        `UPDATE controllers
+         SET status = $1, last_seen = NOW(),
+             protocol_version = $3, capabilities = $4, capabilities_reported_at = NOW()
+         WHERE id = $2`,
+        ['online', controller.id, protocolVersion, capabilities]
       );
+
+      // Start of this connection in the controller's connectivity history
+      ws.sessionId = await connectionLog.open(controller.id, {
+        instanceId: this.bus.instanceId,
+        ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress || null,
+        protocolVersion,
+        authMethod: auth.method
+      }).catch(err => {
+        console.error('Connection log error:', err);
+        return null;
+      });
       
-      // Store connection
+      this.trackConnecting(controller.id, -1);
+      connecting = false;
+
+      // The NUC dropped while this connection was set up - undo it
+      if (ws.readyState !== WebSocket.OPEN) {
+        await this.abandonConnection(ws, controller);
+        return;
+      }
+
+      // Store connection (replacing an older socket for the same controller)
+      const previous = this.controllers.get(controller.id);
       this.controllers.set(controller.id, ws);
+      if (previous && previous !== ws) {
+        previous.endReason = 'replaced';
+        previous.close(1000, 'Replaced by a new connection');
+      }
       ws.controllerId = controller.id;
       ws.controllerName = controller.name;
+      ws.projectId = controller.project_id;
       ws.isAlive = true;
+      ws.protocolVersion = Math.min(protocolVersion, PROTOCOL_VERSION);
+      ws.capabilities = capabilities;
+      // Connected with a rotated-out key - dropped once its grace period ends
+      ws.keyStatus = auth.keyStatus;
+      ws.keyExpiresAt = auth.keyExpiresIn != null ? Date.now() + auth.keyExpiresIn * 1000 : null;
       
       console.log(`✓ Controller connected: ${controller.name} (${controller.id})`);
+
+      this.bus.broadcast('controller_connected', { controller_id: controller.id })
+        .catch(err => console.error('Bus broadcast error:', err));
+
+      this.emitControllerEvent(controller.id, 'controller_status', {
+        status: 'online',
+        last_seen: new Date().toISOString()
+      }, controller.project_id);
       
       // Send welcome message
-      this.sendToController(controller.id, {
+      this.sendLocal(controller.id, {
         type: 'connected',
         timestamp: new Date().toISOString(),
         data: {
           controller_id: controller.id,
-          name: controller.name
+          name: controller.name,
+          config_revision: Number(controller.config_revision),
+          // Negotiated version, and the optional messages the cloud will send
+          protocol_version: ws.protocolVersion,
+          capabilities: capabilities.filter(name => CAPABILITIES.includes(name)),
+          auth_method: auth.method,
+          key_status: auth.keyStatus,
+          key_expires_at: ws.keyExpiresAt ? new Date(ws.keyExpiresAt).toISOString() : null
         }
       });
       
@@ -82,73 +279,310 @@ class WebSocketServer {
         ws.isAlive = true;
       });
       
-      // Handle disconnection
-      ws.on('close', async () => {
-        console.log(`Controller disconnected: ${controller.name} (${controller.id})`);
-        
-        // Update controller status
-        await pool.query(
-          'UPDATE controllers SET status = $1 WHERE id = $2',
-          ['offline', controller.id]
-        );
-        
-        this.controllers.delete(controller.id);
-      });
-      
-      ws.on('error', (error) => {
-        console.error(`WebSocket error for ${controller.name}:`, error);
-      });
+      // Deliver anything queued while the controller was offline
+      await this.replayOutbox(ws);
       
     } catch (error) {
       console.error('Connection handling error:', error);
       ws.close(1011, 'Internal server error');
+
+      if (connecting) this.trackConnecting(controller.id, -1);
+      if (controller && ws.controllerId === undefined) {
+        await this.abandonConnection(ws, controller);
+      }
+    }
+  }
+
+  // An authenticated controller socket closed
+  async handleDisconnect(ws, controller, code, reason) {
+    console.log(`Controller disconnected: ${controller.name} (${controller.id}) - ${code}`);
+
+    // Closed during setup: handleConnection rolls back, with this close code
+    if (ws.controllerId === undefined) {
+      ws.closeInfo = { code, reason };
+      return;
+    }
+
+    if (ws.sessionId) {
+      connectionLog.close(ws.sessionId, {
+        code,
+        reason: reason ? reason.toString() : null,
+        endReason: ws.endReason || 'disconnected'
+      }).catch(err => console.error('Connection log error:', err));
+    }
+
+    // A newer socket for this controller already replaced this one here
+    if (this.controllers.get(controller.id) !== ws) return;
+    this.controllers.delete(controller.id);
+
+    // Whichever instance it reconnects to reads the state back from the database
+    deviceState.evict(controller.id)
+      .catch(err => console.error('Device state eviction error:', err));
+    sceneRecorder.evict(controller.id);
+
+    const disconnectError = createRequestError('CONTROLLER_DISCONNECTED', 'Controller disconnected before replying');
+
+    try {
+      // Only go offline if the controller hasn't reconnected to another instance
+      const offline = await presence.clearPresent(controller.id, this.bus.instanceId);
+      if (offline) {
+        this.emitControllerEvent(controller.id, 'controller_status', { status: 'offline' }, controller.project_id);
+        // Every instance rejects the requests it is waiting on
+        await this.bus.broadcast('controller_disconnected', { controller_id: controller.id });
+      } else {
+        this.rejectPendingRequests(controller.id, disconnectError);
+      }
+    } catch (error) {
+      console.error('Disconnect handling error:', error);
+      this.rejectPendingRequests(controller.id, disconnectError);
+    }
+  }
+
+  // Count sockets of a controller between authentication and registration
+  trackConnecting(controllerId, delta) {
+    const count = (this.connecting.get(controllerId) || 0) + delta;
+    if (count > 0) {
+      this.connecting.set(controllerId, count);
+    } else {
+      this.connecting.delete(controllerId);
+    }
+  }
+
+  /**
+   * Roll back a connection that closed before it was registered: its session,
+   * and its presence unless another socket of the controller is connecting here
+   */
+  async abandonConnection(ws, controller) {
+    if (ws.abandoned) return;
+    ws.abandoned = true;
+
+    if (ws.sessionId) {
+      await connectionLog.close(ws.sessionId, {
+        code: ws.closeInfo?.code ?? null,
+        reason: ws.closeInfo?.reason ? ws.closeInfo.reason.toString() : null,
+        endReason: 'disconnected'
+      }).catch(err => console.error('Connection log error:', err));
+    }
+
+    if (this.controllers.has(controller.id) || this.connecting.has(controller.id)) return;
+
+    try {
+      const offline = await presence.clearPresent(controller.id, this.bus.instanceId);
+      if (offline) {
+        this.emitControllerEvent(controller.id, 'controller_status', { status: 'offline' }, controller.project_id);
+      }
+    } catch (error) {
+      console.error('Disconnect handling error:', error);
     }
   }
   
-  handleMessage(ws, data) {
+  /**
+   * Challenge-response handshake: the NUC proves it holds the key with a
+   * SCRAM proof over a one-time nonce, so the key never crosses the wire
+   * and the stored key can't be used to log in
+   *
+   * @param {WebSocket} ws - Unauthenticated connection
+   * @param {string} controllerId - Claimed controller UUID
+   * @returns {Object|null} - { controller, method, keyStatus, keyExpiresIn, declared }, null if rejected
+   */
+  async authenticateChallenge(ws, controllerId) {
+    if (!UUID_PATTERN.test(controllerId)) {
+      console.log('Connection rejected: Malformed controller ID');
+      ws.close(1008, 'Authentication failed');
+      return null;
+    }
+
+    const nonce = generateNonce();
+    ws.send(JSON.stringify({
+      type: 'auth_challenge',
+      timestamp: new Date().toISOString(),
+      data: { nonce, algorithm: 'scram-sha256' }
+    }));
+
+    const response = await this.waitForAuthResponse(ws);
+    if (!response) {
+      console.log(`Connection rejected: No auth response from ${controllerId}`);
+      ws.close(1008, 'Authentication timed out');
+      return null;
+    }
+
+    // Read the keys after the response so a rotation during the handshake is seen
+    const result = await pool.query(
+      `SELECT id, name, project_id, config_revision, stored_key, previous_stored_key,
+              EXTRACT(EPOCH FROM previous_key_expires_at - NOW()) AS previous_key_expires_in
+       FROM controllers WHERE id = $1`,
+      [controllerId]
+    );
+    const controller = result.rows[0];
+    const proof = response.proof;
+
+    if (controller && verifyChallenge(controller.stored_key, nonce, controller.id, proof)) {
+      return { controller, method: 'challenge', keyStatus: 'current', keyExpiresIn: null, declared: response };
+    }
+
+    const previousExpiresIn = controller ? Number(controller.previous_key_expires_in) : 0;
+    if (previousExpiresIn > 0 && verifyChallenge(controller.previous_stored_key, nonce, controller.id, proof)) {
+      return { controller, method: 'challenge', keyStatus: 'previous', keyExpiresIn: previousExpiresIn, declared: response };
+    }
+
+    console.log(`Connection rejected: Invalid proof for ${controllerId}`);
+    ws.close(1008, 'Authentication failed');
+    return null;
+  }
+
+  // Resolves with the auth_response data, or null on timeout/close/anything else
+  waitForAuthResponse(ws) {
+    return new Promise((resolve) => {
+      const finish = (value) => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+        resolve(value);
+      };
+
+      const onMessage = (data) => {
+        try {
+          const message = JSON.parse(data.toString());
+          finish(message.type === 'auth_response' && validateInbound(message).valid ? message.data : null);
+        } catch (error) {
+          finish(null);
+        }
+      };
+      const onClose = () => finish(null);
+      const timer = setTimeout(() => finish(null), AUTH_TIMEOUT);
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  }
+
+  /**
+   * Legacy authentication with the raw key in the query string
+   * (deprecated, only with ALLOW_KEY_QUERY_AUTH=true)
+   * @param {WebSocket} ws - Unauthenticated connection
+   * @param {string} connectionKey - Key from ?key=
+   * @returns {Object|null} - { controller, method, keyStatus, keyExpiresIn }, null if rejected
+   */
+  async authenticateKey(ws, connectionKey) {
+    const storedKey = deriveStoredKey(connectionKey);
+    const result = await pool.query(
+      `SELECT id, name, project_id, config_revision, stored_key = $1 AS is_current,
+              EXTRACT(EPOCH FROM previous_key_expires_at - NOW()) AS previous_key_expires_in
+       FROM controllers
+       WHERE stored_key = $1 OR (previous_stored_key = $1 AND previous_key_expires_at > NOW())`,
+      [storedKey]
+    );
+
+    if (result.rows.length === 0) {
+      console.log('Connection rejected: Invalid key');
+      ws.close(1008, 'Invalid connection key');
+      return null;
+    }
+
+    const controller = result.rows[0];
+    console.warn(`Controller ${controller.name} (${controller.id}) authenticated with ?key=, which is deprecated - update the agent to the challenge handshake and unset ALLOW_KEY_QUERY_AUTH`);
+
+    return controller.is_current
+      ? { controller, method: 'key', keyStatus: 'current', keyExpiresIn: null }
+      : { controller, method: 'key', keyStatus: 'previous', keyExpiresIn: Number(controller.previous_key_expires_in) };
+  }
+
+  async handleMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.rejectMessage(ws, null, ['message is not valid JSON']);
+    }
+
+    const { valid, errors } = validateInbound(message);
+    if (!valid) {
+      return this.rejectMessage(ws, message, errors);
+    }
+
     try {
-      const message = JSON.parse(data.toString());
       console.log(`Message from ${ws.controllerName}:`, message.type);
       
       switch (message.type) {
         case 'heartbeat':
-          this.handleHeartbeat(ws);
+          await this.handleHeartbeat(ws);
           break;
 
         case 'request_full_sync':
-          this.handleRequestFullSync(ws);
+          await this.handleRequestFullSync(ws);
+          break;
+
+        case 'request_delta_sync':
+          await this.handleRequestDeltaSync(ws, message.data);
           break;
 
         case 'status_update':
-          this.handleStatusUpdate(ws, message.data);
+          await this.handleStatusUpdate(ws, message.data);
           break;
 
         case 'execution_result':
-          this.handleExecutionResult(ws, message.data);
+          await this.handleExecutionResult(ws, message.data);
+          break;
+
+        case 'schedule_result':
+          await this.handleScheduleResult(ws, message.data);
+          break;
+
+        case 'device_state':
+          await this.handleDeviceState(ws, message.data);
+          break;
+
+        case 'control_value':
+          // Reply to set_control/get_control, and the control's current value.
+          // The reply to an API set is recorded by the route, as 'api'
+          await this.handleDeviceState(ws, message.data, { capture: !this.repliesTo(message, 'set_control') });
+          break;
+
+        case 'agent_update_status':
+          await this.handleAgentUpdateStatus(ws, message.data);
+          break;
+
+        case 'discovery_result':
+          await this.handleDiscoveryResult(ws, message.data);
+          break;
+
+        case 'log_chunk':
+          await this.handleLogChunk(ws, message.data);
           break;
 
         case 'sync_progress':
-          this.handleSyncProgress(ws, message.data);
+          await this.handleSyncProgress(ws, message.data);
           break;
 
         case 'sync_complete':
-          this.handleSyncComplete(ws, message.data);
+          await this.handleSyncComplete(ws, message.data);
           break;
 
         case 'sync_error':
-          this.handleSyncError(ws, message.data);
+          await this.handleSyncError(ws, message.data);
+          break;
+
+        case 'driver_sync_progress':
+          console.log(`Driver sync progress from ${ws.controllerName}:`, message.data);
           break;
 
         case 'driver_sync_complete':
-          this.handleDriverSyncComplete(ws, message.data);
+          await this.handleDriverSyncComplete(ws, message.data);
           break;
 
         case 'driver_sync_error':
-          this.handleDriverSyncError(ws, message.data);
+          await this.handleDriverSyncError(ws, message.data);
+          break;
+
+        case 'ack':
+        case 'error':
+          // Only meaningful as replies to a request
           break;
+      }
 
-        default:
-          console.log('Unknown message type:', message.type);
+      // Settle the request this message replies to, now that it has been processed
+      if (message.reply_to) {
+        this.settleRequest(ws.controllerId, message);
       }
       
     } catch (error) {
@@ -156,6 +590,48 @@ class WebSocketServer {
     }
   }
   
+  /**
+   * Answer a malformed message with an `error` and count it against the controller
+   * A request the message was replying to fails instead of timing out
+   *
+   * @param {WebSocket} ws - Controller connection
+   * @param {Object|null} message - Parsed message, null if it wasn't JSON
+   * @param {Array} errors - Validation errors
+   */
+  async rejectMessage(ws, message, errors) {
+    const type = typeof message?.type === 'string' ? message.type : null;
+    const summary = `Invalid ${type || 'message'}: ${errors.join('; ')}`;
+    console.warn(`Rejected message from ${ws.controllerName}: ${summary}`);
+
+    this.sendLocal(ws.controllerId, {
+      type: 'error',
+      ...(typeof message?.message_id === 'string' && { reply_to: message.message_id }),
+      timestamp: new Date().toISOString(),
+      message: summary,
+      data: { code: 'INVALID_MESSAGE', message_type: type, errors }
+    });
+
+    if (typeof message?.reply_to === 'string') {
+      this.settleRequest(ws.controllerId, {
+        type: 'error',
+        reply_to: message.reply_to,
+        message: `Controller sent an invalid reply: ${errors.join('; ')}`
+      });
+    }
+
+    try {
+      await pool.query(
+        `UPDATE controllers
+         SET invalid_message_count = invalid_message_count + 1,
+             last_invalid_message_at = NOW(), last_invalid_message = $2
+         WHERE id = $1`,
+        [ws.controllerId, summary.slice(0, 2000)]
+      );
+    } catch (error) {
+      console.error('Invalid message count error:', error);
+    }
+  }
+
   handleHeartbeat(ws) {
     // Update last_seen timestamp
     pool.query(
@@ -164,62 +640,47 @@ class WebSocketServer {
     ).catch(err => console.error('Heartbeat update error:', err));
 
     // Send acknowledgment
-    this.sendToController(ws.controllerId, {
+    this.sendLocal(ws.controllerId, {
       type: 'heartbeat_ack',
       timestamp: new Date().toISOString()
     });
   }
 
-  async handleRequestFullSync(ws) {
+  /**
+   * Send the controller's whole configuration
+   * @param {WebSocket} ws - Controller connection
+   * @param {string} reason - 'requested', or why a delta sync wasn't possible
+   */
+  async handleRequestFullSync(ws, reason = 'requested') {
     console.log(`Full sync requested by controller ${ws.controllerName} (${ws.controllerId})`);
 
     try {
-      // Query all devices for this controller
-      const devicesResult = await pool.query(
-        'SELECT device_id, name, type, connection_config, status FROM devices WHERE controller_id = $1',
-        [ws.controllerId]
-      );
+      // Queued config updates are covered by the snapshot below
+      await outbox.purge(ws.controllerId, { messageType: 'config_update' });
 
-      // Query all scenes for this controller
-      const scenesResult = await pool.query(
-        'SELECT scene_id, name, description, steps, continue_on_error FROM scenes WHERE controller_id = $1',
-        [ws.controllerId]
-      );
-
-      // Transform devices to match NUC expected format
-      const devices = devicesResult.rows.map(d => ({
-        device_id: d.device_id,
-        name: d.name,
-        type: d.type,
-        connection_config: d.connection_config,
-        status: d.status || 'unknown'
-      }));
-
-      // Transform scenes to match NUC expected format
-      const scenes = scenesResult.rows.map(s => ({
-        scene_id: s.scene_id,
-        name: s.name,
-        description: s.description,
-        steps: s.steps, // Should already be JSON
-        continue_on_error: s.continue_on_error
-      }));
+      const { revision, devices, controls, scenes, scene_order, schedules } = await configLog.getSnapshot(ws.controllerId);
 
       // Send full sync response
-      this.sendToController(ws.controllerId, {
+      this.sendLocal(ws.controllerId, {
         type: 'full_sync',
         timestamp: new Date().toISOString(),
         data: {
-          devices: devices,
-          scenes: scenes
+          revision,
+          reason,
+          devices,
+          controls,
+          scenes,
+          scene_order,
+          schedules
         }
       });
 
-      console.log(`✓ Full sync sent to ${ws.controllerName}: ${devices.length} devices, ${scenes.length} scenes`);
+      console.log(`✓ Full sync sent to ${ws.controllerName}: ${devices.length} devices, ${scenes.length} scenes, ${schedules.length} schedules (revision ${revision})`);
 
     } catch (error) {
       console.error(`Full sync error for ${ws.controllerName}:`, error);
       // Don't crash - send error response
-      this.sendToController(ws.controllerId, {
+      this.sendLocal(ws.controllerId, {
         type: 'error',
         timestamp: new Date().toISOString(),
         message: 'Full sync failed: ' + error.message
@@ -227,14 +688,265 @@ class WebSocketServer {
     }
   }
 
-  handleStatusUpdate(ws, data) {
+  /**
+   * Send only what changed since the NUC's last applied revision,
+   * or a full sync when the change log no longer covers the gap
+   */
+  async handleRequestDeltaSync(ws, data = {}) {
+    const since = Number(data.revision);
+
+    // Agents without delta_sync are downgraded to a full sync
+    if (!supportsMessage(ws.capabilities, 'delta_sync')) {
+      return this.handleRequestFullSync(ws, 'delta_sync_unsupported');
+    }
+
+    if (!Number.isInteger(since) || since < 0) {
+      return this.handleRequestFullSync(ws, 'invalid_revision');
+    }
+
+    try {
+      // Queued config updates are covered by the delta below
+      await outbox.purge(ws.controllerId, { messageType: 'config_update' });
+
+      const delta = await configLog.getDelta(ws.controllerId, since);
+      if (!delta) {
+        console.log(`Delta sync from revision ${since} not possible for ${ws.controllerName}, sending full sync`);
+        return this.handleRequestFullSync(ws, 'revision_unavailable');
+      }
+
+      this.sendLocal(ws.controllerId, {
+        type: 'delta_sync',
+        timestamp: new Date().toISOString(),
+        data: delta
+      });
+
+      console.log(`✓ Delta sync sent to ${ws.controllerName}: revision ${since} → ${delta.revision}`);
+
+    } catch (error) {
+      console.error(`Delta sync error for ${ws.controllerName}:`, error);
+      this.sendLocal(ws.controllerId, {
+        type: 'error',
+        timestamp: new Date().toISOString(),
+        message: 'Delta sync failed: ' + error.message
+      });
+    }
+  }
+
+  async handleStatusUpdate(ws, data = {}) {
     console.log(`Status update from ${ws.controllerName}:`, data);
-    // Store status in database if needed
+
+    // Older agents report a single device per message
+    const devices = Array.isArray(data.devices)
+      ? data.devices
+      : data.device_id
+        ? [{ device_id: data.device_id, status: data.status }]
+        : [];
+
+    const connected = devices.filter(d => d.status === 'online' || d.connected === true).length;
+    const recordedAt = data.timestamp && !isNaN(Date.parse(data.timestamp))
+      ? new Date(data.timestamp)
+      : new Date();
+
+    try {
+      // Store telemetry sample
+      await pool.query(
+        `INSERT INTO controller_telemetry
+         (controller_id, recorded_at, cpu_percent, memory_percent, memory_used_mb,
+          uptime_seconds, agent_version, devices, devices_total, devices_connected, payload)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          ws.controllerId,
+          recordedAt,
+          data.cpu_percent ?? null,
+          data.memory_percent ?? null,
+          data.memory_used_mb ?? null,
+          data.uptime_seconds ?? null,
+          data.agent_version || null,
+          JSON.stringify(devices),
+          devices.length,
+          connected,
+          JSON.stringify(data)
+        ]
+      );
+
+      if (data.agent_version) {
+        await pool.query(
+          'UPDATE controllers SET agent_version = $1 WHERE id = $2',
+          [data.agent_version, ws.controllerId]
+        );
+
+        // Back on the version an agent_update delivered - the update succeeded
+        const confirmed = await agentRollouts.confirmVersion(ws.controllerId, data.agent_version);
+        for (const update of confirmed) {
+          this.emitControllerEvent(ws.controllerId, 'agent_update', update, ws.projectId);
+        }
+      }
+
+      // Keep current device status in sync
+      for (const device of devices) {
+        if (!device.device_id || !device.status) continue;
+        await pool.query(
+          'UPDATE devices SET status = $1 WHERE controller_id = $2 AND device_id = $3',
+          [device.status, ws.controllerId, device.device_id]
+        );
+      }
+    } catch (error) {
+      console.error('Status update storage error:', error);
+    }
   }
   
-  handleExecutionResult(ws, data) {
+  async handleExecutionResult(ws, data = {}) {
     console.log(`Execution result from ${ws.controllerName}:`, data);
-    // Store execution logs if needed
+
+    const status = ['completed', 'cancelled', 'rejected'].includes(data.status) ? data.status : 'failed';
+
+    try {
+      // Older agents don't echo execution_id - fall back to the oldest pending run of that scene
+      let executionId = data.execution_id;
+      if (!executionId) {
+        const pending = await pool.query(
+          `SELECT se.id FROM scene_executions se
+           JOIN scenes s ON se.scene_id = s.id
+           WHERE se.controller_id = $1 AND s.scene_id = $2 AND se.status = 'pending'
+           ORDER BY se.started_at ASC
+           LIMIT 1`,
+          [ws.controllerId, data.scene_id]
+        );
+        executionId = pending.rows[0]?.id;
+      }
+
+      if (!executionId) {
+        console.warn(`Execution result from ${ws.controllerName} does not match any pending execution`);
+        return;
+      }
+
+      const result = await pool.query(
+        `UPDATE scene_executions
+         SET status = $3,
+             steps_executed = $4,
+             steps_failed = $5,
+             step_results = $6,
+             duration_ms = $7,
+             error_message = $8,
+             result = $9,
+             completed_at = NOW()
+         WHERE id = $1 AND controller_id = $2 AND status = 'pending'
+         RETURNING *`,
+        [
+          executionId,
+          ws.controllerId,
+          status,
+          data.steps_executed ?? null,
+          data.steps_failed ?? null,
+          JSON.stringify(data.steps || []),
+          data.duration_ms ?? null,
+          data.error || null,
+          JSON.stringify(data)
+        ]
+      );
+
+      // A late, duplicate or replayed result must not reopen a closed run
+      const execution = result.rows[0];
+      if (!execution) {
+        console.warn(`Execution result from ${ws.controllerName} for ${executionId} does not match a pending execution - ignored`);
+        return;
+      }
+
+      this.emitControllerEvent(ws.controllerId, 'scene_execution', {
+        execution_id: execution.id,
+        scene_id: execution.scene_id,
+        status: execution.status,
+        steps_executed: execution.steps_executed,
+        steps_failed: execution.steps_failed,
+        duration_ms: execution.duration_ms,
+        error_message: execution.error_message
+      }, ws.projectId);
+
+    } catch (error) {
+      console.error('Execution result update error:', error);
+    }
+  }
+
+  // A scheduled scene run the NUC fired on its own (possibly while offline)
+  async handleScheduleResult(ws, data) {
+    console.log(`Schedule result from ${ws.controllerName}: ${data.schedule_id} ${data.status}`);
+
+    try {
+      const execution = await sceneSchedules.recordResult(ws.controllerId, data);
+      if (!execution) return;
+
+      this.emitControllerEvent(ws.controllerId, 'scene_execution', {
+        execution_id: execution.id,
+        scene_id: execution.scene_id,
+        schedule_id: execution.schedule_id,
+        scheduled_for: execution.scheduled_for,
+        status: execution.status,
+        steps_executed: execution.steps_executed,
+        steps_failed: execution.steps_failed,
+        duration_ms: execution.duration_ms,
+        error_message: execution.error_message
+      }, ws.projectId);
+    } catch (error) {
+      console.error('Schedule result storage error:', error);
+    }
+  }
+
+  async handleDeviceState(ws, data = {}, { capture = true } = {}) {
+    try {
+      const changes = await deviceState.apply(ws.controllerId, deviceState.parseChanges(data));
+      if (changes.length === 0) return;
+
+      this.emitControllerEvent(ws.controllerId, 'device_state', { changes }, ws.projectId);
+      if (capture) {
+        await sceneRecorder.capture(ws.controllerId, changes, 'device');
+      }
+    } catch (error) {
+      console.error('Device state update error:', error);
+    }
+  }
+
+  async handleLogChunk(ws, data = {}) {
+    try {
+      const lines = await logBuffer.append(ws.controllerId, logBuffer.parseLines(data));
+      if (lines.length === 0) return;
+
+      await this.bus.broadcast('log_lines', { controller_id: ws.controllerId, lines });
+    } catch (error) {
+      console.error('Log chunk storage error:', error);
+    }
+  }
+
+  // Progress of an agent_update (reconnecting on the new version also confirms it)
+  async handleAgentUpdateStatus(ws, data = {}) {
+    console.log(`Agent update status from ${ws.controllerName}:`, data);
+
+    try {
+      const update = await agentRollouts.handleStatus(ws.controllerId, data);
+      if (update) {
+        this.emitControllerEvent(ws.controllerId, 'agent_update', update, ws.projectId);
+      }
+    } catch (error) {
+      console.error('Agent update status error:', error);
+    }
+  }
+
+  // Devices found by a discover_devices scan (may arrive in several chunks)
+  async handleDiscoveryResult(ws, data) {
+    console.log(`Discovery result from ${ws.controllerName}: ${(data.devices || []).length} device(s)`);
+
+    try {
+      const scan = await discovery.handleResult(ws.controllerId, data);
+      if (!scan) return;
+
+      this.emitControllerEvent(ws.controllerId, 'device_discovery', {
+        scan_id: scan.id,
+        status: scan.status,
+        devices_found: scan.devices_found,
+        error: scan.error_message
+      }, ws.projectId);
+    } catch (error) {
+      console.error('Discovery result error:', error);
+    }
   }
 
   handleSyncProgress(ws, data) {
@@ -246,6 +958,8 @@ class WebSocketServer {
        WHERE id = $1`,
       [data.sync_id]
     ).catch(err => console.error('Sync progress update error:', err));
+
+    this.emitControllerEvent(ws.controllerId, 'gui_sync', { ...data, status: 'in_progress' }, ws.projectId);
   }
 
   handleSyncComplete(ws, data) {
@@ -261,6 +975,8 @@ class WebSocketServer {
       [data.sync_id, data.duration_ms, data.files_synced]
     ).catch(err => console.error('Sync complete update error:', err));
 
+    this.emitControllerEvent(ws.controllerId, 'gui_sync', { ...data, status: 'completed' }, ws.projectId);
+
     // Mark version as live
     if (data.version) {
       pool.query(
@@ -286,6 +1002,8 @@ class WebSocketServer {
        WHERE id = $1`,
       [data.sync_id, data.error_message]
     ).catch(err => console.error('Sync error update error:', err));
+
+    this.emitControllerEvent(ws.controllerId, 'gui_sync', { ...data, status: 'failed' }, ws.projectId);
   }
 
   handleDriverSyncComplete(ws, data) {
@@ -296,9 +1014,16 @@ class WebSocketServer {
        SET deployment_status = 'active',
            activated_at = NOW(),
            last_synced_at = NOW()
-       WHERE sync_id = $1 AND controller_id = $2`,
+       WHERE sync_id = $1 AND controller_id = $2
+       RETURNING driver_id`,
       [data.sync_id, ws.controllerId]
-    ).catch(err => console.error('Driver sync complete update error:', err));
+    ).then(result => {
+      this.emitControllerEvent(ws.controllerId, 'driver_deployment', {
+        sync_id: data.sync_id,
+        driver_id: result.rows[0]?.driver_id,
+        status: 'active'
+      }, ws.projectId);
+    }).catch(err => console.error('Driver sync complete update error:', err));
   }
 
    handleDriverSyncError(ws, data) {
@@ -309,49 +1034,248 @@ class WebSocketServer {
        SET deployment_status = 'failed',
            sync_error_message = $2,
            last_synced_at = NOW()
-       WHERE sync_id = $1 AND controller_id = $3`,
+       WHERE sync_id = $1 AND controller_id = $3
+       RETURNING driver_id`,
       [data.sync_id, data.error_message, ws.controllerId]
-    ).catch(err => console.error('Driver sync error update error:', err));
+    ).then(result => {
+      this.emitControllerEvent(ws.controllerId, 'driver_deployment', {
+        sync_id: data.sync_id,
+        driver_id: result.rows[0]?.driver_id,
+        status: 'failed',
+        error_message: data.error_message
+      }, ws.projectId);
+    }).catch(err => console.error('Driver sync error update error:', err));
   }
   
-  // Send message to specific controller
-  sendToController(controllerId, message) {
+  // Send message to a controller connected to this instance
+  sendLocal(controllerId, message) {
     const ws = this.controllers.get(controllerId);
     if (ws && ws.readyState === WebSocket.OPEN) {
+      // A mismatch is a bug on this side - report it, the NUC still gets the message
+      const { valid, errors } = validateOutbound(message);
+      if (!valid) {
+        console.error(`Outbound ${message.type} does not match its schema: ${errors.join('; ')}`);
+      }
+
       ws.send(JSON.stringify(message));
       return true;
     }
     return false;
   }
-  
-  // Broadcast configuration updates
-  broadcastConfigUpdate(controllerId, configType, data) {
-    const message = {
-      type: 'config_update',
-      timestamp: new Date().toISOString(),
-      data: {
-        config_type: configType,
-        ...data
+
+  /**
+   * Send message to specific controller, on whichever instance holds its socket
+   *
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} message - Message to send
+   * @param {Object} options - { afterOutbox } refuse while the outbox replays (caller queues instead)
+   * @returns {Promise<boolean>} - True if the controller's socket accepted the message
+   */
+  async sendToController(controllerId, message, { afterOutbox = false } = {}) {
+    const ws = this.controllers.get(controllerId);
+    if (ws) {
+      if (afterOutbox && ws.replayingOutbox) return false;
+      return this.sendLocal(controllerId, message);
+    }
+
+    if (!this.bus.distributed) return false;
+
+    try {
+      const instanceId = await presence.getInstance(controllerId);
+      if (!instanceId || instanceId === this.bus.instanceId) return false;
+
+      const { delivered } = await this.bus.call(instanceId, 'deliver', {
+        controller_id: controllerId,
+        message,
+        after_outbox: afterOutbox
+      });
+      return delivered;
+    } catch (error) {
+      console.error(`Remote delivery to controller ${controllerId} failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Send a message, or queue it in the outbox if the controller is offline
+   * Queued messages are replayed in order when the controller reconnects
+   *
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} message - Message to send
+   * @returns {Promise<Object>} - { delivered, queued, unsupported }
+   */
+  async deliver(controllerId, message) {
+    // Never send (or queue) what the agent would ignore
+    if (!(await this.supports(controllerId, message.type))) {
+      return { delivered: false, queued: false, unsupported: true };
+    }
+
+    // While a replay is running, new messages go to the back of the queue to keep order
+    if (await this.sendToController(controllerId, message, { afterOutbox: true })) {
+      return { delivered: true, queued: false };
+    }
+
+    const { queued } = await outbox.enqueue(controllerId, message);
+    return { delivered: false, queued };
+  }
+
+  // Replay a controller's outbox after it (re)connects
+  async replayOutbox(ws) {
+    ws.replayingOutbox = true;
+
+    try {
+      let replayed = 0;
+      do {
+        replayed += await outbox.replay(ws.controllerId, (message) => {
+          // Queued for an agent that was since replaced by one without the capability
+          if (!supportsMessage(ws.capabilities, message.type)) {
+            console.warn(`Dropping queued ${message.type} for ${ws.controllerName}: not supported by its agent`);
+            return true;
+          }
+          return this.sendLocal(ws.controllerId, message);
+        });
+      } while (ws.readyState === WebSocket.OPEN && await outbox.count(ws.controllerId) > 0);
+
+      if (replayed > 0) {
+        console.log(`✓ Replayed ${replayed} queued message(s) to ${ws.controllerName}`);
       }
-    };
-    
-    return this.sendToController(controllerId, message);
+    } catch (error) {
+      console.error(`Outbox replay error for ${ws.controllerName}:`, error);
+    } finally {
+      ws.replayingOutbox = false;
+    }
+  }
+
+  /**
+   * Send a message and wait for the controller's reply
+   * The NUC copies `message_id` into `reply_to` on its ack/result message
+   *
+   * @param {string} controllerId - Controller UUID
+   * @param {string} type - Message type
+   * @param {Object} data - Message payload
+   * @param {Object} options - { timeout } in ms (default 10000)
+   * @returns {Promise<Object>} - The reply message ({ type, reply_to, data })
+   */
+  async request(controllerId, type, data = {}, { timeout = 10000 } = {}) {
+    if (!(await this.supports(controllerId, type))) {
+      throw createRequestError(
+        'UNSUPPORTED_MESSAGE',
+        `Controller agent does not support ${type} (needs capability "${requiredCapability(type)}")`
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const messageId = uuidv4();
+
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(messageId);
+        reject(createRequestError('REQUEST_TIMEOUT', `Controller did not reply to ${type} within ${timeout}ms`));
+      }, timeout);
+
+      this.pendingRequests.set(messageId, { controllerId, type, resolve, reject, timer });
+
+      this.sendToController(controllerId, {
+        type,
+        message_id: messageId,
+        timestamp: new Date().toISOString(),
+        data
+      }).then((sent) => {
+        if (!sent && this.pendingRequests.has(messageId)) {
+          clearTimeout(timer);
+          this.pendingRequests.delete(messageId);
+          reject(createRequestError('CONTROLLER_OFFLINE', 'Controller is not connected'));
+        }
+      });
+    });
+  }
+
+  // Resolve (or reject) the pending request a controller message replies to
+  settleRequest(controllerId, message) {
+    const pending = this.pendingRequests.get(message.reply_to);
+
+    if (!pending) {
+      // Reply to a request another instance sent through this one
+      const remote = this.remoteRequests.get(message.reply_to);
+      if (remote && remote.controllerId === controllerId) {
+        this.remoteRequests.delete(message.reply_to);
+        this.bus.send(remote.instanceId, 'reply', { controller_id: controllerId, message })
+          .catch(err => console.error('Bus reply forwarding error:', err));
+      }
+      return;
+    }
+
+    // Ignore replies from another controller
+    if (pending.controllerId !== controllerId) return;
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(message.reply_to);
+
+    const failed = message.type === 'error' || (message.type === 'ack' && message.data?.success === false);
+    if (failed) {
+      const reason = message.data?.error || message.message || `Controller rejected ${pending.type}`;
+      pending.reject(createRequestError('REQUEST_REJECTED', reason));
+    } else {
+      pending.resolve(message);
+    }
+  }
+
+  // Whether a message replies to a request of this type, sent here or through here
+  repliesTo(message, type) {
+    if (!message.reply_to) return false;
+    const request = this.pendingRequests.get(message.reply_to) || this.remoteRequests.get(message.reply_to);
+    return request?.type === type;
+  }
+
+  // Reject all outstanding requests to a controller (e.g. on disconnect)
+  rejectPendingRequests(controllerId, error) {
+    for (const [messageId, pending] of this.pendingRequests) {
+      if (pending.controllerId !== controllerId) continue;
+
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(messageId);
+      pending.reject(error);
+    }
+  }
+  
+  // Broadcast configuration updates (queued if the controller is offline)
+  async broadcastConfigUpdate(controllerId, configType, data) {
+    try {
+      // The revision orders updates - a NUC that sees a gap asks for a delta sync
+      const revision = await configLog.record(controllerId, configType, data);
+
+      const message = {
+        type: 'config_update',
+        timestamp: new Date().toISOString(),
+        data: {
+          config_type: configType,
+          revision,
+          ...data
+        }
+      };
+
+      const { delivered } = await this.deliver(controllerId, message);
+      return delivered;
+    } catch (error) {
+      console.error(`Config update (${configType}) delivery error:`, error);
+      return false;
+    }
   }
   
   // Send scene execution command
-  executeScene(controllerId, sceneId) {
+  async executeScene(controllerId, sceneId, executionId) {
     const message = {
       type: 'execute_scene',
       timestamp: new Date().toISOString(),
       data: {
-        scene_id: sceneId
+        scene_id: sceneId,
+        execution_id: executionId
       }
     };
 
     return this.sendToController(controllerId, message);
   }
 
-  // Send GUI sync command (deployed → NUC)
+  // Send GUI sync command (deployed → NUC), queued if the controller is offline
   async syncGUI(controllerId, syncId, version, files) {
     const message = {
       type: 'gui_sync',
@@ -363,29 +1287,173 @@ class WebSocketServer {
       }
     };
 
-    const sent = this.sendToController(controllerId, message);
+    // Create sync history record
+    await pool.query(
+      `INSERT INTO sync_history (id, controller_id, version_number, status, triggered_by)
+       VALUES ($1, $2, $3, 'pending', $4)`,
+      [syncId, controllerId, version, 'api']
+    ).catch(err => console.error('Sync history creation error:', err));
 
-    if (sent) {
-      // Create sync history record
-      await pool.query(
-        `INSERT INTO sync_history (id, controller_id, version_number, status, triggered_by)
-         VALUES ($1, $2, $3, 'pending', $4)`,
-        [syncId, controllerId, version, 'api']
-      ).catch(err => console.error('Sync history creation error:', err));
+    const delivery = await this.deliver(controllerId, message);
+
+    this.emitControllerEvent(controllerId, 'gui_sync', {
+      sync_id: syncId,
+      version,
+      status: 'pending',
+      queued: delivery.queued
+    });
+
+    return delivery;
+  }
+  
+  /**
+   * Push a controller event to browsers subscribed on the /live channel
+   * @param {string} controllerId - Controller UUID
+   * @param {string} event - controller_status, gui_sync, driver_deployment, scene_execution, device_state, agent_update
+   * @param {Object} data - Event payload
+   * @param {string} projectId - Optional, saves a lookup when the caller knows it
+   */
+  emitControllerEvent(controllerId, event, data, projectId = null) {
+    this.bus.broadcast('event', { controller_id: controllerId, event, data, project_id: projectId })
+      .catch(err => console.error(`Controller event (${event}) broadcast error:`, err));
+  }
+  
+  /**
+   * Follow a controller's logs as the NUC streams them
+   * The first tail on this instance starts a log stream on the NUC, the last one stops it
+   *
+   * @param {string} controllerId - Controller UUID
+   * @param {Object} filter - { level, sources }
+   * @param {Function} onLines - Called with matching stored lines
+   * @returns {Function} - Stops the tail
+   */
+  tailLogs(controllerId, filter, onLines) {
+    if (!this.logTails.has(controllerId)) {
+      this.logTails.set(controllerId, new Set());
     }
+    const tails = this.logTails.get(controllerId);
+    const tail = { filter, onLines };
+    tails.add(tail);
+
+    this.startLogStream(controllerId);
+
+    return () => {
+      tails.delete(tail);
+      if (tails.size > 0) {
+        // The remaining tails may need less verbose logs
+        this.startLogStream(controllerId);
+        return;
+      }
+
+      this.logTails.delete(controllerId);
+      this.request(controllerId, 'stop_log_stream', { stream_id: this.bus.instanceId })
+        .catch((error) => {
+          if (error.code !== 'CONTROLLER_OFFLINE') console.error('Stop log stream error:', error.message);
+        });
+    };
+  }
+
+  // Start (or renew) this instance's log stream at the level its tails need
+  startLogStream(controllerId) {
+    const tails = this.logTails.get(controllerId);
+    if (!tails) return;
 
-    return sent;
+    this.request(controllerId, 'start_log_stream', {
+      stream_id: this.bus.instanceId,
+      level: logBuffer.lowestLevel([...tails].map(tail => tail.filter)),
+      expires_in: LOG_STREAM_TTL
+    }).catch((error) => {
+      // Restarted by controller_connected once it is back
+      if (error.code !== 'CONTROLLER_OFFLINE' && error.code !== 'UNSUPPORTED_MESSAGE') {
+        console.error('Start log stream error:', error.message);
+      }
+    });
   }
   
-  // Get controller connection status
-  isControllerOnline(controllerId) {
+  // Get controller connection status (on any instance)
+  async isControllerOnline(controllerId) {
     const ws = this.controllers.get(controllerId);
-    return ws && ws.readyState === WebSocket.OPEN;
+    if (ws && ws.readyState === WebSocket.OPEN) return true;
+    if (!this.bus.distributed) return false;
+
+    return Boolean(await presence.getInstance(controllerId));
   }
   
-  // Get all connected controllers
-  getConnectedControllers() {
-    return Array.from(this.controllers.keys());
+  /**
+   * Check whether a controller's agent handles a message type
+   * Uses the capabilities of its socket here, or the controller record
+   * (last declared) when it is connected elsewhere or offline - a controller
+   * that never declared any is unknown and allowed, so the message is queued
+   *
+   * @param {string} controllerId - Controller UUID
+   * @param {string} type - Cloud → NUC message type
+   * @returns {Promise<boolean>}
+   */
+  async supports(controllerId, type) {
+    if (!requiredCapability(type)) return true;
+
+    const ws = this.controllers.get(controllerId);
+    if (ws) return supportsMessage(ws.capabilities, type);
+
+    const result = await pool.query(
+      'SELECT capabilities, capabilities_reported_at FROM controllers WHERE id = $1',
+      [controllerId]
+    );
+    return controllerSupports(result.rows[0], type);
+  }
+
+  // Get all connected controllers (on any instance)
+  async getConnectedControllers() {
+    if (!this.bus.distributed) {
+      return Array.from(this.controllers.keys());
+    }
+    return presence.listConnected();
+  }
+
+  /**
+   * Apply a key rotation to the controller's open connection (on any instance)
+   * @param {string} controllerId - Controller UUID
+   * @param {number} graceSeconds - How long the old key keeps working, 0 disconnects now
+   */
+  async applyKeyRotation(controllerId, graceSeconds) {
+    await this.bus.broadcast('key_rotated', { controller_id: controllerId, grace_seconds: graceSeconds });
+  }
+
+  // Instance liveness and cleanup of instances that died without disconnecting
+  async maintainPresence() {
+    try {
+      await presence.heartbeat(this.bus.instanceId);
+      await this.bus.maintenance();
+
+      const orphaned = await presence.reapStaleInstances();
+      for (const controller of orphaned) {
+        this.emitControllerEvent(controller.id, 'controller_status', { status: 'offline' }, controller.project_id);
+      }
+      await connectionLog.closeOrphaned();
+    } catch (error) {
+      console.error('Presence maintenance error:', error);
+    }
+
+    // Replies to requests forwarded for other instances that never came
+    const now = Date.now();
+    for (const [messageId, remote] of this.remoteRequests) {
+      if (remote.expiresAt < now) this.remoteRequests.delete(messageId);
+    }
+  }
+
+  // Release this instance's controllers for other instances (graceful shutdown)
+  async shutdown() {
+    try {
+      await deviceState.flush();
+      const released = await presence.unregisterInstance(this.bus.instanceId);
+      await connectionLog.closeInstance(this.bus.instanceId, 'server_shutdown');
+      for (const controller of released) {
+        this.emitControllerEvent(controller.id, 'controller_status', { status: 'offline' }, controller.project_id);
+      }
+      await this.bus.stop();
+    } catch (error) {
+      console.error('WebSocket shutdown error:', error);
+    }
   }
   
   // Start heartbeat interval
@@ -394,13 +1462,31 @@ class WebSocketServer {
       this.controllers.forEach((ws, controllerId) => {
         if (!ws.isAlive) {
           console.log(`Controller ${controllerId} failed heartbeat, terminating`);
+          ws.endReason = 'heartbeat_timeout';
           ws.terminate();
           return;
         }
+
+        if (ws.keyExpiresAt && ws.keyExpiresAt <= Date.now()) {
+          console.log(`Controller ${controllerId} key grace period ended, disconnecting`);
+          ws.endReason = 'key_expired';
+          ws.close(1008, 'Connection key expired');
+          return;
+        }
         
         ws.isAlive = false;
         ws.ping();
       });
+
+      this.browserChannel.checkAlive();
+      this.maintainPresence();
+
+      for (const controllerId of this.logTails.keys()) {
+        this.startLogStream(controllerId);
+      }
+
+      agentRollouts.tick(this)
+        .catch(err => console.error('Agent rollout tick error:', err));
     }, 30000); // Every 30 seconds
   }
 }
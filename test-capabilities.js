@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Capability Negotiation Tests
+ * Checks src/websocket/capabilities.js and WebSocketServer.supports(): what a NUC
+ * declares, which messages it gets, and how an offline or never-connected
+ * controller is treated. The database is replaced by canned controller rows.
+ */
+
+const pool = require('./src/db/connection');
+const WebSocketServer = require('./src/websocket/server');
+const { parseDeclaration, requiredCapability, supportsMessage, controllerSupports } = require('./src/websocket/capabilities');
+const { log, section, check, finish } = require('./test-helpers');
+
+const CONTROLLER_ID = '6f1c2a9e-4b3d-4e5f-8a7b-9c0d1e2f3a4b';
+
+function testDeclaration() {
+  section('1. Declarations');
+
+  const declared = parseDeclaration({ protocol_version: '2', capabilities: ' Driver_Sync,delta_sync,driver_sync,,' });
+  check(declared.protocolVersion === 2, 'protocol_version is parsed');
+  check(
+    JSON.stringify(declared.capabilities) === JSON.stringify(['driver_sync', 'delta_sync']),
+    'Comma-separated capabilities are trimmed, lower-cased and deduplicated',
+    [`got ${JSON.stringify(declared.capabilities)}`]
+  );
+
+  const nothing = parseDeclaration({});
+  check(nothing.protocolVersion === 1 && nothing.capabilities.length === 0, 'An agent declaring nothing is protocol 1');
+  check(parseDeclaration({ capabilities: ['future_thing'] }).capabilities.includes('future_thing'), 'Unknown names are kept');
+
+  check(requiredCapability('set_control') === 'control', 'set_control needs control');
+  check(requiredCapability('config_update') === null, 'config_update is protocol 1');
+  check(supportsMessage([], 'config_update'), 'Protocol 1 messages are always supported');
+  check(!supportsMessage([], 'driver_sync'), 'driver_sync needs the capability');
+  check(supportsMessage(['driver_sync'], 'driver_sync'), 'driver_sync is supported when declared');
+}
+
+function testControllerRecord() {
+  section('2. Controller Records');
+
+  check(controllerSupports(undefined, 'driver_sync'), 'A missing record is unknown, not refused');
+  check(
+    controllerSupports({ capabilities: [], capabilities_reported_at: null }, 'driver_sync'),
+    'A controller that never connected (default capabilities) is unknown, not refused'
+  );
+  check(
+    !controllerSupports({ capabilities: [], capabilities_reported_at: new Date() }, 'driver_sync'),
+    'A protocol 1 agent that connected is refused driver_sync'
+  );
+  check(
+    !controllerSupports({ capabilities: ['control'], capabilities_reported_at: new Date() }, 'driver_sync'),
+    'An agent that declared capabilities without driver_sync is refused'
+  );
+  check(
+    controllerSupports({ capabilities: ['driver_sync'], capabilities_reported_at: new Date() }, 'driver_sync'),
+    'An agent that declared driver_sync is accepted'
+  );
+}
+
+async function testServerSupports() {
+  section('3. WebSocketServer.supports()');
+
+  const rows = {};
+  const queries = [];
+  pool.query = async (sql, params) => {
+    queries.push(sql);
+    return { rows: rows[params[0]] ? [rows[params[0]]] : [] };
+  };
+
+  // Only the parts of the server supports() reads
+  const server = { controllers: new Map() };
+  const supports = (type) => WebSocketServer.prototype.supports.call(server, CONTROLLER_ID, type);
+
+  rows[CONTROLLER_ID] = { capabilities: [], capabilities_reported_at: null };
+  check(await supports('driver_sync'), 'Offline controller that never connected: driver_sync is allowed (queued)');
+
+  rows[CONTROLLER_ID] = { capabilities: ['control'], capabilities_reported_at: new Date() };
+  check(!(await supports('driver_sync')), 'Offline controller that declared no driver_sync: refused');
+
+  rows[CONTROLLER_ID] = { capabilities: ['driver_sync'], capabilities_reported_at: new Date() };
+  check(await supports('driver_sync'), 'Offline controller that declared driver_sync: allowed');
+
+  queries.length = 0;
+  check(await supports('config_update'), 'Protocol 1 messages are allowed');
+  check(queries.length === 0, 'Protocol 1 messages need no lookup');
+
+  server.controllers.set(CONTROLLER_ID, { capabilities: [] });
+  rows[CONTROLLER_ID] = { capabilities: ['driver_sync'], capabilities_reported_at: new Date() };
+  check(!(await supports('driver_sync')), 'A socket on this instance wins over the stored record');
+}
+
+async function runAllTests() {
+  log('\nCapability Negotiation Tests', 'blue');
+
+  testDeclaration();
+  testControllerRecord();
+  await testServerSupports();
+
+  finish();
+}
+
+runAllTests();
@@ -1,19 +1,24 @@
+const crypto = require('crypto');
 const WebSocket = require('ws');
 
 class TestSyncClient {
-  constructor(url, connectionKey) {
+  constructor(url, controllerId, connectionKey) {
     this.url = url;
+    this.controllerId = controllerId;
     this.connectionKey = connectionKey;
     this.ws = null;
     this.reconnectDelay = 1000;
     this.maxReconnectDelay = 60000;
+    this.revision = null; // Last config revision applied (kept across reconnects)
+    this.controlValues = new Map(); // "<device_id>.<control_id>" -> value
   }
   
   connect() {
     console.log('Connecting to cloud server...');
     console.log(`URL: ${this.url}`);
     
-    const wsUrl = `${this.url}?key=${this.connectionKey}`;
+    // The key itself is never sent - it signs the server's auth_challenge
+    const wsUrl = `${this.url}?controller_id=${this.controllerId}`;
     this.ws = new WebSocket(wsUrl);
     
     this.ws.on('open', () => {
@@ -47,12 +52,27 @@ class TestSyncClient {
       console.log('   Data:', JSON.stringify(message.data || {}, null, 2));
       
       switch (message.type) {
+        case 'auth_challenge':
+          this.answerChallenge(message.data.nonce);
+          break;
+          
         case 'connected':
-          console.log('✓ Controller authenticated successfully');
+          console.log(`✓ Controller authenticated successfully (protocol ${message.data.protocol_version})`);
+          if (message.data.key_status === 'previous') {
+            console.log(`⚠ Using a rotated key - it stops working at ${message.data.key_expires_at}`);
+          }
+          this.syncConfig(message.data.config_revision);
           break;
           
         case 'config_update':
           console.log('✓ Configuration update received');
+          this.applyConfigUpdate(message.data);
+          break;
+          
+        case 'full_sync':
+        case 'delta_sync':
+          console.log(`✓ ${message.type} received (revision ${message.data.revision})`);
+          this.revision = message.data.revision;
           break;
           
         case 'execute_scene':
@@ -60,6 +80,38 @@ class TestSyncClient {
           this.sendExecutionResult(message.data.scene_id, true);
           break;
           
+        case 'set_control':
+        case 'get_control':
+          console.log(`✓ ${message.type} received for ${message.data.device_id}.${message.data.control_id}`);
+          this.answerControl(message);
+          break;
+          
+        case 'start_log_stream':
+        case 'stop_log_stream':
+          console.log(`✓ ${message.type} received (stream ${message.data.stream_id})`);
+          this.send({ type: 'ack', reply_to: message.message_id, data: { success: true } });
+          break;
+
+        case 'agent_update':
+          // The test client can't install anything - report the update as failed
+          console.log(`✓ Agent update ${message.data.version} offered (${message.data.size_bytes} bytes)`);
+          this.send({
+            type: 'agent_update_status',
+            data: { update_id: message.data.update_id, status: 'failed', error: 'Test client cannot install updates' }
+          });
+          break;
+
+        case 'discover_devices':
+          // Nothing to scan from a test client - start, then report an empty LAN
+          console.log(`✓ Discovery scan ${message.data.scan_id} requested`);
+          this.send({ type: 'ack', reply_to: message.message_id, data: { success: true } });
+          this.send({
+            type: 'discovery_result',
+            timestamp: new Date().toISOString(),
+            data: { scan_id: message.data.scan_id, complete: true, devices: [] }
+          });
+          break;
+          
         case 'heartbeat_ack':
           console.log('✓ Heartbeat acknowledged');
           break;
@@ -84,6 +136,77 @@ class TestSyncClient {
     }
   }
   
+  // SCRAM proof: sha256(key) XOR HMAC-SHA256(sha256(sha256(key)), "<nonce>:<controller id>")
+  answerChallenge(nonce) {
+    const clientKey = crypto.createHash('sha256').update(this.connectionKey).digest();
+    const storedKey = crypto.createHash('sha256').update(clientKey).digest();
+    const clientSignature = crypto
+      .createHmac('sha256', storedKey)
+      .update(`${nonce}:${this.controllerId}`)
+      .digest();
+    const proof = Buffer.from(clientKey.map((byte, i) => byte ^ clientSignature[i])).toString('hex');
+    
+    this.send({
+      type: 'auth_response',
+      timestamp: new Date().toISOString(),
+      data: {
+        controller_id: this.controllerId,
+        proof,
+        // Messages this client handles beyond protocol 1 (no driver_sync)
+        protocol_version: 2,
+        capabilities: ['delta_sync', 'control', 'log_stream', 'agent_update', 'discovery']
+      }
+    });
+  }
+  
+  // No local state yet - full sync; behind the cloud - only the changes
+  syncConfig(cloudRevision) {
+    if (this.revision === null) {
+      this.send({ type: 'request_full_sync', timestamp: new Date().toISOString() });
+    } else if (cloudRevision > this.revision) {
+      this.requestDeltaSync();
+    }
+  }
+  
+  requestDeltaSync() {
+    this.send({
+      type: 'request_delta_sync',
+      timestamp: new Date().toISOString(),
+      data: { revision: this.revision }
+    });
+  }
+  
+  applyConfigUpdate(data) {
+    // Updates queued before revisions existed carry none
+    if (data.revision == null || this.revision === null) return;
+    
+    if (data.revision <= this.revision) {
+      console.log(`   Already at revision ${this.revision}, ignoring`);
+    } else if (data.revision === this.revision + 1) {
+      this.revision = data.revision;
+    } else {
+      console.log(`   Missed updates (${this.revision} → ${data.revision}), requesting delta sync`);
+      this.requestDeltaSync();
+    }
+  }
+  
+  // Pretend the device applied the value
+  answerControl(message) {
+    const { device_id, control_id, value } = message.data;
+    const key = `${device_id}.${control_id}`;
+    if (message.type === 'set_control') {
+      this.controlValues.set(key, value);
+    }
+    // The reply also updates the cloud's copy of the state, so no device_state is needed
+    
+    this.send({
+      type: 'control_value',
+      reply_to: message.message_id,
+      timestamp: new Date().toISOString(),
+      data: { device_id, control_id, value: this.controlValues.get(key) ?? null }
+    });
+  }
+  
   sendHeartbeat() {
     this.send({
       type: 'heartbeat',
@@ -99,6 +222,14 @@ class TestSyncClient {
     });
   }
   
+  sendDeviceState(changes) {
+    this.send({
+      type: 'device_state',
+      timestamp: new Date().toISOString(),
+      data: { changes }
+    });
+  }
+  
   sendExecutionResult(sceneId, success) {
     this.send({
       type: 'execution_result',
@@ -150,15 +281,15 @@ class TestSyncClient {
 if (require.main === module) {
   const args = process.argv.slice(2);
   
-  if (args.length < 2) {
-    console.log('Usage: node sync-client.js <WEBSOCKET_URL> <CONNECTION_KEY>');
-    console.log('Example: node sync-client.js wss://backend-production-baec.up.railway.app 1421f413e4bb6acd...');
+  if (args.length < 3) {
+    console.log('Usage: node sync-client.js <WEBSOCKET_URL> <CONTROLLER_ID> <CONNECTION_KEY>');
+    console.log('Example: node sync-client.js wss://backend-production-baec.up.railway.app 6f1c2a9e-... 1421f413e4bb6acd...');
     process.exit(1);
   }
   
-  const [url, key] = args;
+  const [url, controllerId, key] = args;
   
-  const client = new TestSyncClient(url, key);
+  const client = new TestSyncClient(url, controllerId, key);
   client.connect();
   
   // Handle Ctrl+C gracefully
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Controller Key Tests
+ * Checks the SCRAM-style challenge in src/utils/connection-key.js: a proof made
+ * with the key verifies, and nothing the database holds can make one.
+ * Needs no database or running server.
+ */
+
+const crypto = require('crypto');
+const {
+  generateConnectionKey,
+  deriveStoredKey,
+  generateNonce,
+  signChallenge,
+  verifyChallenge
+} = require('./src/utils/connection-key');
+const { log, section, check, finish } = require('./test-helpers');
+
+const CONTROLLER_ID = '6f1c2a9e-4b3d-4e5f-8a7b-9c0d1e2f3a4b';
+
+function testHandshake() {
+  section('1. Challenge Handshake');
+
+  const key = generateConnectionKey();
+  const storedKey = deriveStoredKey(key);
+  const nonce = generateNonce();
+  const proof = signChallenge(key, nonce, CONTROLLER_ID);
+
+  check(/^[0-9a-f]{64}$/.test(key), 'Keys are 32 random bytes in hex');
+  check(/^[0-9a-f]{64}$/.test(proof), 'Proofs are 32 bytes in hex');
+  check(verifyChallenge(storedKey, nonce, CONTROLLER_ID, proof), 'A proof made with the key verifies');
+  check(verifyChallenge(storedKey, nonce, CONTROLLER_ID, proof.toUpperCase()), 'Upper-case hex proofs verify');
+  check(!verifyChallenge(storedKey, generateNonce(), CONTROLLER_ID, proof), 'A proof is only valid for its nonce');
+  check(
+    !verifyChallenge(storedKey, nonce, '00000000-0000-4000-8000-000000000000', proof),
+    'A proof is only valid for its controller'
+  );
+  check(
+    !verifyChallenge(deriveStoredKey(generateConnectionKey()), nonce, CONTROLLER_ID, proof),
+    'A proof made with another key is rejected'
+  );
+  check(signChallenge(key, nonce, CONTROLLER_ID) === proof, 'Proofs are deterministic for a nonce');
+}
+
+function testStoredKeyIsNotACredential() {
+  section('2. The Stored Key Is Not a Credential');
+
+  const key = generateConnectionKey();
+  const storedKey = deriveStoredKey(key);
+  const nonce = generateNonce();
+
+  // What someone reading the table could try
+  const asKey = signChallenge(storedKey, nonce, CONTROLLER_ID);
+  check(!verifyChallenge(storedKey, nonce, CONTROLLER_ID, asKey), 'Using the stored key as the key fails');
+
+  const hmacOfStored = crypto.createHmac('sha256', Buffer.from(storedKey, 'hex')).update(`${nonce}:${CONTROLLER_ID}`).digest('hex');
+  check(!verifyChallenge(storedKey, nonce, CONTROLLER_ID, hmacOfStored), 'An HMAC keyed with the stored key fails');
+
+  const legacy = crypto.createHmac('sha256', storedKey).update(`${nonce}:${CONTROLLER_ID}`).digest('hex');
+  check(!verifyChallenge(storedKey, nonce, CONTROLLER_ID, legacy), 'The old hmac-sha256 signature scheme fails');
+
+  check(storedKey !== crypto.createHash('sha256').update(key).digest('hex'), 'The stored key is not the SHA-256 of the key');
+  check(
+    storedKey === crypto.createHash('sha256').update(crypto.createHash('sha256').update(key).digest()).digest('hex'),
+    'The stored key is SHA-256(SHA-256(key)), as migration 022 derives it'
+  );
+}
+
+function testMalformedProofs() {
+  section('3. Malformed Proofs Are Rejected');
+
+  const storedKey = deriveStoredKey(generateConnectionKey());
+  const nonce = generateNonce();
+
+  for (const [description, proof] of [
+    ['missing', undefined],
+    ['not a string', 42],
+    ['empty', ''],
+    ['too short', 'ab'.repeat(16)],
+    ['too long', 'ab'.repeat(33)],
+    ['not hex', 'zz'.repeat(32)]
+  ]) {
+    let ok;
+    try {
+      ok = !verifyChallenge(storedKey, nonce, CONTROLLER_ID, proof);
+    } catch (error) {
+      ok = false;
+    }
+    check(ok, `Proof ${description}`);
+  }
+
+  check(!verifyChallenge(null, nonce, CONTROLLER_ID, 'ab'.repeat(32)), 'No stored key (no previous key) never verifies');
+}
+
+function runAllTests() {
+  log('\nController Key Tests', 'blue');
+
+  testHandshake();
+  testStoredKeyIsNotACredential();
+  testMalformedProofs();
+
+  finish();
+}
+
+runAllTests();
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Connection Log Tests
+ * Checks the uptime math in src/websocket/connection-log.js: overlapping
+ * sessions, outages, tracking start, ranges and targets. Sessions are canned
+ * rows in place of the database, so no database or running server is needed.
+ */
+
+const pool = require('./src/db/connection');
+const connectionLog = require('./src/websocket/connection-log');
+const { log, section, check, checkEqual, finish } = require('./test-helpers');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse('2025-01-01T00:00:00Z');
+// Hours after T0
+const at = (hours) => new Date(T0 + hours * HOUR);
+const RANGE = { from: at(0), to: at(10) };
+
+const CONTROLLER = { id: 'room-101', name: 'Room 101', connectivity_tracked_since: at(-100) };
+
+// Sessions the database would return (already limited to the range, oldest first)
+let sessionRows = [];
+pool.query = async () => ({ rows: sessionRows });
+
+const session = (connected, disconnected, end_reason = null, controller_id = CONTROLLER.id) => ({
+  controller_id,
+  connected_at: at(connected),
+  disconnected_at: disconnected === null ? null : at(disconnected),
+  end_reason
+});
+
+async function report(sessions, { controller = CONTROLLER, range = RANGE, ...options } = {}) {
+  sessionRows = sessions.sort((a, b) => a.connected_at - b.connected_at);
+  const [result] = await connectionLog.uptime([controller], range, options);
+  return result;
+}
+
+// [start hour, end hour (null if ongoing), reason]
+const outages = (result) => result.outages.map(outage => [
+  (Date.parse(outage.started_at) - T0) / HOUR,
+  outage.ended_at === null ? null : (Date.parse(outage.ended_at) - T0) / HOUR,
+  outage.reason
+]);
+
+async function testSessions() {
+  section('1. Sessions and Outages');
+
+  const none = await report([]);
+  check(none.online_seconds === 0 && none.uptime_percent === 0, 'No sessions: 0% uptime');
+  checkEqual('No sessions: one outage over the whole range', outages(none), [[0, 10, null]]);
+
+  const one = await report([session(1, 9, 'heartbeat_timeout')]);
+  check(one.online_seconds === 8 * 3600 && one.offline_seconds === 2 * 3600, 'Online while connected', [JSON.stringify(one)]);
+  check(one.uptime_percent === 80, '80% uptime', [`got ${one.uptime_percent}`]);
+  checkEqual('Outages before and after, with why the last session ended', outages(one), [[0, 1, null], [9, 10, 'heartbeat_timeout']]);
+  checkEqual('Disconnects are counted by reason', one.disconnects, { heartbeat_timeout: 1 });
+  check(one.outage_count === 2 && one.longest_outage_seconds === 3600, 'Outage count and longest outage');
+
+  const clipped = await report([session(-5, 2, 'disconnected'), session(3, 12, 'disconnected')]);
+  check(clipped.online_seconds === 9 * 3600, 'Sessions are clipped to the range', [`got ${clipped.online_seconds / 3600}h`]);
+  checkEqual('A disconnect after the range isn\'t counted', clipped.disconnects, { disconnected: 1 });
+  checkEqual('The gap between them is an outage', outages(clipped), [[2, 3, 'disconnected']]);
+}
+
+async function testOverlaps() {
+  section('2. Overlapping Sessions');
+
+  // A reconnect replaces the old socket: the new session opens before the old one closes
+  const replaced = await report([session(0, 5, 'replaced'), session(4, 10.5, 'disconnected')]);
+  check(replaced.online_seconds === 10 * 3600 && replaced.uptime_percent === 100, 'Overlapping time counts once', [JSON.stringify(replaced)]);
+  check(replaced.outage_count === 0, 'No outage between overlapping sessions');
+  check(replaced.sessions === 2, 'Both sessions are listed');
+
+  const contained = await report([session(1, 8, 'timeout'), session(2, 3, 'replaced')]);
+  check(contained.online_seconds === 7 * 3600, 'A session inside another adds nothing', [`got ${contained.online_seconds / 3600}h`]);
+  checkEqual('The outage after them has the reason of the session that covered it', outages(contained), [[0, 1, null], [8, 10, 'timeout']]);
+  checkEqual('Both disconnects are counted', contained.disconnects, { timeout: 1, replaced: 1 });
+
+  const chain = await report([session(0, 3, 'a'), session(2, 6, 'b'), session(5, 7, 'c'), session(8, 9, 'd')]);
+  check(chain.online_seconds === 8 * 3600, 'A chain of overlaps is merged', [`got ${chain.online_seconds / 3600}h`]);
+  checkEqual('Only the real gaps are outages', outages(chain), [[7, 8, 'c'], [9, 10, 'd']]);
+
+  const same = await report([session(1, 4, 'x'), session(1, 4, 'y')]);
+  check(same.online_seconds === 3 * 3600, 'Two identical sessions count once');
+}
+
+async function testTrackingAndNow() {
+  section('3. Tracking Start and the Present');
+
+  const tracked = await report([session(-2, 1, 'disconnected'), session(6, 10, 'disconnected')], {
+    controller: { ...CONTROLLER, connectivity_tracked_since: at(5) }
+  });
+  check(tracked.monitored_seconds === 5 * 3600, 'Time before tracking started isn\'t monitored', [`got ${tracked.monitored_seconds / 3600}h`]);
+  check(tracked.online_seconds === 4 * 3600 && tracked.uptime_percent === 80, 'Nor is a session that ended before it', [JSON.stringify(tracked)]);
+  checkEqual('Outages start at tracking start, without a reason from before it', outages(tracked), [[5, 6, null]]);
+
+  const untracked = await report([], { controller: { ...CONTROLLER, connectivity_tracked_since: at(20) } });
+  check(untracked.monitored_seconds === 0 && untracked.uptime_percent === null, 'Tracking after the range: nothing to report');
+  check(untracked.outage_count === 0, 'and no outage');
+
+  const now = Date.now();
+  const live = { from: new Date(now - 4 * HOUR), to: new Date(now + 4 * HOUR) };
+  const liveRows = (rows) => rows.map(([connected, disconnected, reason]) => ({
+    controller_id: CONTROLLER.id,
+    connected_at: new Date(now + connected * HOUR),
+    disconnected_at: disconnected === null ? null : new Date(now + disconnected * HOUR),
+    end_reason: reason
+  }));
+
+  const online = await report(liveRows([[-3, null, null]]), { range: live });
+  check(Math.abs(online.monitored_seconds - 4 * 3600) <= 1, 'The future isn\'t monitored', [`got ${online.monitored_seconds}s`]);
+  check(Math.abs(online.online_seconds - 3 * 3600) <= 1, 'An open session counts up to now', [`got ${online.online_seconds}s`]);
+  check(online.outages.length === 1 && online.outages[0].ended_at !== null, 'An outage before it has ended');
+
+  const offline = await report(liveRows([[-3, -1, 'heartbeat_timeout']]), { range: live });
+  const ongoing = offline.outages[offline.outages.length - 1];
+  check(ongoing.ended_at === null && ongoing.reason === 'heartbeat_timeout', 'An outage still running has no end', [JSON.stringify(ongoing)]);
+  check(Math.abs(ongoing.duration_seconds - 3600) <= 1, 'It lasts until now');
+}
+
+async function testReports() {
+  section('4. Targets, Totals and Options');
+
+  const one = await report([session(0, 9.99, 'timeout')], { target: 99.9 });
+  check(one.uptime_percent === 99.9 && one.meets_target === true, 'A target is met at exactly the target', [JSON.stringify(one)]);
+  const missed = await report([session(0, 9.98, 'timeout')], { target: 99.9 });
+  check(missed.meets_target === false, 'and missed below it', [`got ${missed.uptime_percent}`]);
+  check((await report([session(0, 5)])).meets_target === null, 'Without a target there is nothing to meet');
+
+  const quiet = await report([session(1, 2)], { includeOutages: false });
+  check(quiet.outages === undefined && quiet.outage_count === 2, 'includeOutages: false keeps the counts only');
+
+  sessionRows = [session(0, 10, null, 'a'), session(0, 5, 'timeout', 'b')];
+  const reports = await connectionLog.uptime(
+    [{ ...CONTROLLER, id: 'a' }, { ...CONTROLLER, id: 'b', connectivity_tracked_since: at(0) }, { ...CONTROLLER, id: 'c' }],
+    RANGE,
+    { target: 50 }
+  );
+  checkEqual('Each controller gets its own sessions', reports.map(r => r.uptime_percent), [100, 50, 0]);
+
+  const total = connectionLog.summarize(reports, 50);
+  check(total.controllers === 3 && total.uptime_percent === 50, 'Totals are time-weighted', [JSON.stringify(total)]);
+  check(total.controllers_below_target === 1 && total.meets_target === true, 'Controllers below target are counted');
+  check(total.outage_count === 2, 'Outages are summed');
+  check((await connectionLog.uptime([], RANGE)).length === 0, 'No controllers: no reports');
+}
+
+function testParsing() {
+  section('5. Range and Target Parsing');
+
+  const { range } = connectionLog.parseRange({ from: '2025-01-01T00:00:00Z', to: '2025-01-02T00:00:00Z' });
+  check(range && range.to - range.from === 24 * HOUR, 'from and to are parsed');
+
+  const defaults = connectionLog.parseRange({}).range;
+  check(Math.round((defaults.to - defaults.from) / (24 * HOUR)) === 30, 'The default range is 30 days');
+
+  check(Boolean(connectionLog.parseRange({ from: '2025-01-02', to: '2025-01-01' }).error), 'from after to is refused');
+  check(Boolean(connectionLog.parseRange({ from: 'yesterday' }).error), 'Invalid dates are refused');
+  check(Boolean(connectionLog.parseRange({ from: '2023-01-01', to: '2025-01-01' }).error), 'Ranges over 366 days are refused');
+
+  check(connectionLog.parseTarget(undefined).target === null, 'No target');
+  check(connectionLog.parseTarget('99.95').target === 99.95, 'A percentage target');
+  check(Boolean(connectionLog.parseTarget('0').error) && Boolean(connectionLog.parseTarget('101').error), 'Targets outside (0, 100] are refused');
+  check(Boolean(connectionLog.parseTarget('high').error), 'Non-numeric targets are refused');
+}
+
+async function runAllTests() {
+  log('\nConnection Log Tests', 'blue');
+
+  await testSessions();
+  await testOverlaps();
+  await testTrackingAndNow();
+  await testReports();
+  testParsing();
+
+  finish();
+}
+
+runAllTests();
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Control Generator Tests
+ * Checks src/utils/control-generator.js: grouping a driver's set/get commands
+ * into control templates, and expanding selected templates into controls.
+ * Commands are given as driver_commands rows; no database or running server is needed.
+ */
+
+const { MAX_GENERATED_CONTROLS, buildTemplates, expandSelections } = require('./src/utils/control-generator');
+const { log, section, check, checkEqual, finish } = require('./test-helpers');
+
+// driver_commands rows of a DSP driver
+const COMMANDS = [
+  // The get comes first: the set must still describe the value
+  { command_name: 'get_gain', command_type: 'get', display_name: null, description: null, protocol_template: 'GET {block_id} gain', parameters: { value: { type: 'number' } }, validation_rules: null, control_type: null },
+  { command_name: 'set_gain', command_type: 'set', display_name: 'Input Gain', description: 'Channel gain in dB', protocol_template: 'SET {block_id} gain {value}', parameters: { value: { type: 'number', min: -80, max: 12, unit: 'dB' } }, validation_rules: null, control_type: null },
+  { command_name: 'setMute', command_type: 'set', display_name: null, description: null, protocol_template: 'MUTE {value}', parameters: { block_id: { type: 'string' } }, validation_rules: { allowed_values: [true, false] }, control_type: null },
+  { command_name: 'get_level', command_type: 'get', display_name: 'Meter', description: null, protocol_template: 'GET {block_id} level', parameters: null, validation_rules: { min_value: -100, max_value: 0 }, control_type: null },
+  { command_name: 'power_on_off', command_type: 'set', display_name: null, description: null, protocol_template: 'POWER {value}', parameters: { value: { type: 'boolean' } }, validation_rules: null, control_type: 'power' },
+  { command_name: 'reboot', command_type: 'action', display_name: 'Reboot', description: null, protocol_template: 'REBOOT', parameters: null, validation_rules: null, control_type: null }
+];
+
+const TEMPLATES = buildTemplates(COMMANDS);
+const byKey = Object.fromEntries(TEMPLATES.map(template => [template.key, template]));
+
+function testBuildTemplates() {
+  section('1. Building Templates');
+
+  checkEqual('One template per control type, actions left out', TEMPLATES.map(t => t.key), ['gain', 'mute', 'level', 'power']);
+
+  const gain = byKey.gain;
+  check(gain.set_command === 'set_gain' && gain.get_command === 'get_gain', 'A set and a get of one type make one template');
+  checkEqual('The set command describes the value, even after the get', gain.parameters, {
+    value: { type: 'number', min: -80, max: 12, unit: 'dB' },
+    set_command: 'set_gain',
+    get_command: 'get_gain'
+  });
+  check(gain.display_name === 'Input Gain' && gain.description === 'Channel gain in dB', 'Names come from the set command');
+  check(gain.has_block && gain.block_id_pattern === 'GAIN_{n}', 'A {block_id} in the protocol template makes a block control');
+
+  const mute = byKey.mute;
+  check(mute.has_block, 'A block_id parameter makes a block control too');
+  check(mute.display_name === 'Mute', 'Display names default to the key in title case');
+  checkEqual('Validation rules fill the value spec', mute.parameters.value, { options: [true, false] });
+
+  const level = byKey.level;
+  check(level.set_command === null && level.get_command === 'get_level', 'A get alone is a read-only template');
+  checkEqual('Its value spec comes from the get', level.parameters, { value: { min: -100, max: 0 }, get_command: 'get_level' });
+
+  const power = byKey.power;
+  check(power.control_type === 'power' && power.set_command === 'power_on_off', 'control_type wins over the command name');
+  check(!power.has_block && power.block_id_pattern === null, 'A command without a block is not a block control');
+
+  check(buildTemplates([]).length === 0, 'No commands, no templates');
+}
+
+function testExpand() {
+  section('2. Expanding Selections');
+
+  const { controls, errors } = expandSelections(TEMPLATES, [
+    { template: 'gain', instances: { from: 1, to: 3 } },
+    { template: 'mute', block_ids: [' MUTE_A ', 'Mute B'] },
+    { template: 'power' }
+  ]);
+  checkEqual('No errors', errors, []);
+  checkEqual(
+    'Instances, block ids and blockless templates become controls',
+    controls.map(c => [c.control_id, c.logical_name, c.block_id]),
+    [
+      ['gain_1', 'Input Gain 1', 'GAIN_1'],
+      ['gain_2', 'Input Gain 2', 'GAIN_2'],
+      ['gain_3', 'Input Gain 3', 'GAIN_3'],
+      ['mute_mute_a', 'Mute MUTE_A', 'MUTE_A'],
+      ['mute_mute_b', 'Mute Mute B', 'Mute B'],
+      ['power', 'Power', 'power']
+    ]
+  );
+  check(controls[0].control_type === 'gain' && controls[0].parameters === byKey.gain.parameters, 'Controls carry the template\'s type and parameters');
+
+  const patterned = expandSelections(TEMPLATES, [{ template: 'gain', instances: { from: 0, to: 1 }, block_id_pattern: 'In{n}.{n}' }]);
+  checkEqual('block_id_pattern replaces every {n}', patterned.controls.map(c => c.block_id), ['In0.0', 'In1.1']);
+
+  const twice = expandSelections(TEMPLATES, [
+    { template: 'gain', instances: { from: 1, to: 2 } },
+    { template: 'gain', instances: { from: 2, to: 3 } }
+  ]);
+  checkEqual('The same block asked for twice is one control', twice.controls.map(c => c.control_id), ['gain_1', 'gain_2', 'gain_3']);
+  checkEqual('and no error', twice.errors, []);
+}
+
+function testCollisions() {
+  section('3. control_id Collisions');
+
+  const punctuation = expandSelections(TEMPLATES, [{ template: 'mute', block_ids: ['Input 1', 'input-1'] }]);
+  check(punctuation.errors.length === 1 && /Input 1 and input-1 would both get control_id mute_input_1/.test(punctuation.errors[0]),
+    'Block ids differing only in case and punctuation are refused', [JSON.stringify(punctuation.errors)]);
+  check(punctuation.controls.length === 1 && punctuation.controls[0].block_id === 'Input 1', 'The first block is not overwritten');
+
+  const prefix = 'x'.repeat(120);
+  const long = expandSelections(TEMPLATES, [{ template: 'mute', block_ids: [`${prefix}1`, `${prefix}2`] }]);
+  check(long.controls[0].control_id.length === 100, 'control_id is cut to 100 characters');
+  check(long.errors.length === 1 && /would both get control_id/.test(long.errors[0]),
+    'Block ids equal in their first 100 characters are refused', [JSON.stringify(long.errors)]);
+
+  const templates = [...TEMPLATES, { ...byKey.power, key: 'mute_a', control_type: 'mute_a', display_name: 'Mute A' }];
+  const crossTemplate = expandSelections(templates, [{ template: 'mute', block_ids: ['A'] }, { template: 'mute_a' }]);
+  check(crossTemplate.errors.length === 1 && crossTemplate.errors[0].startsWith('controls[1]:'),
+    'A blockless template colliding with a block control is refused', [JSON.stringify(crossTemplate.errors)]);
+}
+
+function testErrors() {
+  section('4. Invalid Selections');
+
+  const cases = [
+    ['No selections', undefined, 'at least one template'],
+    ['Empty selections', [], 'at least one template'],
+    ['Unknown template', [{ template: 'volume' }], 'controls[0].template must be one of: gain, mute, level, power'],
+    ['Blocks for a blockless template', [{ template: 'power', block_ids: ['P1'] }], "isn't sent to a block"],
+    ['Neither block_ids nor instances', [{ template: 'gain' }], 'give either block_ids or instances'],
+    ['Both block_ids and instances', [{ template: 'gain', block_ids: ['A'], instances: { from: 1, to: 2 } }], 'give either block_ids or instances'],
+    ['Empty block_ids', [{ template: 'mute', block_ids: [] }], 'block_ids must be a list'],
+    ['Blank block id', [{ template: 'mute', block_ids: ['A', '  '] }], 'block_ids must be a list'],
+    ['Block id over 255 characters', [{ template: 'mute', block_ids: ['b'.repeat(256)] }], 'block_ids must be a list'],
+    ['from after to', [{ template: 'gain', instances: { from: 5, to: 1 } }], 'instances must be'],
+    ['Fractional instances', [{ template: 'gain', instances: { from: 1.5, to: 3 } }], 'instances must be'],
+    ['Negative instances', [{ template: 'gain', instances: { from: -1, to: 3 } }], 'instances must be'],
+    ['Too many instances', [{ template: 'gain', instances: { from: 1, to: MAX_GENERATED_CONTROLS + 1 } }], `more than ${MAX_GENERATED_CONTROLS} blocks`],
+    ['Pattern without {n}', [{ template: 'gain', instances: { from: 1, to: 2 }, block_id_pattern: 'GAIN' }], 'must contain {n}']
+  ];
+
+  for (const [description, selections, message] of cases) {
+    const { errors } = expandSelections(TEMPLATES, selections);
+    check(errors.length > 0 && errors[0].includes(message), description, [`got ${JSON.stringify(errors)}`]);
+  }
+
+  const { errors: path } = expandSelections(TEMPLATES, [{ template: 'power' }, { template: 'nope' }, { template: 'gain' }]);
+  check(path.length === 2 && path[0].startsWith('controls[1]') && path[1].startsWith('controls[2]'), 'Every bad selection is reported with its index', [JSON.stringify(path)]);
+
+  const { errors: total } = expandSelections(TEMPLATES, [
+    { template: 'gain', instances: { from: 1, to: 200 } },
+    { template: 'mute', instances: { from: 1, to: 100 } }
+  ]);
+  check(total.some(error => error.includes(`At most ${MAX_GENERATED_CONTROLS} controls`)), 'The total across selections is capped', [JSON.stringify(total)]);
+}
+
+function runAllTests() {
+  log('\nControl Generator Tests', 'blue');
+
+  testBuildTemplates();
+  testExpand();
+  testCollisions();
+  testErrors();
+
+  finish();
+}
+
+runAllTests();
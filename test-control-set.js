@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Control Set Route Tests
+ * Calls POST /api/devices/:deviceId/controls/:id/set over HTTP and checks that
+ * a value is accepted exactly when a set_control scene step could use it: both
+ * complete the control's parameters from its driver's set command. Rows are
+ * canned in place of the database and the NUC is a stub, so no database or
+ * running server is needed.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const pool = require('./src/db/connection');
+const deviceControlRoutes = require('./src/routes/device-controls');
+const { validateSteps } = require('./src/utils/scene-steps');
+const { mergeValueSpec } = require('./src/utils/control-value');
+const { generateToken } = require('./src/utils/jwt');
+const { log, section, check, checkEqual, finish } = require('./test-helpers');
+
+const DEVICE_ID = '6f1c2a9e-4b3d-4e5f-8a7b-9c0d1e2f3a4b';
+const CONTROL_ID = '0b8e7f4c-2d1a-4c3b-9e8f-7a6b5c4d3e2f';
+
+// The control row the database returns, with its driver's set command
+let controlRow = null;
+let controlQueries = [];
+pool.query = async (sql, params) => {
+  if (sql.includes('FROM device_controls dc')) {
+    controlQueries.push(sql);
+    return { rows: controlRow ? [controlRow] : [] };
+  }
+  return { rows: [] };
+};
+
+const row = (parameters, commandParameters = null, commandRules = null, controlType = 'gain') => ({
+  id: CONTROL_ID,
+  control_id: 'gain_1',
+  control_type: controlType,
+  block_id: 'GAIN_1',
+  parameters,
+  device_key: 'dsp_1',
+  controller_id: 'controller-1',
+  command_parameters: commandParameters,
+  command_rules: commandRules
+});
+
+// Messages sent to the NUC
+let sent = [];
+const wsServer = {
+  request: async (controllerId, type, data) => {
+    sent.push({ controllerId, type, data });
+    return { data: { value: data.value } };
+  }
+};
+
+const app = express();
+app.use(express.json());
+app.set('wsServer', wsServer);
+app.use('/api/devices/:deviceId/controls', deviceControlRoutes);
+
+const token = generateToken({ id: 'integrator-1', email: 'test@example.com' });
+let baseUrl;
+
+async function set(value) {
+  sent = [];
+  const response = await fetch(`${baseUrl}/api/devices/${DEVICE_ID}/controls/${CONTROL_ID}/set`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ value })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Whether a set_control scene step accepts the value for the same control
+function stepAccepts(value) {
+  const { command_parameters, command_rules, ...control } = controlRow;
+  const target = { ...control, parameters: mergeValueSpec(control, command_parameters, command_rules) };
+  return validateSteps([{ control_id: 'gain_1', value }], [target]).errors.length === 0;
+}
+
+async function checkSame(description, value, accepted) {
+  const response = await set(value);
+  check(
+    (response.status === 200) === accepted && stepAccepts(value) === accepted,
+    description,
+    [`API answered ${response.status} ${JSON.stringify(response.body)}`, `scene step ${stepAccepts(value) ? 'accepts' : 'refuses'} it`]
+  );
+  if (!accepted) {
+    check(sent.length === 0, `${description}: nothing is sent to the NUC`);
+  }
+}
+
+async function testDriverSpec() {
+  section('1. Value Spec From the Driver Command');
+
+  controlRow = row({}, { value: { type: 'number', min: -80, max: 12 } });
+  await checkSame('A value in the driver\'s range is accepted', -20, true);
+  await checkSame('A value over the driver\'s max is refused', 40, false);
+  await checkSame('A value of the wrong type is refused', 'loud', false);
+  check(controlQueries.every(sql => sql.includes('driver_commands')), 'The control is loaded with its driver\'s set command');
+
+  controlRow = row({ max: 0 }, { value: { type: 'number', min: -80, max: 12 } });
+  await checkSame('The control\'s own max wins over the driver\'s', 6, false);
+  await checkSame('and the driver still gives the min', -90, false);
+
+  controlRow = row({}, { value: { type: 'string' } }, { allowed_values: ['hdmi', 'usb'] }, 'route');
+  await checkSame('Validation rules give the options', 'usb', true);
+  await checkSame('A value outside them is refused', 'vga', false);
+
+  controlRow = row({}, null, null, 'mute');
+  await checkSame('Without a driver command the control type gives the value type', true, true);
+  await checkSame('and values of another type are refused', 1, false);
+}
+
+async function testSet() {
+  section('2. Setting the Value');
+
+  controlRow = row({}, { value: { type: 'number', min: -80, max: 12 } });
+  await set(-12.5);
+  checkEqual('set_control addresses the control on the NUC', sent.map(message => [message.type, message.data]), [
+    ['set_control', { device_id: 'dsp_1', control_id: 'gain_1', block_id: 'GAIN_1', control_type: 'gain', value: -12.5 }]
+  ]);
+
+  controlRow = null;
+  const missing = await set(0);
+  check(missing.status === 404, 'An unknown control is 404', [`got ${missing.status}`]);
+}
+
+async function runAllTests() {
+  log('\nControl Set Route Tests', 'blue');
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await testDriverSpec();
+    await testSet();
+  } finally {
+    server.close();
+  }
+
+  finish();
+}
+
+runAllTests();
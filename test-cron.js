@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Cron Schedule Tests
+ * Checks src/utils/cron.js: parsing, the Vixie day-of-month/day-of-week rule,
+ * expressions that never run, and wall-clock times across DST changes.
+ * Needs no database or running server.
+ */
+
+const cron = require('./src/utils/cron');
+const { log, section, check, finish } = require('./test-helpers');
+
+// Next runs of an expression as ISO strings
+function runs(expression, timeZone, from, count = 5) {
+  const { cron: parsed, error } = cron.parse(expression);
+  if (error) throw new Error(`${expression}: ${error}`);
+  return cron.nextRuns(parsed, timeZone, { from: new Date(from), count }).map(date => date.toISOString());
+}
+
+function checkRuns(description, actual, expected) {
+  check(
+    JSON.stringify(actual) === JSON.stringify(expected),
+    description,
+    [`expected ${JSON.stringify(expected)}`, `got      ${JSON.stringify(actual)}`]
+  );
+}
+
+function testParse() {
+  section('1. Parsing');
+
+  for (const expression of ['0 22 * * *', '*/15 8-18 * * MON-FRI', '0 0 1,15 JAN-JUN *', '0 12 * * 7', '@daily', '@Yearly']) {
+    const { error } = cron.parse(expression);
+    check(!error, `Accepts "${expression}"`, [error]);
+  }
+
+  for (const [expression, field] of [
+    ['', null],
+    ['0 22 * *', null],
+    ['60 * * * *', 'minute'],
+    ['0 24 * * *', 'hour'],
+    ['0 0 0 * *', 'day of month'],
+    ['0 0 * 13 *', 'month'],
+    ['0 0 * * 8', 'day of week'],
+    ['0 0 * * FOO', 'day of week'],
+    ['0 5-1 * * *', 'hour'],
+    ['*/0 * * * *', 'minute']
+  ]) {
+    const { error } = cron.parse(expression);
+    check(Boolean(error) && (!field || error.includes(field)), `Rejects "${expression}"`, [`got ${error}`]);
+  }
+
+  const { cron: sundays } = cron.parse('0 12 * * 7');
+  check(sundays.weekdays.has(0), 'Sunday is 7 as well as 0');
+}
+
+function testNeverRuns() {
+  section('2. Expressions That Never Run');
+
+  for (const expression of ['0 0 31 2 *', '0 0 30 2 *', '0 0 30,31 FEB *', '0 0 31 4,6,9,11 *', '0 0 31 2 */1']) {
+    const { error } = cron.parse(expression);
+    check(Boolean(error) && error.includes('never runs'), `Rejects "${expression}"`, [`got ${error}`]);
+  }
+
+  for (const expression of ['0 0 29 2 *', '0 0 31 2,3 *', '0 0 31 2 MON', '0 0 30-31 * *']) {
+    const { error } = cron.parse(expression);
+    check(!error, `Accepts "${expression}"`, [error]);
+  }
+
+  checkRuns(
+    'February 29 runs only in leap years',
+    runs('0 0 29 2 *', 'UTC', '2025-01-01T00:00:00Z', 2),
+    ['2028-02-29T00:00:00.000Z', '2032-02-29T00:00:00.000Z']
+  );
+  checkRuns(
+    'Day 31 skips the months without one',
+    runs('0 0 31 * *', 'UTC', '2025-03-01T00:00:00Z', 3),
+    ['2025-03-31T00:00:00.000Z', '2025-05-31T00:00:00.000Z', '2025-07-31T00:00:00.000Z']
+  );
+}
+
+function testDayFields() {
+  section('3. Day of Month and Day of Week (Vixie Rule)');
+
+  // 2025-09-01 is a Monday, 2025-10-01 a Wednesday
+  checkRuns(
+    'Both restricted: the 1st OR a Monday',
+    runs('0 12 1 * MON', 'UTC', '2025-09-20T00:00:00Z', 3),
+    ['2025-09-22T12:00:00.000Z', '2025-09-29T12:00:00.000Z', '2025-10-01T12:00:00.000Z']
+  );
+  checkRuns(
+    'Only day of week restricted: Mondays',
+    runs('0 12 * * MON', 'UTC', '2025-09-20T00:00:00Z', 3),
+    ['2025-09-22T12:00:00.000Z', '2025-09-29T12:00:00.000Z', '2025-10-06T12:00:00.000Z']
+  );
+  checkRuns(
+    'Only day of month restricted: the 1st',
+    runs('0 12 1 * *', 'UTC', '2025-09-20T00:00:00Z', 2),
+    ['2025-10-01T12:00:00.000Z', '2025-11-01T12:00:00.000Z']
+  );
+  checkRuns(
+    'A stepped * day of month still counts as unrestricted: odd days AND Mondays',
+    runs('0 12 */2 * MON', 'UTC', '2025-09-01T00:00:00Z', 3),
+    ['2025-09-01T12:00:00.000Z', '2025-09-15T12:00:00.000Z', '2025-09-29T12:00:00.000Z']
+  );
+  checkRuns(
+    'A stepped * day of month alone runs every other day',
+    runs('0 12 */2 * *', 'UTC', '2025-09-28T00:00:00Z', 3),
+    ['2025-09-29T12:00:00.000Z', '2025-10-01T12:00:00.000Z', '2025-10-03T12:00:00.000Z']
+  );
+  checkRuns(
+    'Day 31 of February OR a Monday runs on February Mondays',
+    runs('0 0 31 2 MON', 'UTC', '2026-01-01T00:00:00Z', 2),
+    ['2026-02-02T00:00:00.000Z', '2026-02-09T00:00:00.000Z']
+  );
+}
+
+function testDst() {
+  section('4. DST Changes');
+
+  // Europe/Paris: 2025-03-30 02:00 CET -> 03:00 CEST, 2025-10-26 03:00 CEST -> 02:00 CET
+  checkRuns(
+    'A time in the spring gap is skipped that day',
+    runs('30 2 * * *', 'Europe/Paris', '2025-03-29T12:00:00Z', 2),
+    ['2025-03-31T00:30:00.000Z', '2025-04-01T00:30:00.000Z']
+  );
+  checkRuns(
+    'Times either side of the gap keep their wall clock',
+    runs('0 1,3 30 3 *', 'Europe/Paris', '2025-03-29T12:00:00Z', 2),
+    ['2025-03-30T00:00:00.000Z', '2025-03-30T01:00:00.000Z']
+  );
+  checkRuns(
+    'A time in the repeated autumn hour runs once, the first time',
+    runs('30 2 * * *', 'Europe/Paris', '2025-10-25T12:00:00Z', 2),
+    ['2025-10-26T00:30:00.000Z', '2025-10-27T01:30:00.000Z']
+  );
+  checkRuns(
+    'Every 30 minutes through the repeated hour: no run twice',
+    runs('*/30 1-3 26 10 *', 'Europe/Paris', '2025-10-25T12:00:00Z', 6),
+    [
+      '2025-10-25T23:00:00.000Z', '2025-10-25T23:30:00.000Z',
+      '2025-10-26T00:00:00.000Z', '2025-10-26T00:30:00.000Z',
+      '2025-10-26T02:00:00.000Z', '2025-10-26T02:30:00.000Z'
+    ]
+  );
+  checkRuns(
+    'A run starting inside the repeated hour is not replayed',
+    runs('30 2 * * *', 'Europe/Paris', '2025-10-26T00:45:00Z', 1),
+    ['2025-10-27T01:30:00.000Z']
+  );
+  checkRuns(
+    'US gap (America/New_York, 2025-03-09 02:00 -> 03:00)',
+    runs('30 2 * * *', 'America/New_York', '2025-03-08T12:00:00Z', 2),
+    ['2025-03-10T06:30:00.000Z', '2025-03-11T06:30:00.000Z']
+  );
+}
+
+function testOptions() {
+  section('5. Timezones and Options');
+
+  check(cron.isValidTimezone('Europe/Paris'), 'Europe/Paris is a timezone');
+  check(!cron.isValidTimezone('Mars/Olympus'), 'Mars/Olympus is not');
+  check(!cron.isValidTimezone(''), 'An empty timezone is not');
+
+  const { cron: daily } = cron.parse('0 22 * * *');
+  const skipped = cron.nextRuns(daily, 'UTC', {
+    from: new Date('2025-12-23T12:00:00Z'),
+    count: 2,
+    skipDates: ['2025-12-24']
+  }).map(date => date.toISOString());
+  checkRuns('Exception dates are skipped', skipped, ['2025-12-23T22:00:00.000Z', '2025-12-25T22:00:00.000Z']);
+
+  checkRuns(
+    'from is exclusive',
+    runs('0 22 * * *', 'UTC', '2025-12-23T22:00:00Z', 1),
+    ['2025-12-24T22:00:00.000Z']
+  );
+}
+
+function runAllTests() {
+  log('\nCron Schedule Tests', 'blue');
+
+  testParse();
+  testNeverRuns();
+  testDayFields();
+  testDst();
+  testOptions();
+
+  finish();
+}
+
+runAllTests();
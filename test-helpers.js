@@ -0,0 +1,66 @@
+/**
+ * Test Helpers
+ * Colored output and pass/fail counting shared by the test-*.js scripts
+ */
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  gray: '\x1b[90m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function section(title) {
+  console.log('\n' + '='.repeat(60));
+  log(title, 'blue');
+  console.log('='.repeat(60));
+}
+
+let passed = 0;
+let failed = 0;
+
+function check(ok, description, details = []) {
+  if (ok) {
+    log(`✓ ${description}`, 'green');
+    passed++;
+  } else {
+    log(`✗ ${description}`, 'red');
+    details.forEach(detail => log(`    ${detail}`, 'gray'));
+    failed++;
+  }
+}
+
+function checkEqual(description, actual, expected) {
+  check(
+    JSON.stringify(actual) === JSON.stringify(expected),
+    description,
+    [`expected ${JSON.stringify(expected)}`, `got      ${JSON.stringify(actual)}`]
+  );
+}
+
+/**
+ * Print the totals and exit: 0 if every check passed, 1 otherwise
+ * @param {string} [hint] - What to do about a failure, shown below the totals
+ */
+function finish(hint) {
+  console.log('\n' + '='.repeat(60));
+  if (failed === 0) {
+    log(`\n🎉 All tests passed! (${passed}/${passed})`, 'green');
+    console.log();
+    process.exit(0);
+  } else {
+    log(`\n⚠️  ${failed} test(s) failed. (${passed}/${passed + failed} passed)`, 'red');
+    if (hint) log(hint, 'yellow');
+    console.log();
+    process.exit(1);
+  }
+}
+
+module.exports = { log, section, check, checkEqual, finish };
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Scene Cancel Route Tests
+ * Calls POST /api/controllers/:controllerId/scenes/:id/cancel over HTTP, with
+ * canned rows in place of the database and a stub in place of the NUC, so no
+ * database or running server is needed.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const pool = require('./src/db/connection');
+const sceneRoutes = require('./src/routes/scenes');
+const { generateToken } = require('./src/utils/jwt');
+const { log, section, check, finish } = require('./test-helpers');
+
+const CONTROLLER_ID = '6f1c2a9e-4b3d-4e5f-8a7b-9c0d1e2f3a4b';
+const SCENE_ID = '0b8e7f4c-2d1a-4c3b-9e8f-7a6b5c4d3e2f';
+const EXECUTION_ID = 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+
+// Queries the route made, and the rows each one gets (matched on the SQL)
+let queries = [];
+let executionRows = [];
+pool.query = async (sql, params) => {
+  queries.push({ sql, params });
+  if (sql.includes('SELECT s.scene_id')) return { rows: [{ scene_id: 'movie_mode' }] };
+  if (sql.includes('SELECT status FROM scene_executions')) return { rows: executionRows };
+  if (sql.includes('UPDATE scene_executions')) return { rows: executionRows.map(() => ({ id: EXECUTION_ID })) };
+  return { rows: [] };
+};
+
+// Messages sent to the NUC
+let sent = [];
+const wsServer = {
+  request: async (controllerId, type, data) => {
+    sent.push({ controllerId, type, data });
+    return { data: {} };
+  }
+};
+
+const app = express();
+app.use(express.json());
+app.set('wsServer', wsServer);
+app.use('/api/controllers/:controllerId/scenes', sceneRoutes);
+
+const token = generateToken({ id: 'integrator-1', email: 'test@example.com' });
+let baseUrl;
+
+async function cancel(body) {
+  queries = [];
+  sent = [];
+  const response = await fetch(`${baseUrl}/api/controllers/${CONTROLLER_ID}/scenes/${SCENE_ID}/cancel`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function testInvalidExecutionIds() {
+  section('1. Invalid execution_id');
+
+  for (const [description, executionId] of [
+    ['A string that is not a UUID', 'abc'],
+    ['A UUID with extra characters', `${EXECUTION_ID}x`],
+    ['A number', 42],
+    ['null', null],
+    ['An empty string', '']
+  ]) {
+    const response = await cancel({ execution_id: executionId });
+    check(
+      response.status === 400 && response.body.error === 'Validation failed' && /execution_id must be a UUID/.test(response.body.message),
+      `${description} is refused with 400`,
+      [`got ${response.status} ${JSON.stringify(response.body)}`]
+    );
+    check(queries.length === 0 && sent.length === 0, `${description} never reaches the database or the NUC`);
+  }
+}
+
+async function testValidRequests() {
+  section('2. Valid Requests');
+
+  executionRows = [{ status: 'pending' }];
+  const one = await cancel({ execution_id: EXECUTION_ID });
+  check(one.status === 200, 'A pending run is cancelled', [`got ${one.status} ${JSON.stringify(one.body)}`]);
+  check(sent.length === 1 && sent[0].data.execution_id === EXECUTION_ID && sent[0].data.scene_id === 'movie_mode',
+    'cancel_scene names the run and the scene', [JSON.stringify(sent)]);
+
+  const upper = await cancel({ execution_id: EXECUTION_ID.toUpperCase() });
+  check(upper.status === 200, 'Upper-case UUIDs are accepted', [`got ${upper.status}`]);
+
+  const all = await cancel({});
+  check(all.status === 200 && sent.length === 1 && sent[0].data.execution_id === undefined,
+    'Without execution_id every run of the scene is cancelled', [JSON.stringify(sent)]);
+
+  executionRows = [];
+  const missing = await cancel({ execution_id: EXECUTION_ID });
+  check(missing.status === 404, 'An unknown run is 404', [`got ${missing.status}`]);
+
+  executionRows = [{ status: 'completed' }];
+  const ended = await cancel({ execution_id: EXECUTION_ID });
+  check(ended.status === 409 && sent.length === 0, 'A run that already ended is 409', [`got ${ended.status}`]);
+}
+
+async function runAllTests() {
+  log('\nScene Cancel Route Tests', 'blue');
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await testInvalidExecutionIds();
+    await testValidRequests();
+  } finally {
+    server.close();
+  }
+
+  finish();
+}
+
+runAllTests();
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Scene Simulator Tests
+ * Checks src/utils/scene-simulator.js: step timings, the values a dry run ends
+ * with, branches taken, parallel conflicts and the warnings it reports.
+ * Needs no database or running server.
+ */
+
+const { simulateScene } = require('./src/utils/scene-simulator');
+const { log, section, check, checkEqual, finish } = require('./test-helpers');
+
+// Controls of one controller, as loadStepTargets() returns them
+const TARGETS = [
+  { id: 'c1', device_key: 'dsp', control_id: 'gain', logical_name: 'Main Gain', control_type: 'gain', parameters: { type: 'number' } },
+  { id: 'c2', device_key: 'dsp', control_id: 'mute', logical_name: 'Main Mute', control_type: 'mute', parameters: { type: 'boolean' } },
+  { id: 'c3', device_key: 'proj', control_id: 'power', logical_name: 'Projector', control_type: 'power', parameters: { type: 'boolean' } }
+];
+
+const set = (control_id, value, delay_ms) => ({ action: 'set_control', device_id: control_id === 'power' ? 'proj' : 'dsp', control_id, value, ...(delay_ms !== undefined && { delay_ms }) });
+const wait = (delay_ms) => ({ action: 'delay', delay_ms });
+
+function simulate(steps, { scenes = [], state = [] } = {}) {
+  return simulateScene(
+    { scene_id: 'main', steps },
+    { targets: TARGETS, scenes: new Map(scenes.map(scene => [scene.scene_id, scene])), state }
+  );
+}
+
+// start/end of each timeline entry, by path
+const timings = (result) => result.timeline.map(entry => [entry.path, entry.start_ms, entry.end_ms]);
+const finals = (result) => Object.fromEntries(result.final_values.map(entry => [entry.control_id, [entry.previous_value, entry.value, entry.changed_at_ms]]));
+
+function testSequence() {
+  section('1. Steps in Sequence');
+
+  const result = simulate([set('gain', -20, 500), wait(1000), set('mute', true), { control_id: 'gain', value: -10, delay: 250 }], {
+    state: [{ device_id: 'dsp', control_id: 'gain', value: -40 }]
+  });
+
+  check(result.duration_ms === 1750, 'The scene lasts as long as its delays', [`got ${result.duration_ms}`]);
+  checkEqual('Each step starts when the one before ends', timings(result), [
+    ['steps[0]', 0, 500], ['steps[1]', 500, 1500], ['steps[2]', 1500, 1500], ['steps[3]', 1500, 1750]
+  ]);
+  checkEqual('Final values keep the last write and the last-known value before it', finals(result), {
+    gain: [-40, -10, 1500],
+    mute: [null, true, 1500]
+  });
+  check(result.timeline.every(entry => entry.scene_id === 'main'), 'Timeline entries name their scene');
+  check(result.conflicts.length === 0 && result.warnings.length === 0 && !result.truncated, 'Nothing to report');
+
+  const skipped = simulate([set('volume', 3, 100), wait(100)]);
+  check(skipped.duration_ms === 200, 'A step on an unknown control still takes its delay');
+  check(skipped.final_values.length === 0, 'It writes nothing');
+  check(/not found.*step skipped/.test(skipped.warnings[0]?.message), 'It is reported', [JSON.stringify(skipped.warnings)]);
+}
+
+function testRamps() {
+  section('2. Ramps');
+
+  const known = simulate([{ action: 'ramp', device_id: 'dsp', control_id: 'gain', to: 0, duration_ms: 2000 }], {
+    state: [{ device_id: 'dsp', control_id: 'gain', value: -30 }]
+  });
+  const entry = known.timeline[0];
+  check(entry.end_ms === 2000 && known.duration_ms === 2000, 'A ramp lasts its duration');
+  check(entry.from === -30 && entry.to === 0, 'Without from it starts at the last-known value', [JSON.stringify(entry)]);
+  check(entry.interval_ms === 100, 'The interval defaults to 100 ms');
+  checkEqual('The control reaches its target when the ramp ends', finals(known), { gain: [-30, 0, 2000] });
+
+  const afterSet = simulate([set('gain', -12), { action: 'ramp', control_id: 'gain', to: -6, duration_ms: 500, interval_ms: 250 }]);
+  check(afterSet.timeline[1].from === -12, 'A value the scene set earlier wins over the last-known one');
+  check(afterSet.timeline[1].interval_ms === 250, 'interval_ms is kept');
+
+  const unknown = simulate([{ action: 'ramp', control_id: 'gain', to: 0, duration_ms: 100 }]);
+  check(unknown.timeline[0].from === null, 'An unknown start value is null');
+  check(/no known value/.test(unknown.warnings[0]?.message), 'and is reported', [JSON.stringify(unknown.warnings)]);
+
+  const explicit = simulate([{ action: 'ramp', control_id: 'gain', from: -50, to: -20, duration_ms: 100 }]);
+  check(explicit.warnings.length === 0 && explicit.timeline[0].from === -50, 'An explicit from needs no known value');
+}
+
+function testConditions() {
+  section('3. Conditions');
+
+  const condition = (operator, value) => ({
+    action: 'condition',
+    when: { device_id: 'dsp', control_id: 'gain', operator, value },
+    then: [set('mute', false, 100)],
+    else: [set('mute', true, 300)]
+  });
+  const state = [{ device_id: 'dsp', control_id: 'gain', value: -10 }];
+
+  const then = simulate([condition('gt', -20)], { state });
+  check(then.timeline[0].branch === 'then' && then.timeline[0].value === -10, 'A true comparison takes then');
+  check(then.duration_ms === 100, 'The condition lasts as long as its branch');
+  check(then.timeline[1].path === 'steps[0].then[0]', 'Branch steps are on the timeline with their path');
+
+  const otherwise = simulate([condition('eq', -20)], { state });
+  check(otherwise.timeline[0].branch === 'else' && otherwise.duration_ms === 300, 'A false comparison takes else');
+
+  const unknown = simulate([condition('lt', 0)]);
+  check(unknown.timeline[0].branch === 'else', 'An unknown value takes else, like the NUC');
+  check(/else branch is assumed/.test(unknown.warnings[0]?.message), 'and is reported', [JSON.stringify(unknown.warnings)]);
+
+  const setEarlier = simulate([set('gain', 5), condition('gte', 5)]);
+  check(setEarlier.timeline[1].branch === 'then', 'A value the scene set earlier is compared');
+
+  const noElse = simulate([{ ...condition('eq', -20), else: undefined }], { state });
+  check(noElse.timeline[0].branch === 'else' && noElse.duration_ms === 0, 'A missing branch takes no time');
+}
+
+function testLoopsAndParallel() {
+  section('4. Loops and Parallel Blocks');
+
+  const loop = simulate([{ action: 'loop', count: 3, steps: [set('mute', true, 100), set('mute', false, 50)] }]);
+  check(loop.duration_ms === 450, 'A loop runs its steps count times', [`got ${loop.duration_ms}`]);
+  checkEqual(
+    'Loop steps carry their iteration',
+    loop.timeline.filter(entry => entry.iteration).map(entry => [entry.iteration, entry.start_ms]),
+    [[1, 0], [1, 100], [2, 150], [2, 250], [3, 300], [3, 400]]
+  );
+  checkEqual('The last write of the last iteration wins', finals(loop), { mute: [null, false, 400] });
+
+  const parallel = simulate([
+    { action: 'parallel', steps: [set('gain', -5, 200), { action: 'loop', count: 2, steps: [wait(250)] }, set('power', true)] },
+    set('mute', false)
+  ]);
+  check(parallel.timeline[0].end_ms === 500, 'A parallel block ends with its longest branch');
+  check(
+    parallel.timeline.filter(entry => /^steps\[0\]\.steps\[\d\]$/.test(entry.path)).every(entry => entry.start_ms === 0),
+    'Every branch starts with the block'
+  );
+  check(parallel.timeline.at(-1).start_ms === 500, 'The next step waits for the block');
+  check(parallel.conflicts.length === 0, 'Branches writing different controls don\'t conflict');
+
+  const conflict = simulate([{ action: 'parallel', steps: [set('gain', -5), set('mute', true), { action: 'ramp', control_id: 'gain', from: -40, to: 0, duration_ms: 100 }] }]);
+  checkEqual(
+    'Branches writing the same control are a conflict',
+    conflict.conflicts.map(({ type, path, control_id, paths }) => ({ type, path, control_id, paths })),
+    [{ type: 'parallel_write', path: 'steps[0]', control_id: 'gain', paths: ['steps[0].steps[0]', 'steps[0].steps[2]'] }]
+  );
+}
+
+function testRunScene() {
+  section('5. run_scene');
+
+  const scenes = [
+    { scene_id: 'lights', steps: [set('power', true, 1000)] },
+    { scene_id: 'all', steps: [{ action: 'run_scene', scene_id: 'lights' }, set('mute', false, 10)] },
+    { scene_id: 'loop_a', steps: [{ action: 'run_scene', scene_id: 'loop_b' }] },
+    { scene_id: 'loop_b', steps: [{ action: 'run_scene', scene_id: 'loop_a' }] }
+  ];
+
+  const nested = simulate([{ action: 'run_scene', scene_id: 'all' }, wait(5)], { scenes });
+  check(nested.duration_ms === 1015, 'A run scene lasts as long as its steps, nested ones included', [`got ${nested.duration_ms}`]);
+  checkEqual(
+    'Its steps are on the timeline under its own scene_id',
+    nested.timeline.map(entry => [entry.scene_id, entry.path, entry.start_ms]),
+    [['main', 'steps[0]', 0], ['all', 'steps[0]', 0], ['lights', 'steps[0]', 0], ['all', 'steps[1]', 1000], ['main', 'steps[1]', 1010]]
+  );
+  check(nested.timeline[0].target_scene_id === 'all', 'The step names the scene it runs');
+
+  const missing = simulate([{ action: 'run_scene', scene_id: 'gone' }], { scenes });
+  check(/not found/.test(missing.warnings[0]?.message) && missing.duration_ms === 0, 'A missing scene is skipped and reported');
+
+  const looped = simulate([{ action: 'run_scene', scene_id: 'loop_a' }], { scenes });
+  check(/would run itself/.test(looped.warnings[0]?.message), 'A cycle is broken and reported', [JSON.stringify(looped.warnings)]);
+
+  const self = simulateScene(
+    { scene_id: 'main', steps: [{ action: 'run_scene', scene_id: 'main' }] },
+    { targets: TARGETS, scenes: new Map([['main', { scene_id: 'main', steps: [] }]]) }
+  );
+  check(/would run itself/.test(self.warnings[0]?.message), 'A scene running itself is refused');
+}
+
+function testTruncation() {
+  section('6. Long Simulations');
+
+  const huge = simulate([{ action: 'loop', count: 100, steps: [{ action: 'loop', count: 100, steps: [{ action: 'loop', count: 100, steps: [wait(1)] }] }] }]);
+  check(huge.truncated, 'A simulation walking too many steps stops');
+  check(huge.warnings.length === 1 && /Stopped after/.test(huge.warnings[0].message), 'It is reported once', [JSON.stringify(huge.warnings)]);
+  check(huge.timeline.length <= 20000, 'The timeline stays bounded', [`got ${huge.timeline.length}`]);
+
+  const empty = simulateScene({ scene_id: 'main' }, { targets: TARGETS, scenes: new Map() });
+  check(empty.duration_ms === 0 && empty.timeline.length === 0, 'A scene without steps takes no time');
+}
+
+function runAllTests() {
+  log('\nScene Simulator Tests', 'blue');
+
+  testSequence();
+  testRamps();
+  testConditions();
+  testLoopsAndParallel();
+  testRunScene();
+  testTruncation();
+
+  finish();
+}
+
+runAllTests();
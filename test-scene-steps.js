@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Scene Step Tests
+ * Checks src/utils/scene-steps.js: step validation against a controller's
+ * controls, and the run_scene graph (cycles, sync order). Controls are given as
+ * rows, as loadStepTargets() returns them; no database or running server is needed.
+ */
+
+const {
+  MAX_DELAY_MS, MAX_STEPS, resolveControl, validateSteps, sceneReferences, findCycle, sceneOrder
+} = require('./src/utils/scene-steps');
+const { log, section, check, finish } = require('./test-helpers');
+
+// Controls of one controller, as loadStepTargets() returns them
+const TARGETS = [
+  { id: 'c1', device_key: 'dsp_1', control_id: 'gain_1', logical_name: 'Main Gain', control_type: 'gain', parameters: { type: 'number', min: -80, max: 12 } },
+  { id: 'c2', device_key: 'dsp_1', control_id: 'mute_1', logical_name: 'Main Mute', control_type: 'mute', parameters: { type: 'boolean' } },
+  { id: 'c3', device_key: 'dsp_2', control_id: 'mute_1', logical_name: 'Zone Mute', control_type: 'mute', parameters: { type: 'boolean' } },
+  { id: 'c4', device_key: 'matrix', control_id: 'route', logical_name: 'Source', control_type: 'route', parameters: { type: 'string', options: ['hdmi', 'usb'] } }
+];
+
+// Check that steps validate, or fail with errors on exactly these paths
+function checkSteps(description, steps, expectedPaths, sceneKeys = []) {
+  const { errors } = validateSteps(steps, TARGETS, sceneKeys);
+  const paths = errors.map(error => error.path);
+  check(
+    JSON.stringify(paths) === JSON.stringify(expectedPaths),
+    description,
+    [`expected ${JSON.stringify(expectedPaths)}`, `got      ${JSON.stringify(errors)}`]
+  );
+}
+
+function testResolveControl() {
+  section('1. Resolving Controls');
+
+  check(resolveControl({ device_id: 'dsp_1', control_id: 'gain_1' }, TARGETS).control?.id === 'c1', 'device_id + control_id');
+  check(resolveControl({ device: 'dsp_2', control: 'mute_1' }, TARGETS).control?.id === 'c3', 'device + control aliases');
+  check(resolveControl({ control_id: 'gain_1' }, TARGETS).control?.id === 'c1', 'A unique control_id needs no device');
+  check(resolveControl({ control_id: 'Zone Mute' }, TARGETS).control?.id === 'c3', 'A logical_name works without a device');
+  check(/several devices/.test(resolveControl({ control_id: 'mute_1' }, TARGETS).error), 'A control_id on two devices needs device_id');
+  check(/not found on device dsp_2/.test(resolveControl({ device_id: 'dsp_2', control_id: 'gain_1' }, TARGETS).error), 'Unknown control on a device');
+  check(/required/.test(resolveControl({}, TARGETS).error), 'control_id is required');
+}
+
+function testSetControl() {
+  section('2. Control Changes and Delays');
+
+  checkSteps('A valid scene passes', [
+    { device_id: 'dsp_1', control_id: 'gain_1', value: -20, delay_ms: 500 },
+    { action: 'set_control', device_id: 'dsp_2', control_id: 'mute_1', value: true },
+    { action: 'delay', delay_ms: 1000 },
+    { control_id: 'route', value: 'usb', delay: 0 }
+  ], []);
+
+  checkSteps('An empty scene is refused', [], ['steps']);
+  checkSteps('Steps must be objects', ['gain_1', null], ['steps[0]', 'steps[1]']);
+  checkSteps('An unknown action is refused', [{ action: 'teleport' }], ['steps[0].action']);
+  checkSteps('An unknown control is refused', [{ control_id: 'volume_9', value: 1 }], ['steps[0].control_id']);
+  checkSteps('The field the step used is reported', [{ control: 'volume_9', value: 1 }], ['steps[0].control']);
+  checkSteps('A value out of range is refused', [{ control_id: 'gain_1', value: 40 }], ['steps[0].value']);
+  checkSteps('A value of the wrong type is refused', [{ device_id: 'dsp_1', control_id: 'mute_1', value: 'on' }], ['steps[0].value']);
+  checkSteps('A value outside the options is refused', [{ control_id: 'route', value: 'vga' }], ['steps[0].value']);
+  checkSteps('A missing value is refused', [{ control_id: 'gain_1' }], ['steps[0].value']);
+  checkSteps('A delay step needs delay_ms', [{ action: 'delay' }], ['steps[0].delay_ms']);
+  checkSteps('Negative delays are refused', [{ action: 'delay', delay_ms: -1 }], ['steps[0].delay_ms']);
+  checkSteps('Delays over an hour are refused', [{ action: 'delay', delay_ms: MAX_DELAY_MS + 1 }], ['steps[0].delay_ms']);
+  checkSteps('Fractional delays are refused', [{ control_id: 'gain_1', value: 0, delay: 1.5 }], ['steps[0].delay']);
+
+  const { errors } = validateSteps([{ action: 'delay', delay_ms: 1 }, { control_id: 'gain_1', value: 99 }], TARGETS);
+  check(errors.length === 1 && errors[0].step === 2, 'Errors carry the 1-based top-level step', [JSON.stringify(errors)]);
+
+  const tooMany = Array.from({ length: MAX_STEPS + 1 }, () => ({ action: 'delay', delay_ms: 1 }));
+  checkSteps(`More than ${MAX_STEPS} steps are refused`, tooMany, ['steps']);
+}
+
+function testRunScene() {
+  section('3. run_scene Steps');
+
+  checkSteps('run_scene names a scene of the controller', [{ action: 'run_scene', scene_id: 'lights_on' }], [], ['lights_on']);
+  checkSteps('An unknown scene is refused', [{ action: 'run_scene', scene_id: 'lights_off' }], ['steps[0].scene_id'], ['lights_on']);
+  checkSteps('scene_id is required', [{ action: 'run_scene' }], ['steps[0].scene_id'], ['lights_on']);
+
+  const { advanced } = validateSteps([{ action: 'run_scene', scene_id: 'lights_on' }], TARGETS, ['lights_on']);
+  check(advanced, 'run_scene needs the advanced_steps capability');
+  check(!validateSteps([{ action: 'delay', delay_ms: 1 }], TARGETS).advanced, 'Plain steps do not');
+
+  const references = sceneReferences([
+    { action: 'run_scene', scene_id: 'a' },
+    { action: 'parallel', steps: [{ action: 'run_scene', scene_id: 'b' }] },
+    { action: 'condition', when: {}, then: [{ action: 'loop', count: 2, steps: [{ action: 'run_scene', scene_id: 'c' }] }], else: [{ action: 'run_scene', scene_id: 'a' }] },
+    null
+  ]);
+  check(
+    JSON.stringify([...references].sort()) === JSON.stringify(['a', 'b', 'c']),
+    'References include nested steps, once each',
+    [`got ${JSON.stringify([...references])}`]
+  );
+  check(sceneReferences(undefined).size === 0, 'A scene without steps references nothing');
+}
+
+function testCycles() {
+  section('4. Cycles');
+
+  const graph = new Map([
+    ['a', new Set(['b'])],
+    ['b', new Set(['c'])],
+    ['c', new Set()],
+    ['self', new Set(['self'])],
+    ['x', new Set(['y', 'c'])],
+    ['y', new Set(['z'])],
+    ['z', new Set(['x'])]
+  ]);
+
+  check(findCycle(graph, 'a') === null, 'A chain without a loop has no cycle');
+  check(JSON.stringify(findCycle(graph, 'self')) === JSON.stringify(['self', 'self']), 'A scene running itself is a cycle');
+  check(
+    JSON.stringify(findCycle(graph, 'x')) === JSON.stringify(['x', 'y', 'z', 'x']),
+    'A longer loop is reported from start to start',
+    [`got ${JSON.stringify(findCycle(graph, 'x'))}`]
+  );
+
+  // Editing c to run a closes the loop a -> b -> c -> a
+  graph.set('c', new Set(['a']));
+  check(
+    JSON.stringify(findCycle(graph, 'a')) === JSON.stringify(['a', 'b', 'c', 'a']),
+    'A new reference closing a loop is found'
+  );
+  check(findCycle(new Map(), 'missing') === null, 'A scene missing from the graph has no cycle');
+
+  // A shared sub-scene reached twice is not a cycle
+  const diamond = new Map([
+    ['top', new Set(['left', 'right'])],
+    ['left', new Set(['bottom'])],
+    ['right', new Set(['bottom'])],
+    ['bottom', new Set()]
+  ]);
+  check(findCycle(diamond, 'top') === null, 'A diamond is not a cycle');
+}
+
+function testSceneOrder() {
+  section('5. Scene Sync Order');
+
+  const run = (sceneId) => ({ action: 'run_scene', scene_id: sceneId });
+  const order = sceneOrder([
+    { scene_id: 'show', steps: [run('lights'), { action: 'parallel', steps: [run('audio')] }] },
+    { scene_id: 'audio', steps: [run('amps')] },
+    { scene_id: 'lights', steps: [{ action: 'delay', delay_ms: 1 }] },
+    { scene_id: 'amps', steps: [] },
+    { scene_id: 'orphan', steps: [run('deleted')] }
+  ]);
+
+  const before = (first, second) => order.indexOf(first) < order.indexOf(second);
+  check(order.length === 5, 'Every scene is listed once', [`got ${JSON.stringify(order)}`]);
+  check(before('amps', 'audio') && before('audio', 'show') && before('lights', 'show'), 'Scenes come after the scenes they run', [`got ${JSON.stringify(order)}`]);
+  check(!order.includes('deleted'), 'Missing scenes are skipped');
+
+  const again = sceneOrder([
+    { scene_id: 'orphan', steps: [run('deleted')] },
+    { scene_id: 'amps', steps: [] },
+    { scene_id: 'lights', steps: [] },
+    { scene_id: 'audio', steps: [run('amps')] },
+    { scene_id: 'show', steps: [run('lights'), run('audio')] }
+  ]);
+  check(JSON.stringify(again) === JSON.stringify(order), 'The order does not depend on input order');
+
+  const looped = sceneOrder([
+    { scene_id: 'a', steps: [run('b')] },
+    { scene_id: 'b', steps: [run('a')] }
+  ]);
+  check(looped.length === 2, 'A stored cycle still ends (each scene listed once)', [`got ${JSON.stringify(looped)}`]);
+}
+
+function runAllTests() {
+  log('\nScene Step Tests', 'blue');
+
+  testResolveControl();
+  testSetControl();
+  testRunScene();
+  testCycles();
+  testSceneOrder();
+
+  finish();
+}
+
+runAllTests();
@@ -8,6 +8,7 @@ const pool = require('./src/db/connection');
 const fileManager = require('./src/ai/file-manager');
 const encryption = require('./src/ai/encryption');
 const BaseAIProvider = require('./src/ai/providers/base');
+const { deriveStoredKey } = require('./src/utils/connection-key');
 
 async function runTests() {
   console.log('='.repeat(60));
@@ -84,11 +85,11 @@ async function runTests() {
     const projectId = projectResult.rows[0].id;
 
     const testController = await pool.query(`
-      INSERT INTO controllers (project_id, name, connection_key)
-      VALUES ($1, 'Test Controller Sprint5', 'test-key-sprint5-${Date.now()}')
-      ON CONFLICT (connection_key) DO UPDATE SET name = EXCLUDED.name
+      INSERT INTO controllers (project_id, name, stored_key)
+      VALUES ($1, 'Test Controller Sprint5', $2)
+      ON CONFLICT (stored_key) DO UPDATE SET name = EXCLUDED.name
       RETURNING id
-    `, [projectId]);
+    `, [projectId, deriveStoredKey(`test-key-sprint5-${Date.now()}`)]);
 
     const controllerId = testController.rows[0]?.id || (await pool.query(
       'SELECT id FROM controllers WHERE name = $1 LIMIT 1',
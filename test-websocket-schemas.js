@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * WebSocket Message Schema Tests
+ * Checks every message example in WEBSOCKET_PROTOCOL.md against the
+ * schemas in src/websocket/message-schemas.js, and that malformed
+ * messages are rejected. Needs no database or running server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { INBOUND, OUTBOUND, validateInbound, validateOutbound } = require('./src/websocket/message-schemas');
+const { log, section, check, finish } = require('./test-helpers');
+
+// Direction of the examples in each protocol section (others are looked up by type)
+const SECTION_DIRECTIONS = {
+  'Cloud → NUC Messages': 'outbound',
+  'NUC → Cloud Messages': 'inbound'
+};
+// Not NUC protocol messages
+const SKIPPED_SECTIONS = ['Browser Live Channel'];
+// "type": "message_type" in the generic format example
+const PLACEHOLDER_TYPES = ['message_type'];
+
+/**
+ * Extract the ```json message examples from the protocol document
+ * Illustrative bits (// comments, [...]) are removed so they parse
+ */
+function loadDocumentedMessages() {
+  const doc = fs.readFileSync(path.join(__dirname, 'WEBSOCKET_PROTOCOL.md'), 'utf8');
+  const messages = [];
+  let currentSection = null;
+  let heading = null;
+
+  const blockPattern = /^## (.+)$|^### (.+)$|^```json\n([\s\S]*?)^```$/gm;
+  let match;
+
+  while ((match = blockPattern.exec(doc)) !== null) {
+    if (match[1]) {
+      currentSection = match[1].trim();
+      heading = currentSection;
+      continue;
+    }
+    if (match[2]) {
+      heading = match[2].trim();
+      continue;
+    }
+    if (SKIPPED_SECTIONS.includes(currentSection)) continue;
+
+    const line = doc.slice(0, match.index).split('\n').length;
+    const source = match[3]
+      .replace(/^\s*\/\/.*$/gm, '')
+      .replace(/\[\.\.\.\]/g, '[]')
+      .replace(/,(\s*[}\]])/g, '$1');
+
+    let message;
+    try {
+      message = JSON.parse(source);
+    } catch (error) {
+      messages.push({ line, heading, error: `Example is not valid JSON: ${error.message}` });
+      continue;
+    }
+
+    if (!message || typeof message.type !== 'string' || PLACEHOLDER_TYPES.includes(message.type)) continue;
+
+    const direction = SECTION_DIRECTIONS[currentSection] ||
+      (INBOUND[message.type] && !OUTBOUND[message.type] ? 'inbound' : 'outbound');
+
+    messages.push({ line, heading, direction, message });
+  }
+
+  return messages;
+}
+
+function testDocumentedMessages(documented) {
+  section('1. Documented Messages (WEBSOCKET_PROTOCOL.md)');
+
+  for (const example of documented) {
+    const label = `line ${example.line} (${example.heading})`;
+
+    if (example.error) {
+      check(false, label, [example.error]);
+      continue;
+    }
+
+    const validate = example.direction === 'inbound' ? validateInbound : validateOutbound;
+    const { valid, errors } = validate(example.message);
+    check(valid, `${example.direction} ${example.message.type} - ${label}`, errors);
+  }
+}
+
+function testCoverage(documented) {
+  section('2. Every Schema Is Documented');
+
+  for (const [direction, schemas] of [['inbound', INBOUND], ['outbound', OUTBOUND]]) {
+    for (const type of Object.keys(schemas)) {
+      const found = documented.some(example => example.direction === direction && example.message?.type === type);
+      check(found, `${direction} ${type}`, ['No example in WEBSOCKET_PROTOCOL.md']);
+    }
+  }
+}
+
+// Each case must be rejected, with an error mentioning `expect`
+const MALFORMED = [
+  ['inbound', 'not an object', 'not json', 'JSON object'],
+  ['inbound', 'missing type', { data: {} }, 'type is required'],
+  ['inbound', 'unknown type', { type: 'reboot_now' }, 'unknown message type'],
+  ['inbound', 'bad timestamp', { type: 'heartbeat', timestamp: 'yesterday' }, 'timestamp'],
+  ['inbound', 'sync_complete without sync_id', { type: 'sync_complete', data: { files_synced: 3 } }, 'data.sync_id'],
+  ['inbound', 'sync_complete with negative duration', { type: 'sync_complete', data: { sync_id: 'a', duration_ms: -5 } }, 'data.duration_ms'],
+  ['inbound', 'sync_complete with text files_synced', { type: 'sync_complete', data: { sync_id: 'a', files_synced: 'all' } }, 'data.files_synced'],
+  ['inbound', 'execution_result with unknown status', { type: 'execution_result', data: { scene_id: 's', status: 'done' } }, 'data.status'],
+  ['inbound', 'execution_result with a non-UUID execution_id', { type: 'execution_result', data: { scene_id: 's', execution_id: 'exec-1', status: 'completed' } }, 'data.execution_id'],
+  ['inbound', 'status_update with cpu over 100', { type: 'status_update', data: { cpu_percent: 150 } }, 'data.cpu_percent'],
+  ['inbound', 'status_update device without id', { type: 'status_update', data: { devices: [{ status: 'online' }] } }, 'data.devices[0].device_id'],
+  ['inbound', 'ack without reply_to', { type: 'ack', data: { success: true } }, 'reply_to'],
+  ['inbound', 'control_value without value', { type: 'control_value', reply_to: 'x', data: { device_id: 'd', control_id: 'c' } }, 'data.value'],
+  ['inbound', 'device_state with changes not a list', { type: 'device_state', data: { changes: 'all' } }, 'data'],
+  ['inbound', 'log_chunk line without message', { type: 'log_chunk', data: { lines: [{ level: 'info' }] } }, 'data.lines[0].message'],
+  ['inbound', 'agent_update_status with unknown status', { type: 'agent_update_status', data: { update_id: 'u', status: 'done' } }, 'data.status'],
+  ['inbound', 'request_delta_sync with text revision', { type: 'request_delta_sync', data: { revision: 'latest' } }, 'data.revision'],
+  ['inbound', 'discovery_result with an invalid port', { type: 'discovery_result', data: { scan_id: 's', devices: [{ ip: '10.0.0.5', open_ports: [70000] }] } }, 'data.devices[0].open_ports[0]'],
+  ['inbound', 'discovery_result with a non-text banner', { type: 'discovery_result', data: { scan_id: 's', devices: [{ ip: '10.0.0.5', banners: { 23: 42 } }] } }, 'banners must map ports to strings'],
+  ['inbound', 'schedule_result without scheduled_for', { type: 'schedule_result', data: { schedule_id: '5b0c6f3e-2f0a-4c7e-9d1a-8e4f2b6c1d90', status: 'completed' } }, 'data.scheduled_for'],
+  ['inbound', 'schedule_result with a non-UUID schedule_id', { type: 'schedule_result', data: { schedule_id: 'nightly', scheduled_for: '2025-10-08T20:00:00Z', status: 'completed' } }, 'data.schedule_id'],
+  ['inbound', 'auth_response without proof', { type: 'auth_response', data: { controller_id: 'c' } }, 'data.proof'],
+  ['inbound', 'auth_response with a non-hex proof', { type: 'auth_response', data: { proof: 'not-a-proof' } }, 'data.proof'],
+  ['outbound', 'set_control without message_id', { type: 'set_control', data: { device_id: 'd', control_id: 'c', value: 1 } }, 'message_id'],
+  ['outbound', 'device_added without device', { type: 'config_update', data: { config_type: 'device_added', revision: 3 } }, 'device is required'],
+  ['outbound', 'scene_deleted without scene_id', { type: 'config_update', data: { config_type: 'scene_deleted' } }, 'scene_id is required'],
+  ['outbound', 'schedule_updated without schedule', { type: 'config_update', data: { config_type: 'schedule_updated', revision: 4 } }, 'schedule is required'],
+  ['outbound', 'unknown config_type', { type: 'config_update', data: { config_type: 'room_added' } }, 'data.config_type'],
+  ['outbound', 'full_sync with unknown reason', { type: 'full_sync', data: { revision: 1, reason: 'because', devices: [], controls: [], scenes: [] } }, 'data.reason'],
+  ['outbound', 'agent_update with bad checksum', { type: 'agent_update', data: { update_id: 'u', version: '1.0.0', url: 'https://x', checksum_sha256: 'abc', size_bytes: 1 } }, 'data.checksum_sha256']
+];
+
+function testMalformedMessages() {
+  section('3. Malformed Messages Are Rejected');
+
+  for (const [direction, description, message, expect] of MALFORMED) {
+    const validate = direction === 'inbound' ? validateInbound : validateOutbound;
+    const { valid, errors } = validate(message);
+    check(
+      !valid && errors.some(error => error.includes(expect)),
+      `${direction} ${description}`,
+      valid ? ['Accepted'] : errors
+    );
+  }
+}
+
+function testForwardCompatibility() {
+  section('4. Forward Compatibility');
+
+  const { valid, errors } = validateInbound({
+    type: 'sync_complete',
+    data: { sync_id: 'a', files_synced: 3, checksum: 'new-field' },
+    trace_id: 'new-envelope-field'
+  });
+  check(valid, 'Unknown fields are accepted', errors);
+
+  const replayed = validateOutbound({
+    type: 'config_update',
+    replayed: true,
+    data: { config_type: 'device_deleted', device_id: 'dsp_main' }
+  });
+  check(replayed.valid, 'Replayed outbox messages (no revision) are accepted', replayed.errors);
+}
+
+function runAllTests() {
+  log('\nWebSocket Message Schema Tests', 'blue');
+
+  const documented = loadDocumentedMessages();
+  testDocumentedMessages(documented);
+  testCoverage(documented);
+  testMalformedMessages();
+  testForwardCompatibility();
+
+  finish('Update the schema or the example in WEBSOCKET_PROTOCOL.md so they agree.');
+}
+
+runAllTests();